@@ -10,6 +10,8 @@
  * RESPONSIBILITIES:
  * - State management via useReducer (appReducer) for recording flow
  * - Screen routing: welcome → choose mode → test → record → review → upload
+ * - Multi-question sessions: prompt → record → review → upload repeats per prompt
+ *   (or skip), with progress in the header, until the last prompt is done
  * - Upload coordination with real-time progress tracking
  * - Error handling with retry logic and user-friendly error screens
  * - Success state with confetti celebration
@@ -32,18 +34,19 @@
  * - MasterLayout integration for consistent UI structure
  */
 
-import React, { useReducer, useState, useCallback, useEffect, useRef } from 'react';
+import React, { useReducer, useState, useCallback, useEffect, useRef, useMemo } from 'react';
 import debugLogger from '../utils/debugLogger.js';
 import { debugService } from '../utils/DebugService';
 
 // Configuration
-import { RECORDING_LIMITS, TIME_FORMAT } from '../config';
+import { TIME_FORMAT } from '../config';
 
 // State management
 import { appReducer, initialAppState, APP_ACTIONS } from '../reducers/appReducer';
 
 // Permission utilities
 import { hasMediaPermission, hasVideoPermissions } from '../utils/permissionUtils';
+import { isScreenCaptureSupported } from '../utils/captureMode';
 
 // Extracted components
 import RecordingFlow from './RecordingFlow';
@@ -53,8 +56,14 @@ import FirebaseErrorBoundary from './FirebaseErrorBoundary';
 import { TimerProvider, useTimer } from '../contexts/TimerContext';
 
 // Utility functions
-import { createSubmissionHandler } from '../utils/submissionHandlers';
+import { createSubmissionHandler, createSkipPromptHandler } from '../utils/submissionHandlers';
+import { getUnfinishedRecording, clearRecoverySession } from '../services/recordingRecoveryService';
 import { createNavigationHandlers } from '../utils/navigationHandlers';
+import { getSessionLimits, formatLimitDuration, formatFileSize } from '../utils/sessionLimits';
+import { estimateDeviceBudget, applyRecordingBudget } from '../utils/recordingBudget';
+import { toDurationSeconds } from '../utils/recordingClock';
+import { loadMirrorPreview, saveMirrorPreview, getCameraFacing } from '../utils/mirrorPreview';
+import { getSessionPrompts, isMultiPromptSession, getNextPromptIndex, hasAnsweredPrompt } from '../utils/sessionPrompts';
 
 // Existing components
 import RecordingBar from './RecordingBar';
@@ -67,6 +76,7 @@ import ErrorScreen from './ErrorScreen';
 
 // Layout components
 import MasterLayout from './MasterLayout';
+import PromptProgress from './layout/PromptProgress';
 
 // Screen components (Phase 2: Screen-based architecture)
 import WelcomeScreen from './screens/WelcomeScreen';
@@ -76,14 +86,18 @@ import AudioAccess from './screens/AudioAccess';
 import VideoAccess from './screens/VideoAccess';
 import AudioTest from './screens/AudioTest';
 import VideoTest from './screens/VideoTest';
+import ScreenAccess from './screens/ScreenAccess';
+import ScreenTest from './screens/ScreenTest';
 import ReadyToRecordScreen from './screens/ReadyToRecordScreen';
 import ActiveRecordingScreen from './screens/ActiveRecordingScreen';
 import PausedRecordingScreen from './screens/PausedRecordingScreen';
 import ReviewRecordingScreen from './screens/ReviewRecordingScreen';
+import RestoreRecordingScreen from './screens/RestoreRecordingScreen';
 
 // Token provider for inline styling
 import { useTokens } from '../theme/TokenProvider';
 import { useBreakpoint } from '../hooks/useBreakpoint';
+import useWakeLock from '../hooks/useWakeLock';
 
 /**
  * DurationCapture
@@ -93,7 +107,7 @@ import { useBreakpoint } from '../hooks/useBreakpoint';
  * DURATION-FIX: Changed from useEffect to callback pattern to avoid timing issues.
  */
 function DurationCapture({ durationRef, onProvideCaptureCallback, children }) {
-  const { elapsedSeconds } = useTimer();
+  const { elapsedSeconds, getElapsedMs, initialElapsedMs } = useTimer();
 
   // Provide capture callback to parent via ref/callback
   React.useEffect(() => {
@@ -103,18 +117,29 @@ function DurationCapture({ durationRef, onProvideCaptureCallback, children }) {
           elapsedSeconds,
           timestamp: new Date().toISOString()
         });
-        durationRef.current = elapsedSeconds;
+        // Precise clock value (sub-second), not the displayed whole second.
+        // Only this recording - a continued take's own length is added when it's joined.
+        durationRef.current = toDurationSeconds(getElapsedMs() - initialElapsedMs);
         console.log('🎯 DURATION-DEBUG [2]: Ref updated', {
           refValue: durationRef.current,
           timestamp: new Date().toISOString()
         });
       });
     }
-  }, [elapsedSeconds, durationRef, onProvideCaptureCallback]);
+  }, [elapsedSeconds, getElapsedMs, initialElapsedMs, durationRef, onProvideCaptureCallback]);
 
   return children;
 }
 
+// Screen sharing ended outside the app (browser's "Stop sharing" button) before recording.
+// getDisplayMedia needs a click, so unlike audio/video there is no auto-retry - the user
+// starts again from ScreenAccess.
+function isScreenStreamMissing(flowState, screenPermissionGranted) {
+  const { captureMode, mediaStream, isStreamLoading, isRecording, isPaused } = flowState;
+  return captureMode === 'screen' && screenPermissionGranted &&
+    !mediaStream && !isStreamLoading && !isRecording && !isPaused;
+}
+
 /**
  * formatBannerContent
  * -------------------
@@ -156,22 +181,43 @@ function AppContent({ sessionId, sessionData, sessionComponents }) {
     sessionComponents
   });
 
+  // Prompts of this session (several in a multi-question session, see utils/sessionPrompts.js)
+  const sessionPrompts = useMemo(() => getSessionPrompts(sessionData), [sessionData]);
+  const isMultiPrompt = isMultiPromptSession(sessionPrompts);
+
   // Replace multiple useState with useReducer
-  const [appState, dispatch] = useReducer(appReducer, initialAppState);
+  // A reopened multi-question session continues with the first prompt not yet answered
+  const [appState, dispatch] = useReducer(appReducer, initialAppState, (state) => ({
+    ...state,
+    promptIndex: getNextPromptIndex(sessionPrompts) ?? 0
+  }));
+
+  // Keep the screen on during upload - a locked phone suspends the page and stalls it
+  useWakeLock(appState.uploadInProgress, 'upload');
 
   // Vaul Drawer states
   const [showStartOverDialog, setShowStartOverDialog] = useState(false);
   const [showDeviceSettingsDrawer, setShowDeviceSettingsDrawer] = useState(false);
   const [deviceSettingsProps, setDeviceSettingsProps] = useState(null);
 
+  // Mirrored camera preview, per camera facing (live preview only - never the recording)
+  const [mirrorPreviewChoice, setMirrorPreviewChoice] = useState(() => loadMirrorPreview());
+
   // Player ready state for loading handling
   const [isPlayerReady, setIsPlayerReady] = useState(false);
 
-  // Permission screen state (for AudioAccess/VideoAccess)
+  // Permission screen state (for AudioAccess/VideoAccess/ScreenAccess)
   const [audioPermissionError, setAudioPermissionError] = useState(null);
   const [audioPermissionRequesting, setAudioPermissionRequesting] = useState(false);
   const [videoPermissionError, setVideoPermissionError] = useState(null);
   const [videoPermissionRequesting, setVideoPermissionRequesting] = useState(false);
+  const [screenPermissionError, setScreenPermissionError] = useState(null);
+  const [screenPermissionRequesting, setScreenPermissionRequesting] = useState(false);
+
+  // Crash recovery: unfinished recording found in IndexedDB for this session
+  const [recoverableRecording, setRecoverableRecording] = useState(null);
+  const [isRestoring, setIsRestoring] = useState(false);
+  const [restoreError, setRestoreError] = useState(null);
 
   // Video element ref for connecting mediaStream
   const videoRef = useRef(null);
@@ -188,12 +234,16 @@ function AppContent({ sessionId, sessionData, sessionComponents }) {
     handleAudioClick: null,
     handleVideoClick: null,
     recordedBlobUrl: null,
-    actualMimeType: null
+    actualMimeType: null,
+    qualityProfile: null
   });
 
   // Ref to store current recording flow state for timer callbacks
   const recordingFlowStateRef = useRef(null);
 
+  // Retry for the error screen when the error wasn't an upload (a failed prompt skip)
+  const errorRetryRef = useRef(null);
+
   // Reset player ready state when entering review mode
   useEffect(() => {
     if (appState.submitStage) {
@@ -202,11 +252,11 @@ function AppContent({ sessionId, sessionData, sessionComponents }) {
   }, [appState.submitStage]);
 
   // Connect mediaStream to video element when available
-  // Also triggers when navigating back to VideoTest to restart video playback
+  // Also triggers when navigating back to VideoTest/ScreenTest to restart video playback
   useEffect(() => {
     const { mediaStream, captureMode } = recordingFlowStateSnapshot;
 
-    if (videoRef.current && mediaStream && captureMode === 'video') {
+    if (videoRef.current && mediaStream && (captureMode === 'video' || captureMode === 'screen')) {
       debugLogger.log('info', 'AppContent', 'Connecting mediaStream to video element');
       videoRef.current.srcObject = mediaStream;
 
@@ -216,7 +266,42 @@ function AppContent({ sessionId, sessionData, sessionComponents }) {
         console.warn('Video play failed:', err);
       });
     }
-  }, [recordingFlowStateSnapshot, appState.videoTestCompleted]);
+  }, [recordingFlowStateSnapshot, appState.videoTestCompleted, appState.screenTestCompleted]);
+
+  // Screen stream missing on the screens before recording (the stream is released on
+  // review): reset screen sharing so ScreenAccess is shown again. The render already
+  // shows ScreenAccess meanwhile, see getCurrentScreen.
+  useEffect(() => {
+    const flowState = recordingFlowStateRef.current;
+    if (!flowState || appState.submitStage || !appState.hasReadPrompt) return;
+    if (!isScreenStreamMissing(flowState, appState.screenPermissionGranted)) return;
+
+    debugLogger.log('warn', 'AppContent', 'Screen stream missing, returning to ScreenAccess');
+    dispatch({ type: APP_ACTIONS.SET_SCREEN_PERMISSION_GRANTED, payload: false });
+    dispatch({ type: APP_ACTIONS.SET_SCREEN_TEST_COMPLETED, payload: false });
+  }, [recordingFlowStateSnapshot.captureMode, recordingFlowStateSnapshot.mediaStream,
+    appState.screenPermissionGranted, appState.submitStage, appState.hasReadPrompt]);
+
+  // Crash recovery: check IndexedDB for an unfinished recording when the session opens
+  useEffect(() => {
+    let isMounted = true;
+
+    getUnfinishedRecording(sessionId).then((recovered) => {
+      if (isMounted && recovered) {
+        debugLogger.log('info', 'AppContent', 'Unfinished recording found', {
+          sessionId,
+          captureMode: recovered.captureMode,
+          duration: recovered.duration,
+          chunkCount: recovered.chunks.length
+        });
+        setRecoverableRecording(recovered);
+      }
+    });
+
+    return () => {
+      isMounted = false;
+    };
+  }, [sessionId]);
 
   // Create auto-transition handler that will be passed to RecordingFlow
   const handleAutoTransition = useCallback(() => {
@@ -224,22 +309,69 @@ function AppContent({ sessionId, sessionData, sessionComponents }) {
     dispatch({ type: APP_ACTIONS.SET_SUBMIT_STAGE, payload: true });
   }, [dispatch]);
 
-  // Timer warning callback (14 minutes)
-  const handleTimerWarning = useCallback(() => {
-    debugLogger.log('info', 'AppContent', 'Showing 14-minute warning notification');
-    alert('Recording will automatically stop in 1 minute (15-minute limit).');
-  }, []);
+  // Free storage/memory of this device, checked again whenever a capture mode is chosen
+  // (before ReadyToRecordScreen) - null until known
+  const [deviceBudget, setDeviceBudget] = useState(null);
+  useEffect(() => {
+    if (!recordingFlowStateSnapshot.captureMode) return undefined;
 
-  // Timer max duration callback (15 minutes)
-  const handleTimerMaxDuration = useCallback(() => {
-    debugLogger.log('info', 'AppContent', 'Auto-transitioning at 15-minute limit');
-    alert('Recording has reached the 15-minute limit and will now stop automatically.');
+    let isMounted = true;
+    estimateDeviceBudget().then((budget) => {
+      if (isMounted) {
+        debugLogger.log('info', 'AppContent', 'Device recording budget', budget);
+        setDeviceBudget(budget);
+      }
+    });
+    return () => {
+      isMounted = false;
+    };
+  }, [recordingFlowStateSnapshot.captureMode]);
+
+  // Recording limits for this session (session document, else config defaults),
+  // capped to what the device can hold in the chosen mode
+  const sessionLimits = useMemo(() => applyRecordingBudget(getSessionLimits(sessionData), deviceBudget, {
+    captureMode: recordingFlowStateSnapshot.captureMode,
+    qualityProfile: recordingFlowStateSnapshot.qualityProfile
+  }), [sessionData, deviceBudget, recordingFlowStateSnapshot.captureMode, recordingFlowStateSnapshot.qualityProfile]);
+
+  // Timer warning callback (warningOffsetSeconds before the limit)
+  const handleTimerWarning = useCallback(() => {
+    debugLogger.log('info', 'AppContent', 'Showing recording limit warning notification', sessionLimits);
+    alert(`Recording will automatically stop in ${formatLimitDuration(sessionLimits.warningOffsetSeconds)} (${formatLimitDuration(sessionLimits.maxDurationSeconds)} limit).`);
+  }, [sessionLimits]);
+
+  // Stop at a recording limit and go to review
+  const stopAtLimit = useCallback(() => {
+    if (captureDurationCallbackRef.current) {
+      captureDurationCallbackRef.current();
+    }
     if (recordingFlowStateRef.current?.handleDone) {
-      recordingFlowStateRef.current.handleDone();
+      recordingFlowStateRef.current.handleDone({ duration: recordingDurationRef.current });
     }
     handleAutoTransition();
   }, [handleAutoTransition]);
 
+  // Timer max duration callback (session limit)
+  const handleTimerMaxDuration = useCallback(() => {
+    debugLogger.log('info', 'AppContent', 'Auto-transitioning at recording limit', sessionLimits);
+    alert(`Recording has reached the ${formatLimitDuration(sessionLimits.maxDurationSeconds)} limit and will now stop automatically.`);
+    stopAtLimit();
+  }, [stopAtLimit, sessionLimits]);
+
+  // File size callback from useRecordingFlow (upload limit, see getFileSizeStatus)
+  const handleMaxFileSize = useCallback(() => {
+    debugLogger.log('info', 'AppContent', 'Auto-transitioning at file size limit', sessionLimits);
+    alert(`Recording has reached the ${formatFileSize(sessionLimits.maxFileSize)} size limit and will now stop automatically.`);
+    stopAtLimit();
+  }, [stopAtLimit, sessionLimits]);
+
+  // Recorder failure callback from useRecordingFlow - the recording has already ended
+  // (back to ReadyToRecordScreen, or to review when something was recorded)
+  const handleRecorderError = useCallback((error) => {
+    debugLogger.log('error', 'AppContent', 'Recorder failed, recording ended', { error });
+    alert(`Recording stopped because of a problem with the recorder: ${error.message}`);
+  }, []);
+
 
   // Device switching handler - delegates to useRecordingFlow
   const handleSwitchAudioDevice = useCallback(async (deviceId) => {
@@ -293,6 +425,68 @@ function AppContent({ sessionId, sessionData, sessionComponents }) {
     }
   }, [dispatch]);
 
+  // Lost device replacement handler - delegates to useRecordingFlow (resumes the recording)
+  const handleReplaceLostDevice = useCallback(async (deviceId) => {
+    try {
+      if (!recordingFlowStateRef.current?.replaceLostDevice) {
+        throw new Error('replaceLostDevice is not available in recording flow state');
+      }
+
+      await recordingFlowStateRef.current.replaceLostDevice(deviceId);
+
+      debugLogger.log('info', 'AppContent', 'Lost device replaced, recording resumed');
+    } catch (error) {
+      debugLogger.log('error', 'AppContent', 'Failed to replace lost device', { error });
+
+      dispatch({
+        type: APP_ACTIONS.SET_ERROR_MESSAGE,
+        payload: `Failed to switch device: ${error.message}`
+      });
+      dispatch({ type: APP_ACTIONS.SET_SHOW_ERROR, payload: true });
+
+      // Recording stays paused - the panel lets the user try another device
+      throw error;
+    }
+  }, [dispatch]);
+
+  // Video mode settings switch either device independently (VideoDeviceSettings passes the type)
+  const handleSwitchVideoModeDevice = useCallback((deviceId, deviceType) => (
+    deviceType === 'audioinput'
+      ? handleSwitchAudioDevice(deviceId)
+      : handleSwitchVideoDevice(deviceId)
+  ), [handleSwitchAudioDevice, handleSwitchVideoDevice]);
+
+  // Microphone processing handler - delegates to useRecordingFlow
+  const handleChangeAudioProcessing = useCallback(async (changes) => {
+    try {
+      if (!recordingFlowStateRef.current?.changeAudioProcessing) {
+        throw new Error('changeAudioProcessing is not available in recording flow state');
+      }
+
+      await recordingFlowStateRef.current.changeAudioProcessing(changes);
+
+      debugLogger.log('info', 'AppContent', 'Audio processing changed', changes);
+    } catch (error) {
+      debugLogger.log('error', 'AppContent', 'Failed to change audio processing', { error });
+
+      dispatch({
+        type: APP_ACTIONS.SET_ERROR_MESSAGE,
+        payload: `Failed to update sound settings: ${error.message}`
+      });
+      dispatch({ type: APP_ACTIONS.SET_SHOW_ERROR, payload: true });
+
+      // Old stream is preserved by changeAudioProcessing - audio continues
+      throw error; // Re-throw so the toggles know about the error
+    }
+  }, [dispatch]);
+
+  // Mirror checkbox handler - remembered for the way the current camera faces
+  const handleChangeMirrorPreview = useCallback((mirrored) => {
+    const facing = getCameraFacing(recordingFlowStateRef.current?.mediaStream);
+    debugLogger.log('info', 'AppContent', 'Mirror preview changed', { facing, mirrored });
+    setMirrorPreviewChoice(prev => saveMirrorPreview(prev, facing, mirrored));
+  }, []);
+
   // Device settings drawer handler - stores props and opens drawer
   const handleOpenDeviceSettings = useCallback((props) => {
     debugLogger.log('info', 'AppContent', 'Opening device settings drawer', { deviceType: props?.deviceType });
@@ -304,7 +498,7 @@ function AppContent({ sessionId, sessionData, sessionComponents }) {
   // RecordingFlow state change handler
   // FIXED: Moved state synchronization from render to callback to prevent setState-during-render warning
   const handleRecordingFlowStateChange = useCallback((newState) => {
-    const { captureMode, mediaStream, handleAudioClick, handleVideoClick, recordedBlobUrl, actualMimeType } = newState;
+    const { captureMode, mediaStream, handleAudioClick, handleVideoClick, recordedBlobUrl, actualMimeType, qualityProfile } = newState;
 
     // Only update if values actually changed (prevents unnecessary re-renders)
     setRecordingFlowStateSnapshot(prev => {
@@ -314,7 +508,8 @@ function AppContent({ sessionId, sessionData, sessionComponents }) {
         prev.handleAudioClick !== handleAudioClick ||
         prev.handleVideoClick !== handleVideoClick ||
         prev.recordedBlobUrl !== recordedBlobUrl ||
-        prev.actualMimeType !== actualMimeType;
+        prev.actualMimeType !== actualMimeType ||
+        prev.qualityProfile !== qualityProfile;
 
       if (!hasChanged) {
         return prev; // No change, prevent re-render
@@ -326,7 +521,8 @@ function AppContent({ sessionId, sessionData, sessionComponents }) {
         handleAudioClick,
         handleVideoClick,
         recordedBlobUrl,
-        actualMimeType
+        actualMimeType,
+        qualityProfile
       };
     });
   }, []);
@@ -344,9 +540,12 @@ function AppContent({ sessionId, sessionData, sessionComponents }) {
         onDoneAndSubmitStage={handleAutoTransition}
         onTimerWarning={handleTimerWarning}
         onTimerMaxDuration={handleTimerMaxDuration}
+        onMaxFileSize={handleMaxFileSize}
+        onRecorderError={handleRecorderError}
         sessionId={sessionId}
         sessionData={sessionData}
         sessionComponents={sessionComponents}
+        promptIndex={appState.promptIndex}
         onStateChange={handleRecordingFlowStateChange}
       >
       {(recordingFlowState) => {
@@ -374,6 +573,7 @@ function AppContent({ sessionId, sessionData, sessionComponents }) {
           mediaStream,
           handleVideoClick,
           handleAudioClick,
+          handleScreenClick,
           handleStartRecording,
           handlePause,
           handleResume,
@@ -381,9 +581,92 @@ function AppContent({ sessionId, sessionData, sessionComponents }) {
           setCaptureMode,
           actualMimeType,
           resetRecordingState,
+          stopMediaStream,
+          takes,
+          selectedTakeId,
+          selectTake,
+          setTakeTrim,
+          clearTakes,
+          recordingMarkers,
+          recordedSize,
+          addMarker,
+          setMarkerLabel,
+          setTakeThumbnail,
+          isContinuingRecording,
+          continuedSeconds,
+          continueRecording,
+          cancelContinueRecording,
+          audioProcessing,
+          lostDevice,
+          interruption,
           // Progressive upload removed - using simple upload flow
         } = recordingFlowState;
 
+        // Camera preview mirroring - video mode only (a shared screen is shown as it is)
+        const mirrorPreview = captureMode === 'video'
+          ? mirrorPreviewChoice[getCameraFacing(mediaStream)]
+          : undefined;
+
+        // Only the take chosen on the review screen is submitted
+        const selectedTake = takes.find(take => take.id === selectedTakeId) || null;
+
+        // Multi-question sessions: the prompt being answered, and the next one after it (null = last)
+        const currentPrompt = sessionPrompts[appState.promptIndex] || sessionPrompts[0];
+        const nextPromptIndex = getNextPromptIndex(sessionPrompts, {
+          ...appState.promptResults,
+          [currentPrompt.index]: 'answered'
+        });
+
+        // Answer uploaded or prompt skipped - start the next prompt with a clean slate
+        const advanceToNextPrompt = (index, result) => {
+          debugLogger.log('info', 'AppContent', 'Moving to next prompt', { index, result, nextPromptIndex });
+          dispatch({ type: APP_ACTIONS.SET_PROMPT_RESULT, payload: { index, result } });
+          dispatch({ type: APP_ACTIONS.SET_PROMPT_INDEX, payload: nextPromptIndex });
+          resetRecordingState();
+          clearTakes();
+          setIsPlayerReady(false);
+          dispatch({ type: APP_ACTIONS.SET_SUBMIT_STAGE, payload: false });
+          dispatch({ type: APP_ACTIONS.SET_HAS_READ_PROMPT, payload: false });
+        };
+
+        // Skipping is recorded on the session; the last prompt can only be skipped once something was answered
+        const canSkipPrompt = isMultiPrompt && (
+          nextPromptIndex !== null || hasAnsweredPrompt(sessionPrompts, appState.promptResults)
+        );
+        const skipPrompt = createSkipPromptHandler({
+          sessionId,
+          prompt: { index: currentPrompt.index, isFinal: nextPromptIndex === null },
+          onPromptSkipped: (index) => advanceToNextPrompt(index, 'skipped'),
+          dispatch,
+          APP_ACTIONS
+        });
+        const handleSkipPrompt = async () => {
+          debugLogger.log('info', 'AppContent', 'Prompt skipped', { index: currentPrompt.index, isLastPrompt: nextPromptIndex === null });
+          const skipped = await skipPrompt();
+          // A failed skip is retried from the error screen instead of an upload
+          errorRetryRef.current = skipped ? null : handleSkipPrompt;
+        };
+
+        // Audio mode chosen (mode selection, or "Record audio instead" on the ready screen)
+        const selectAudioMode = async () => {
+          debugLogger.log('info', 'AppContent', 'Audio mode selected, checking permission');
+
+          // Check if microphone permission already granted
+          const hasPermission = await hasMediaPermission('microphone');
+
+          if (hasPermission) {
+            // Permission already granted - set flag and skip AudioAccess screen
+            console.log('[AppContent] Microphone permission already granted, setting flag');
+            dispatch({ type: APP_ACTIONS.SET_AUDIO_PERMISSION_GRANTED, payload: true });
+          } else {
+            console.log('[AppContent] Microphone permission not granted');
+            dispatch({ type: APP_ACTIONS.SET_AUDIO_PERMISSION_GRANTED, payload: false });
+          }
+
+          // ALWAYS set captureMode to trigger flow
+          setCaptureMode('audio');
+        };
+
         // FIXED: Removed setState block that was causing "setState during render" warning
         // State synchronization now happens via onStateChange callback in RecordingFlow's useEffect
         // See handleRecordingFlowStateChange above (line 306)
@@ -404,7 +687,19 @@ function AppContent({ sessionId, sessionData, sessionComponents }) {
           sessionId,          // NEW: Pass Love Retold sessionId
           sessionComponents,  // NEW: Pass Love Retold sessionComponents
           sessionData,        // UID-FIX-SLICE-A: Pass sessionData for full userId
-          duration: recordingDurationRef.current, // DURATION-FIELD: Pass captured recording duration
+          duration: selectedTake ? selectedTake.duration : recordingDurationRef.current, // DURATION-FIELD: Pass selected take's duration
+          trim: selectedTake ? selectedTake.trim : null, // TRIM: Applied to the upload; original kept until submit
+          recordingSettings: selectedTake ? selectedTake.settings : null, // Quality profile etc. for upload metadata
+          markers: selectedTake ? selectedTake.markers : [], // Chapter markers, saved as recordingData.markers
+          thumbnail: selectedTake?.thumbnail ? selectedTake.thumbnail.blob : null, // Video cover image (JPEG)
+          waveform: selectedTake ? selectedTake.waveform : null, // Audio peaks, uploaded as a JSON sidecar
+          prompt: isMultiPrompt ? {
+            index: currentPrompt.index,
+            count: sessionPrompts.length,
+            text: currentPrompt.text,
+            isFinal: nextPromptIndex === null
+          } : null,
+          onPromptAnswered: (index) => advanceToNextPrompt(index, 'answered'),
           // Progressive upload removed - simple upload after recording
           appState,
           dispatch,
@@ -415,7 +710,8 @@ function AppContent({ sessionId, sessionData, sessionComponents }) {
           appState,
           dispatch,
           APP_ACTIONS,
-          handleDone,
+          // Pass the captured timer value so the new take keeps its duration
+          handleDone: () => handleDone({ duration: recordingDurationRef.current }),
           setCaptureMode,
           setShowStartOverDialog,
           setIsPlayerReady,
@@ -425,6 +721,8 @@ function AppContent({ sessionId, sessionData, sessionComponents }) {
           isPaused,
           captureMode,
           mediaStream,
+          isContinuingRecording,
+          cancelContinueRecording,
           // DURATION-FIX: Pass capture callback to be called before handleDone
           onCaptureDuration: () => {
             if (captureDurationCallbackRef.current) {
@@ -449,8 +747,43 @@ function AppContent({ sessionId, sessionData, sessionComponents }) {
               recordedBlobUrl,
               captureMode,
               actualMimeType,
+              takes,
+              selectedTakeId,
+              onSelectTake: (takeId) => {
+                setIsPlayerReady(false);
+                selectTake(takeId);
+              },
+              formatTime,
               isPlayerReady,
               onPlayerReady: () => setIsPlayerReady(true),
+              onContinueRecording: selectedTake ? () => {
+                debugLogger.log('info', 'AppContent', 'Continue recording from review', { takeId: selectedTake.id });
+                const permissionAction = {
+                  audio: APP_ACTIONS.SET_AUDIO_PERMISSION_GRANTED,
+                  video: APP_ACTIONS.SET_VIDEO_PERMISSION_GRANTED,
+                  screen: APP_ACTIONS.SET_SCREEN_PERMISSION_GRANTED
+                }[selectedTake.captureMode];
+                const testAction = {
+                  audio: APP_ACTIONS.SET_AUDIO_TEST_COMPLETED,
+                  video: APP_ACTIONS.SET_VIDEO_TEST_COMPLETED,
+                  screen: APP_ACTIONS.SET_SCREEN_TEST_COMPLETED
+                }[selectedTake.captureMode];
+
+                // Device was already set up for this take - go straight to the ready screen
+                // (screen mode still shows the browser's picker - this click is the user gesture)
+                dispatch({ type: permissionAction, payload: true });
+                dispatch({ type: testAction, payload: true });
+                dispatch({ type: APP_ACTIONS.SET_SUBMIT_STAGE, payload: false });
+
+                continueRecording().catch((error) => {
+                  debugLogger.log('error', 'AppContent', 'Failed to reopen stream for continue recording', { error });
+                  // Send the user through the permission screen for this mode
+                  dispatch({ type: permissionAction, payload: false });
+                });
+              } : null,
+              onTrimChange: setTakeTrim,
+              onMarkerLabelChange: setMarkerLabel,
+              onThumbnailChange: setTakeThumbnail,
               onStartOver: navigationHandlers.handleStartOverClick,
               onUpload: handleSubmit,
               onBack: navigationHandlers.handleBack
@@ -461,35 +794,22 @@ function AppContent({ sessionId, sessionData, sessionComponents }) {
           if (!appState.hasReadPrompt) {
             return PromptReadScreen({
               sessionData,
+              prompt: currentPrompt,
+              promptCount: sessionPrompts.length,
               onContinue: () => {
                 debugLogger.log('info', 'AppContent', 'Prompt read, proceeding to mode selection');
                 dispatch({ type: APP_ACTIONS.SET_HAS_READ_PROMPT, payload: true });
               },
-              onBack: navigationHandlers.handleBack
+              onSkip: canSkipPrompt ? handleSkipPrompt : null,
+              onBack: navigationHandlers.handleBack,
+              tokens
             });
           }
 
           // Mode selection - call as function
           if (appState.hasReadPrompt && !mediaStream && captureMode == null) {
             return ChooseModeScreen({
-              onAudioClick: async () => {
-                debugLogger.log('info', 'AppContent', 'Audio mode selected, checking permission');
-
-                // Check if microphone permission already granted
-                const hasPermission = await hasMediaPermission('microphone');
-
-                if (hasPermission) {
-                  // Permission already granted - set flag and skip AudioAccess screen
-                  console.log('[AppContent] Microphone permission already granted, setting flag');
-                  dispatch({ type: APP_ACTIONS.SET_AUDIO_PERMISSION_GRANTED, payload: true });
-                } else {
-                  console.log('[AppContent] Microphone permission not granted');
-                  dispatch({ type: APP_ACTIONS.SET_AUDIO_PERMISSION_GRANTED, payload: false });
-                }
-
-                // ALWAYS set captureMode to trigger flow
-                setCaptureMode('audio');
-              },
+              onAudioClick: selectAudioMode,
               onVideoClick: async () => {
                 debugLogger.log('info', 'AppContent', 'Video mode selected, checking permissions');
 
@@ -508,6 +828,15 @@ function AppContent({ sessionId, sessionData, sessionComponents }) {
                 // ALWAYS set captureMode to trigger flow
                 setCaptureMode('video');
               },
+              // Screen sharing is desktop-only; the option is hidden where it can't work
+              onScreenClick: isScreenCaptureSupported() ? () => {
+                debugLogger.log('info', 'AppContent', 'Screen mode selected');
+
+                // Browsers ask for screen sharing every time - always show ScreenAccess
+                dispatch({ type: APP_ACTIONS.SET_SCREEN_PERMISSION_GRANTED, payload: false });
+                setScreenPermissionError(null);
+                setCaptureMode('screen');
+              } : null,
               onBack: navigationHandlers.handleBack,
               tokens,
               isMobile
@@ -590,6 +919,8 @@ function AppContent({ sessionId, sessionData, sessionComponents }) {
               },
               onSwitchDevice: handleSwitchAudioDevice,
               onOpenSettings: handleOpenDeviceSettings,
+              audioProcessing,
+              onAudioProcessingChange: handleChangeAudioProcessing,
               onBack: navigationHandlers.handleBack
             });
           }
@@ -660,6 +991,8 @@ function AppContent({ sessionId, sessionData, sessionComponents }) {
               mediaStream: mediaStream,
               permissionState: mediaStream ? 'granted' : 'requesting',
               videoRef: videoRef,
+              mirrorPreview,
+              onMirrorPreviewChange: handleChangeMirrorPreview,
               onContinue: () => {
                 debugLogger.log('info', 'AppContent', 'Video test completed, proceeding to ready screen');
                 dispatch({ type: APP_ACTIONS.SET_VIDEO_TEST_COMPLETED, payload: true });
@@ -669,17 +1002,66 @@ function AppContent({ sessionId, sessionData, sessionComponents }) {
                 debugLogger.log('info', 'AppContent', 'Retrying camera permission from VideoTest');
                 dispatch({ type: APP_ACTIONS.SET_VIDEO_PERMISSION_GRANTED, payload: false });
               },
-              onSwitchDevice: handleSwitchVideoDevice,
+              onSwitchDevice: handleSwitchVideoModeDevice,
               onOpenSettings: handleOpenDeviceSettings,
               onBack: navigationHandlers.handleBack
             });
           }
 
+          // ScreenAccess screen - shown when screen mode selected and nothing shared yet,
+          // or when sharing ended before recording (state is reset by an effect above)
+          // The button opens the browser's picker and creates the recording stream directly
+          if (captureMode === 'screen' && (!appState.screenPermissionGranted ||
+              isScreenStreamMissing(recordingFlowState, appState.screenPermissionGranted))) {
+            return ScreenAccess({
+              onRequestScreen: async () => {
+                setScreenPermissionRequesting(true);
+                setScreenPermissionError(null);
+                try {
+                  await handleScreenClick();
+                } finally {
+                  setScreenPermissionRequesting(false);
+                }
+              },
+              onPermissionGranted: () => {
+                debugLogger.log('info', 'AppContent', 'Screen sharing started on ScreenAccess');
+                dispatch({ type: APP_ACTIONS.SET_SCREEN_PERMISSION_GRANTED, payload: true });
+              },
+              onPermissionDenied: (error, message) => {
+                debugLogger.log('error', 'AppContent', 'Screen sharing denied on ScreenAccess', { error });
+                setScreenPermissionError(message);
+              },
+              onBack: navigationHandlers.handleBack,
+              errorMessage: screenPermissionError,
+              isRequesting: screenPermissionRequesting
+            });
+          }
+
+          // ScreenTest screen - shown after a screen is shared
+          // Shows the shared screen preview and microphone level
+          if (captureMode === 'screen' && appState.screenPermissionGranted && !appState.screenTestCompleted) {
+            return ScreenTest({
+              mediaStream: mediaStream,
+              videoRef: videoRef,
+              onContinue: () => {
+                debugLogger.log('info', 'AppContent', 'Screen test completed, proceeding to ready screen');
+                dispatch({ type: APP_ACTIONS.SET_SCREEN_TEST_COMPLETED, payload: true });
+              },
+              onRetry: () => {
+                debugLogger.log('info', 'AppContent', 'Picking a different screen from ScreenTest');
+                stopMediaStream();
+                dispatch({ type: APP_ACTIONS.SET_SCREEN_PERMISSION_GRANTED, payload: false });
+              },
+              onBack: navigationHandlers.handleBack
+            });
+          }
+
           // Ready to start recording - call as function
-          // Only show if appropriate test is completed (audio test for audio, video test for video)
+          // Only show if appropriate test is completed (audio/video/screen test for its mode)
           const isTestCompleted =
             (captureMode === 'audio' && appState.audioTestCompleted) ||
-            (captureMode === 'video' && appState.videoTestCompleted);
+            (captureMode === 'video' && appState.videoTestCompleted) ||
+            (captureMode === 'screen' && appState.screenTestCompleted);
 
           if (!isRecording && !isPaused && mediaStream && isTestCompleted) {
             return ReadyToRecordScreen({
@@ -687,6 +1069,18 @@ function AppContent({ sessionId, sessionData, sessionComponents }) {
               mediaStream,
               onStartRecording: handleStartRecording,
               sessionData,
+              promptText: currentPrompt.text,
+              budgetLimit: sessionLimits.budget ? {
+                ...sessionLimits.budget,
+                maxDurationSeconds: sessionLimits.maxDurationSeconds
+              } : null,
+              // Audio is far smaller - swap the stream and go through the audio flow
+              onSwitchToAudio: sessionLimits.budget?.suggestAudio && !isContinuingRecording ? () => {
+                debugLogger.log('info', 'AppContent', 'Switching to audio - video does not fit the device budget');
+                stopMediaStream();
+                dispatch({ type: APP_ACTIONS.SET_AUDIO_TEST_COMPLETED, payload: false });
+                selectAudioMode();
+              } : null,
               onBack: navigationHandlers.handleBack
             });
           }
@@ -697,7 +1091,13 @@ function AppContent({ sessionId, sessionData, sessionComponents }) {
               captureMode,
               mediaStream,
               onPause: handlePause,
+              onMark: addMarker,
+              markerCount: recordingMarkers.length,
+              mirrorPreview,
               sessionData,
+              promptText: currentPrompt.text,
+              onSwitchDevice: captureMode === 'video' ? handleSwitchVideoModeDevice : handleSwitchAudioDevice,
+              onOpenSettings: handleOpenDeviceSettings,
               onBack: navigationHandlers.handleBack
             });
           }
@@ -708,14 +1108,73 @@ function AppContent({ sessionId, sessionData, sessionComponents }) {
               onResume: handleResume,
               onDone: navigationHandlers.handleDoneAndSubmitStage,
               sessionData,
+              promptText: currentPrompt.text,
               onBack: navigationHandlers.handleBack,
-              countdownActive
+              countdownActive,
+              lostDevice,
+              interruption,
+              mediaStream,
+              onReplaceDevice: handleReplaceLostDevice,
+              captureMode,
+              mirrorPreview,
+              onSwitchDevice: captureMode === 'video' ? handleSwitchVideoModeDevice : handleSwitchAudioDevice,
+              onOpenSettings: handleOpenDeviceSettings
             });
           }
 
           return { timer: null, content: null, actions: null };
         }
 
+        // Restore Screen - Offer to recover an unfinished recording before anything else
+        if (recoverableRecording) {
+          const restoreScreen = RestoreRecordingScreen({
+            recovery: recoverableRecording,
+            formatTime,
+            isRestoring,
+            errorMessage: restoreError,
+            onRestore: async () => {
+              debugLogger.log('info', 'AppContent', 'Restoring unfinished recording');
+              setIsRestoring(true);
+              setRestoreError(null);
+              try {
+                await recordingFlowState.restoreRecording(recoverableRecording);
+              } catch (error) {
+                // Recovery data stays in IndexedDB - the storyteller can try again or start fresh
+                debugLogger.log('error', 'AppContent', 'Failed to restore unfinished recording', { error });
+                setRestoreError(`We couldn't restore your recording: ${error.message}`);
+                return;
+              } finally {
+                setIsRestoring(false);
+              }
+              recordingDurationRef.current = recoverableRecording.duration;
+              if (sessionPrompts[recoverableRecording.promptIndex]) {
+                dispatch({ type: APP_ACTIONS.SET_PROMPT_INDEX, payload: recoverableRecording.promptIndex });
+              }
+              dispatch({ type: APP_ACTIONS.SET_SHOW_WELCOME, payload: false });
+              dispatch({ type: APP_ACTIONS.SET_HAS_READ_PROMPT, payload: true });
+              dispatch({ type: APP_ACTIONS.SET_SUBMIT_STAGE, payload: true });
+              setRecoverableRecording(null);
+            },
+            onDiscard: () => {
+              debugLogger.log('info', 'AppContent', 'Discarding unfinished recording');
+              clearRecoverySession(sessionId);
+              setRestoreError(null);
+              setRecoverableRecording(null);
+            },
+            tokens
+          });
+
+          return (
+            <MasterLayout
+              bannerContent={formatBannerContent(restoreScreen.bannerContent, tokens)}
+              content={restoreScreen.content}
+              actions={restoreScreen.actions}
+              showBanner={true}
+              showBackButton={restoreScreen.showBackButton}
+            />
+          );
+        }
+
         // Welcome Screen - First screen users see
         // Background applied to page-container via welcome-state class
         if (appState.showWelcome) {
@@ -748,13 +1207,21 @@ function AppContent({ sessionId, sessionData, sessionComponents }) {
           });
 
           const handleRetry = () => {
-            debugLogger.log('info', 'AppContent', 'Error retry clicked - triggering upload');
+            const retry = errorRetryRef.current;
+            errorRetryRef.current = null;
             dispatch({ type: APP_ACTIONS.CLEAR_ERROR });
+            if (retry) {
+              debugLogger.log('info', 'AppContent', 'Error retry clicked - retrying failed action');
+              retry();
+              return;
+            }
+            debugLogger.log('info', 'AppContent', 'Error retry clicked - triggering upload');
             handleSubmit(); // Re-trigger upload with preserved recording blob
           };
 
           const handleCancel = () => {
             debugLogger.log('info', 'AppContent', 'Error cancel clicked - opening start over dialog');
+            errorRetryRef.current = null;
             dispatch({ type: APP_ACTIONS.CLEAR_ERROR });
             navigationHandlers.handleStartOverClick();
           };
@@ -805,6 +1272,9 @@ function AppContent({ sessionId, sessionData, sessionComponents }) {
         const recordingBarContent = (isRecording || isPaused) ? (
           <TimerProvider
             isActive={isRecording && !isPaused}
+            maxDurationSeconds={sessionLimits.maxDurationSeconds}
+            warningTime={sessionLimits.warningTime}
+            initialElapsedSeconds={continuedSeconds}
             onWarning={handleTimerWarning}
             onMaxDuration={handleTimerMaxDuration}
           >
@@ -815,7 +1285,10 @@ function AppContent({ sessionId, sessionData, sessionComponents }) {
               }}
             >
               <RecordingBar
-                totalSeconds={RECORDING_LIMITS.MAX_DURATION_SECONDS}
+                totalSeconds={sessionLimits.maxDurationSeconds}
+                recordedBytes={recordedSize.bytes}
+                largestChunkBytes={recordedSize.largestChunk}
+                maxFileSize={sessionLimits.maxFileSize}
                 isRecording={isRecording}
                 isPaused={isPaused}
                 formatTime={formatTime}
@@ -841,6 +1314,15 @@ function AppContent({ sessionId, sessionData, sessionComponents }) {
               onBack={screen.onBack}
               showBackButton={screen.showBackButton}
               iconA3={screen.iconA3}
+              progress={isMultiPrompt ? (
+                <PromptProgress
+                  total={sessionPrompts.length}
+                  currentIndex={currentPrompt.index}
+                  doneIndexes={sessionPrompts
+                    .filter(prompt => prompt.status || appState.promptResults[prompt.index])
+                    .map(prompt => prompt.index)}
+                />
+              ) : null}
             >
               {/* Drawers within layout */}
               <VaulStartOverDrawer
@@ -854,6 +1336,10 @@ function AppContent({ sessionId, sessionData, sessionComponents }) {
                 open={showDeviceSettingsDrawer}
                 onOpenChange={setShowDeviceSettingsDrawer}
                 {...deviceSettingsProps}
+                audioProcessing={audioProcessing}
+                onAudioProcessingChange={handleChangeAudioProcessing}
+                mirrorPreview={mirrorPreview}
+                onMirrorPreviewChange={handleChangeMirrorPreview}
               />
 
               {appState.uploadInProgress && (
@@ -0,0 +1,118 @@
+/**
+ * AudioProcessingOptions.jsx
+ * --------------------------
+ * Checkboxes for the browser's microphone processing: noise suppression,
+ * echo cancellation and automatic gain control.
+ *
+ * Used in the device settings drawer and on the sound test screen. Changing an
+ * option calls onChange with just that option; useRecordingFlow's
+ * changeAudioProcessing saves it and re-acquires the microphone.
+ */
+
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { useTokens } from '../theme/TokenProvider';
+
+const OPTIONS = [
+  { key: 'noiseSuppression', label: 'Noise suppression', hint: 'Filters out background hum and hiss' },
+  { key: 'echoCancellation', label: 'Echo cancellation', hint: 'Removes sound from your speakers' },
+  { key: 'autoGainControl', label: 'Automatic volume', hint: 'Evens out loud and quiet moments' }
+];
+
+export function AudioProcessingOptions({ value, onChange, showHeading = true }) {
+  const { tokens } = useTokens();
+  const [isApplying, setIsApplying] = useState(false);
+
+  const handleToggle = async (key) => {
+    setIsApplying(true);
+    try {
+      await onChange({ [key]: !value[key] });
+    } catch (error) {
+      // Previous microphone stream is kept; AppContent reports the error
+      console.error('Audio processing change failed:', error);
+    } finally {
+      setIsApplying(false);
+    }
+  };
+
+  return (
+    <div
+      role="group"
+      aria-label="Sound processing"
+      style={{
+        display: 'flex',
+        flexDirection: 'column',
+        gap: tokens.spacing[2],
+        width: '100%',
+        fontFamily: tokens.fonts.primary,
+        color: tokens.colors.primary.DEFAULT
+      }}
+    >
+      {showHeading && (
+        <div style={{
+          fontSize: tokens.fontSize.base,
+          fontWeight: tokens.fontWeight.semibold,
+          paddingLeft: tokens.spacing[1]
+        }}>
+          Sound Processing
+        </div>
+      )}
+      <div style={{
+        fontSize: tokens.fontSize.sm,
+        color: tokens.colors.neutral.gray['01'],
+        paddingLeft: tokens.spacing[1],
+        lineHeight: '1.4'
+      }}>
+        Recording music or in a quiet room? Turning these off keeps your sound natural.
+      </div>
+
+      {OPTIONS.map(({ key, label, hint }) => (
+        <label
+          key={key}
+          style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: tokens.spacing[3],
+            padding: tokens.spacing[2],
+            cursor: isApplying ? 'wait' : 'pointer',
+            opacity: isApplying ? 0.6 : 1
+          }}
+        >
+          <input
+            type="checkbox"
+            checked={!!value[key]}
+            disabled={isApplying}
+            onChange={() => handleToggle(key)}
+            style={{
+              width: '18px',
+              height: '18px',
+              accentColor: tokens.colors.primary.DEFAULT,
+              cursor: 'inherit'
+            }}
+          />
+          <span style={{ display: 'flex', flexDirection: 'column' }}>
+            <span style={{ fontSize: tokens.fontSize.base }}>{label}</span>
+            <span style={{
+              fontSize: tokens.fontSize.xs,
+              color: tokens.colors.neutral.gray['01']
+            }}>
+              {hint}
+            </span>
+          </span>
+        </label>
+      ))}
+    </div>
+  );
+}
+
+AudioProcessingOptions.propTypes = {
+  value: PropTypes.shape({
+    noiseSuppression: PropTypes.bool,
+    echoCancellation: PropTypes.bool,
+    autoGainControl: PropTypes.bool
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+  showHeading: PropTypes.bool
+};
+
+export default AudioProcessingOptions;
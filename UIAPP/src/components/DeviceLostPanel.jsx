@@ -0,0 +1,135 @@
+/**
+ * DeviceLostPanel.jsx
+ * -------------------
+ * Shown on the paused recording screen when a microphone, camera or screen share
+ * was lost mid-recording (useRecordingFlow pauses automatically).
+ *
+ * Names the lost device and lists the replacements useMediaDevices finds; picking
+ * one resumes the same recording on it. The choice is remembered like any other
+ * device selection. A lost screen share offers to share again instead.
+ *
+ * Props:
+ * - lostDevice: { kind: 'audio' | 'video', label, isScreen } from useRecordingFlow
+ * - mediaStream: Current (partly ended) stream - enables device enumeration
+ * - onReplace: async (deviceId) => void - switches device and resumes
+ */
+
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { FaMicrophone, FaVideo, FaDesktop } from 'react-icons/fa';
+import useMediaDevices from '../hooks/useMediaDevices';
+import { useTokens } from '../theme/TokenProvider';
+
+export function DeviceLostPanel({ lostDevice, mediaStream, onReplace }) {
+  const { tokens } = useTokens();
+  const deviceType = lostDevice.kind === 'video' ? 'videoinput' : 'audioinput';
+  const { devices, selectDevice } = useMediaDevices(deviceType, mediaStream);
+  const [isReplacing, setIsReplacing] = useState(false);
+
+  const deviceName = lostDevice.isScreen
+    ? 'Screen sharing'
+    : lostDevice.kind === 'video' ? 'Your camera' : 'Your microphone';
+  const lostLabel = lostDevice.label ? ` (${lostDevice.label})` : '';
+  const Icon = lostDevice.isScreen ? FaDesktop : lostDevice.kind === 'video' ? FaVideo : FaMicrophone;
+
+  const handleReplace = async (deviceId) => {
+    setIsReplacing(true);
+    try {
+      await onReplace(deviceId);
+      if (deviceId) selectDevice(deviceId); // Remember the replacement (localStorage)
+    } catch (error) {
+      // Stay on the panel - AppContent shows the error, user can pick again
+      console.error('Device replacement failed:', error);
+    } finally {
+      setIsReplacing(false);
+    }
+  };
+
+  const optionStyle = {
+    display: 'flex',
+    alignItems: 'center',
+    gap: tokens.spacing[3],
+    width: '100%',
+    padding: tokens.spacing[3],
+    borderRadius: tokens.borderRadius.md,
+    border: `1px solid ${tokens.colors.neutral.gray['01']}`,
+    backgroundColor: 'transparent',
+    color: tokens.colors.primary.foreground,
+    fontFamily: 'inherit',
+    fontSize: tokens.fontSize.base,
+    textAlign: 'left',
+    cursor: isReplacing ? 'wait' : 'pointer',
+    opacity: isReplacing ? 0.6 : 1
+  };
+
+  return (
+    <div
+      role="alert"
+      style={{
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'center',
+        gap: tokens.spacing[4],
+        width: '100%',
+        maxWidth: '420px',
+        margin: '0 auto',
+        color: tokens.colors.primary.foreground,
+        fontFamily: tokens.fonts.primary,
+        textAlign: 'center'
+      }}
+    >
+      <Icon size={40} aria-hidden="true" />
+      <p style={{
+        margin: 0,
+        fontSize: tokens.fontSize.lg,
+        fontWeight: tokens.fontWeight.medium,
+        lineHeight: '1.4'
+      }}>
+        {deviceName}{lostLabel} was disconnected.
+      </p>
+      <p style={{ margin: 0, fontSize: tokens.fontSize.base, lineHeight: '1.5' }}>
+        {lostDevice.isScreen
+          ? 'Your recording is paused. Share your screen again to carry on from where you left off.'
+          : 'Your recording is paused. Choose a device to carry on from where you left off.'}
+      </p>
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: tokens.spacing[2], width: '100%' }}>
+        {lostDevice.isScreen ? (
+          <button type="button" disabled={isReplacing} onClick={() => handleReplace(null)} style={optionStyle}>
+            <FaDesktop size={18} aria-hidden="true" />
+            Share your screen again
+          </button>
+        ) : devices.length === 0 ? (
+          <p style={{ margin: 0, fontSize: tokens.fontSize.sm, color: tokens.colors.neutral.gray['01'] }}>
+            No other devices found. Reconnect it, or tap Done to keep what you've recorded.
+          </p>
+        ) : (
+          devices.map((device, index) => (
+            <button
+              key={device.deviceId}
+              type="button"
+              disabled={isReplacing}
+              onClick={() => handleReplace(device.deviceId)}
+              style={optionStyle}
+            >
+              <Icon size={18} aria-hidden="true" />
+              {device.label || `Device ${index + 1}`}
+            </button>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
+
+DeviceLostPanel.propTypes = {
+  lostDevice: PropTypes.shape({
+    kind: PropTypes.oneOf(['audio', 'video']).isRequired,
+    label: PropTypes.string,
+    isScreen: PropTypes.bool
+  }).isRequired,
+  mediaStream: PropTypes.object,
+  onReplace: PropTypes.func.isRequired
+};
+
+export default DeviceLostPanel;
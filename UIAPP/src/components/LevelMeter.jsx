@@ -0,0 +1,94 @@
+/**
+ * LevelMeter.jsx
+ * --------------
+ * Microphone level bar with a peak marker and guidance text
+ * ("We can barely hear you", "Too loud", ...) from useAudioLevels.
+ *
+ * Shown on the sound test screens (AudioTest, VideoTest) under the visualizer.
+ * The bar turns amber when too quiet/silent and red when clipping.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import useAudioLevels from '../hooks/useAudioLevels';
+import { useTokens } from '../theme/TokenProvider';
+
+export function LevelMeter({ mediaStream, width = '100%' }) {
+  const { tokens } = useTokens();
+  const { level, peakLevel, status, message } = useAudioLevels(mediaStream);
+
+  if (!mediaStream) return null;
+
+  const barColor = {
+    loud: tokens.colors.status.danger,
+    quiet: tokens.colors.status.warning,
+    silent: tokens.colors.status.warning
+  }[status] || tokens.colors.status.success;
+
+  return (
+    <div style={{
+      width,
+      maxWidth: '100%',
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'center',
+      gap: tokens.spacing[2]
+    }}>
+      <div
+        role="meter"
+        aria-label="Microphone level"
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={Math.round(level * 100)}
+        style={{
+          position: 'relative',
+          width: '100%',
+          height: '6px',
+          borderRadius: '3px',
+          backgroundColor: tokens.colors.button.leftHandButton,
+          overflow: 'hidden'
+        }}
+      >
+        <div style={{
+          width: `${level * 100}%`,
+          height: '100%',
+          backgroundColor: barColor,
+          transition: 'width 0.1s linear'
+        }} />
+        {/* Peak marker */}
+        <div style={{
+          position: 'absolute',
+          top: 0,
+          left: `calc(${peakLevel * 100}% - 1px)`,
+          width: '2px',
+          height: '100%',
+          backgroundColor: tokens.colors.primary.DEFAULT,
+          opacity: peakLevel > 0 ? 0.6 : 0
+        }} />
+      </div>
+
+      {/* Guidance - space is kept so the layout doesn't jump */}
+      <p
+        role="status"
+        style={{
+          minHeight: '1.4em',
+          margin: 0,
+          fontSize: tokens.fontSize.sm,
+          fontWeight: tokens.fontWeight.medium,
+          color: status === 'loud' ? tokens.colors.status.error : tokens.colors.primary.DEFAULT,
+          textAlign: 'center',
+          lineHeight: '1.4'
+        }}
+      >
+        {message || ''}
+      </p>
+    </div>
+  );
+}
+
+LevelMeter.propTypes = {
+  mediaStream: PropTypes.object,
+  width: PropTypes.oneOfType([PropTypes.number, PropTypes.string])
+};
+
+export default LevelMeter;
@@ -0,0 +1,114 @@
+/**
+ * MarkerList.jsx
+ * --------------
+ * Chapter markers of the selected take on the review screen.
+ *
+ * Each marker's time seeks the player there; the text field adds an optional
+ * label ("Moving to Ohio"). Markers and labels are uploaded with the recording
+ * (recordingData.markers). Renders nothing for a take without markers.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { FaBookmark } from 'react-icons/fa';
+import { useTokens } from '../theme/TokenProvider';
+import { MARKERS } from '../config';
+
+export function MarkerList({ markers, player, onLabelChange, formatTime }) {
+  const { tokens } = useTokens();
+
+  if (!markers || markers.length === 0) {
+    return null;
+  }
+
+  const seekTo = (time) => {
+    if (!player) return;
+    player.currentTime = time;
+  };
+
+  return (
+    <div
+      role="group"
+      aria-label="Chapter markers"
+      style={{
+        display: 'flex',
+        flexDirection: 'column',
+        gap: tokens.spacing[2],
+        width: '100%',
+        maxWidth: 'min(500px, 100%)',
+        marginTop: tokens.spacing[4],
+        fontFamily: tokens.fonts.primary,
+        color: tokens.colors.primary.DEFAULT
+      }}
+    >
+      <div style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: tokens.spacing[2],
+        fontSize: tokens.fontSize.sm,
+        fontWeight: tokens.fontWeight.semibold
+      }}>
+        <FaBookmark size={12} aria-hidden="true" />
+        Markers
+      </div>
+
+      {markers.map((marker, index) => (
+        <div key={marker.id} style={{ display: 'flex', alignItems: 'center', gap: tokens.spacing[2] }}>
+          <span
+            onClick={() => seekTo(marker.time)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                seekTo(marker.time);
+              }
+            }}
+            role="button"
+            tabIndex={0}
+            aria-label={`Jump to marker ${index + 1} at ${formatTime(marker.time)}`}
+            style={{
+              minWidth: '48px',
+              cursor: player ? 'pointer' : 'default',
+              fontSize: tokens.fontSize.sm,
+              fontWeight: tokens.fontWeight.semibold,
+              textDecoration: 'underline'
+            }}
+          >
+            {formatTime(marker.time)}
+          </span>
+          <input
+            type="text"
+            value={marker.label}
+            maxLength={MARKERS.MAX_LABEL_LENGTH}
+            onChange={(e) => onLabelChange(marker.id, e.target.value)}
+            placeholder="Add a label (optional)"
+            aria-label={`Label for marker ${index + 1}`}
+            style={{
+              flex: 1,
+              minWidth: 0,
+              padding: `${tokens.spacing[1]} ${tokens.spacing[2]}`,
+              border: `1px solid ${tokens.colors.neutral.gray['01']}`,
+              borderRadius: tokens.borderRadius.md,
+              fontFamily: 'inherit',
+              fontSize: tokens.fontSize.sm,
+              color: tokens.colors.primary.DEFAULT,
+              backgroundColor: 'transparent'
+            }}
+          />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+MarkerList.propTypes = {
+  markers: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    time: PropTypes.number.isRequired,
+    label: PropTypes.string
+  })),
+  player: PropTypes.object,
+  onLabelChange: PropTypes.func.isRequired,
+  formatTime: PropTypes.func.isRequired
+};
+
+export default MarkerList;
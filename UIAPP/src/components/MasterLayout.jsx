@@ -43,7 +43,8 @@ function MasterLayout({
   showBackButton = true,
   iconA3 = null,
   bannerStyle = null,
-  overlay = null
+  overlay = null,
+  progress = null
 }) {
   const { tokens } = useTokens();
   const { isMobile, isTablet, isDesktop } = useBreakpoint();
@@ -103,6 +104,7 @@ function MasterLayout({
           isActiveRecordingScreen={isActiveRecordingScreen}
           isPausedRecordingScreen={isPausedRecordingScreen}
           bannerStyle={bannerStyle}
+          progress={progress}
         />
       )}
 
@@ -230,7 +232,8 @@ MasterLayout.propTypes = {
   showBackButton: PropTypes.bool,
   iconA3: PropTypes.node,
   bannerStyle: PropTypes.object,
-  overlay: PropTypes.node
+  overlay: PropTypes.node,
+  progress: PropTypes.node
 };
 
 export default MasterLayout;
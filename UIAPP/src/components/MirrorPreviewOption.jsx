@@ -0,0 +1,79 @@
+/**
+ * MirrorPreviewOption.jsx
+ * -----------------------
+ * Checkbox for showing the live camera preview mirrored, like a selfie camera.
+ *
+ * Used in the device settings drawer and on the camera test screen. Only the
+ * preview is flipped; AppContent remembers the choice for the current camera's
+ * facing (utils/mirrorPreview.js).
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { useTokens } from '../theme/TokenProvider';
+
+export function MirrorPreviewOption({ value, onChange, showHeading = true }) {
+  const { tokens } = useTokens();
+
+  return (
+    <div
+      role="group"
+      aria-label="Camera preview"
+      style={{
+        display: 'flex',
+        flexDirection: 'column',
+        gap: tokens.spacing[2],
+        width: '100%',
+        fontFamily: tokens.fonts.primary,
+        color: tokens.colors.primary.DEFAULT
+      }}
+    >
+      {showHeading && (
+        <div style={{
+          fontSize: tokens.fontSize.base,
+          fontWeight: tokens.fontWeight.semibold,
+          paddingLeft: tokens.spacing[1]
+        }}>
+          Camera Preview
+        </div>
+      )}
+
+      <label style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: tokens.spacing[3],
+        padding: tokens.spacing[2],
+        cursor: 'pointer'
+      }}>
+        <input
+          type="checkbox"
+          checked={!!value}
+          onChange={() => onChange(!value)}
+          style={{
+            width: '18px',
+            height: '18px',
+            accentColor: tokens.colors.primary.DEFAULT,
+            cursor: 'inherit'
+          }}
+        />
+        <span style={{ display: 'flex', flexDirection: 'column' }}>
+          <span style={{ fontSize: tokens.fontSize.base }}>Mirror my preview</span>
+          <span style={{
+            fontSize: tokens.fontSize.xs,
+            color: tokens.colors.neutral.gray['01']
+          }}>
+            Only the preview is flipped - your recording shows you as others see you
+          </span>
+        </span>
+      </label>
+    </div>
+  );
+}
+
+MirrorPreviewOption.propTypes = {
+  value: PropTypes.bool.isRequired,
+  onChange: PropTypes.func.isRequired,
+  showHeading: PropTypes.bool
+};
+
+export default MirrorPreviewOption;
@@ -6,12 +6,16 @@
  * Uses absolute positioning within parent container.
  *
  * Styling: Matches CountdownOverlay (same colors, same font size)
+ *
+ * Props:
+ * - message: Optional line under "PAUSED" (why recording was paused)
  */
 
 import React from 'react';
+import PropTypes from 'prop-types';
 import { useTokens } from '../theme/TokenProvider';
 
-function PausedOverlay() {
+function PausedOverlay({ message = null }) {
   const { tokens } = useTokens();
 
   // Overlay covers SECTION B content area
@@ -24,6 +28,7 @@ function PausedOverlay() {
     height: '100%',
     backgroundColor: `${tokens.colors.background.recording}ED`, // Semi-transparent recording bg (#1E1F29 @ 93% opacity)
     display: 'flex',
+    flexDirection: 'column',
     justifyContent: 'center',
     alignItems: 'center',
     zIndex: tokens.zIndex.pausedOverlay // Paused recording overlay (Layer 5)
@@ -41,13 +46,31 @@ function PausedOverlay() {
     letterSpacing: '0.05em' // Reduced letter spacing
   };
 
+  const messageStyle = {
+    maxWidth: '320px',
+    marginTop: tokens.spacing[4],
+    padding: `0 ${tokens.spacing[4]}`,
+    fontSize: tokens.fontSize.base,
+    color: tokens.colors.primary.foreground,
+    textAlign: 'center'
+  };
+
   return (
     <div style={overlayStyle}>
       <div style={textStyle}>
         PAUSED
       </div>
+      {message && (
+        <p role="status" style={messageStyle}>
+          {message}
+        </p>
+      )}
     </div>
   );
 }
 
+PausedOverlay.propTypes = {
+  message: PropTypes.string
+};
+
 export default PausedOverlay;
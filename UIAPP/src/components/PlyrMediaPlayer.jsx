@@ -19,6 +19,7 @@ function PlyrMediaPlayer({
   title = 'Recording Review',
   actualMimeType,
   hideControls = false,
+  objectFit = 'cover',
   onReady,
   onPlay,
   onPause,
@@ -153,7 +154,7 @@ function PlyrMediaPlayer({
             style={{
               width: '100%',
               height: '100%',
-              objectFit: 'cover'
+              objectFit
             }}
           >
             <source src={src} type={getSourceType(src, type, actualMimeType)} />
@@ -214,6 +215,7 @@ PlyrMediaPlayer.propTypes = {
   title: PropTypes.string,
   actualMimeType: PropTypes.string,
   hideControls: PropTypes.bool,
+  objectFit: PropTypes.oneOf(['cover', 'contain']),
   onReady: PropTypes.func,
   onPlay: PropTypes.func,
   onPause: PropTypes.func,
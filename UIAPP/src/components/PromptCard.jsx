@@ -4,19 +4,21 @@
  * Displays the main question or prompt text on a stylized
  * "card." Ensures consistent branding and layout for
  * the prompt itself.
+ * Multi-question sessions pass the current prompt's text in `promptText`.
  */
 
 import React from 'react';
 import { useTokens } from '../theme/TokenProvider';
 import { useBreakpoint } from '../hooks/useBreakpoint';
 
-function PromptCard({ sessionData, customBackgroundColor, customQuestionColor }) {
+function PromptCard({ sessionData, promptText: promptTextOverride, customBackgroundColor, customQuestionColor }) {
   const { tokens } = useTokens();
   const { isMobile } = useBreakpoint();
 
   // Extract the prompt text and storyteller name from session data
   // Handle both formats: sessionData.sessionData and sessionData.session
-  const promptText = sessionData?.sessionData?.questionText ||
+  const promptText = promptTextOverride ||
+                     sessionData?.sessionData?.questionText ||
                      sessionData?.session?.promptText ||
                      sessionData?.promptText;
 
@@ -3,17 +3,31 @@
  * ----------------
  * Recording status bar displayed in Section A2 header during active/paused recording.
  * Shows compact audio visualizer on left, recording status in red pill container.
+ * While recording, a level warning ("Too loud", "Too quiet") appears when the
+ * microphone level needs attention (useAudioLevels).
+ * The size of the recording so far is shown next to the pill, highlighted as it
+ * approaches the upload limit (useRecordingFlow stops the recording at the limit).
  *
- * Layout: [Visualizer (30x56px)] [Red Pill: Icon + "REC" + Timer]
+ * Layout: [Visualizer (30x56px)] [Red Pill: Icon + "REC" + Timer] [Size] [Level warning]
  * Colors: Gray icon + Very light gray text on red background
  */
 
 import React, { useMemo } from 'react';
 import PropTypes from 'prop-types';
-import { FaPause } from 'react-icons/fa';
+import { FaPause, FaExclamationTriangle } from 'react-icons/fa';
 import AudioVisualizer from './AudioVisualizer';
 import TimerDisplay from './TimerDisplay';
+import useAudioLevels from '../hooks/useAudioLevels';
 import { useTokens } from '../theme/TokenProvider';
+import { AUDIO_LEVELS } from '../config';
+import { getFileSizeStatus, formatFileSize } from '../utils/sessionLimits';
+
+// Short labels for the header; the full guidance is in the tooltip
+const LEVEL_WARNING_LABELS = {
+  silent: 'No sound',
+  quiet: 'Too quiet',
+  loud: 'Too loud'
+};
 
 /*
   RecordingBar
@@ -23,7 +37,10 @@ import { useTokens } from '../theme/TokenProvider';
     - RIGHT: Red pill container with [Icon + "REC"] and [Timer "00:15 / 30:00"]
 
   PROPS:
-    totalSeconds (number) - Maximum recording duration
+    totalSeconds (number) - Maximum recording duration for this session (utils/sessionLimits.js)
+    recordedBytes (number) - Size of the recording so far
+    largestChunkBytes (number) - Largest recorder chunk so far (for the limit headroom)
+    maxFileSize (number) - Maximum recording size for this session
     isRecording (bool) - Whether actively recording
     isPaused (bool) - Whether recording is paused
     formatTime (func) - Time formatting function
@@ -66,6 +83,9 @@ function RecordIcon({ size = 16, color }) {
 
 function RecordingBar({
   totalSeconds,
+  recordedBytes = 0,
+  largestChunkBytes = 0,
+  maxFileSize,
   isRecording,
   isPaused,
   formatTime,
@@ -79,6 +99,15 @@ function RecordingBar({
   const visualizerWidth = 100;
   const visualizerHeight = containerHeight; // Match container height
 
+  // Level guidance while actually recording - longer window so pauses to think don't warn
+  const { status: levelStatus, message: levelMessage } = useAudioLevels(mediaStream, {
+    enabled: isRecording && !isPaused,
+    windowMs: AUDIO_LEVELS.RECORDING_WINDOW_MS,
+    meter: false
+  });
+  const levelWarning = LEVEL_WARNING_LABELS[levelStatus];
+  const sizeStatus = maxFileSize ? getFileSizeStatus(recordedBytes, maxFileSize, largestChunkBytes) : 'ok';
+
   // Memoize AudioVisualizer to prevent re-render on timer updates
   // IMPORTANT: Must be called before early return (React Hooks rules)
   // Only re-create if mediaStream changes
@@ -204,6 +233,49 @@ function RecordingBar({
         }}>
           {statusContent}
         </div>
+
+        {/* Recording size - highlighted close to the limit */}
+        {maxFileSize && (
+          <div
+            role={sizeStatus === 'ok' ? undefined : 'status'}
+            title={sizeStatus === 'ok' ? undefined : 'Recording will stop automatically at the size limit'}
+            style={{
+              flexShrink: 0,
+              display: 'flex',
+              alignItems: 'center',
+              gap: '4px',
+              fontFamily: tokens.fonts.primary,
+              fontWeight: sizeStatus === 'ok' ? tokens.fontWeight.normal : tokens.fontWeight.bold,
+              fontSize: tokens.fontSize.xs,
+              color: sizeStatus === 'ok' ? visualizerColor : tokens.colors.status.warning
+            }}
+          >
+            {sizeStatus !== 'ok' && <FaExclamationTriangle aria-hidden="true" />}
+            {formatFileSize(recordedBytes)} / {formatFileSize(maxFileSize)}
+          </div>
+        )}
+
+        {/* Level warning - only when the microphone level needs attention */}
+        {levelWarning && (
+          <div
+            role="status"
+            title={levelMessage}
+            aria-label={levelMessage}
+            style={{
+              flexShrink: 0,
+              display: 'flex',
+              alignItems: 'center',
+              gap: '4px',
+              fontFamily: tokens.fonts.primary,
+              fontWeight: tokens.fontWeight.bold,
+              fontSize: tokens.fontSize.xs,
+              color: levelStatus === 'loud' ? tokens.colors.status.error : tokens.colors.primary.DEFAULT
+            }}
+          >
+            <FaExclamationTriangle aria-hidden="true" style={{ color: tokens.colors.status.warning }} />
+            {levelWarning}
+          </div>
+        )}
       </div>
     </>
   );
@@ -211,6 +283,9 @@ function RecordingBar({
 
 RecordingBar.propTypes = {
   totalSeconds: PropTypes.number.isRequired,
+  recordedBytes: PropTypes.number,
+  largestChunkBytes: PropTypes.number,
+  maxFileSize: PropTypes.number,
   isRecording: PropTypes.bool.isRequired,
   isPaused: PropTypes.bool.isRequired,
   formatTime: PropTypes.func.isRequired,
@@ -14,9 +14,12 @@ function RecordingFlow({
   onDoneAndSubmitStage,
   onTimerWarning,
   onTimerMaxDuration,
+  onMaxFileSize,
+  onRecorderError,
   sessionId,
   sessionData,
   sessionComponents,
+  promptIndex,
   onStateChange,
   children
 }) {
@@ -31,7 +34,10 @@ function RecordingFlow({
     sessionId,
     sessionData,
     sessionComponents,
-    onDoneAndSubmitStage
+    onDoneAndSubmitStage,
+    onMaxFileSize,
+    onRecorderError,
+    promptIndex
   });
 
   // Notify parent component of state changes via callback
@@ -0,0 +1,104 @@
+/**
+ * TakePicker.jsx
+ * --------------
+ * Compact list of recorded takes shown on the review screen.
+ * Selecting a take loads it into the player and makes it the one that gets uploaded.
+ * Trimmed takes show their trimmed length.
+ *
+ * Only rendered when the session has more than one take
+ * (takes are kept across Start Over by useRecordingFlow).
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { FaCheckCircle, FaRegCircle, FaMicrophone, FaVideo, FaDesktop } from 'react-icons/fa';
+import { useTokens } from '../theme/TokenProvider';
+
+export function TakePicker({ takes, selectedTakeId, onSelectTake, formatTime }) {
+  const { tokens } = useTokens();
+
+  if (!takes || takes.length < 2) {
+    return null;
+  }
+
+  return (
+    <div
+      role="radiogroup"
+      aria-label="Choose which take to upload"
+      style={{
+        display: 'flex',
+        flexDirection: 'column',
+        gap: tokens.spacing[2],
+        width: '100%',
+        maxWidth: 'min(500px, 100%)',
+        marginTop: tokens.spacing[4]
+      }}
+    >
+      {takes.map((take, index) => {
+        const isSelected = take.id === selectedTakeId;
+        const recordedAt = new Date(take.recordedAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+        const ModeIcon = { video: FaVideo, screen: FaDesktop }[take.captureMode] || FaMicrophone;
+
+        return (
+          <div
+            key={take.id}
+            role="radio"
+            aria-checked={isSelected}
+            tabIndex={0}
+            onClick={() => onSelectTake(take.id)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                onSelectTake(take.id);
+              }
+            }}
+            style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: tokens.spacing[3],
+              padding: `${tokens.spacing[2]} ${tokens.spacing[3]}`,
+              borderRadius: tokens.borderRadius.lg,
+              border: `1px solid ${isSelected ? tokens.colors.primary.DEFAULT : tokens.colors.neutral.gray['01']}`,
+              backgroundColor: isSelected ? 'rgba(44, 47, 72, 0.06)' : 'transparent',
+              color: tokens.colors.primary.DEFAULT,
+              fontFamily: tokens.fonts.primary,
+              fontSize: tokens.fontSize.sm,
+              cursor: 'pointer'
+            }}
+          >
+            {isSelected ? (
+              <FaCheckCircle size={16} aria-hidden="true" />
+            ) : (
+              <FaRegCircle size={16} aria-hidden="true" />
+            )}
+            <span style={{ fontWeight: tokens.fontWeight.semibold }}>
+              Take {index + 1}
+            </span>
+            <ModeIcon size={12} aria-hidden="true" style={{ opacity: 0.7 }} />
+            <span style={{ flex: 1, opacity: 0.7 }}>
+              {recordedAt}
+            </span>
+            <span style={{ fontWeight: tokens.fontWeight.semibold }}>
+              {formatTime(take.trim ? take.trim.end - take.trim.start : take.duration)}
+            </span>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+TakePicker.propTypes = {
+  takes: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    duration: PropTypes.number,
+    captureMode: PropTypes.string,
+    recordedAt: PropTypes.number,
+    trim: PropTypes.shape({ start: PropTypes.number, end: PropTypes.number })
+  })),
+  selectedTakeId: PropTypes.string,
+  onSelectTake: PropTypes.func.isRequired,
+  formatTime: PropTypes.func.isRequired
+};
+
+export default TakePicker;
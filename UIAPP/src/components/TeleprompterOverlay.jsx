@@ -0,0 +1,160 @@
+/**
+ * TeleprompterOverlay.jsx
+ * -----------------------
+ * The question in large type over the top of the recording screen - close to
+ * the camera so the storyteller keeps their eye-line while reading it.
+ *
+ * - Collapsible; the choice is remembered (utils/preferences.js) for the next recording
+ * - Long prompts scroll slowly after a short pause (TELEPROMPTER in config);
+ *   a manual scroll holds the auto-scroll for a moment. No auto-scroll when the
+ *   user prefers reduced motion.
+ * - Plain DOM over the page: camera recordings never include it (screen mode
+ *   does not show it, since a shared screen could)
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { FaChevronUp, FaChevronDown } from 'react-icons/fa';
+import { useTokens } from '../theme/TokenProvider';
+import { useBreakpoint } from '../hooks/useBreakpoint';
+import { TELEPROMPTER } from '../config';
+import { loadPreference, savePreference } from '../utils/preferences';
+
+export const TELEPROMPTER_STORAGE_KEY = 'teleprompter-collapsed';
+
+// Expanded unless collapsed was saved
+const normalizeCollapsed = (value) => value === true;
+
+function loadCollapsed() {
+  return loadPreference(TELEPROMPTER_STORAGE_KEY, normalizeCollapsed);
+}
+
+function saveCollapsed(collapsed) {
+  savePreference(TELEPROMPTER_STORAGE_KEY, normalizeCollapsed(collapsed));
+}
+
+function prefersReducedMotion() {
+  return typeof window.matchMedia === 'function' &&
+    window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+function TeleprompterOverlay({ promptText }) {
+  const { tokens } = useTokens();
+  const { isMobile } = useBreakpoint();
+  const [collapsed, setCollapsed] = useState(loadCollapsed);
+  const scrollRef = useRef(null);
+
+  // Slow auto-scroll for prompts taller than the overlay
+  useEffect(() => {
+    const element = scrollRef.current;
+    if (collapsed || !element || prefersReducedMotion()) return undefined;
+
+    let frame = null;
+    let lastTime = null;
+    let position = element.scrollTop; // Fractional position (scrollTop may round)
+    let holdUntil = performance.now() + TELEPROMPTER.SCROLL_DELAY_MS;
+
+    const step = (now) => {
+      const maxScroll = element.scrollHeight - element.clientHeight;
+      if (now < holdUntil) {
+        position = element.scrollTop; // Follow manual scrolling while held
+      } else if (lastTime !== null && position < maxScroll) {
+        position = Math.min(maxScroll, position + (TELEPROMPTER.SCROLL_SPEED_PX_PER_SECOND * (now - lastTime)) / 1000);
+        element.scrollTop = position;
+      }
+      lastTime = now;
+      frame = requestAnimationFrame(step);
+    };
+
+    const hold = () => {
+      holdUntil = performance.now() + TELEPROMPTER.RESUME_DELAY_MS;
+    };
+
+    element.addEventListener('wheel', hold, { passive: true });
+    element.addEventListener('touchstart', hold, { passive: true });
+    element.addEventListener('touchmove', hold, { passive: true });
+    frame = requestAnimationFrame(step);
+
+    return () => {
+      cancelAnimationFrame(frame);
+      element.removeEventListener('wheel', hold);
+      element.removeEventListener('touchstart', hold);
+      element.removeEventListener('touchmove', hold);
+    };
+  }, [collapsed, promptText]);
+
+  if (!promptText) return null;
+
+  const toggle = () => {
+    setCollapsed(prev => {
+      saveCollapsed(!prev);
+      return !prev;
+    });
+  };
+
+  return (
+    <div style={{
+      position: 'absolute',
+      top: 0,
+      left: 0,
+      right: 0,
+      zIndex: 1,
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'stretch',
+      maxHeight: collapsed ? undefined : '60%',
+      padding: `${tokens.spacing[2]} ${tokens.spacing[4]}`,
+      backgroundColor: collapsed ? 'transparent' : tokens.colors.background.recording,
+      boxSizing: 'border-box',
+      fontFamily: tokens.fonts.secondary,
+      color: '#FFFFFF'
+    }}>
+      <button
+        type="button"
+        onClick={toggle}
+        aria-expanded={!collapsed}
+        aria-label={collapsed ? 'Show the question' : 'Hide the question'}
+        style={{
+          alignSelf: 'center',
+          display: 'flex',
+          alignItems: 'center',
+          gap: tokens.spacing[2],
+          padding: `${tokens.spacing[1]} ${tokens.spacing[3]}`,
+          border: `1px solid ${tokens.colors.neutral.gray['01']}`,
+          borderRadius: tokens.borderRadius.full,
+          backgroundColor: tokens.colors.background.recording,
+          color: '#FFFFFF',
+          fontFamily: tokens.fonts.primary,
+          fontSize: tokens.fontSize.xs,
+          cursor: 'pointer'
+        }}
+      >
+        {collapsed ? <FaChevronDown aria-hidden="true" /> : <FaChevronUp aria-hidden="true" />}
+        {collapsed ? 'Show question' : 'Hide question'}
+      </button>
+
+      {!collapsed && (
+        <div
+          ref={scrollRef}
+          style={{
+            marginTop: tokens.spacing[2],
+            overflowY: 'auto',
+            fontSize: isMobile ? tokens.fontSize['3xl'] : tokens.fontSize['4xl'],
+            fontWeight: tokens.fontWeight.medium,
+            lineHeight: 1.3,
+            textAlign: 'center',
+            whiteSpace: 'pre-line' // Keep sub-points on their own lines
+          }}
+        >
+          {promptText}
+        </div>
+      )}
+    </div>
+  );
+}
+
+TeleprompterOverlay.propTypes = {
+  promptText: PropTypes.string
+};
+
+export default TeleprompterOverlay;
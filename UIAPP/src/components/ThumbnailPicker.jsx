@@ -0,0 +1,137 @@
+/**
+ * ThumbnailPicker.jsx
+ * -------------------
+ * Cover image of the selected video take on the review screen.
+ *
+ * A representative frame is picked automatically when the take is first shown;
+ * "Use this frame" replaces it with the frame the player is showing. The image
+ * is uploaded as a JPEG next to the recording (see utils/videoThumbnail.js).
+ */
+
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { FaImage } from 'react-icons/fa';
+import { useTokens } from '../theme/TokenProvider';
+import { createVideoThumbnail, captureFrame } from '../utils/videoThumbnail';
+
+export function ThumbnailPicker({ take, player, onChange, formatTime }) {
+  const { tokens } = useTokens();
+  const [isCapturing, setIsCapturing] = useState(false);
+
+  const hasThumbnail = !!take.thumbnail;
+
+  // Default cover image for a take that doesn't have one yet
+  useEffect(() => {
+    if (hasThumbnail) return undefined;
+    let cancelled = false;
+
+    createVideoThumbnail(take.blob, { duration: take.duration })
+      .then((thumbnail) => {
+        if (!cancelled) onChange(thumbnail);
+      })
+      .catch((error) => {
+        console.warn('Could not create a thumbnail for the recording:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+    // onChange is recreated on every render; only a different take needs a new thumbnail
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [take.id, take.blob, take.duration, hasThumbnail]);
+
+  const handleUseFrame = async () => {
+    if (!player?.media || isCapturing) return;
+    setIsCapturing(true);
+    try {
+      onChange(await captureFrame(player.media));
+    } catch (error) {
+      console.warn('Could not capture the current frame:', error);
+    } finally {
+      setIsCapturing(false);
+    }
+  };
+
+  return (
+    <div style={{
+      display: 'flex',
+      alignItems: 'center',
+      gap: tokens.spacing[3],
+      width: '100%',
+      maxWidth: 'min(500px, 100%)',
+      marginTop: tokens.spacing[4],
+      fontFamily: tokens.fonts.primary,
+      fontSize: tokens.fontSize.sm,
+      color: tokens.colors.primary.DEFAULT
+    }}>
+      <div style={{
+        flex: '0 0 auto',
+        width: '80px',
+        height: '45px',
+        borderRadius: tokens.borderRadius.md,
+        overflow: 'hidden',
+        backgroundColor: tokens.colors.neutral.gray['01'],
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center'
+      }}>
+        {hasThumbnail ? (
+          <img
+            src={take.thumbnail.url}
+            alt={`Cover frame at ${formatTime(take.thumbnail.time)}`}
+            style={{ width: '100%', height: '100%', objectFit: 'cover' }}
+          />
+        ) : (
+          <FaImage color="#FFFFFF" aria-hidden="true" />
+        )}
+      </div>
+
+      <div style={{ flex: 1, minWidth: 0 }}>
+        <div style={{ fontWeight: tokens.fontWeight.semibold }}>Cover image</div>
+        <div style={{ color: tokens.colors.neutral.gray['01'], fontSize: tokens.fontSize.xs }}>
+          {hasThumbnail ? `Frame at ${formatTime(take.thumbnail.time)}` : 'Choosing a frame...'}
+        </div>
+      </div>
+
+      <div
+        onClick={handleUseFrame}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            handleUseFrame();
+          }
+        }}
+        role="button"
+        tabIndex={0}
+        aria-disabled={!player || isCapturing}
+        aria-label="Use the frame shown in the player as the cover image"
+        style={{
+          padding: tokens.spacing[1],
+          cursor: player && !isCapturing ? 'pointer' : 'default',
+          opacity: player && !isCapturing ? 1 : 0.5,
+          fontWeight: tokens.fontWeight.semibold,
+          whiteSpace: 'nowrap'
+        }}
+      >
+        Use this frame
+      </div>
+    </div>
+  );
+}
+
+ThumbnailPicker.propTypes = {
+  take: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    blob: PropTypes.instanceOf(Blob),
+    duration: PropTypes.number,
+    thumbnail: PropTypes.shape({
+      url: PropTypes.string.isRequired,
+      time: PropTypes.number
+    })
+  }).isRequired,
+  player: PropTypes.object,
+  onChange: PropTypes.func.isRequired,
+  formatTime: PropTypes.func.isRequired
+};
+
+export default ThumbnailPicker;
@@ -0,0 +1,173 @@
+/**
+ * TrimControls.jsx
+ * ----------------
+ * Start/end trim handles shown under the player on the review screen.
+ *
+ * The handles only record a { start, end } range on the take; the original
+ * recording is kept and played untouched until submit, where submissionHandlers
+ * produces the trimmed file. While a range is set, playback is kept inside it so
+ * the storyteller hears what will be uploaded.
+ *
+ * Audio only: video keyframes are too sparse for an accurate start cut.
+ */
+
+import React, { useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { FaCut } from 'react-icons/fa';
+import { useTokens } from '../theme/TokenProvider';
+import { RECORDING_LIMITS } from '../config';
+
+export function TrimControls({ player, duration, trim, onChange, formatTime }) {
+  const { tokens } = useTokens();
+
+  const start = trim ? trim.start : 0;
+  const end = trim ? trim.end : duration;
+
+  // Keep preview playback inside the trimmed range
+  useEffect(() => {
+    if (!player || !trim) return;
+
+    const handlePlay = () => {
+      if (player.currentTime < trim.start || player.currentTime >= trim.end) {
+        player.currentTime = trim.start;
+      }
+    };
+    const handleTimeUpdate = () => {
+      if (player.currentTime >= trim.end) {
+        player.pause();
+        player.currentTime = trim.start;
+      }
+    };
+
+    player.on('play', handlePlay);
+    player.on('timeupdate', handleTimeUpdate);
+    return () => {
+      player.off('play', handlePlay);
+      player.off('timeupdate', handleTimeUpdate);
+    };
+  }, [player, trim]);
+
+  if (!duration || duration <= RECORDING_LIMITS.TRIM_MIN_SECONDS * 2) {
+    return null;
+  }
+
+  // A range covering the whole recording is stored as "no trim"
+  const update = (nextStart, nextEnd) => {
+    const isFull = nextStart <= 0 && nextEnd >= duration;
+    onChange(isFull ? null : { start: nextStart, end: nextEnd });
+  };
+
+  const handleStartChange = (e) => {
+    const value = Math.min(Number(e.target.value), end - RECORDING_LIMITS.TRIM_MIN_SECONDS);
+    update(Math.max(0, value), end);
+    if (player) player.currentTime = Math.max(0, value);
+  };
+
+  const handleEndChange = (e) => {
+    const value = Math.max(Number(e.target.value), start + RECORDING_LIMITS.TRIM_MIN_SECONDS);
+    update(start, Math.min(duration, value));
+    if (player) player.currentTime = Math.max(start, value - 2);
+  };
+
+  const sliderStyle = {
+    width: '100%',
+    accentColor: tokens.colors.primary.DEFAULT,
+    cursor: 'pointer'
+  };
+
+  const labelStyle = {
+    display: 'flex',
+    justifyContent: 'space-between',
+    fontSize: tokens.fontSize.xs,
+    color: tokens.colors.neutral.gray['01']
+  };
+
+  return (
+    <div
+      role="group"
+      aria-label="Trim recording"
+      style={{
+        display: 'flex',
+        flexDirection: 'column',
+        gap: tokens.spacing[1],
+        width: '100%',
+        maxWidth: 'min(500px, 100%)',
+        marginTop: tokens.spacing[4],
+        fontFamily: tokens.fonts.primary,
+        color: tokens.colors.primary.DEFAULT
+      }}
+    >
+      <div style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: tokens.spacing[2],
+        fontSize: tokens.fontSize.sm,
+        fontWeight: tokens.fontWeight.semibold
+      }}>
+        <FaCut size={12} aria-hidden="true" />
+        <span style={{ flex: 1 }}>
+          {trim ? `Trimmed to ${formatTime(end - start)}` : 'Trim start and end'}
+        </span>
+        {trim && (
+          <span
+            onClick={() => onChange(null)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                onChange(null);
+              }
+            }}
+            role="button"
+            tabIndex={0}
+            style={{ cursor: 'pointer', textDecoration: 'underline' }}
+          >
+            Reset
+          </span>
+        )}
+      </div>
+
+      <label style={labelStyle}>
+        <span>Start</span>
+        <span>{formatTime(start)}</span>
+      </label>
+      <input
+        type="range"
+        min={0}
+        max={duration}
+        step={RECORDING_LIMITS.TRIM_STEP_SECONDS}
+        value={start}
+        onChange={handleStartChange}
+        aria-label="Trim start"
+        style={sliderStyle}
+      />
+
+      <label style={labelStyle}>
+        <span>End</span>
+        <span>{formatTime(end)}</span>
+      </label>
+      <input
+        type="range"
+        min={0}
+        max={duration}
+        step={RECORDING_LIMITS.TRIM_STEP_SECONDS}
+        value={end}
+        onChange={handleEndChange}
+        aria-label="Trim end"
+        style={sliderStyle}
+      />
+    </div>
+  );
+}
+
+TrimControls.propTypes = {
+  player: PropTypes.object,
+  duration: PropTypes.number,
+  trim: PropTypes.shape({
+    start: PropTypes.number.isRequired,
+    end: PropTypes.number.isRequired
+  }),
+  onChange: PropTypes.func.isRequired,
+  formatTime: PropTypes.func.isRequired
+};
+
+export default TrimControls;
@@ -12,6 +12,10 @@
  * - Scrollable device list if needed
  * - Mobile responsive height adjustment
  * - Dual-device mode: Shows "Select Microphone" and "Select Camera" sections
+ * - Sound processing toggles below the microphone list (when a handler is passed);
+ *   unlike device selection these don't close the drawer
+ * - Mirror preview checkbox below the camera list (dual-device mode, when a
+ *   handler is passed); also leaves the drawer open
  */
 
 import React from 'react';
@@ -20,6 +24,8 @@ import PropTypes from 'prop-types';
 import { FaMicrophone, FaVideo } from 'react-icons/fa';
 import { useTokens } from '../theme/TokenProvider';
 import { useBreakpoint } from '../hooks/useBreakpoint';
+import AudioProcessingOptions from './AudioProcessingOptions';
+import MirrorPreviewOption from './MirrorPreviewOption';
 
 function VaulDeviceSettingsDrawer({
   open,
@@ -36,6 +42,12 @@ function VaulDeviceSettingsDrawer({
   selectedVideoId,
   onSelectAudioDevice,
   onSelectVideoDevice,
+  // Microphone processing toggles (audio drawers only)
+  audioProcessing,
+  onAudioProcessingChange,
+  // Camera preview mirroring (camera drawers only)
+  mirrorPreview,
+  onMirrorPreviewChange,
 }) {
   const { tokens } = useTokens();
   const { isMobile, isTablet } = useBreakpoint();
@@ -48,6 +60,13 @@ function VaulDeviceSettingsDrawer({
   // Detect dual-device mode
   const isDualMode = audioDevices !== undefined && videoDevices !== undefined;
 
+  // Processing options apply to the microphone, so only drawers that list one show them
+  const showAudioProcessing = !!(audioProcessing && onAudioProcessingChange) &&
+    (isDualMode || deviceType === 'audioinput');
+
+  // Mirroring applies to the camera preview - only drawers that list a camera show it
+  const showMirrorPreview = typeof mirrorPreview === 'boolean' && !!onMirrorPreviewChange && isDualMode;
+
   // Single-device mode: Determine icon based on device type
   const DeviceIcon = deviceType === 'audioinput' ? FaMicrophone : FaVideo;
 
@@ -377,6 +396,24 @@ function VaulDeviceSettingsDrawer({
                 DeviceIcon
               )
             )}
+
+            {showAudioProcessing && (
+              <div style={{ marginTop: tokens.spacing[4] }}>
+                <AudioProcessingOptions
+                  value={audioProcessing}
+                  onChange={onAudioProcessingChange}
+                />
+              </div>
+            )}
+
+            {showMirrorPreview && (
+              <div style={{ marginTop: tokens.spacing[4] }}>
+                <MirrorPreviewOption
+                  value={mirrorPreview}
+                  onChange={onMirrorPreviewChange}
+                />
+              </div>
+            )}
           </div>
         </Drawer.Content>
           </div>
@@ -519,6 +556,24 @@ function VaulDeviceSettingsDrawer({
                 DeviceIcon
               )
             )}
+
+            {showAudioProcessing && (
+              <div style={{ marginTop: tokens.spacing[4] }}>
+                <AudioProcessingOptions
+                  value={audioProcessing}
+                  onChange={onAudioProcessingChange}
+                />
+              </div>
+            )}
+
+            {showMirrorPreview && (
+              <div style={{ marginTop: tokens.spacing[4] }}>
+                <MirrorPreviewOption
+                  value={mirrorPreview}
+                  onChange={onMirrorPreviewChange}
+                />
+              </div>
+            )}
           </div>
         </Drawer.Content>
         )}
@@ -542,6 +597,16 @@ VaulDeviceSettingsDrawer.propTypes = {
   selectedVideoId: PropTypes.string,
   onSelectAudioDevice: PropTypes.func,
   onSelectVideoDevice: PropTypes.func,
+  // Sound processing props
+  audioProcessing: PropTypes.shape({
+    noiseSuppression: PropTypes.bool,
+    echoCancellation: PropTypes.bool,
+    autoGainControl: PropTypes.bool
+  }),
+  onAudioProcessingChange: PropTypes.func,
+  // Mirror preview props
+  mirrorPreview: PropTypes.bool,
+  onMirrorPreviewChange: PropTypes.func,
 };
 
 export default VaulDeviceSettingsDrawer;
@@ -177,7 +177,7 @@ function VaulStartOverDrawer({ open, onOpenChange, onConfirm, onCancel }) {
                 padding: '0',
               }}
             >
-              This action will erase your current recording. Are you sure you want to proceed?
+              Starting over lets you record a new take. Your current recording is kept so you can choose which take to upload.
             </Drawer.Description>
           </div>
 
@@ -343,7 +343,7 @@ function VaulStartOverDrawer({ open, onOpenChange, onConfirm, onCancel }) {
                 textAlign: 'left',
               }}
             >
-              If you start over, your current recording will be deleted. This action cannot be undone.
+              Starting over lets you record a new take. Your current recording is kept, and you can choose which take to upload on the review screen.
             </Drawer.Description>
           </div>
 
@@ -15,6 +15,7 @@
  * - Play/Pause icon (switches on state)
  * - Progress bar for seeking
  * - Time display (current / duration)
+ * - Chapter markers as ticks on the progress bar (click to seek)
  */
 
 import React, { useState, useEffect } from 'react';
@@ -22,7 +23,7 @@ import PropTypes from 'prop-types';
 import { FaPlay, FaPause } from 'react-icons/fa';
 import { useTokens } from '../theme/TokenProvider';
 
-export function VideoControls({ player }) {
+export function VideoControls({ player, markers = [] }) {
   const { tokens } = useTokens();
 
   // Player state
@@ -160,26 +161,50 @@ export function VideoControls({ player }) {
         )}
       </div>
 
-      {/* Minimal Progress Bar */}
-      <input
-        type="range"
-        min="0"
-        max={duration || 0}
-        value={currentTime}
-        onChange={handleSeek}
-        step="0.1"
-        style={{
-          flex: 1,
-          height: '4px',
-          cursor: 'pointer',
-          background: 'transparent'
-        }}
-        aria-label="Seek video position"
-        aria-valuemin="0"
-        aria-valuemax={duration}
-        aria-valuenow={currentTime}
-        aria-valuetext={`${formatTime(currentTime)} of ${formatTime(duration)}`}
-      />
+      {/* Minimal Progress Bar (with chapter marker ticks) */}
+      <div style={{ position: 'relative', flex: 1, display: 'flex', alignItems: 'center' }}>
+        <input
+          type="range"
+          min="0"
+          max={duration || 0}
+          value={currentTime}
+          onChange={handleSeek}
+          step="0.1"
+          style={{
+            width: '100%',
+            height: '4px',
+            cursor: 'pointer',
+            background: 'transparent'
+          }}
+          aria-label="Seek video position"
+          aria-valuemin="0"
+          aria-valuemax={duration}
+          aria-valuenow={currentTime}
+          aria-valuetext={`${formatTime(currentTime)} of ${formatTime(duration)}`}
+        />
+        {duration > 0 && markers.filter(marker => marker.time <= duration).map(marker => (
+          <button
+            key={marker.id}
+            type="button"
+            onClick={() => { player.currentTime = marker.time; }}
+            title={marker.label ? `${formatTime(marker.time)} - ${marker.label}` : formatTime(marker.time)}
+            aria-label={`Jump to marker at ${formatTime(marker.time)}${marker.label ? `: ${marker.label}` : ''}`}
+            style={{
+              position: 'absolute',
+              left: `calc(${(marker.time / duration) * 100}% - 2px)`,
+              top: '50%',
+              transform: 'translateY(-50%)',
+              width: '4px',
+              height: '12px',
+              padding: 0,
+              border: 'none',
+              borderRadius: '1px',
+              backgroundColor: tokens.colors.status.warning,
+              cursor: 'pointer'
+            }}
+          />
+        ))}
+      </div>
 
       {/* Time Display */}
       <span
@@ -289,6 +314,11 @@ export function VideoControls({ player }) {
 }
 
 VideoControls.propTypes = {
+  markers: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    time: PropTypes.number.isRequired,
+    label: PropTypes.string
+  })),
   player: PropTypes.object
 };
 
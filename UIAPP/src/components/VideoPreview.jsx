@@ -4,6 +4,8 @@
  * A small, embedded video element for showing a live
  * camera stream while recording video. Fits within
  * the UI to preview what the camera is capturing.
+ * `mirrored` flips the picture like a selfie camera
+ * (display only - the recording is unaffected).
  */
 
 
@@ -19,7 +21,7 @@ import PropTypes from 'prop-types';
   - Video fills the container with object-fit: cover.
 */
 
-function VideoPreview({ stream }) {
+function VideoPreview({ stream, mirrored = false }) {
   const videoRef = useRef(null);
 
   useEffect(() => {
@@ -44,7 +46,8 @@ function VideoPreview({ stream }) {
     width: '100%',
     height: '100%',
     borderRadius: '8px',
-    objectFit: 'cover'
+    objectFit: 'cover',
+    transform: mirrored ? 'scaleX(-1)' : 'none'
   };
 
   return (
@@ -61,7 +64,8 @@ function VideoPreview({ stream }) {
 }
 
 VideoPreview.propTypes = {
-  stream: PropTypes.object // MediaStream object or null
+  stream: PropTypes.object, // MediaStream object or null
+  mirrored: PropTypes.bool
 };
 
 export default VideoPreview;
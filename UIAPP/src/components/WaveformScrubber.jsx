@@ -0,0 +1,165 @@
+/**
+ * WaveformScrubber.jsx
+ * --------------------
+ * Waveform of the selected audio take on the review screen. Tap or drag to seek;
+ * arrow keys step through the recording. The played part is drawn in the
+ * primary colour, anything outside the trim range is dimmed.
+ *
+ * Peaks come from utils/waveform.js (computed after recording); a flat line is
+ * shown while they are being computed.
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useTokens } from '../theme/TokenProvider';
+
+const KEYBOARD_STEP_SECONDS = 5;
+const HEIGHT = 48;
+
+export function WaveformScrubber({ waveform, player, duration, trim, formatTime }) {
+  const { tokens } = useTokens();
+  const [currentTime, setCurrentTime] = useState(0);
+  const trackRef = useRef(null);
+
+  const total = waveform?.duration || duration || 0;
+
+  // Follow playback
+  useEffect(() => {
+    if (!player) return undefined;
+    const handleTimeUpdate = () => setCurrentTime(player.currentTime || 0);
+    player.on('timeupdate', handleTimeUpdate);
+    player.on('seeked', handleTimeUpdate);
+    return () => {
+      player.off('timeupdate', handleTimeUpdate);
+      player.off('seeked', handleTimeUpdate);
+    };
+  }, [player]);
+
+  if (!total) return null;
+
+  const seek = (time) => {
+    const clamped = Math.max(0, Math.min(total, time));
+    setCurrentTime(clamped);
+    if (player) player.currentTime = clamped;
+  };
+
+  const seekToPointer = (e) => {
+    const rect = trackRef.current.getBoundingClientRect();
+    if (!rect.width) return;
+    seek(((e.clientX - rect.left) / rect.width) * total);
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    seekToPointer(e);
+  };
+
+  const handlePointerMove = (e) => {
+    if (e.buttons) seekToPointer(e);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowRight' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      seek(currentTime + KEYBOARD_STEP_SECONDS);
+    } else if (e.key === 'ArrowLeft' || e.key === 'ArrowDown') {
+      e.preventDefault();
+      seek(currentTime - KEYBOARD_STEP_SECONDS);
+    } else if (e.key === 'Home') {
+      e.preventDefault();
+      seek(0);
+    } else if (e.key === 'End') {
+      e.preventDefault();
+      seek(total);
+    }
+  };
+
+  // Scale to the loudest peak so quiet recordings still show their shape
+  const peaks = waveform?.peaks || [];
+  const loudest = Math.max(0, ...peaks) || 1;
+  const progress = currentTime / total;
+
+  const barColor = (index) => {
+    const time = ((index + 0.5) / peaks.length) * total;
+    if (trim && (time < trim.start || time > trim.end)) return tokens.colors.border.neutral;
+    return index / peaks.length < progress ? tokens.colors.primary.DEFAULT : tokens.colors.neutral.gray['01'];
+  };
+
+  return (
+    <div
+      ref={trackRef}
+      role="slider"
+      tabIndex={0}
+      aria-label="Seek in recording"
+      aria-valuemin={0}
+      aria-valuemax={Math.round(total)}
+      aria-valuenow={Math.round(currentTime)}
+      aria-valuetext={`${formatTime(currentTime)} of ${formatTime(total)}`}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onKeyDown={handleKeyDown}
+      style={{
+        position: 'relative',
+        width: '100%',
+        maxWidth: 'min(500px, 100%)',
+        height: `${HEIGHT}px`,
+        marginTop: tokens.spacing[4],
+        cursor: 'pointer',
+        touchAction: 'none'
+      }}
+    >
+      <svg
+        width="100%"
+        height={HEIGHT}
+        viewBox={`0 0 ${Math.max(1, peaks.length)} ${HEIGHT}`}
+        preserveAspectRatio="none"
+        aria-hidden="true"
+        style={{ display: 'block' }}
+      >
+        {peaks.length > 0 ? peaks.map((peak, index) => {
+          const barHeight = Math.max(1, (peak / loudest) * HEIGHT);
+          return (
+            <rect
+              key={index}
+              x={index + 0.15}
+              y={(HEIGHT - barHeight) / 2}
+              width={0.7}
+              height={barHeight}
+              fill={barColor(index)}
+            />
+          );
+        }) : (
+          <rect x={0} y={HEIGHT / 2 - 0.5} width={1} height={1} fill={tokens.colors.border.neutral} />
+        )}
+      </svg>
+
+      {/* Playhead */}
+      <div style={{
+        position: 'absolute',
+        top: 0,
+        bottom: 0,
+        left: `${progress * 100}%`,
+        width: '2px',
+        marginLeft: '-1px',
+        backgroundColor: tokens.colors.primary.DEFAULT,
+        pointerEvents: 'none'
+      }} />
+    </div>
+  );
+}
+
+WaveformScrubber.propTypes = {
+  waveform: PropTypes.shape({
+    duration: PropTypes.number,
+    peaks: PropTypes.arrayOf(PropTypes.number)
+  }),
+  player: PropTypes.object,
+  duration: PropTypes.number,
+  trim: PropTypes.shape({
+    start: PropTypes.number.isRequired,
+    end: PropTypes.number.isRequired
+  }),
+  formatTime: PropTypes.func.isRequired
+};
+
+export default WaveformScrubber;
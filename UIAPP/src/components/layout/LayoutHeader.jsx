@@ -12,6 +12,9 @@
  * Desktop Layout:
  * - Unified section with left-aligned logo
  * - Banner content moves to Section B1B instead
+ *
+ * Both layouts: optional progress strip along the bottom edge
+ * (multi-question sessions, see PromptProgress.jsx)
  */
 
 import React from 'react';
@@ -30,7 +33,8 @@ function LayoutHeader({
   isWelcomeScreen = false,
   isActiveRecordingScreen = false,
   isPausedRecordingScreen = false,
-  bannerStyle = null
+  bannerStyle = null,
+  progress = null
 }) {
   const { tokens } = useTokens();
   const { isMobile } = useBreakpoint();
@@ -150,6 +154,8 @@ function LayoutHeader({
           )}
         </div>
       )}
+
+      {progress}
     </div>
   );
 }
@@ -162,7 +168,8 @@ LayoutHeader.propTypes = {
   isWelcomeScreen: PropTypes.bool,
   isActiveRecordingScreen: PropTypes.bool,
   isPausedRecordingScreen: PropTypes.bool,
-  bannerStyle: PropTypes.object
+  bannerStyle: PropTypes.object,
+  progress: PropTypes.node
 };
 
 export default LayoutHeader;
@@ -0,0 +1,63 @@
+/**
+ * PromptProgress.jsx
+ * ------------------
+ * Progress through a multi-question session, shown along the bottom edge of
+ * LayoutHeader: one segment per prompt - done (answered or skipped), current,
+ * still to come. Not rendered for single-question sessions.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { useTokens } from '../../theme/TokenProvider';
+
+function PromptProgress({ total, currentIndex, doneIndexes = [] }) {
+  const { tokens } = useTokens();
+
+  if (total < 2) return null;
+
+  return (
+    <div
+      role="progressbar"
+      aria-label="Questions"
+      aria-valuemin={1}
+      aria-valuemax={total}
+      aria-valuenow={currentIndex + 1}
+      aria-valuetext={`Question ${currentIndex + 1} of ${total}`}
+      style={{
+        position: 'absolute',
+        left: tokens.spacing[4],
+        right: tokens.spacing[4],
+        bottom: tokens.spacing[1],
+        display: 'flex',
+        gap: tokens.spacing[1]
+      }}
+    >
+      {Array.from({ length: total }, (_, index) => {
+        const isDone = doneIndexes.includes(index);
+        const isCurrent = index === currentIndex;
+        return (
+          <div
+            key={index}
+            style={{
+              flex: 1,
+              height: '3px',
+              borderRadius: tokens.borderRadius.full,
+              backgroundColor: isDone || isCurrent
+                ? tokens.colors.clay.DEFAULT
+                : tokens.colors.border.neutral,
+              opacity: isCurrent && !isDone ? 0.5 : 1
+            }}
+          />
+        );
+      })}
+    </div>
+  );
+}
+
+PromptProgress.propTypes = {
+  total: PropTypes.number.isRequired,
+  currentIndex: PropTypes.number.isRequired,
+  doneIndexes: PropTypes.arrayOf(PropTypes.number)
+};
+
+export default PromptProgress;
@@ -3,30 +3,57 @@
  * -------------------------
  * Shows media preview while recording is in progress with "Pause" button.
  * User can see their live feed and pause the recording.
+ * The camera preview is mirrored when `mirrorPreview` is set (display only).
+ * The gear icon switches microphone/camera without interrupting the recording.
+ * "Mark" (or the M key) drops a chapter marker at the current time; markers can be
+ * labelled on the review screen.
+ * A collapsible teleprompter overlay keeps the question in view near the camera
+ * (not shown in screen mode, where a shared screen could record it).
  *
  * Returns standard screen format:
  * - timer: null (RecordingBar managed separately in AppContent)
+ * - iconA3: Device settings gear (VideoDeviceSettings in video mode, else AudioDeviceSettings)
  * - content: PromptCard with session data
- * - actions: Preview + Pause button layout
+ * - overlay: TeleprompterOverlay (audio/video)
+ * - actions: Mark + Pause buttons (video mode: preview alongside)
  */
 
-import React from 'react';
-import { FaPause } from 'react-icons/fa';
+import React, { useEffect } from 'react';
+import { FaPause, FaBookmark } from 'react-icons/fa';
 import VideoPreview from '../VideoPreview';
 import AudioRecorder from '../AudioRecorder';
 import PromptCard from '../PromptCard';
+import TeleprompterOverlay from '../TeleprompterOverlay';
+import AudioDeviceSettings from './AudioDeviceSettings';
+import VideoDeviceSettings from './VideoDeviceSettings';
 import { Button } from '../ui';
 import { useTokens } from '../../theme/TokenProvider';
 import { useBreakpoint } from '../../hooks/useBreakpoint';
 import useResponsiveLayout from '../../hooks/useResponsiveLayout';
+import { MARKERS } from '../../config';
+import { getSessionPrompts } from '../../utils/sessionPrompts';
 
 /**
  * ActiveRecordingScreenContent - Inner component that safely uses hooks
  */
-function ActiveRecordingScreenContent({ sessionData }) {
+function ActiveRecordingScreenContent({ sessionData, promptText, onMark }) {
   const { tokens } = useTokens();
   const { isMobile } = useBreakpoint();
 
+  // Keyboard shortcut for the Mark button (ignored while typing or with modifiers)
+  useEffect(() => {
+    if (!onMark) return undefined;
+    const handleKeyDown = (e) => {
+      if (e.key.toLowerCase() !== MARKERS.SHORTCUT_KEY || e.repeat) return;
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+      if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+      e.preventDefault();
+      onMark();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onMark]);
+
   const layout = useResponsiveLayout({
     section: 'content',
     customStyles: {
@@ -41,6 +68,7 @@ function ActiveRecordingScreenContent({ sessionData }) {
     <div style={layout}>
       <PromptCard
         sessionData={sessionData}
+        promptText={promptText}
         customBackgroundColor={tokens.colors.primary.DEFAULT}
         customQuestionColor="#FFFFFF"
       />
@@ -48,34 +76,75 @@ function ActiveRecordingScreenContent({ sessionData }) {
   );
 }
 
-function ActiveRecordingScreen({ captureMode, mediaStream, onPause, sessionData, onBack }) {
+function ActiveRecordingScreen({
+  captureMode,
+  mediaStream,
+  onPause,
+  onMark,
+  markerCount = 0,
+  mirrorPreview = false,
+  sessionData,
+  promptText,
+  onSwitchDevice,
+  onOpenSettings,
+  onBack
+}) {
   const { tokens } = useTokens();
+  const DeviceSettings = captureMode === 'video' ? VideoDeviceSettings : AudioDeviceSettings;
+
+  const outlineButtonStyle = {
+    backgroundColor: 'transparent',
+    border: `1px solid ${tokens.colors.neutral.gray['01']}`,
+    color: tokens.colors.primary.foreground
+  };
+
+  const renderMarkButton = (width) => (
+    <Button
+      onClick={onMark}
+      aria-label={`Mark this moment (shortcut: ${MARKERS.SHORTCUT_KEY.toUpperCase()})`}
+      title={`Mark this moment (${MARKERS.SHORTCUT_KEY.toUpperCase()})`}
+      style={{ ...outlineButtonStyle, width }}
+      fullWidth={false}
+    >
+      <FaBookmark style={{ marginRight: tokens.spacing[2] }} />
+      {markerCount > 0 ? `Mark (${markerCount})` : 'Mark'}
+    </Button>
+  );
 
   const previewElement =
     captureMode === 'audio'
       ? <AudioRecorder stream={mediaStream} isRecording={true} />
-      : <VideoPreview stream={mediaStream} />;
+      : <VideoPreview stream={mediaStream} mirrored={mirrorPreview} />;
 
   return {
     timer: null,
     className: 'active-recording-state',
-    content: <ActiveRecordingScreenContent sessionData={sessionData} />,
+    iconA3: (
+      <DeviceSettings
+        mediaStream={mediaStream}
+        onSwitchDevice={onSwitchDevice}
+        onOpenSettings={onOpenSettings}
+      />
+    ),
+    content: <ActiveRecordingScreenContent sessionData={sessionData} promptText={promptText} onMark={onMark} />,
+    overlay: captureMode !== 'screen' ? (
+      <TeleprompterOverlay promptText={promptText || getSessionPrompts(sessionData)[0].text} />
+    ) : null,
     actions: captureMode === 'audio' ? (
-      // Audio mode: Single centered Pause button
-      <Button
-        onClick={onPause}
-        fullWidth={true}
-        style={{
-          backgroundColor: 'transparent',
-          border: `1px solid ${tokens.colors.neutral.gray['01']}`,
-          color: tokens.colors.primary.foreground
-        }}
-      >
-        <FaPause style={{ marginRight: tokens.spacing[2] }} />
-        Pause
-      </Button>
+      // Audio mode: Mark + Pause
+      <div style={{ display: 'flex', width: '100%', justifyContent: 'space-between' }}>
+        {renderMarkButton('35%')}
+        <Button
+          onClick={onPause}
+          fullWidth={false}
+          style={{ ...outlineButtonStyle, width: '60%' }}
+        >
+          <FaPause style={{ marginRight: tokens.spacing[2] }} />
+          Pause
+        </Button>
+      </div>
     ) : (
-      // Video mode: Preview + Pause button side by side
+      // Video mode: Preview beside stacked Mark + Pause buttons
       <div style={{
         display: 'flex',
         width: '100%',
@@ -98,19 +167,22 @@ function ActiveRecordingScreen({ captureMode, mediaStream, onPause, sessionData,
             borderRadius: tokens.borderRadius.lg
           }} />}
         </div>
-        <Button
-          onClick={onPause}
-          style={{
-            width: '65%',
-            backgroundColor: 'transparent',
-            border: `1px solid ${tokens.colors.neutral.gray['01']}`,
-            color: tokens.colors.primary.foreground
-          }}
-          fullWidth={false}
-        >
-          <FaPause style={{ marginRight: tokens.spacing[2] }} />
-          Pause
-        </Button>
+        <div style={{
+          width: '65%',
+          display: 'flex',
+          flexDirection: 'column',
+          gap: tokens.spacing[2]
+        }}>
+          {renderMarkButton('100%')}
+          <Button
+            onClick={onPause}
+            style={{ ...outlineButtonStyle, width: '100%' }}
+            fullWidth={false}
+          >
+            <FaPause style={{ marginRight: tokens.spacing[2] }} />
+            Pause
+          </Button>
+        </div>
       </div>
     ),
     onBack,
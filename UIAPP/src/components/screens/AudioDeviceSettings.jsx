@@ -32,9 +32,9 @@ function AudioDeviceSettings({ mediaStream, onSwitchDevice, onOpenSettings }) {
       devices: devices,
       selectedDeviceId: selectedDeviceId,
       deviceType: 'audioinput',
-      onSelectDevice: (deviceId) => {
-        selectDevice(deviceId); // Update hook state + localStorage
-        onSwitchDevice?.(deviceId); // Trigger parent stream switch (optional chaining for safety)
+      onSelectDevice: async (deviceId) => {
+        await onSwitchDevice?.(deviceId); // Trigger parent stream switch (optional chaining for safety)
+        selectDevice(deviceId); // Update hook state + localStorage (only once the switch worked)
       }
     });
   };
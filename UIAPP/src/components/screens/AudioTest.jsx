@@ -10,6 +10,9 @@
  * 3. Visualizer activates automatically with live microphone input
  * 4. User clicks Continue to proceed to ReadyToRecordScreen
  * 5. If issues occur, user can click gear icon for device settings
+ * 6. Level meter warns when the microphone is silent, too quiet or clipping
+ * 7. "Sound processing" link expands noise suppression / echo cancellation /
+ *    auto gain toggles (same options as the settings drawer)
  *
  * Props:
  * - mediaStream: MediaStream object (always provided, permission already granted)
@@ -18,6 +21,8 @@
  * - onRetry: Handler to return to AudioAccess screen
  * - onSwitchDevice: Handler for device switching
  * - onOpenSettings: Handler to open device settings drawer
+ * - audioProcessing: Current microphone processing options
+ * - onAudioProcessingChange: Handler to change an option (re-acquires the stream)
  * - onBack: Handler for back navigation
  *
  * Returns standard screen format:
@@ -27,9 +32,11 @@
  * - actions: Continue button
  */
 
-import React from 'react';
+import React, { useState } from 'react';
 import { FaArrowRight } from 'react-icons/fa';
 import AudioVisualizer from '../AudioVisualizer';
+import AudioProcessingOptions from '../AudioProcessingOptions';
+import LevelMeter from '../LevelMeter';
 import AudioDeviceSettings from './AudioDeviceSettings';
 import { Button } from '../ui';
 import { useTokens } from '../../theme/TokenProvider';
@@ -38,8 +45,9 @@ import useResponsiveLayout from '../../hooks/useResponsiveLayout';
 /**
  * AudioTestContent - Inner component that safely uses hooks
  */
-function AudioTestContent({ mediaStream, permissionState }) {
+function AudioTestContent({ mediaStream, permissionState, audioProcessing, onAudioProcessingChange }) {
   const { tokens } = useTokens();
+  const [showProcessing, setShowProcessing] = useState(false);
 
   // Determine what to show based on permission state
   const showError = permissionState === 'denied';
@@ -114,6 +122,12 @@ function AudioTestContent({ mediaStream, permissionState }) {
               height={100}
             />
           </div>
+          <div style={{
+            width: '80%',
+            marginBottom: tokens.spacing[2]
+          }}>
+            <LevelMeter mediaStream={mediaStream} />
+          </div>
           <p style={{
             fontSize: tokens.fontSize.base,
             fontWeight: tokens.fontWeight.normal,
@@ -147,6 +161,49 @@ function AudioTestContent({ mediaStream, permissionState }) {
           Check that the microphone bar moves with your voice.
         </p>
 
+        {/* Sound processing - collapsed by default to keep the test screen simple */}
+        {audioProcessing && onAudioProcessingChange && !showError && (
+          <div style={{
+            display: 'flex',
+            flexDirection: 'column',
+            alignItems: 'center',
+            maxWidth: '400px',
+            margin: '0 auto',
+            marginBottom: tokens.spacing[4]
+          }}>
+            <span
+              onClick={() => setShowProcessing(open => !open)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                  e.preventDefault();
+                  setShowProcessing(open => !open);
+                }
+              }}
+              role="button"
+              tabIndex={0}
+              aria-expanded={showProcessing}
+              style={{
+                cursor: 'pointer',
+                textDecoration: 'underline',
+                fontSize: tokens.fontSize.sm,
+                fontWeight: tokens.fontWeight.semibold,
+                color: tokens.colors.primary.DEFAULT
+              }}
+            >
+              {showProcessing ? 'Hide sound processing' : 'Sound processing'}
+            </span>
+            {showProcessing && (
+              <div style={{ marginTop: tokens.spacing[2], width: '100%' }}>
+                <AudioProcessingOptions
+                  value={audioProcessing}
+                  onChange={onAudioProcessingChange}
+                  showHeading={false}
+                />
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Error state - shown when permission denied */}
         {showError && (
           <div style={{
@@ -174,7 +231,17 @@ function AudioTestContent({ mediaStream, permissionState }) {
   );
 }
 
-function AudioTest({ onContinue, onRetry, onSwitchDevice, onOpenSettings, mediaStream, permissionState, onBack }) {
+function AudioTest({
+  onContinue,
+  onRetry,
+  onSwitchDevice,
+  onOpenSettings,
+  mediaStream,
+  permissionState,
+  audioProcessing,
+  onAudioProcessingChange,
+  onBack
+}) {
   // Determine what to show based on permission state
   const showVisualizer = mediaStream && permissionState === 'granted';
   const showError = permissionState === 'denied';
@@ -192,6 +259,8 @@ function AudioTest({ onContinue, onRetry, onSwitchDevice, onOpenSettings, mediaS
       <AudioTestContent
         mediaStream={mediaStream}
         permissionState={permissionState}
+        audioProcessing={audioProcessing}
+        onAudioProcessingChange={onAudioProcessingChange}
       />
     ),
     actions: showError ? (
@@ -1,13 +1,14 @@
 /**
  * ChooseModeScreen.jsx
  * --------------------
- * Screen for selecting audio or video recording mode.
- * User chooses between audio-only or video recording.
+ * Screen for selecting audio, video or screen recording mode.
+ * User chooses between audio-only or video recording; on browsers that support
+ * screen sharing, a link below offers sharing the screen while narrating.
  * Displayed after user reads the prompt on PromptReadScreen.
  *
  * Returns standard screen format with all 3 sections:
  * - timer: "Choose your recording mode" text
- * - content: Large icons for audio and video
+ * - content: Large icons for audio and video (+ screen sharing link)
  * - actions: Audio and Video buttons
  *
  * NOTE: This is a FACTORY FUNCTION, not a React component.
@@ -15,10 +16,10 @@
  */
 
 import React from 'react';
-import { FaMicrophoneAlt, FaVideo } from 'react-icons/fa';
+import { FaMicrophoneAlt, FaVideo, FaDesktop } from 'react-icons/fa';
 import { Button, ButtonRow } from '../ui';
 
-function ChooseModeScreen({ onAudioClick, onVideoClick, onBack, tokens, isMobile }) {
+function ChooseModeScreen({ onAudioClick, onVideoClick, onScreenClick, onBack, tokens, isMobile }) {
   return {
     bannerContent: 'Choose recording mode',
     content: (
@@ -52,6 +53,37 @@ function ChooseModeScreen({ onAudioClick, onVideoClick, onBack, tokens, isMobile
           }}>
             You can record your memory as a video or as audio-only
           </p>
+
+          {/* Screen mode - icon + text link, only offered where getDisplayMedia exists */}
+          {onScreenClick && (
+            <div
+              onClick={onScreenClick}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                  e.preventDefault();
+                  onScreenClick();
+                }
+              }}
+              role="button"
+              tabIndex={0}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: tokens.spacing[2],
+                padding: tokens.spacing[1],
+                cursor: 'pointer',
+                color: tokens.colors.primary.DEFAULT,
+                fontSize: tokens.fontSize.sm,
+                fontWeight: tokens.fontWeight.semibold,
+                transition: 'opacity 0.2s ease'
+              }}
+              onMouseEnter={(e) => e.currentTarget.style.opacity = '0.7'}
+              onMouseLeave={(e) => e.currentTarget.style.opacity = '1'}
+            >
+              <FaDesktop size={14} aria-hidden="true" />
+              Or share your screen while you talk
+            </div>
+          )}
         </div>
       </div>
     ),
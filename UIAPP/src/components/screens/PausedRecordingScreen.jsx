@@ -3,26 +3,50 @@
  * -------------------------
  * Shows "Resume" and "Done" buttons when recording is paused.
  * User can continue recording or finish and review.
+ * When a device was lost mid-recording, the prompt is replaced by DeviceLostPanel
+ * and Resume waits for a replacement device.
+ * When recording was paused by an interruption (page left, device taken by the OS)
+ * the overlay says why; Resume waits until the OS hands the device back.
+ * The gear icon switches microphone/camera; Resume carries on in the same recording.
+ * In video mode the live camera preview stays beside the buttons (mirrored when
+ * `mirrorPreview` is set, like ActiveRecordingScreen).
  *
  * Returns standard screen format:
  * - timer: null (RecordingBar managed separately in AppContent)
- * - content: PromptCard with session data
- * - actions: Resume and Done buttons
+ * - iconA3: Device settings gear (hidden while DeviceLostPanel is shown)
+ * - content: PromptCard with session data (or DeviceLostPanel)
+ * - actions: Resume and Done buttons (video mode: preview alongside)
  */
 
 import React from 'react';
 import { FaPlay, FaStop } from 'react-icons/fa';
 import PromptCard from '../PromptCard';
 import PausedOverlay from '../PausedOverlay';
+import DeviceLostPanel from '../DeviceLostPanel';
+import VideoPreview from '../VideoPreview';
+import AudioDeviceSettings from './AudioDeviceSettings';
+import VideoDeviceSettings from './VideoDeviceSettings';
 import { Button, ButtonRow } from '../ui';
 import { useTokens } from '../../theme/TokenProvider';
 import { useBreakpoint } from '../../hooks/useBreakpoint';
 import useResponsiveLayout from '../../hooks/useResponsiveLayout';
 
+// Overlay line for an interruption from useRecordingFlow
+function getInterruptionMessage(interruption) {
+  if (!interruption) return null;
+  const device = interruption.kind === 'video' ? 'camera' : 'microphone';
+  const reason = interruption.reason === 'muted'
+    ? `Recording paused because another app is using your ${device}`
+    : 'Recording paused because you left the page';
+  return interruption.waiting
+    ? `${reason}. You can resume once your ${device} is available again.`
+    : reason;
+}
+
 /**
  * PausedRecordingScreenContent - Inner component that safely uses hooks
  */
-function PausedRecordingScreenContent({ sessionData }) {
+function PausedRecordingScreenContent({ sessionData, promptText, lostDevice, mediaStream, onReplaceDevice }) {
   const { tokens } = useTokens();
   const { isMobile } = useBreakpoint();
 
@@ -38,51 +62,132 @@ function PausedRecordingScreenContent({ sessionData }) {
 
   return (
     <div style={layout}>
-      <PromptCard
-        sessionData={sessionData}
-        customBackgroundColor={tokens.colors.primary.DEFAULT}
-        customQuestionColor="#FFFFFF"
-      />
+      {lostDevice ? (
+        <DeviceLostPanel
+          lostDevice={lostDevice}
+          mediaStream={mediaStream}
+          onReplace={onReplaceDevice}
+        />
+      ) : (
+        <PromptCard
+          sessionData={sessionData}
+          promptText={promptText}
+          customBackgroundColor={tokens.colors.primary.DEFAULT}
+          customQuestionColor="#FFFFFF"
+        />
+      )}
     </div>
   );
 }
 
-function PausedRecordingScreen({ onResume, onDone, sessionData, onBack, countdownActive }) {
+function PausedRecordingScreen({
+  onResume,
+  onDone,
+  sessionData,
+  promptText,
+  onBack,
+  countdownActive,
+  lostDevice = null,
+  interruption = null,
+  mediaStream,
+  onReplaceDevice,
+  captureMode,
+  mirrorPreview = false,
+  onSwitchDevice,
+  onOpenSettings
+}) {
   const { tokens } = useTokens();
+  const DeviceSettings = captureMode === 'video' ? VideoDeviceSettings : AudioDeviceSettings;
+
+  const outlineButtonStyle = {
+    backgroundColor: 'transparent',
+    border: `1px solid ${tokens.colors.neutral.gray['01']}`,
+    color: tokens.colors.primary.foreground
+  };
+
+  const renderResumeButton = (width) => (
+    <Button
+      onClick={onResume}
+      disabled={!!lostDevice || !!interruption?.waiting}
+      style={{ ...outlineButtonStyle, width }}
+      fullWidth={false}
+    >
+      <FaPlay style={{ marginRight: tokens.spacing[2] }} />
+      Resume
+    </Button>
+  );
+
+  const renderDoneButton = (width) => (
+    <Button
+      onClick={onDone}
+      style={{ ...outlineButtonStyle, width }}
+      fullWidth={false}
+    >
+      <FaStop style={{ marginRight: tokens.spacing[2], color: tokens.colors.status.recording_red }} />
+      Done
+    </Button>
+  );
 
   return {
     timer: null,
     className: 'paused-recording-state',
-    content: <PausedRecordingScreenContent sessionData={sessionData} />,
-    overlay: !countdownActive ? <PausedOverlay /> : null,
-    actions: (
+    iconA3: lostDevice ? null : (
+      <DeviceSettings
+        mediaStream={mediaStream}
+        onSwitchDevice={onSwitchDevice}
+        onOpenSettings={onOpenSettings}
+      />
+    ),
+    content: (
+      <PausedRecordingScreenContent
+        sessionData={sessionData}
+        promptText={promptText}
+        lostDevice={lostDevice}
+        mediaStream={mediaStream}
+        onReplaceDevice={onReplaceDevice}
+      />
+    ),
+    overlay: !countdownActive && !lostDevice
+      ? <PausedOverlay message={getInterruptionMessage(interruption)} />
+      : null,
+    actions: captureMode === 'video' ? (
+      // Video mode: Preview beside stacked Resume + Done buttons
+      <div style={{
+        display: 'flex',
+        width: '100%',
+        justifyContent: 'space-between',
+        alignItems: 'flex-end'
+      }}>
+        <div style={{
+          width: '30%',
+          height: '120px',
+          backgroundColor: tokens.colors.neutral.default,
+          boxSizing: 'border-box',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center'
+        }}>
+          {mediaStream ? <VideoPreview stream={mediaStream} mirrored={mirrorPreview} /> : <div style={{
+            width: '100%',
+            height: '100%',
+            backgroundColor: tokens.colors.neutral.default,
+            borderRadius: tokens.borderRadius.lg
+          }} />}
+        </div>
+        <div style={{
+          width: '65%',
+          display: 'flex',
+          flexDirection: 'column',
+          gap: tokens.spacing[2]
+        }}>
+          {renderResumeButton('100%')}
+          {renderDoneButton('100%')}
+        </div>
+      </div>
+    ) : (
       <ButtonRow>
-        <Button
-          onClick={onResume}
-          style={{
-            width: '48%',
-            backgroundColor: 'transparent',
-            border: `1px solid ${tokens.colors.neutral.gray['01']}`,
-            color: tokens.colors.primary.foreground
-          }}
-          fullWidth={false}
-        >
-          <FaPlay style={{ marginRight: tokens.spacing[2] }} />
-          Resume
-        </Button>
-        <Button
-          onClick={onDone}
-          style={{
-            width: '48%',
-            backgroundColor: 'transparent',
-            border: `1px solid ${tokens.colors.neutral.gray['01']}`,
-            color: tokens.colors.primary.foreground
-          }}
-          fullWidth={false}
-        >
-          <FaStop style={{ marginRight: tokens.spacing[2], color: tokens.colors.status.recording_red }} />
-          Done
-        </Button>
+        {renderResumeButton('48%')}
+        {renderDoneButton('48%')}
       </ButtonRow>
     ),
     onBack,
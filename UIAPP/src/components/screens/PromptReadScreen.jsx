@@ -3,17 +3,19 @@
  * --------------------
  * First screen in recording flow - displays prompt with Continue button.
  * User reads the prompt before choosing audio or video mode.
+ * Multi-question sessions show the current prompt ("Question 2 of 5") and can
+ * skip it; onSkip is omitted when the prompt cannot be skipped.
  *
  * Returns standard screen format:
  * - timer: null
  * - content: PromptCard with session data
- * - actions: Continue button
+ * - actions: Continue button (+ Skip button in multi-question sessions)
  */
 
 import React from 'react';
 import { FaArrowRight } from 'react-icons/fa';
 import PromptCard from '../PromptCard';
-import { Button } from '../ui';
+import { Button, ButtonRow } from '../ui';
 import { useTokens } from '../../theme/TokenProvider';
 import { useBreakpoint } from '../../hooks/useBreakpoint';
 import useResponsiveLayout from '../../hooks/useResponsiveLayout';
@@ -21,7 +23,7 @@ import useResponsiveLayout from '../../hooks/useResponsiveLayout';
 /**
  * PromptReadScreenContent - Inner component that safely uses hooks
  */
-function PromptReadScreenContent({ sessionData }) {
+function PromptReadScreenContent({ sessionData, promptText }) {
   const { tokens } = useTokens();
   const { isMobile } = useBreakpoint();
 
@@ -37,20 +39,39 @@ function PromptReadScreenContent({ sessionData }) {
 
   return (
     <div style={layout}>
-      <PromptCard sessionData={sessionData} />
+      <PromptCard sessionData={sessionData} promptText={promptText} />
     </div>
   );
 }
 
-function PromptReadScreen({ sessionData, onContinue, onBack }) {
+function PromptReadScreen({ sessionData, prompt = null, promptCount = 1, onContinue, onSkip = null, onBack, tokens }) {
+  const nextButton = (
+    <Button onClick={onContinue} style={onSkip ? { width: '48%' } : undefined} fullWidth={!onSkip}>
+      Next step <FaArrowRight style={{ marginLeft: '12px' }} />
+    </Button>
+  );
+
   return {
-    bannerContent: 'Your prompt',
-    content: <PromptReadScreenContent sessionData={sessionData} />,
-    actions: (
-      <Button onClick={onContinue}>
-        Next step <FaArrowRight style={{ marginLeft: '12px' }} />
-      </Button>
-    ),
+    bannerContent: promptCount > 1 && prompt ? `Question ${prompt.index + 1} of ${promptCount}` : 'Your prompt',
+    content: <PromptReadScreenContent sessionData={sessionData} promptText={prompt?.text} />,
+    actions: onSkip ? (
+      <ButtonRow>
+        <Button
+          variant="secondary"
+          onClick={onSkip}
+          style={{
+            width: '48%',
+            backgroundColor: tokens.colors.button.leftHandButton,
+            border: `0.5px solid ${tokens.colors.onboarding.fontColor}`,
+            color: tokens.colors.primary.DEFAULT
+          }}
+          fullWidth={false}
+        >
+          Skip
+        </Button>
+        {nextButton}
+      </ButtonRow>
+    ) : nextButton,
     onBack
   };
 }
@@ -3,6 +3,8 @@
  * -----------------------
  * Displays prompt card with single "RECORD" button to begin recording.
  * Simplified interface without preview - user clicks green button to start.
+ * When the device can't hold a full-length recording (utils/recordingBudget.js)
+ * a notice says when recording will stop, and offers audio instead of video.
  *
  * Returns standard screen format:
  * - timer: null
@@ -17,6 +19,8 @@ import { Button } from '../ui';
 import { useTokens } from '../../theme/TokenProvider';
 import { useBreakpoint } from '../../hooks/useBreakpoint';
 import useResponsiveLayout from '../../hooks/useResponsiveLayout';
+import { formatLimitDuration } from '../../utils/sessionLimits';
+import { getMediaKind } from '../../utils/captureMode';
 
 // Record icon from RecordingBar - open ring with filled dot in center
 function RecordIcon({ size = 16, color }) {
@@ -50,10 +54,54 @@ function RecordIcon({ size = 16, color }) {
   );
 }
 
+// Device budget notice: recording is capped, optionally with a switch to audio
+function BudgetNotice({ captureMode, budgetLimit, onSwitchToAudio }) {
+  const { tokens } = useTokens();
+  const what = getMediaKind(captureMode) === 'video' ? 'video' : 'recording';
+  const where = budgetLimit.limitedBy === 'memory' ? 'memory' : 'free space';
+  const limit = formatLimitDuration(budgetLimit.maxDurationSeconds);
+
+  return (
+    <div
+      role="status"
+      style={{
+        marginTop: tokens.spacing[4],
+        padding: tokens.spacing[3],
+        borderRadius: tokens.borderRadius.md,
+        border: `1px solid ${tokens.colors.status.warning}`,
+        fontSize: tokens.fontSize.sm,
+        textAlign: 'center'
+      }}
+    >
+      This device only has enough {where} for about {limit} of {what}, so recording will stop after {limit}.
+      {onSwitchToAudio && (
+        <button
+          type="button"
+          onClick={onSwitchToAudio}
+          style={{
+            display: 'block',
+            margin: `${tokens.spacing[2]} auto 0`,
+            padding: 0,
+            border: 'none',
+            background: 'none',
+            color: tokens.colors.primary.DEFAULT,
+            fontFamily: 'inherit',
+            fontSize: tokens.fontSize.sm,
+            textDecoration: 'underline',
+            cursor: 'pointer'
+          }}
+        >
+          Record audio only - it takes far less space
+        </button>
+      )}
+    </div>
+  );
+}
+
 /**
  * ReadyToRecordScreenContent - Inner component that safely uses hooks
  */
-function ReadyToRecordScreenContent({ sessionData }) {
+function ReadyToRecordScreenContent({ sessionData, promptText, captureMode, budgetLimit, onSwitchToAudio }) {
   const { tokens } = useTokens();
   const { isMobile } = useBreakpoint();
 
@@ -69,7 +117,10 @@ function ReadyToRecordScreenContent({ sessionData }) {
 
   return (
     <div style={layout}>
-      <PromptCard sessionData={sessionData} />
+      <PromptCard sessionData={sessionData} promptText={promptText} />
+      {budgetLimit && (
+        <BudgetNotice captureMode={captureMode} budgetLimit={budgetLimit} onSwitchToAudio={onSwitchToAudio} />
+      )}
       {/* Bouncing arrow indicator - positioned flush at bottom of SECTION B */}
       <div style={{
         position: 'absolute',
@@ -88,10 +139,27 @@ function ReadyToRecordScreenContent({ sessionData }) {
   );
 }
 
-function ReadyToRecordScreen({ captureMode, mediaStream, onStartRecording, sessionData, onBack }) {
+function ReadyToRecordScreen({
+  captureMode,
+  mediaStream,
+  onStartRecording,
+  sessionData,
+  promptText,
+  budgetLimit = null,     // { maxDurationSeconds, limitedBy } when the device caps the recording
+  onSwitchToAudio = null, // Offered when video won't fit but audio would record longer
+  onBack
+}) {
   return {
     bannerContent: "You're ready to record",
-    content: <ReadyToRecordScreenContent sessionData={sessionData} />,
+    content: (
+      <ReadyToRecordScreenContent
+        sessionData={sessionData}
+        promptText={promptText}
+        captureMode={captureMode}
+        budgetLimit={budgetLimit}
+        onSwitchToAudio={onSwitchToAudio}
+      />
+    ),
     actions: (
       <Button variant="success" onClick={onStartRecording}>
         <RecordIcon size={16} color="#FFFFFF" />
@@ -0,0 +1,109 @@
+/**
+ * RestoreRecordingScreen.jsx
+ * --------------------------
+ * Shown when the session link is reopened and an unfinished recording was found
+ * in IndexedDB (see recordingRecoveryService). Lets the storyteller restore the
+ * recording into the review screen or discard it and start fresh.
+ *
+ * Returns standard screen format:
+ * - bannerContent: 'Welcome back'
+ * - content: Recovery message with recording length and time (and why the last
+ *   restore attempt failed, if it did)
+ * - actions: Start Fresh and Restore buttons (disabled while restoring)
+ *
+ * NOTE: This is a FACTORY FUNCTION, not a React component.
+ * It does NOT use hooks - all values must be passed as parameters.
+ */
+
+import React from 'react';
+import { FaHistory, FaUndo } from 'react-icons/fa';
+import { Button, ButtonRow } from '../ui';
+
+function RestoreRecordingScreen({ recovery, formatTime, onRestore, onDiscard, isRestoring = false, errorMessage = null, tokens }) {
+  const savedAt = recovery?.updatedAt
+    ? new Date(recovery.updatedAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })
+    : null;
+  const modeLabel = { video: 'video', screen: 'screen' }[recovery?.captureMode] || 'audio';
+
+  return {
+    bannerContent: 'Welcome back',
+    content: (
+      <div style={{
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        flex: 1
+      }}>
+        <div style={{
+          display: 'flex',
+          flexDirection: 'column',
+          alignItems: 'center',
+          gap: tokens.spacing[6],
+          maxWidth: '420px',
+          textAlign: 'center'
+        }}>
+          <FaHistory size={64} color="rgba(44, 47, 72, 0.85)" />
+          <p style={{
+            fontSize: tokens.fontSize.lg,
+            fontWeight: tokens.fontWeight.medium,
+            color: tokens.colors.primary.DEFAULT,
+            margin: 0
+          }}>
+            We found an unfinished {modeLabel} recording ({formatTime(recovery?.duration)}).
+          </p>
+          <p style={{
+            fontSize: tokens.fontSize.base,
+            fontWeight: tokens.fontWeight.normal,
+            color: tokens.colors.primary.DEFAULT,
+            margin: 0,
+            lineHeight: '1.5'
+          }}>
+            {savedAt ? `It was saved on ${savedAt}. ` : ''}
+            You can restore it to review and upload, or start a new recording.
+          </p>
+          {errorMessage && (
+            <p role="alert" style={{
+              fontSize: tokens.fontSize.sm,
+              color: tokens.colors.status.error,
+              margin: 0,
+              lineHeight: '1.4'
+            }}>
+              {errorMessage}
+            </p>
+          )}
+        </div>
+      </div>
+    ),
+    actions: (
+      <ButtonRow>
+        <Button
+          variant="secondary"
+          onClick={onDiscard}
+          disabled={isRestoring}
+          style={{
+            width: '48%',
+            backgroundColor: tokens.colors.button.leftHandButton,
+            border: `0.5px solid ${tokens.colors.onboarding.fontColor}`,
+            color: tokens.colors.primary.DEFAULT
+          }}
+          fullWidth={false}
+        >
+          <FaUndo style={{ marginRight: tokens.spacing[2] }} />
+          Start Fresh
+        </Button>
+        <Button
+          onClick={onRestore}
+          disabled={isRestoring}
+          style={{ width: '48%' }}
+          fullWidth={false}
+        >
+          <FaHistory style={{ marginRight: tokens.spacing[2] }} />
+          {isRestoring ? 'Restoring...' : 'Restore'}
+        </Button>
+      </ButtonRow>
+    ),
+    showBackButton: false
+  };
+}
+
+export default RestoreRecordingScreen;
@@ -3,31 +3,65 @@
  * --------------------------
  * Shows recorded media in a player for review before upload.
  * Displays loading state while recording is being prepared.
- * Includes Start Over and Upload action buttons.
+ * Includes Start Over and Upload action buttons, plus a "Continue recording" link
+ * that records another segment and joins it onto the selected take.
+ * When the session has several takes, a TakePicker lists them; the selected take
+ * is the one played here and submitted on Upload.
+ * Audio takes also get a WaveformScrubber and TrimControls; the trim range is
+ * applied to the upload only.
+ * Chapter markers dropped while recording are listed under the player (tap to
+ * seek, optional label) and shown as ticks on the video progress bar.
+ * Video takes get a cover image (ThumbnailPicker) that is uploaded with the recording.
+ * Playback is never mirrored, even when the live preview was - it shows the file
+ * exactly as it will be uploaded.
  *
  * Returns standard screen format:
  * - bannerContent: 'Review & submit' (displays in section A2)
  * - timer: null
- * - content: Media player
+ * - content: Media player (+ waveform and trim handles for audio, cover image for video, markers, take picker when more than one take)
  * - actions: Start Over and Upload buttons
  */
 
-import React, { useState } from 'react';
-import { FaUndo, FaCloudUploadAlt } from 'react-icons/fa';
+import React, { useState, useEffect } from 'react';
+import { FaUndo, FaCloudUploadAlt, FaPlus } from 'react-icons/fa';
 import PlyrMediaPlayer from '../PlyrMediaPlayer';
 import VideoControls from '../VideoControls';
+import TakePicker from '../TakePicker';
+import TrimControls from '../TrimControls';
+import WaveformScrubber from '../WaveformScrubber';
+import MarkerList from '../MarkerList';
+import ThumbnailPicker from '../ThumbnailPicker';
 import { Button, ButtonRow } from '../ui';
 import { useTokens } from '../../theme/TokenProvider';
 import { useBreakpoint } from '../../hooks/useBreakpoint';
 import useResponsiveLayout from '../../hooks/useResponsiveLayout';
+import { getMediaKind } from '../../utils/captureMode';
 
 /**
  * ReviewRecordingContent - Inner component that safely uses hooks
  */
-function ReviewRecordingContent({ recordedBlobUrl, captureMode, actualMimeType, onPlayerReady }) {
+function ReviewRecordingContent({
+  recordedBlobUrl,
+  captureMode,
+  actualMimeType,
+  takes,
+  selectedTakeId,
+  onSelectTake,
+  formatTime,
+  onPlayerReady,
+  onContinueRecording,
+  onTrimChange,
+  onMarkerLabelChange,
+  onThumbnailChange
+}) {
   const { tokens } = useTokens();
   const { isMobile } = useBreakpoint();
 
+  const selectedTake = takes.find(take => take.id === selectedTakeId) || null;
+
+  // Screen recordings play in the video player, letterboxed so nothing is cropped
+  const mediaKind = getMediaKind(captureMode);
+
   // Store Plyr instance for external controls
   const [playerInstance, setPlayerInstance] = useState(null);
 
@@ -37,6 +71,11 @@ function ReviewRecordingContent({ recordedBlobUrl, captureMode, actualMimeType,
     onPlayerReady?.(player);
   };
 
+  // Drop the old instance when another take is loaded (player remounts)
+  useEffect(() => {
+    setPlayerInstance(null);
+  }, [recordedBlobUrl]);
+
   // Define layout at top level (hooks must be called unconditionally)
   const layout = useResponsiveLayout({
     section: 'content',
@@ -78,18 +117,104 @@ function ReviewRecordingContent({ recordedBlobUrl, captureMode, actualMimeType,
         justifyContent: 'flex-start',
         boxSizing: 'border-box'
       }}>
+        {/* key remounts the player when a different take is selected */}
         <PlyrMediaPlayer
+          key={recordedBlobUrl}
           src={recordedBlobUrl}
-          type={captureMode}
+          type={mediaKind}
           actualMimeType={actualMimeType}
           onReady={handlePlayerReady}
-          hideControls={captureMode === 'video'}
+          hideControls={mediaKind === 'video'}
+          objectFit={captureMode === 'screen' ? 'contain' : 'cover'}
         />
 
         {/* External controls for video player (Phase 1) */}
-        {playerInstance && captureMode === 'video' && (
-          <VideoControls player={playerInstance} />
+        {playerInstance && mediaKind === 'video' && (
+          <VideoControls player={playerInstance} markers={selectedTake?.markers} />
+        )}
+
+        {/* Waveform - audio only, tap or drag to seek */}
+        {selectedTake && captureMode === 'audio' && (
+          <WaveformScrubber
+            waveform={selectedTake.waveform}
+            player={playerInstance}
+            duration={selectedTake.duration}
+            trim={selectedTake.trim}
+            formatTime={formatTime}
+          />
         )}
+
+        {/* Cover image - video only, uploaded with the recording */}
+        {selectedTake && mediaKind === 'video' && onThumbnailChange && (
+          <ThumbnailPicker
+            take={selectedTake}
+            player={playerInstance}
+            onChange={(thumbnail) => onThumbnailChange(selectedTake.id, thumbnail)}
+            formatTime={formatTime}
+          />
+        )}
+
+        {/* Continue recording - icon + text link, matches VideoControls minimal style */}
+        {onContinueRecording && (
+          <div
+            onClick={onContinueRecording}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                onContinueRecording();
+              }
+            }}
+            role="button"
+            tabIndex={0}
+            aria-label="Continue recording and add to this take"
+            style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: tokens.spacing[2],
+              marginTop: tokens.spacing[4],
+              padding: tokens.spacing[1],
+              cursor: 'pointer',
+              color: tokens.colors.primary.DEFAULT,
+              fontFamily: tokens.fonts.primary,
+              fontSize: tokens.fontSize.sm,
+              fontWeight: tokens.fontWeight.semibold,
+              transition: 'opacity 0.2s ease'
+            }}
+            onMouseEnter={(e) => e.currentTarget.style.opacity = '0.7'}
+            onMouseLeave={(e) => e.currentTarget.style.opacity = '1'}
+          >
+            <FaPlus size={12} aria-hidden="true" />
+            Continue recording
+          </div>
+        )}
+
+        {/* Trim handles - audio only, applied to the upload */}
+        {selectedTake && captureMode === 'audio' && onTrimChange && (
+          <TrimControls
+            key={selectedTake.id}
+            player={playerInstance}
+            duration={selectedTake.duration}
+            trim={selectedTake.trim}
+            onChange={(trim) => onTrimChange(selectedTake.id, trim)}
+            formatTime={formatTime}
+          />
+        )}
+
+        {selectedTake && onMarkerLabelChange && (
+          <MarkerList
+            markers={selectedTake.markers}
+            player={playerInstance}
+            onLabelChange={(markerId, label) => onMarkerLabelChange(selectedTake.id, markerId, label)}
+            formatTime={formatTime}
+          />
+        )}
+
+        <TakePicker
+          takes={takes}
+          selectedTakeId={selectedTakeId}
+          onSelectTake={onSelectTake}
+          formatTime={formatTime}
+        />
       </div>
     </div>
   );
@@ -99,8 +224,16 @@ function ReviewRecordingScreen({
   recordedBlobUrl,
   captureMode,
   actualMimeType,
+  takes = [],
+  selectedTakeId,
+  onSelectTake,
+  formatTime,
   isPlayerReady,
   onPlayerReady,
+  onContinueRecording,
+  onTrimChange,
+  onMarkerLabelChange,
+  onThumbnailChange,
   onStartOver,
   onUpload,
   onBack
@@ -115,7 +248,15 @@ function ReviewRecordingScreen({
         recordedBlobUrl={recordedBlobUrl}
         captureMode={captureMode}
         actualMimeType={actualMimeType}
+        takes={takes}
+        selectedTakeId={selectedTakeId}
+        onSelectTake={onSelectTake}
+        formatTime={formatTime}
         onPlayerReady={onPlayerReady}
+        onContinueRecording={onContinueRecording}
+        onTrimChange={onTrimChange}
+        onMarkerLabelChange={onMarkerLabelChange}
+        onThumbnailChange={onThumbnailChange}
       />
     ),
     actions: (
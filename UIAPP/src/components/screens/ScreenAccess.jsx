@@ -0,0 +1,161 @@
+/**
+ * ScreenAccess.jsx
+ * ----------------
+ * Permission request screen for screen sharing (+ microphone).
+ * Shown before ScreenTest when screen mode is selected on ChooseModeScreen.
+ *
+ * Unlike camera/microphone, browsers never remember screen sharing permission and
+ * show their picker on every getDisplayMedia call. So this screen doesn't request
+ * a throwaway permission stream like AudioAccess/VideoAccess - the button asks
+ * useRecordingFlow for the real recording stream directly (onRequestScreen).
+ *
+ * Flow:
+ * 1. User sees explanation of what will be shared and recorded
+ * 2. User clicks "Choose what to share"
+ * 3. Browser shows its screen/window/tab picker, then the microphone prompt
+ * 4. On success: navigate to ScreenTest screen
+ * 5. On failure: show inline error with actionable guidance
+ *
+ * No timeout here: picking a window can legitimately take a while, and a timed-out
+ * request could still resolve later and leave the screen shared in the background.
+ *
+ * Props:
+ * - onRequestScreen: Async handler that opens the picker and creates the stream
+ * - onPermissionGranted: Handler called once the stream exists
+ * - onPermissionDenied: Handler called on failure (receives error, message)
+ * - onBack: Handler for back navigation
+ *
+ * Returns standard screen format:
+ * - bannerContent: "Screen sharing" header
+ * - content: Icon, explanation text, and error messages
+ * - actions: "Choose what to share" or "Try Again" button
+ */
+
+import React from 'react';
+import { FaDesktop } from 'react-icons/fa';
+import { Button } from '../ui';
+import { useTokens } from '../../theme/TokenProvider';
+
+function ScreenAccess({ onRequestScreen, onPermissionGranted, onPermissionDenied, onBack, errorMessage, isRequesting }) {
+  const { tokens } = useTokens();
+
+  const handleChooseScreen = async () => {
+    try {
+      await onRequestScreen();
+
+      console.log('[ScreenAccess] Screen sharing STARTED');
+      onPermissionGranted();
+    } catch (error) {
+      console.error('[ScreenAccess] Screen sharing DENIED or ERROR');
+      console.error('[ScreenAccess] Error details:', {
+        name: error.name,
+        message: error.message
+      });
+
+      // Map error to user-friendly message with actionable guidance
+      let message = 'Screen sharing was cancelled.';
+
+      if (error.name === 'NotAllowedError') {
+        message = 'Screen sharing or microphone access was not allowed. Please pick a screen, window or tab, then allow the microphone.';
+      } else if (error.name === 'NotFoundError') {
+        message = 'No microphone detected. Please connect a microphone and try again.';
+      } else if (error.name === 'NotReadableError') {
+        message = 'Your screen or microphone could not be read. Please close other apps that are sharing or recording and try again.';
+      } else if (error.name === 'NotSupportedError' || error.name === 'TypeError') {
+        message = 'Screen sharing is not supported in this browser. Please use a desktop browser, or record audio or video instead.';
+      } else if (error.name === 'SecurityError') {
+        message = 'Screen sharing blocked for security reasons. Please check your browser settings.';
+      }
+
+      onPermissionDenied(error, message);
+    }
+  };
+
+  return {
+    bannerContent: 'Screen sharing',
+    content: (
+      <div style={{
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        flex: 1
+      }}>
+        <div style={{
+          display: 'flex',
+          flexDirection: 'column',
+          alignItems: 'center',
+          gap: tokens.spacing[12]
+        }}>
+          {/* Screen Icon */}
+          <FaDesktop size={85} color="rgba(44, 47, 72, 0.85)" />
+
+          {/* Explanation Text */}
+          <div style={{
+            textAlign: 'center',
+            maxWidth: '400px'
+          }}>
+            <p style={{
+              fontSize: tokens.fontSize.base,
+              fontWeight: tokens.fontWeight.normal,
+              color: tokens.colors.primary.DEFAULT,
+              margin: `0 0 ${tokens.spacing[4]} 0`,
+              lineHeight: '1.5'
+            }}>
+              Choose the screen, window or tab to share
+            </p>
+            <p style={{
+              fontSize: tokens.fontSize.base,
+              fontWeight: tokens.fontWeight.normal,
+              color: tokens.colors.primary.DEFAULT,
+              margin: 0,
+              lineHeight: '1.5'
+            }}>
+              Open your photos or documents first. We'll record what you share along with your voice.
+            </p>
+          </div>
+
+          {/* Inline Error Message - BETTER UX than alert() */}
+          {errorMessage && (
+            <div style={{
+              backgroundColor: tokens.colors.status.errorLight || '#FEE',
+              border: `1px solid ${tokens.colors.status.error}`,
+              borderRadius: tokens.borderRadius.md,
+              padding: tokens.spacing[4],
+              maxWidth: '400px',
+              width: '100%',
+              boxSizing: 'border-box'
+            }}>
+              <p style={{
+                fontSize: tokens.fontSize.sm,
+                fontWeight: tokens.fontWeight.medium,
+                color: tokens.colors.status.error,
+                margin: `0 0 ${tokens.spacing[2]} 0`
+              }}>
+                <strong>Permission Error</strong>
+              </p>
+              <p style={{
+                fontSize: tokens.fontSize.sm,
+                color: tokens.colors.status.error,
+                margin: 0,
+                lineHeight: '1.4'
+              }}>
+                {errorMessage}
+              </p>
+            </div>
+          )}
+        </div>
+      </div>
+    ),
+    actions: (
+      <Button
+        onClick={handleChooseScreen}
+        disabled={isRequesting}
+      >
+        {isRequesting ? 'Waiting for your choice...' : errorMessage ? 'Try Again' : 'Choose what to share'}
+      </Button>
+    ),
+    onBack
+  };
+}
+
+export default ScreenAccess;
@@ -0,0 +1,163 @@
+/**
+ * ScreenTest.jsx
+ * --------------
+ * Screen sharing test shown after the user picks a screen on ScreenAccess.
+ * Displays the shared screen and a microphone level bar.
+ *
+ * Flow:
+ * 1. User picks a screen/window/tab on ScreenAccess
+ * 2. ScreenTest loads with mediaStream already provided
+ * 3. Preview shows what is being shared (letterboxed, not cropped)
+ * 4. User clicks Next step to proceed to ReadyToRecordScreen
+ * 5. "Share something else" returns to ScreenAccess to pick again
+ *
+ * Props:
+ * - mediaStream: MediaStream with the shared screen video + microphone audio
+ * - videoRef: React ref for video element (managed by parent)
+ * - onContinue: Handler when user clicks Next step
+ * - onRetry: Handler to return to ScreenAccess and pick again
+ * - onBack: Handler for back navigation
+ *
+ * Returns standard screen format:
+ * - bannerContent: "Screen and sound test" header
+ * - content: Screen preview with audio visualizer and instructions
+ * - actions: Share something else + Next step buttons
+ */
+
+import React from 'react';
+import { FaArrowRight } from 'react-icons/fa';
+import AudioVisualizer from '../AudioVisualizer';
+import { Button, ButtonRow } from '../ui';
+import { useTokens } from '../../theme/TokenProvider';
+import { useBreakpoint } from '../../hooks/useBreakpoint';
+import useResponsiveLayout from '../../hooks/useResponsiveLayout';
+
+/**
+ * ScreenTestContent - Inner component that safely uses hooks
+ */
+function ScreenTestContent({ mediaStream, videoRef }) {
+  const { tokens } = useTokens();
+  const { isMobile } = useBreakpoint();
+
+  const layout = useResponsiveLayout({
+    section: 'content',
+    customStyles: {
+      width: '100%',
+      alignItems: 'center',
+      justifyContent: isMobile ? 'center' : 'flex-start',
+      gap: tokens.spacing[12]
+    }
+  });
+
+  return (
+    <div style={layout}>
+      {/* Centering container for preview content */}
+      <div style={{
+        width: '100%',
+        maxWidth: tokens.layout.maxWidth.md,
+        flex: '1 1 auto',
+        minHeight: 0,
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'center',
+        justifyContent: 'flex-start',
+        boxSizing: 'border-box'
+      }}>
+        {/* Audio visualizer with key-based remounting for clean stream changes */}
+        <div style={{
+          marginBottom: '10px'
+        }}>
+          <AudioVisualizer
+            key={mediaStream?.id || 'no-stream'}
+            mediaStream={mediaStream}
+            height={isMobile ? 20 : 50}
+            width={isMobile ? 80 : 200}
+          />
+        </div>
+
+        {/* Screen preview - 16:9 and contained so nothing on screen is cropped */}
+        <div style={{
+          width: '100%',
+          aspectRatio: '16 / 9',
+          overflow: 'hidden',
+          borderRadius: tokens.borderRadius.DEFAULT,
+          backgroundColor: tokens.colors.primary.DEFAULT,
+          boxShadow: '0 20px 40px -10px rgba(44, 47, 72, 0.1)'
+        }}>
+          <video
+            ref={videoRef}
+            autoPlay
+            playsInline
+            muted
+            style={{
+              width: '100%',
+              height: '100%',
+              objectFit: 'contain',
+              display: mediaStream ? 'block' : 'none'
+            }}
+          />
+        </div>
+      </div>
+
+      <div style={{
+        width: '100%'
+      }}>
+        {mediaStream && (
+          <p style={{
+            fontSize: tokens.fontSize.base,
+            fontWeight: tokens.fontWeight.normal,
+            color: tokens.colors.primary.DEFAULT,
+            margin: 0,
+            marginBottom: tokens.spacing[12],
+            textAlign: 'center',
+            lineHeight: '1.5'
+          }}>
+            Check that you can see what you're sharing and that the microphone bar moves with your voice.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function ScreenTest({ onContinue, onRetry, mediaStream, onBack, videoRef }) {
+  const { tokens } = useTokens();
+
+  return {
+    bannerContent: 'Screen and sound test',
+    content: (
+      <ScreenTestContent
+        mediaStream={mediaStream}
+        videoRef={videoRef}
+      />
+    ),
+    actions: (
+      <ButtonRow>
+        <Button
+          variant="secondary"
+          onClick={onRetry}
+          style={{
+            width: '48%',
+            backgroundColor: tokens.colors.button.leftHandButton,
+            border: `0.5px solid ${tokens.colors.onboarding.fontColor}`,
+            color: tokens.colors.primary.DEFAULT
+          }}
+          fullWidth={false}
+        >
+          Share something else
+        </Button>
+        <Button
+          onClick={onContinue}
+          disabled={!mediaStream}
+          style={{ width: '48%' }}
+          fullWidth={false}
+        >
+          Next step <FaArrowRight style={{ marginLeft: '12px' }} />
+        </Button>
+      </ButtonRow>
+    ),
+    onBack
+  };
+}
+
+export default ScreenTest;
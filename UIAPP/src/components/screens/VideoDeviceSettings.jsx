@@ -3,6 +3,8 @@
  * ------------------------
  * Settings icon component for video and audio device management.
  * Manages both camera and microphone selection for video recordings.
+ * Each device switches independently; a choice is remembered (useMediaDevices)
+ * only once the stream has actually switched to it.
  *
  * Props:
  * - mediaStream: Current MediaStream for device enumeration
@@ -29,13 +31,13 @@ function VideoDeviceSettings({ mediaStream, onSwitchDevice, onOpenSettings }) {
       videoDevices: videoDevices,
       selectedAudioId: selectedAudioId,
       selectedVideoId: selectedVideoId,
-      onSelectAudioDevice: (deviceId) => {
+      onSelectAudioDevice: async (deviceId) => {
+        await onSwitchDevice?.(deviceId, 'audioinput'); // Trigger parent stream switch with device type
         selectAudioDevice(deviceId); // Update hook state + localStorage
-        onSwitchDevice?.(deviceId, 'audioinput'); // Trigger parent stream switch with device type
       },
-      onSelectVideoDevice: (deviceId) => {
+      onSelectVideoDevice: async (deviceId) => {
+        await onSwitchDevice?.(deviceId, 'videoinput'); // Trigger parent stream switch with device type
         selectVideoDevice(deviceId); // Update hook state + localStorage
-        onSwitchDevice?.(deviceId, 'videoinput'); // Trigger parent stream switch with device type
       }
     });
   };
@@ -15,22 +15,26 @@
  * - mediaStream: MediaStream object (always provided, permission already granted)
  * - permissionState: 'granted' | 'requesting' (always granted in normal flow)
  * - videoRef: React ref for video element (managed by parent)
+ * - mirrorPreview: Show the preview mirrored (front cameras by default)
+ * - onMirrorPreviewChange: Handler for the mirror checkbox (mirrored)
  * - onContinue: Handler when user clicks Continue
  * - onRetry: Handler to return to VideoAccess screen
- * - onSwitchDevice: Handler for device switching
+ * - onSwitchDevice: Handler for device switching (deviceId, 'audioinput' | 'videoinput')
  * - onOpenSettings: Handler to open device settings drawer
  * - onBack: Handler for back navigation
  *
  * Returns standard screen format:
  * - bannerContent: "Video test" header
  * - iconA3: VideoDeviceSettings gear icon
- * - content: Video preview with audio visualizer and instructions
+ * - content: Video preview with audio visualizer, instructions and mirror checkbox
  * - actions: Continue button
  */
 
 import React from 'react';
 import { FaArrowRight } from 'react-icons/fa';
 import AudioVisualizer from '../AudioVisualizer';
+import LevelMeter from '../LevelMeter';
+import MirrorPreviewOption from '../MirrorPreviewOption';
 import VideoDeviceSettings from './VideoDeviceSettings';
 import { Button } from '../ui';
 import { useTokens } from '../../theme/TokenProvider';
@@ -40,7 +44,7 @@ import useResponsiveLayout from '../../hooks/useResponsiveLayout';
 /**
  * VideoTestContent - Inner component that safely uses hooks
  */
-function VideoTestContent({ mediaStream, permissionState, videoRef }) {
+function VideoTestContent({ mediaStream, permissionState, videoRef, mirrorPreview, onMirrorPreviewChange }) {
   const { tokens } = useTokens();
   const { isMobile } = useBreakpoint();
 
@@ -86,6 +90,14 @@ function VideoTestContent({ mediaStream, permissionState, videoRef }) {
           />
         </div>
 
+        {/* Level meter with too-quiet / too-loud guidance */}
+        <div style={{
+          width: isMobile ? '80%' : '300px',
+          marginBottom: '10px'
+        }}>
+          <LevelMeter mediaStream={mediaStream} />
+        </div>
+
         {/* Video preview element */}
         <div style={{
           // aspectRatio controls sizing - width will match constrained height
@@ -108,6 +120,8 @@ function VideoTestContent({ mediaStream, permissionState, videoRef }) {
               width: '100%',
               height: '100%',
               objectFit: 'cover',
+              // Preview only - the recording itself is never mirrored
+              transform: mirrorPreview ? 'scaleX(-1)' : 'none',
               display: showPreview ? 'block' : 'none'
             }}
           />
@@ -118,6 +132,19 @@ function VideoTestContent({ mediaStream, permissionState, videoRef }) {
       <div style={{
         width: '100%'
       }}>
+        {showPreview && onMirrorPreviewChange && (
+          <div style={{
+            maxWidth: '400px',
+            margin: `0 auto ${tokens.spacing[4]}`
+          }}>
+            <MirrorPreviewOption
+              value={!!mirrorPreview}
+              onChange={onMirrorPreviewChange}
+              showHeading={false}
+            />
+          </div>
+        )}
+
         {showPreview && (
           <p style={{
             fontSize: tokens.fontSize.base,
@@ -158,7 +185,18 @@ function VideoTestContent({ mediaStream, permissionState, videoRef }) {
   );
 }
 
-function VideoTest({ onContinue, onRetry, onSwitchDevice, onOpenSettings, mediaStream, permissionState, onBack, videoRef }) {
+function VideoTest({
+  onContinue,
+  onRetry,
+  onSwitchDevice,
+  onOpenSettings,
+  mediaStream,
+  permissionState,
+  onBack,
+  videoRef,
+  mirrorPreview = false,
+  onMirrorPreviewChange
+}) {
   // Determine what to show based on permission state
   const showPreview = mediaStream && permissionState === 'granted';
   const showError = permissionState === 'denied';
@@ -177,6 +215,8 @@ function VideoTest({ onContinue, onRetry, onSwitchDevice, onOpenSettings, mediaS
         mediaStream={mediaStream}
         permissionState={permissionState}
         videoRef={videoRef}
+        mirrorPreview={mirrorPreview}
+        onMirrorPreviewChange={onMirrorPreviewChange}
       />
     ),
     actions: showError ? (
@@ -11,14 +11,129 @@ export const RECORDING_LIMITS = {
   MAX_DURATION_SECONDS: 900, // 15 minutes maximum recording time
   
   // Recording configuration
-  MAX_FILE_SIZE: 500 * 1024 * 1024, // 500MB maximum total recording size
+  // Largest recording - must match storage.rules and firestore.rules (recordingData.fileSize < 100MB),
+  // enforced while recording so an oversized file never reaches the upload
+  MAX_FILE_SIZE: 100 * 1024 * 1024,
+  FILE_SIZE_WARNING_RATIO: 0.9, // RecordingBar warns from 90% of the limit
+  FILE_SIZE_HEADROOM_BYTES: 1024 * 1024, // Kept free for chunks in flight and the index added at finalize
   WARNING_TIME: 14 * 60, // Warning at 14 minutes (840 seconds)
   
   // Countdown sequence for recording start/resume
   COUNTDOWN_STEPS: [3, 2, 1, 'BEGIN'],
   
-  // Recording timer interval (milliseconds)
-  TIMER_INTERVAL_MS: 1000
+  // Recording timer display refresh (milliseconds) - time itself comes from the
+  // performance.now() clock (utils/recordingClock.js), so a late tick can't lose time
+  TIMER_INTERVAL_MS: 250,
+
+  // Take duration cross-check: the file's own duration wins when the clock is further off
+  DURATION_TOLERANCE_SECONDS: 1,
+
+  // MediaRecorder timeslice - chunks are emitted (and persisted for crash recovery) at this interval
+  CHUNK_TIMESLICE_MS: 5000,
+
+  // Trim handles on the review screen (audio only)
+  TRIM_STEP_SECONDS: 0.1,
+  TRIM_MIN_SECONDS: 1 // Shortest recording the handles can leave
+};
+
+// Recording quality profiles - capture constraints and MediaRecorder bitrates.
+// Size of a full-length recording: (videoBitsPerSecond + audioBitsPerSecond) / 8 * MAX_DURATION_SECONDS
+// high: 4.128 Mbps → ~464MB, standard: 2.628 Mbps → ~296MB, low: 0.864 Mbps → ~97MB
+// Only 'low' fits 15 minutes under MAX_FILE_SIZE; standard/high are kept for sessions with
+// shorter limits (standard fits 5 minutes). The profile is picked per device and stepped
+// down to fit the session by utils/qualityProfile.js.
+export const QUALITY_PROFILES = {
+  low: {
+    video: {
+      width: { ideal: 640 },
+      height: { ideal: 480 },
+      frameRate: { ideal: 24, max: 30 }
+    },
+    videoBitsPerSecond: 800000,   // 800 kbps
+    audioBitsPerSecond: 64000     // 64 kbps
+  },
+  standard: {
+    video: {
+      width: { ideal: 1280 },
+      height: { ideal: 720 },
+      frameRate: { ideal: 30, max: 30 }
+    },
+    videoBitsPerSecond: 2500000,  // 2.5 Mbps
+    audioBitsPerSecond: 128000    // 128 kbps
+  },
+  high: {
+    video: {
+      width: { ideal: 1920 },
+      height: { ideal: 1080 },
+      frameRate: { ideal: 30, max: 30 }
+    },
+    videoBitsPerSecond: 4000000,  // 4 Mbps
+    audioBitsPerSecond: 128000    // 128 kbps
+  }
+};
+
+export const DEFAULT_QUALITY_PROFILE = 'standard';
+
+// Microphone processing applied by the browser (getUserMedia audio constraints).
+// On by default - right for speech in a normal room. Storytellers recording music
+// or in a quiet room can turn these off (device settings drawer / sound test);
+// the choice is remembered by utils/audioProcessing.js.
+export const DEFAULT_AUDIO_PROCESSING = {
+  noiseSuppression: true,
+  echoCancellation: true,
+  autoGainControl: true
+};
+
+// Mirrored camera preview, by which way the camera faces (track facingMode).
+// Front cameras are mirrored like a selfie camera; webcams that don't report a
+// facingMode count as front. Only the live preview is flipped - the recording,
+// review playback and upload never are. Choice remembered by utils/mirrorPreview.js.
+export const DEFAULT_MIRROR_PREVIEW = {
+  user: true,
+  environment: false
+};
+
+// Input level meter and guidance (hooks/useAudioLevels.js). Levels are dBFS.
+export const AUDIO_LEVELS = {
+  SAMPLE_INTERVAL_MS: 100,    // How often the microphone level is measured
+  WINDOW_MS: 3000,            // History judged on the test screens
+  RECORDING_WINDOW_MS: 8000,  // Longer while recording so pauses to think don't raise warnings
+  SILENT_DB: -65,             // Loudest peak below this: nothing is getting through (muted?)
+  QUIET_DB: -42,              // Loudest RMS below this: too far from the microphone
+  CLIP_DB: -1,                // Peaks above this are clipping
+  CLIP_FRACTION: 0.05,        // Share of measurements clipping before "Too loud"
+  METER_FLOOR_DB: -60         // Bottom of the level meter bar
+};
+
+// Chapter markers dropped while recording (utils/markers.js)
+export const MARKERS = {
+  SHORTCUT_KEY: 'm',      // Keyboard shortcut on the recording screen
+  MIN_GAP_SECONDS: 2,     // A second tap this soon after the last marker is ignored
+  MAX_LABEL_LENGTH: 80    // Labels added on the review screen
+};
+
+// Prompt overlay on the recording screen (TeleprompterOverlay.jsx)
+export const TELEPROMPTER = {
+  SCROLL_SPEED_PX_PER_SECOND: 12, // Slow enough to read along while talking
+  SCROLL_DELAY_MS: 4000,          // Time to read the top before scrolling starts
+  RESUME_DELAY_MS: 3000           // Auto-scroll waits this long after a manual scroll
+};
+
+// Cover image for video recordings (utils/videoThumbnail.js)
+// Size limit: SERVICE_CONFIG.FIREBASE.MAX_THUMBNAIL_SIZE
+export const THUMBNAIL = {
+  MAX_WIDTH: 640,                          // Scaled down, aspect ratio kept
+  JPEG_QUALITY: 0.85,                      // Lowered in steps if the image is over the size limit
+  CANDIDATE_POSITIONS: [0.1, 0.3, 0.5],    // Frames tried for the default (share of the duration)
+  TIMEOUT_MS: 5000                         // Loading / seeking the recording
+};
+
+// Waveform peaks for audio recordings (utils/waveform.js), uploaded as a JSON sidecar
+export const WAVEFORM = {
+  VERSION: 1,               // Sidecar format version, bump when the JSON shape changes
+  PEAKS_PER_SECOND: 10,     // Resolution for short recordings
+  MAX_PEAKS: 2000,          // Longer recordings use fewer peaks per second
+  DECODE_SAMPLE_RATE: 8000  // Plenty for peaks, keeps the decoded buffer small
 };
 
 // Supported media formats (preserves existing format priority)
@@ -33,6 +148,24 @@ export const SUPPORTED_FORMATS = {
   ]
 };
 
+// Audio fallback when MediaRecorder supports none of SUPPORTED_FORMATS.audio
+// (utils/wavRecorder.js): uncompressed PCM at the device rate, ~5.5MB per minute at 48kHz
+export const WAV_RECORDER = {
+  MIME_TYPE: 'audio/wav',
+  CHANNELS: 1,
+  BITS_PER_SAMPLE: 16,
+  WORKLET_BUFFER_FRAMES: 4096 // Frames collected in the audio thread before they are posted
+};
+
+// Device budget checked before recording (utils/recordingBudget.js): a recording is held
+// in memory and persisted to browser storage (crash recovery) while it is recorded
+export const RECORDING_BUDGET = {
+  STORAGE_SHARE: 0.8,   // Part of the free browser storage a recording may fill (estimates are optimistic)
+  MEMORY_SHARE: 0.25,   // Part of device memory (navigator.deviceMemory) the recording may use
+  MEMORY_COPIES: 3,     // Copies held at once: recorded chunks, joined/finalized file, upload
+  WAV_SAMPLE_RATE: 48000 // Assumed device rate for the WAV fallback recorder
+};
+
 
 // Canvas dimensions for AudioRecorder component
 export const CANVAS = {
@@ -138,6 +271,15 @@ export const SERVICE_CONFIG = {
     UPLOAD_PROGRESS_INTERVAL_MS: 200,
     FETCH_DELAY_MS: 300 // Simulated network delay
   },
+
+  // Crash recovery settings (IndexedDB chunk persistence)
+  RECOVERY: {
+    DB_NAME: 'love-retold-recovery',
+    DB_VERSION: 1,
+    SESSIONS_STORE: 'sessions', // One record per sessionId (mimeType, captureMode, timestamps)
+    CHUNKS_STORE: 'chunks',     // MediaRecorder chunks keyed by [sessionId, index]
+    MAX_AGE_MS: 7 * 24 * 60 * 60 * 1000 // Discard unfinished recordings older than 7 days
+  },
   
   // Firebase service settings (C02, enhanced C05)
   FIREBASE: {
@@ -5,7 +5,8 @@
  * Prevents timer updates from triggering parent component re-renders.
  *
  * Architecture:
- * - TimerProvider manages interval and state
+ * - TimerProvider manages interval and state; time comes from a performance.now()
+ *   clock that excludes paused spans (utils/recordingClock.js)
  * - Components subscribe ONLY to timer value they need
  * - Parent components remain stable during timer ticks
  *
@@ -18,6 +19,7 @@
 import React, { createContext, useContext, useState, useRef, useEffect, useCallback } from 'react';
 import PropTypes from 'prop-types';
 import { RECORDING_LIMITS } from '../config';
+import { createRecordingClock } from '../utils/recordingClock';
 
 // Create context for timer value
 const TimerContext = createContext(null);
@@ -29,73 +31,94 @@ const TimerContext = createContext(null);
  *
  * @param {Object} props
  * @param {boolean} props.isActive - Whether timer should be running
- * @param {Function} props.onWarning - Callback at WARNING_TIME (840s)
- * @param {Function} props.onMaxDuration - Callback at MAX_DURATION (900s)
+ * @param {number} [props.maxDurationSeconds] - Session limit (default MAX_DURATION_SECONDS, 900s)
+ * @param {number|null} [props.warningTime] - Second the warning fires at (default WARNING_TIME, 840s; null = none)
+ * @param {number} [props.initialElapsedSeconds] - Time already recorded (a continued take); the clock,
+ *   warning and limit count on from it
+ * @param {Function} props.onWarning - Callback at warningTime
+ * @param {Function} props.onMaxDuration - Callback at maxDurationSeconds
  * @param {React.ReactNode} props.children - Child components
  */
-export function TimerProvider({ isActive, onWarning, onMaxDuration, children }) {
-  const [elapsedSeconds, setElapsedSeconds] = useState(0);
+export function TimerProvider({
+  isActive,
+  maxDurationSeconds = RECORDING_LIMITS.MAX_DURATION_SECONDS,
+  warningTime = RECORDING_LIMITS.WARNING_TIME,
+  initialElapsedSeconds = 0,
+  onWarning,
+  onMaxDuration,
+  children
+}) {
+  const initialElapsedMs = initialElapsedSeconds * 1000;
+  const [elapsedSeconds, setElapsedSeconds] = useState(() => Math.floor(initialElapsedSeconds));
   const intervalIdRef = useRef(null);
   const warningFiredRef = useRef(false);
   const maxDurationFiredRef = useRef(false);
+  const clockRef = useRef(null);
+  if (!clockRef.current) {
+    clockRef.current = createRecordingClock();
+    clockRef.current.reset(initialElapsedMs);
+  }
 
   /**
-   * Reset timer to zero and clear callbacks
+   * Reset timer to the initial elapsed time and clear callbacks
    */
   const reset = useCallback(() => {
-    setElapsedSeconds(0);
+    clockRef.current.reset(initialElapsedMs);
+    setElapsedSeconds(Math.floor(initialElapsedMs / 1000));
     warningFiredRef.current = false;
     maxDurationFiredRef.current = false;
-  }, []);
+  }, [initialElapsedMs]);
+
+  /**
+   * Precise recorded time (paused spans excluded, initial elapsed time included)
+   */
+  const getElapsedMs = useCallback(() => clockRef.current.getElapsedMs(), []);
 
   /**
    * Timer interval effect
+   * The clock runs while active; ticks only refresh the displayed second, so late
+   * ticks (throttled background tab, busy phone) can't lose time.
    */
   useEffect(() => {
-    if (isActive) {
-      // Start interval
-      intervalIdRef.current = setInterval(() => {
-        setElapsedSeconds((prev) => {
-          const newValue = prev >= RECORDING_LIMITS.MAX_DURATION_SECONDS
-            ? RECORDING_LIMITS.MAX_DURATION_SECONDS
-            : prev + 1;
-
-          // Check for warning threshold (once)
-          if (newValue === RECORDING_LIMITS.WARNING_TIME && !warningFiredRef.current) {
-            warningFiredRef.current = true;
-            if (onWarning) {
-              // Use setTimeout to avoid state update during render
-              setTimeout(() => onWarning(newValue), 0);
-            }
-          }
-
-          // Check for max duration (once)
-          if (newValue === RECORDING_LIMITS.MAX_DURATION_SECONDS && !maxDurationFiredRef.current) {
-            maxDurationFiredRef.current = true;
-            if (onMaxDuration) {
-              // Use setTimeout to avoid state update during render
-              setTimeout(() => onMaxDuration(newValue), 0);
-            }
-          }
-
-          return newValue;
-        });
-      }, RECORDING_LIMITS.TIMER_INTERVAL_MS);
-
-      return () => {
-        if (intervalIdRef.current) {
-          clearInterval(intervalIdRef.current);
-          intervalIdRef.current = null;
+    if (!isActive) return undefined;
+
+    const clock = clockRef.current;
+    clock.start();
+
+    const tick = () => {
+      const newValue = Math.min(maxDurationSeconds, Math.floor(clock.getElapsedMs() / 1000));
+      setElapsedSeconds(newValue);
+
+      // Check for warning threshold (once) - >= because a late tick can skip seconds
+      if (warningTime !== null && newValue >= warningTime && !warningFiredRef.current) {
+        warningFiredRef.current = true;
+        if (onWarning) {
+          // Use setTimeout so a blocking alert() doesn't stall the tick
+          setTimeout(() => onWarning(newValue), 0);
         }
-      };
-    } else {
-      // Not active - clear interval if exists
+      }
+
+      // Check for max duration (once)
+      if (newValue >= maxDurationSeconds && !maxDurationFiredRef.current) {
+        maxDurationFiredRef.current = true;
+        if (onMaxDuration) {
+          // Use setTimeout so a blocking alert() doesn't stall the tick
+          setTimeout(() => onMaxDuration(newValue), 0);
+        }
+      }
+    };
+
+    intervalIdRef.current = setInterval(tick, RECORDING_LIMITS.TIMER_INTERVAL_MS);
+
+    return () => {
       if (intervalIdRef.current) {
         clearInterval(intervalIdRef.current);
         intervalIdRef.current = null;
       }
-    }
-  }, [isActive, onWarning, onMaxDuration]);
+      // Paused (or callbacks changed) - paused spans don't count
+      clock.stop();
+    };
+  }, [isActive, maxDurationSeconds, warningTime, onWarning, onMaxDuration]);
 
   /**
    * Cleanup on unmount
@@ -110,6 +133,8 @@ export function TimerProvider({ isActive, onWarning, onMaxDuration, children })
 
   const value = {
     elapsedSeconds,
+    getElapsedMs,
+    initialElapsedMs,
     reset
   };
 
@@ -122,6 +147,9 @@ export function TimerProvider({ isActive, onWarning, onMaxDuration, children })
 
 TimerProvider.propTypes = {
   isActive: PropTypes.bool.isRequired,
+  maxDurationSeconds: PropTypes.number,
+  warningTime: PropTypes.number,
+  initialElapsedSeconds: PropTypes.number,
   onWarning: PropTypes.func,
   onMaxDuration: PropTypes.func,
   children: PropTypes.node.isRequired
@@ -133,7 +161,7 @@ TimerProvider.propTypes = {
  * Hook to access timer value from any component.
  * Only components using this hook will re-render on timer updates.
  *
- * @returns {{elapsedSeconds: number, reset: Function}}
+ * @returns {{elapsedSeconds: number, getElapsedMs: Function, initialElapsedMs: number, reset: Function}}
  */
 export function useTimer() {
   const context = useContext(TimerContext);
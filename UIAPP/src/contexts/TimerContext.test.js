@@ -0,0 +1,66 @@
+/**
+ * TimerContext Tests
+ *
+ * Recording timer counting on from a continued take's length.
+ */
+
+import React from 'react';
+import { renderHook, act } from '@testing-library/react';
+import { TimerProvider, useTimer } from './TimerContext';
+
+function renderTimer(props) {
+  const wrapper = ({ children }) => (
+    <TimerProvider isActive {...props}>{children}</TimerProvider>
+  );
+  return renderHook(() => useTimer(), { wrapper });
+}
+
+describe('TimerProvider', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('starts at zero for a new recording', () => {
+    const { result } = renderTimer({});
+
+    act(() => jest.advanceTimersByTime(3000));
+
+    expect(result.current.elapsedSeconds).toBe(3);
+    expect(result.current.initialElapsedMs).toBe(0);
+  });
+
+  it('counts on from the length of a continued take', () => {
+    const { result } = renderTimer({ initialElapsedSeconds: 40 });
+
+    expect(result.current.elapsedSeconds).toBe(40);
+
+    act(() => jest.advanceTimersByTime(5000));
+
+    expect(result.current.elapsedSeconds).toBe(45);
+    expect(result.current.getElapsedMs() - result.current.initialElapsedMs).toBe(5000);
+  });
+
+  it('counts the continued take towards the warning and the limit', () => {
+    const onWarning = jest.fn();
+    const onMaxDuration = jest.fn();
+    renderTimer({
+      initialElapsedSeconds: 50,
+      maxDurationSeconds: 60,
+      warningTime: 55,
+      onWarning,
+      onMaxDuration
+    });
+
+    // Callbacks run on a timeout after the tick that reaches them
+    act(() => jest.advanceTimersByTime(5100));
+    expect(onWarning).toHaveBeenCalledWith(55);
+    expect(onMaxDuration).not.toHaveBeenCalled();
+
+    act(() => jest.advanceTimersByTime(5000));
+    expect(onMaxDuration).toHaveBeenCalledWith(60);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * useAudioLevels.js
+ * -----------------
+ * Live microphone level analysis for a MediaStream.
+ *
+ * Measures RMS and peak level every AUDIO_LEVELS.SAMPLE_INTERVAL_MS and keeps a
+ * rolling history (windowMs) that is judged for guidance: muted/silent, too
+ * quiet or clipping. Nothing is judged until a full window has been heard, so
+ * the first seconds after the stream opens don't flash warnings.
+ *
+ * Used by LevelMeter (AudioTest, VideoTest) and RecordingBar.
+ *
+ * @param {MediaStream} mediaStream - Stream with an audio track
+ * @param {Object} [options]
+ * @param {boolean} [options.enabled=true] - Pause analysis (e.g. recording paused); resets the history
+ * @param {number} [options.windowMs] - History length used for the status
+ * @param {boolean} [options.meter=true] - Publish live levels; false only updates on status changes
+ * @returns {Object} - { rmsDb, peakDb, level, peakLevel, status, message }
+ */
+
+import { useState, useEffect } from 'react';
+import { AUDIO_LEVELS } from '../config';
+import { measureLevels, summarizeLevels, LEVEL_GUIDANCE, MIN_DB } from '../utils/audioLevels';
+
+const IDLE_LEVELS = { rmsDb: MIN_DB, peakDb: MIN_DB };
+
+// Position of a dBFS value on the meter (0-1)
+function toMeterLevel(db) {
+  const floor = AUDIO_LEVELS.METER_FLOOR_DB;
+  return Math.min(1, Math.max(0, (db - floor) / -floor));
+}
+
+export default function useAudioLevels(mediaStream, {
+  enabled = true,
+  windowMs = AUDIO_LEVELS.WINDOW_MS,
+  meter = true
+} = {}) {
+  const [levels, setLevels] = useState(IDLE_LEVELS);
+  const [status, setStatus] = useState('unknown');
+
+  useEffect(() => {
+    setStatus('unknown');
+    setLevels(IDLE_LEVELS);
+
+    if (!enabled || !mediaStream || mediaStream.getAudioTracks().length === 0) {
+      return;
+    }
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+
+    let context;
+    let source;
+    let analyser;
+    try {
+      context = new AudioContextClass();
+      source = context.createMediaStreamSource(mediaStream);
+      analyser = context.createAnalyser();
+      analyser.fftSize = 2048;
+      source.connect(analyser); // Not connected to speakers
+    } catch (error) {
+      console.error('[useAudioLevels] Failed to start level analysis:', error);
+      if (context) context.close().catch(() => {});
+      return;
+    }
+
+    // iOS Safari can create the context suspended
+    if (context.state === 'suspended') {
+      context.resume().catch(() => {});
+    }
+
+    const samples = new Float32Array(analyser.fftSize);
+    const windowFrames = Math.max(1, Math.round(windowMs / AUDIO_LEVELS.SAMPLE_INTERVAL_MS));
+    const history = [];
+
+    const intervalId = setInterval(() => {
+      analyser.getFloatTimeDomainData(samples);
+      const measurement = measureLevels(samples);
+
+      history.push(measurement);
+      if (history.length > windowFrames) history.shift();
+
+      if (meter) setLevels(measurement);
+      setStatus(history.length < windowFrames ? 'unknown' : summarizeLevels(history));
+    }, AUDIO_LEVELS.SAMPLE_INTERVAL_MS);
+
+    return () => {
+      clearInterval(intervalId);
+      try {
+        source.disconnect();
+      } catch (error) {
+        console.error('[useAudioLevels] Error disconnecting source:', error);
+      }
+      // iOS Safari best practice: suspend before close (same as AudioVisualizer)
+      if (context.state !== 'closed') {
+        context.suspend()
+          .then(() => context.close())
+          .catch(err => console.error('[useAudioLevels] AudioContext close error:', err));
+      }
+    };
+  }, [mediaStream, enabled, windowMs, meter]);
+
+  return {
+    rmsDb: levels.rmsDb,
+    peakDb: levels.peakDb,
+    level: toMeterLevel(levels.rmsDb),      // 0-1, for a meter bar
+    peakLevel: toMeterLevel(levels.peakDb), // 0-1, for a peak marker
+    status,                                  // 'unknown' | 'ok' | 'silent' | 'quiet' | 'loud'
+    message: LEVEL_GUIDANCE[status] || null
+  };
+}
@@ -7,7 +7,8 @@
  * Features:
  * - Auto-enumerates when permission granted (mediaStream exists)
  * - Listens for devicechange events (hotplug detection)
- * - Persists selection to localStorage
+ * - Persists selection to localStorage (read back by useRecordingFlow via
+ *   getPreferredDeviceId when it opens a stream)
  * - Handles empty labels (before permission)
  * - Sets intelligent default (first non-communications device)
  *
@@ -59,6 +60,23 @@ function cleanDeviceLabel(label) {
   return cleaned.trim();
 }
 
+const preferenceKey = (deviceType) => `preferred-${deviceType}`;
+
+/**
+ * Saved device preference for a device type.
+ * Lets stream requests start on the remembered device instead of the browser default.
+ *
+ * @param {string} deviceType - 'audioinput' | 'videoinput' | 'audiooutput'
+ * @returns {string|null} - Saved deviceId, or null when none
+ */
+export function getPreferredDeviceId(deviceType) {
+  try {
+    return localStorage.getItem(preferenceKey(deviceType));
+  } catch (error) {
+    return null;
+  }
+}
+
 function useMediaDevices(deviceType, mediaStream) {
   const [devices, setDevices] = useState([]);
   const [selectedDeviceId, setSelectedDeviceId] = useState(null);
@@ -92,8 +110,7 @@ function useMediaDevices(deviceType, mediaStream) {
       setDevices(filtered);
 
       // Check localStorage for saved preference (runs AFTER enumeration)
-      const storageKey = `preferred-${deviceType}`;
-      const savedDeviceId = localStorage.getItem(storageKey);
+      const savedDeviceId = getPreferredDeviceId(deviceType);
 
       if (savedDeviceId && filtered.some(d => d.deviceId === savedDeviceId)) {
         // Saved preference always takes priority
@@ -142,8 +159,7 @@ function useMediaDevices(deviceType, mediaStream) {
   // Save device preference
   const selectDevice = useCallback((deviceId) => {
     setSelectedDeviceId(deviceId);
-    const storageKey = `preferred-${deviceType}`;
-    localStorage.setItem(storageKey, deviceId);
+    localStorage.setItem(preferenceKey(deviceType), deviceId);
   }, [deviceType]);
 
   return {
@@ -1,13 +1,14 @@
 /**
  * useRecordingFlow.js
  * -------------------
- * Custom React hook that manages the entire audio/video recording cycle
+ * Custom React hook that manages the entire audio/video/screen recording cycle
  * Simplified for React Router architecture - session validation handled by SessionValidator
  */
 
 import { useState, useRef, useEffect, useCallback } from 'react';
-import { SUPPORTED_FORMATS, ENV_CONFIG } from '../config';
+import { SUPPORTED_FORMATS, ENV_CONFIG, RECORDING_LIMITS, WAV_RECORDER } from '../config';
 import useCountdown from './useCountdown';
+import useWakeLock from './useWakeLock';
 import { serverTimestamp } from 'firebase/firestore';
 import { debugService } from '../utils/DebugService';
 
@@ -16,13 +17,108 @@ import { initializeAuth } from '../services/firebase';
 import { firebaseErrorHandler } from '../utils/firebaseErrorHandler';
 import { updateRecordingSession } from '../services/firebase/firestore';
 
+// Crash recovery: persist chunks to IndexedDB as they arrive
+import {
+  beginRecoverySession,
+  saveRecoveryChunk,
+  updateRecoverySession,
+  clearRecoverySession
+} from '../services/recordingRecoveryService';
+
+// Continue recording: join a new segment onto an existing take
+import { joinRecordings } from '../utils/mediaJoin';
+
+// WebM from MediaRecorder has no Duration or seek index - added before it becomes a take
+import { finalizeRecording } from '../utils/mediaFinalize';
+
+// Audio fallback (PCM → WAV) when MediaRecorder supports none of SUPPORTED_FORMATS.audio
+import { isWavRecorderSupported, createWavRecorder } from '../utils/wavRecorder';
+
+// Screen mode records as video (formats, players, upload metadata)
+import { getMediaKind } from '../utils/captureMode';
+
+// Waveform peaks for audio takes (review scrubber + uploaded sidecar)
+import { createWaveform } from '../utils/waveform';
+
+// Pause-aware performance.now() clock + cross-check against the finished file
+import { createRecordingClock, toDurationSeconds, measureRecordingDuration, reconcileDuration } from '../utils/recordingClock';
+
+// Quality profile: capture constraints + recorder bitrates picked per device
+import { selectQualityProfile, fitQualityProfile, getQualityProfile, getRecorderOptions } from '../utils/qualityProfile';
+import { getSessionLimits, getFileSizeStatus } from '../utils/sessionLimits';
+
+// Microphone processing (noise suppression, echo cancellation, auto gain) - remembered choice
+import {
+  loadAudioProcessing,
+  saveAudioProcessing,
+  buildAudioConstraints,
+  getAppliedAudioProcessing
+} from '../utils/audioProcessing';
+
+// Stable intermediate stream for the recorder - devices can change mid-recording
+import { createRecordingPipeline } from '../utils/recordingPipeline';
+
+// Chapter markers dropped while recording
+import { createMarker, canAddMarker, offsetMarkers, sliceMarkers } from '../utils/markers';
+
+// Remembered microphone/camera choices (saved by the device settings drawer)
+import { getPreferredDeviceId } from './useMediaDevices';
+
 // Progressive upload removed - using simple full upload after recording
 
-export default function useRecordingFlow({ sessionId, sessionData, sessionComponents, onDoneAndSubmitStage }) {
+// Camera constraints for the quality profile, optionally on a specific camera
+// 'ideal' is used for remembered preferences so a missing camera falls back to the default
+function buildVideoConstraints(profileName, deviceId, match = 'exact') {
+  const video = getQualityProfile(profileName).video;
+  return deviceId && deviceId !== 'default'
+    ? { ...video, deviceId: { [match]: deviceId } }
+    : video;
+}
+
+// Start a fresh segment recorder, or resume a paused one
+function resumeRecorder(recorder) {
+  if (recorder.state === 'inactive') {
+    recorder.start(RECORDING_LIMITS.CHUNK_TIMESLICE_MS);
+  } else if (recorder.state === 'paused') {
+    recorder.resume();
+  }
+}
+
+// Whether the OS is withholding a live track (phone call, another app using the device)
+function hasMutedTrack(stream) {
+  return stream.getTracks().some(track => track.readyState === 'live' && track.muted);
+}
+
+// Which device a stream lost (first ended track), for the device-lost prompt
+function describeLostDevice(stream, captureMode) {
+  const track = stream.getTracks().find(t => t.readyState === 'ended') || stream.getTracks()[0];
+  const kind = track ? track.kind : 'audio';
+  return {
+    kind,
+    label: track ? track.label : '',
+    isScreen: captureMode === 'screen' && kind === 'video'
+  };
+}
+
+// New stream with the `kind` tracks taken from `replacement` and every other track
+// kept from `oldStream` - used to change one device without restarting the other
+function withReplacedTracks(oldStream, replacement, kind) {
+  const kept = oldStream ? oldStream.getTracks().filter(track => track.kind !== kind) : [];
+  const stream = new MediaStream([
+    ...kept,
+    ...replacement.getTracks().filter(track => track.kind === kind)
+  ]);
+  // TAG IT - Keep the original source tag for leak detection
+  stream._debugTag = oldStream?._debugTag || replacement._debugTag;
+  debugService.trackStream(stream);
+  return stream;
+}
+
+export default function useRecordingFlow({ sessionId, sessionData, sessionComponents, onDoneAndSubmitStage, onMaxFileSize, onRecorderError, promptIndex = 0 }) {
   // ===========================
   // State & References
   // ===========================
-  const [captureMode, setCaptureMode] = useState(null); // 'audio' or 'video'
+  const [captureMode, setCaptureMode] = useState(null); // 'audio', 'video' or 'screen'
   const [mediaStream, setMediaStream] = useState(null);
   const [mediaRecorder, setMediaRecorder] = useState(null);
   const [recordedBlobUrl, setRecordedBlobUrl] = useState(null);
@@ -32,6 +128,62 @@ export default function useRecordingFlow({ sessionId, sessionData, sessionCompon
   const cleanupTimeoutRef = useRef(null);        // Track 200ms cleanup timeout
   const skipNavigationRef = useRef(false);        // Control navigation in onstop
 
+  // Recorded time (paused spans excluded) for take durations and crash recovery metadata
+  // (TimerContext owns the on-screen clock; both run on utils/recordingClock.js)
+  const chunkIndexRef = useRef(0);
+  const recordingClockRef = useRef(null);
+  if (!recordingClockRef.current) {
+    recordingClockRef.current = createRecordingClock();
+  }
+
+  // Takes: every completed recording in this session, kept across Start Over
+  // Each take: { id, blob, blobUrl, duration, mimeType, captureMode, recordedAt, trim, settings, markers, thumbnail, waveform }
+  const [takes, setTakes] = useState([]);
+  const [selectedTakeId, setSelectedTakeId] = useState(null);
+  const pendingTakeDurationRef = useRef(null);  // Duration captured in handleDone, used when onstop creates the take
+  const takesRef = useRef(takes);                // Latest takes for async join after onstop
+
+  // Continue recording: take the next segment will be joined onto (null = new take)
+  const [continuingTakeId, setContinuingTakeId] = useState(null);
+  const recoveryBaseSecondsRef = useRef(0);      // Length of the take being continued (recovery metadata)
+  const recoveryBaseMarkersRef = useRef([]);     // Markers of the take being continued (recovery metadata)
+
+  // Chapter markers of the recording in progress ({ id, time, label }, time from its start)
+  const [recordingMarkers, setRecordingMarkers] = useState([]);
+  const recordingMarkersRef = useRef([]);
+
+  // Lost device mid-recording: the recording continues in a new segment once the device
+  // is replaced, and all segments are joined when it stops (see handleStartRecording)
+  const [lostDevice, setLostDevice] = useState(null);  // { kind, label, isScreen } while waiting for a replacement
+  const completedSegmentsRef = useRef([]);       // [{ blob, endSeconds }] segments before the current one
+
+  // Size of the recording in progress (all segments, plus the take being continued):
+  // shown in RecordingBar, and onMaxFileSize stops the recording before the upload limit
+  const [recordedSize, setRecordedSize] = useState({ bytes: 0, largestChunk: 0 });
+  const recordedSizeRef = useRef({ bytes: 0, largestChunk: 0 });
+  const onMaxFileSizeRef = useRef(onMaxFileSize);
+  onMaxFileSizeRef.current = onMaxFileSize;
+
+  // Called with the error when the recorder fails and the recording had to end
+  const onRecorderErrorRef = useRef(onRecorderError);
+  onRecorderErrorRef.current = onRecorderError;
+
+  // Recording paused because the page was left or the OS took a device (see interruption effect)
+  const [interruption, setInterruption] = useState(null); // { reason: 'hidden' | 'pagehide' | 'muted', kind, waiting }
+  const recoverySegmentStartsRef = useRef([]);   // Chunk index where each segment starts (crash recovery)
+  const rolloverRef = useRef(null);              // Resolves when a segment is closed for a replacement
+  const expectedStopRef = useRef(false);         // True once Done/Start Over asked the recorder to stop
+  const createSegmentRecorderRef = useRef(null); // Builds a recorder for the next segment
+  const pipelineRef = useRef(null);              // Recording pipeline the recorder reads from after a device change (utils/recordingPipeline)
+  const finishRecordingRef = useRef(null);       // Stores the recording as a take
+
+  // Quality profile for this device (QUALITY_PROFILES key), chosen once per session and
+  // stepped down if a full-length recording wouldn't fit the session's size limit
+  const [qualityProfile] = useState(() => fitQualityProfile(selectQualityProfile(), getSessionLimits(sessionData)));
+
+  // Microphone processing options, restored from localStorage
+  const [audioProcessing, setAudioProcessingState] = useState(() => loadAudioProcessing());
+
   // Recording state
   const [isRecording, setIsRecording] = useState(false);
   const [isPaused, setIsPaused] = useState(false);
@@ -43,6 +195,10 @@ export default function useRecordingFlow({ sessionId, sessionData, sessionCompon
   // Countdown functionality using reusable hook
   const { countdownActive, countdownValue, startCountdown } = useCountdown();
 
+  // Keep the screen on while recording - an auto-locked phone stops the devices
+  // (released on pause, Done, Start Over and unmount)
+  useWakeLock(isRecording && !isPaused, 'recording');
+
   // NOTE: Elapsed time moved to TimerContext to prevent re-renders
   // Timer value accessed via useTimer() hook in components that need it
 
@@ -86,6 +242,10 @@ export default function useRecordingFlow({ sessionId, sessionData, sessionCompon
     mediaStreamRef.current = mediaStream;
   }, [mediaStream]);
 
+  useEffect(() => {
+    takesRef.current = takes;
+  }, [takes]);
+
   useEffect(() => {
     return () => {
       // Mark component as unmounted
@@ -103,6 +263,11 @@ export default function useRecordingFlow({ sessionId, sessionData, sessionCompon
         cleanupTimeoutRef.current = null;
       }
 
+      if (pipelineRef.current) {
+        pipelineRef.current.destroy();
+        pipelineRef.current = null;
+      }
+
       // Use ref to get latest stream value at cleanup time
       if (mediaStreamRef.current) {
         mediaStreamRef.current.getTracks().forEach(track => {
@@ -119,6 +284,12 @@ export default function useRecordingFlow({ sessionId, sessionData, sessionCompon
     };
   }, []); // Empty deps - only cleanup on unmount
 
+  // The WAV fallback recorder loads its audio worklet when created; free one that is
+  // dropped before it was started (Start Over during the countdown, unused segment)
+  useEffect(() => {
+    return () => mediaRecorder?.release?.();
+  }, [mediaRecorder]);
+
   // Clean up mediaStream when captureMode is cleared
   // This ensures proper state cleanup when navigating back from test screens
   // Fixes bug: AudioTest/VideoTest → ChooseModeScreen navigation causing blank screen
@@ -128,6 +299,259 @@ export default function useRecordingFlow({ sessionId, sessionData, sessionCompon
     }
   }, [captureMode, mediaStream, stopMediaStream]);
 
+  // Screen mode: if the user stops sharing from the browser's own UI before recording,
+  // drop the dead stream so AppContent sends them back to pick a screen again
+  useEffect(() => {
+    if (captureMode !== 'screen' || !mediaStream || isRecording || isPaused) return;
+
+    const [screenTrack] = mediaStream.getVideoTracks();
+    if (!screenTrack) return;
+
+    const handleEnded = () => {
+      debugService.log('HARDWARE', 'Screen sharing stopped by user');
+      stopMediaStream();
+    };
+    screenTrack.addEventListener('ended', handleEnded);
+    return () => screenTrack.removeEventListener('ended', handleEnded);
+  }, [captureMode, mediaStream, isRecording, isPaused, stopMediaStream]);
+
+  // ===========================
+  // Crash Recovery Helpers
+  // ===========================
+  const getRecordedSeconds = useCallback(() => (
+    toDurationSeconds(recordingClockRef.current.getElapsedMs())
+  ), []);
+
+  const closeRecordedSegment = useCallback(() => {
+    recordingClockRef.current.stop();
+  }, []);
+
+  // Device lost mid-recording (headset dropped, camera unplugged, screen sharing stopped):
+  // pause instead of recording silence/black frames and wait for a replacement.
+  // Tracks stopped by the app don't fire 'ended', so Done/Start Over don't trigger this.
+  useEffect(() => {
+    if (!mediaStream || !(isRecording || isPaused) || lostDevice) return;
+
+    const tracks = mediaStream.getTracks();
+    const checkTracks = () => {
+      if (!tracks.some(track => track.readyState === 'ended')) return;
+
+      const lost = describeLostDevice(mediaStream, captureMode);
+      debugService.log('HARDWARE', `Device lost during recording: ${lost.kind} (${lost.label})`);
+      if (mediaRecorder && mediaRecorder.state === 'recording') {
+        mediaRecorder.pause();
+        closeRecordedSegment();
+        debugService.setRecorderState('paused');
+      }
+      setIsPaused(true);
+      setLostDevice(lost);
+    };
+
+    tracks.forEach(track => track.addEventListener('ended', checkTracks));
+    navigator.mediaDevices?.addEventListener?.('devicechange', checkTracks);
+    return () => {
+      tracks.forEach(track => track.removeEventListener('ended', checkTracks));
+      navigator.mediaDevices?.removeEventListener?.('devicechange', checkTracks);
+    };
+  }, [mediaStream, isRecording, isPaused, lostDevice, mediaRecorder, captureMode, closeRecordedSegment]);
+
+  // Page left (app switch, phone call, iOS suspending the tab) or a track muted by the OS:
+  // the recorder would keep running on silence/frozen frames, or freeze with the page.
+  // Pause cleanly instead and let the user resume when they're back.
+  // Screen recordings keep recording in the background - leaving the page is the point.
+  useEffect(() => {
+    if (!mediaStream || !mediaRecorder || !isRecording || isPaused) return;
+
+    const isScreen = captureMode === 'screen';
+    const interrupt = (reason, kind = null) => {
+      if (mediaRecorder.state !== 'recording') return;
+      mediaRecorder.pause();
+      // Persist what was recorded so far - a hidden page may be discarded without notice
+      mediaRecorder.requestData?.();
+      closeRecordedSegment();
+      setIsPaused(true);
+      setInterruption({ reason, kind, waiting: hasMutedTrack(mediaStream) });
+      debugService.setRecorderState('paused');
+      debugService.log('RECORDER', `Recording interrupted (${reason}${kind ? `: ${kind}` : ''}) - paused`);
+    };
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') interrupt('hidden');
+    };
+    const handlePageHide = () => interrupt('pagehide');
+    // Screen video mutes whenever the shared window is minimized - only watch the microphone there
+    const tracks = isScreen ? mediaStream.getAudioTracks() : mediaStream.getTracks();
+    const muteHandlers = tracks.map(track => [track, () => interrupt('muted', track.kind)]);
+
+    if (!isScreen) document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('pagehide', handlePageHide);
+    muteHandlers.forEach(([track, handler]) => track.addEventListener('mute', handler));
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('pagehide', handlePageHide);
+      muteHandlers.forEach(([track, handler]) => track.removeEventListener('mute', handler));
+    };
+  }, [mediaStream, mediaRecorder, isRecording, isPaused, captureMode, closeRecordedSegment]);
+
+  // While interrupted: Resume waits until the OS hands muted tracks back
+  useEffect(() => {
+    if (!interruption || !mediaStream) return;
+
+    const tracks = mediaStream.getTracks();
+    const update = () => {
+      const waiting = hasMutedTrack(mediaStream);
+      setInterruption(current => (current && current.waiting !== waiting ? { ...current, waiting } : current));
+    };
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') {
+        debugService.log('RECORDER', 'Page visible again after interruption');
+        update();
+      }
+    };
+
+    tracks.forEach(track => {
+      track.addEventListener('mute', update);
+      track.addEventListener('unmute', update);
+    });
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      tracks.forEach(track => {
+        track.removeEventListener('mute', update);
+        track.removeEventListener('unmute', update);
+      });
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [interruption, mediaStream]);
+
+  // ===========================
+  // Take Helpers
+  // ===========================
+  // Compute waveform peaks for an audio take in the background. Dropped if the
+  // take's recording changed meanwhile (segment joined on).
+  const computeTakeWaveform = useCallback((takeId, blob) => {
+    createWaveform(blob)
+      .then((waveform) => {
+        setTakes(prev => prev.map(t => (t.id === takeId && t.blob === blob ? { ...t, waveform } : t)));
+      })
+      .catch((error) => {
+        console.warn('[useRecordingFlow] Could not compute waveform:', error);
+        debugService.log('RECORDER', 'Waveform computation failed', error);
+      });
+  }, []);
+
+  // Add a finished recording as a new take and make it the selected one
+  const addTake = useCallback((blob, { duration, mimeType, captureMode: takeMode, recordedAt, settings = null, markers = [] }) => {
+    const url = URL.createObjectURL(blob);
+    const take = {
+      id: `take-${recordedAt}-${Math.random().toString(36).substr(2, 5)}`,
+      blob,
+      blobUrl: url,
+      duration,
+      mimeType,
+      captureMode: takeMode,
+      recordedAt,
+      trim: null,  // { start, end } in seconds, applied at submit
+      settings,    // Recording settings for upload metadata: { qualityProfile, audioProcessing }
+      markers,     // Chapter markers: [{ id, time, label }]
+      thumbnail: null, // Video cover image { blob, url, time }, set from the review screen
+      waveform: null   // Audio peaks { version, duration, peaks }, computed below
+    };
+
+    setTakes(prev => [...prev, take]);
+    setSelectedTakeId(take.id);
+    setRecordedBlobUrl(url);
+    if (getMediaKind(takeMode) === 'audio') computeTakeWaveform(take.id, blob);
+    debugService.log('RECORDER', `Take added: ${blob.size} bytes, ${duration}s`);
+    return take;
+  }, [computeTakeWaveform]);
+
+  // Join a new segment onto an existing take; falls back to a separate take if the
+  // segments can't be joined (different container/codec setup)
+  const joinIntoTake = useCallback(async (takeId, segmentBlob, segmentInfo) => {
+    const base = takesRef.current.find(t => t.id === takeId);
+
+    if (!base || base.captureMode !== segmentInfo.captureMode) {
+      addTake(segmentBlob, segmentInfo);
+      return;
+    }
+
+    try {
+      const joined = await finalizeRecording(await joinRecordings([base.blob, segmentBlob], base.mimeType), base.mimeType);
+      const url = URL.createObjectURL(joined);
+      const updated = {
+        ...base,
+        blob: joined,
+        blobUrl: url,
+        duration: (base.duration || 0) + (segmentInfo.duration || 0),
+        recordedAt: segmentInfo.recordedAt,
+        trim: null,  // Trim handles were placed on the shorter recording
+        markers: [...(base.markers || []), ...offsetMarkers(segmentInfo.markers || [], base.duration || 0)],
+        thumbnail: null, // Picked again from the longer recording
+        waveform: null   // Computed again from the longer recording
+      };
+
+      setTakes(prev => prev.map(t => (t.id === takeId ? updated : t)));
+      setSelectedTakeId(takeId);
+      setActualMimeType(base.mimeType);
+      setRecordedBlobUrl(url);
+      URL.revokeObjectURL(base.blobUrl);
+      if (base.thumbnail) URL.revokeObjectURL(base.thumbnail.url);
+      if (getMediaKind(base.captureMode) === 'audio') computeTakeWaveform(takeId, joined);
+      debugService.log('RECORDER', `Segment joined onto ${takeId}: ${joined.size} bytes, ${updated.duration}s`);
+    } catch (error) {
+      console.error('[useRecordingFlow] Could not join segment, keeping it as a separate take:', error);
+      debugService.log('RECORDER', 'Segment join failed - kept as separate take', error);
+      addTake(segmentBlob, segmentInfo);
+    }
+  }, [addTake, computeTakeWaveform]);
+
+  // Switch the review player and submission to a previously recorded take
+  const selectTake = useCallback((takeId) => {
+    const take = takes.find(t => t.id === takeId);
+    if (!take) return;
+
+    setSelectedTakeId(take.id);
+    setCaptureMode(take.captureMode);
+    setActualMimeType(take.mimeType);
+    setRecordedBlobUrl(take.blobUrl);
+    debugService.log('UI', `Take selected: ${take.id}`);
+  }, [takes]);
+
+  // Set the trim range ({ start, end } in seconds) for a take, or null to clear it.
+  // The take's original blob is left untouched; trimming happens at submit.
+  const setTakeTrim = useCallback((takeId, trim) => {
+    setTakes(prev => prev.map(t => (t.id === takeId ? { ...t, trim } : t)));
+  }, []);
+
+  // Drop every take (multi-question sessions: the next prompt starts with an empty take picker)
+  const clearTakes = useCallback(() => {
+    takesRef.current.forEach(take => {
+      URL.revokeObjectURL(take.blobUrl);
+      if (take.thumbnail) URL.revokeObjectURL(take.thumbnail.url);
+    });
+    setTakes([]);
+    setSelectedTakeId(null);
+    setRecordedBlobUrl(null);
+    debugService.log('FLOW', 'Takes cleared');
+  }, []);
+
+  // Set the cover image of a video take ({ blob, time } from utils/videoThumbnail)
+  const setTakeThumbnail = useCallback((takeId, { blob, time }) => {
+    const url = URL.createObjectURL(blob);
+    setTakes(prev => prev.map(t => {
+      if (t.id !== takeId) return t;
+      if (t.thumbnail) URL.revokeObjectURL(t.thumbnail.url);
+      return { ...t, thumbnail: { blob, url, time } };
+    }));
+  }, []);
+
+  // Label a chapter marker of a take (review screen)
+  const setMarkerLabel = useCallback((takeId, markerId, label) => {
+    setTakes(prev => prev.map(t => (t.id === takeId
+      ? { ...t, markers: t.markers.map(m => (m.id === markerId ? { ...m, label } : m)) }
+      : t)));
+  }, []);
+
   // ===========================
   // Recording Handlers
   // ===========================
@@ -139,9 +563,10 @@ export default function useRecordingFlow({ sessionId, sessionData, sessionCompon
     debugService.log('FLOW', 'isStreamLoading: false → true');
 
     try {
+      // Start on the remembered camera and microphone (falls back to defaults if gone)
       const stream = await navigator.mediaDevices.getUserMedia({
-        video: true,
-        audio: true
+        video: buildVideoConstraints(qualityProfile, getPreferredDeviceId('videoinput'), 'ideal'),
+        audio: buildAudioConstraints(audioProcessing, getPreferredDeviceId('audioinput'), 'ideal')
       });
       // TAG IT - Mark source for leak detection
       stream._debugTag = 'Flow_MainVideo';
@@ -158,7 +583,7 @@ export default function useRecordingFlow({ sessionId, sessionData, sessionCompon
       setIsStreamLoading(false);
       debugService.log('FLOW', 'isStreamLoading: true → false');
     }
-  }, []);
+  }, [qualityProfile, audioProcessing]);
 
   const handleAudioClick = useCallback(async () => {
     debugService.log('FLOW', 'handleAudioClick: Requesting audio stream...');
@@ -169,7 +594,7 @@ export default function useRecordingFlow({ sessionId, sessionData, sessionCompon
 
     try {
       const stream = await navigator.mediaDevices.getUserMedia({
-        audio: true
+        audio: buildAudioConstraints(audioProcessing, getPreferredDeviceId('audioinput'), 'ideal')
       });
       // TAG IT - Mark source for leak detection
       stream._debugTag = 'Flow_MainAudio';
@@ -186,10 +611,90 @@ export default function useRecordingFlow({ sessionId, sessionData, sessionCompon
       setIsStreamLoading(false);
       debugService.log('FLOW', 'isStreamLoading: true → false');
     }
-  }, []);
+  }, [audioProcessing]);
+
+  // Screen mode: shared screen video + microphone audio in one stream.
+  // getDisplayMedia is called first - it needs the user gesture that triggered this call.
+  const handleScreenClick = useCallback(async () => {
+    debugService.log('FLOW', 'handleScreenClick: Requesting screen + microphone streams...');
+
+    // iOS HOT MIC FIX: Set loading state BEFORE async operation
+    setIsStreamLoading(true);
+    debugService.log('FLOW', 'isStreamLoading: false → true');
 
-  // Device switching handler
-  // Properly updates mediaStream state and preserves old stream on failure
+    let displayStream = null;
+    try {
+      displayStream = await navigator.mediaDevices.getDisplayMedia({
+        video: getQualityProfile(qualityProfile).video,
+        audio: false
+      });
+      const micStream = await navigator.mediaDevices.getUserMedia({
+        audio: buildAudioConstraints(audioProcessing, getPreferredDeviceId('audioinput'), 'ideal')
+      });
+
+      const stream = new MediaStream([
+        ...displayStream.getVideoTracks(),
+        ...micStream.getAudioTracks()
+      ]);
+      // TAG IT - Mark source for leak detection
+      stream._debugTag = 'Flow_MainScreen';
+      debugService.trackStream(stream);
+      debugService.log('HARDWARE', 'Flow: Main screen stream created', stream);
+      setCaptureMode('screen');
+      setMediaStream(stream);
+    } catch (error) {
+      // Don't leave the screen shared if the microphone was refused
+      if (displayStream) {
+        displayStream.getTracks().forEach(track => track.stop());
+      }
+      debugService.log('FLOW', 'handleScreenClick failed', error);
+      // RE-THROW error so AppContent can show it on ScreenAccess
+      throw error;
+    } finally {
+      // iOS HOT MIC FIX: Always clear loading state (success or error)
+      setIsStreamLoading(false);
+      debugService.log('FLOW', 'isStreamLoading: true → false');
+    }
+  }, [qualityProfile, audioProcessing]);
+
+  // Keep an active recording going on a new device stream (device switch, processing
+  // change or lost-device replacement). Once recording goes through the pipeline the
+  // recorder never notices - one continuous segment. Otherwise (the first change, no
+  // browser support, or a swapped screen share) the current segment is closed and a
+  // new one records the new stream through the pipeline; segments are joined when
+  // recording stops. A paused recording stays paused.
+  // Returns the recorder now in use.
+  const moveRecordingToStream = useCallback(async (newStream, kind) => {
+    const pipeline = pipelineRef.current;
+    if (pipeline && pipeline.canReplace(kind) && mediaRecorder.state !== 'inactive') {
+      pipeline.setSource(newStream);
+      debugService.log('RECORDER', `Recording source swapped in place (${kind})`);
+      return mediaRecorder;
+    }
+
+    const wasRecording = mediaRecorder.state === 'recording';
+    if (mediaRecorder.state !== 'inactive') {
+      await new Promise(resolve => {
+        rolloverRef.current = resolve;
+        mediaRecorder.stop();
+      });
+    }
+
+    const nextRecorder = createSegmentRecorderRef.current(newStream, { usePipeline: true });
+    setMediaRecorder(nextRecorder);
+    if (wasRecording) {
+      resumeRecorder(nextRecorder);
+      recordingClockRef.current.start();
+    }
+    debugService.log('RECORDER', `Recording continues in a new segment (${kind})`);
+    return nextRecorder;
+  }, [mediaRecorder]);
+
+  // Recording in progress - the new device has to be handed to the recorder
+  const isCapturing = !!mediaRecorder && (isRecording || isPaused);
+
+  // Microphone switching handler - replaces only the audio tracks, so in video
+  // mode the camera keeps running. Preserves the old stream on failure.
   const switchAudioDevice = useCallback(async (deviceId) => {
     const oldStream = mediaStream; // Preserve old stream reference
 
@@ -198,18 +703,18 @@ export default function useRecordingFlow({ sessionId, sessionData, sessionCompon
     debugService.log('FLOW', 'switchAudioDevice: isStreamLoading → true');
 
     try {
-      // Get new stream with specific device
-      const constraints = {
-        audio: deviceId === 'default'
-          ? true
-          : { deviceId: { exact: deviceId } }
-      };
-
-      const newStream = await navigator.mediaDevices.getUserMedia(constraints);
+      // Get new microphone with specific device
+      const micStream = await navigator.mediaDevices.getUserMedia({
+        audio: buildAudioConstraints(audioProcessing, deviceId)
+      });
+      const newStream = withReplacedTracks(oldStream, micStream, 'audio');
+      if (isCapturing) {
+        await moveRecordingToStream(newStream, 'audio');
+      }
 
-      // Only stop old stream AFTER new one succeeds
+      // Only stop old microphone AFTER new one succeeds
       if (oldStream) {
-        oldStream.getTracks().forEach(track => track.stop());
+        oldStream.getAudioTracks().forEach(track => track.stop());
       }
 
       // Update state with new stream
@@ -226,10 +731,10 @@ export default function useRecordingFlow({ sessionId, sessionData, sessionCompon
       setIsStreamLoading(false);
       debugService.log('FLOW', 'isStreamLoading: true → false');
     }
-  }, [mediaStream]);
+  }, [mediaStream, audioProcessing, isCapturing, moveRecordingToStream]);
 
-  // Device switching handler for video mode (camera + audio)
-  // Properly updates mediaStream state and preserves old stream on failure
+  // Camera switching handler for video mode - replaces only the video tracks, so the
+  // chosen microphone keeps recording. Preserves the old stream on failure.
   const switchVideoDevice = useCallback(async (deviceId) => {
     const oldStream = mediaStream; // Preserve old stream reference
 
@@ -238,20 +743,18 @@ export default function useRecordingFlow({ sessionId, sessionData, sessionCompon
     debugService.log('FLOW', 'switchVideoDevice: isStreamLoading → true');
 
     try {
-      // Get new stream with specific video device
-      // Note: Audio uses default device (could be enhanced to allow audio device selection)
-      const constraints = {
-        video: deviceId === 'default'
-          ? true
-          : { deviceId: { exact: deviceId } },
-        audio: true  // Use default audio device
-      };
-
-      const newStream = await navigator.mediaDevices.getUserMedia(constraints);
+      // Get new camera with specific video device
+      const cameraStream = await navigator.mediaDevices.getUserMedia({
+        video: buildVideoConstraints(qualityProfile, deviceId)
+      });
+      const newStream = withReplacedTracks(oldStream, cameraStream, 'video');
+      if (isCapturing) {
+        await moveRecordingToStream(newStream, 'video');
+      }
 
-      // Only stop old stream AFTER new one succeeds
+      // Only stop old camera AFTER new one succeeds
       if (oldStream) {
-        oldStream.getTracks().forEach(track => track.stop());
+        oldStream.getVideoTracks().forEach(track => track.stop());
       }
 
       // Update state with new stream
@@ -268,25 +771,82 @@ export default function useRecordingFlow({ sessionId, sessionData, sessionCompon
       setIsStreamLoading(false);
       debugService.log('FLOW', 'isStreamLoading: true → false');
     }
-  }, [mediaStream]);
+  }, [mediaStream, qualityProfile, isCapturing, moveRecordingToStream]);
+
+  // Change microphone processing: save the choice and re-acquire the microphone with it.
+  // Only the audio tracks are replaced - camera/screen video tracks carry over, so this
+  // works in every capture mode, including mid-recording (see moveRecordingToStream).
+  const changeAudioProcessing = useCallback(async (changes) => {
+    const processing = saveAudioProcessing({ ...audioProcessing, ...changes });
+    setAudioProcessingState(processing);
+    debugService.log('FLOW', 'Audio processing changed', processing);
+
+    const oldStream = mediaStream;
+    if (!oldStream) return null;
+
+    // iOS HOT MIC FIX: Set loading state during stream re-acquire
+    setIsStreamLoading(true);
+    debugService.log('FLOW', 'changeAudioProcessing: isStreamLoading → true');
+
+    try {
+      // Keep the microphone currently in use
+      const currentAudioTrack = oldStream.getAudioTracks()[0];
+      const deviceId = currentAudioTrack?.getSettings?.().deviceId;
+
+      const micStream = await navigator.mediaDevices.getUserMedia({
+        audio: buildAudioConstraints(processing, deviceId)
+      });
+      const newStream = withReplacedTracks(oldStream, micStream, 'audio');
+      if (isCapturing) {
+        await moveRecordingToStream(newStream, 'audio');
+      }
+
+      // Only stop old microphone AFTER new one succeeds
+      oldStream.getAudioTracks().forEach(track => track.stop());
+
+      setMediaStream(newStream);
+      debugService.log('HARDWARE', 'Microphone re-acquired with new processing options');
+      return newStream;
+    } catch (error) {
+      // oldStream is untouched - audio continues with the previous options
+      debugService.log('FLOW', 'changeAudioProcessing failed', error);
+      throw error; // Propagate to AppContent for user feedback
+    } finally {
+      // iOS HOT MIC FIX: Always clear loading state
+      setIsStreamLoading(false);
+      debugService.log('FLOW', 'isStreamLoading: true → false');
+    }
+  }, [audioProcessing, mediaStream, isCapturing, moveRecordingToStream]);
 
   const handleStartRecording = useCallback(() => {
     if (!mediaStream) return;
 
     recordedChunksRef.current = [];
+    chunkIndexRef.current = 0;
+    recordingClockRef.current.reset();
     // Timer reset handled by TimerProvider
+
+    const { maxFileSize } = getSessionLimits(sessionData);
+    let sizeLimitReached = false;
     
     // Choose supported MIME type
     let mimeType = null;
-    const formats = captureMode === 'video' ? SUPPORTED_FORMATS.video : SUPPORTED_FORMATS.audio;
+    const formats = SUPPORTED_FORMATS[getMediaKind(captureMode)];
     
     for (const format of formats) {
-      if (MediaRecorder.isTypeSupported(format)) {
+      if (typeof MediaRecorder !== 'undefined' && MediaRecorder.isTypeSupported(format)) {
         mimeType = format;
         break;
       }
     }
 
+    // Audio without a usable MediaRecorder format: record PCM and write WAV
+    const useWavRecorder = !mimeType && getMediaKind(captureMode) === 'audio' && isWavRecorderSupported();
+    if (useWavRecorder) {
+      mimeType = WAV_RECORDER.MIME_TYPE;
+      debugService.log('RECORDER', 'No MediaRecorder audio format - using WAV fallback recorder');
+    }
+
     if (!mimeType) {
       console.error('No supported MIME type found');
       return;
@@ -294,34 +854,231 @@ export default function useRecordingFlow({ sessionId, sessionData, sessionCompon
 
     setActualMimeType(mimeType);
     
-    const recorder = new MediaRecorder(mediaStream, { mimeType });
-    
-    recorder.ondataavailable = async (event) => {
-      if (event.data && event.data.size > 0) {
-        recordedChunksRef.current.push(event.data);
-        
-        // Data collected for final upload after recording
-      }
+    const recorderOptions = getRecorderOptions(qualityProfile, mimeType, getMediaKind(captureMode));
+    const settings = {
+      qualityProfile,
+      audioProcessing: getAppliedAudioProcessing(mediaStream.getAudioTracks()[0], audioProcessing)
     };
+    debugService.log('RECORDER', `Recorder created with ${qualityProfile} profile`, recorderOptions);
+
+    // Crash recovery: start a fresh IndexedDB record for this take (non-blocking)
+    // When continuing a take, its blob is stored as segment 0 so a restore can re-join it
+    const continuedTake = continuingTakeId
+      ? takesRef.current.find(t => t.id === continuingTakeId)
+      : null;
+    recoveryBaseSecondsRef.current = continuedTake ? continuedTake.duration || 0 : 0;
+    recoveryBaseMarkersRef.current = continuedTake ? continuedTake.markers || [] : [];
+    // The continued take is uploaded together with what's recorded now
+    recordedSizeRef.current = { bytes: continuedTake ? continuedTake.blob.size : 0, largestChunk: 0 };
+    setRecordedSize(recordedSizeRef.current);
+    completedSegmentsRef.current = [];
+    recordingMarkersRef.current = [];
+    setRecordingMarkers([]);
+
+    if (continuedTake) {
+      recoverySegmentStartsRef.current = [1];
+      beginRecoverySession(sessionId, { captureMode, mimeType, settings, segmentStarts: [1], markers: recoveryBaseMarkersRef.current, promptIndex });
+      saveRecoveryChunk(sessionId, 0, continuedTake.blob, { duration: recoveryBaseSecondsRef.current });
+      chunkIndexRef.current = 1;
+    } else {
+      recoverySegmentStartsRef.current = [];
+      beginRecoverySession(sessionId, { captureMode, mimeType, settings, promptIndex });
+    }
+
+    // Keep the finished recording as a new take (or join it onto the take being continued).
+    // Segments recorded before a lost device was replaced are joined in front of it first.
+    const finishRecording = async (lastSegment) => {
+      const segments = completedSegmentsRef.current;
+      completedSegmentsRef.current = [];
+      const markers = recordingMarkersRef.current;
+      const takeInfo = {
+        duration: pendingTakeDurationRef.current ?? getRecordedSeconds(),
+        mimeType,
+        captureMode,
+        recordedAt: Date.now(),
+        settings,
+        markers
+      };
+      pendingTakeDurationRef.current = null;
+      recordingMarkersRef.current = [];
+      setRecordingMarkers([]);
+      setContinuingTakeId(null);
+
+      const parts = [...segments.map(segment => segment.blob), lastSegment].filter(part => part && part.size > 0);
+      let blob = parts[0];
+      if (parts.length > 1) {
+        try {
+          blob = await joinRecordings(parts, mimeType);
+        } catch (error) {
+          // Keep every part as its own take rather than lose any of the story
+          console.error('[useRecordingFlow] Could not join recording segments, keeping them as separate takes:', error);
+          debugService.log('RECORDER', 'Segment join failed - kept as separate takes', error);
+          let segmentStart = 0;
+          for (const segment of segments) {
+            addTake(await finalizeRecording(segment.blob, mimeType), {
+              ...takeInfo,
+              duration: segment.endSeconds - segmentStart,
+              markers: sliceMarkers(markers, segmentStart, segment.endSeconds)
+            });
+            segmentStart = segment.endSeconds;
+          }
+          blob = lastSegment;
+          takeInfo.duration = Math.max(0, takeInfo.duration - segmentStart);
+          takeInfo.markers = sliceMarkers(markers, segmentStart);
+        }
+      }
+      if (!blob) return;
+
+      // Duration + seek index so the file plays and seeks everywhere (see utils/mediaFinalize.js)
+      blob = await finalizeRecording(blob, mimeType);
 
-    let onstopExecuted = false; // Idempotency flag
+      // Cross-check the clock against what the file actually holds (see utils/recordingClock.js)
+      const fileSeconds = await measureRecordingDuration(blob);
+      const checkedDuration = reconcileDuration(takeInfo.duration, fileSeconds);
+      if (checkedDuration !== takeInfo.duration) {
+        debugService.log('RECORDER', `Duration corrected from file: ${takeInfo.duration}s → ${checkedDuration}s`);
+      }
+      takeInfo.duration = checkedDuration ?? takeInfo.duration;
 
-    recorder.onstop = () => {
-      // Prevent multiple executions (defensive programming)
-      if (onstopExecuted) {
-        console.warn('[useRecordingFlow] ⚠️ onstop fired multiple times, ignoring duplicate');
-        return;
+      if (continuedTake) {
+        joinIntoTake(continuedTake.id, blob, takeInfo);
+      } else {
+        addTake(blob, takeInfo);
+      }
+      debugService.log('RECORDER', `Recording complete: ${blob.size} bytes`);
+    };
+    finishRecordingRef.current = finishRecording;
+
+    // One MediaRecorder per segment. A recording is normally a single segment that
+    // records the device stream directly. The first device change closes it and
+    // recording continues in a new segment read from the recording pipeline
+    // (usePipeline), which takes later changes in place. The pipeline redraws camera
+    // video on a canvas and runs an AudioContext, so it is only paid for by recordings
+    // that change device. finishRecording joins the segments.
+    const createSegmentRecorder = (stream, { usePipeline = false } = {}) => {
+      if (pipelineRef.current) {
+        pipelineRef.current.destroy();
+        pipelineRef.current = null;
+      }
+      if (usePipeline) {
+        try {
+          pipelineRef.current = createRecordingPipeline(stream, {
+            frameRate: getQualityProfile(qualityProfile).video.frameRate?.ideal,
+            passThroughVideo: captureMode === 'screen'
+          });
+        } catch (error) {
+          // Record the device stream directly - each device change starts a new segment
+          console.warn('[useRecordingFlow] Recording pipeline unavailable:', error);
+          pipelineRef.current = null;
+        }
       }
-      onstopExecuted = true;
+      debugService.log('RECORDER', `Segment recorder created (${pipelineRef.current ? 'pipeline' : 'direct'})`);
+
+      const recorderStream = pipelineRef.current ? pipelineRef.current.stream : stream;
+      const recorder = useWavRecorder
+        ? createWavRecorder(recorderStream)
+        : new MediaRecorder(recorderStream, recorderOptions);
+      expectedStopRef.current = false;
+
+      recorder.ondataavailable = async (event) => {
+        if (event.data && event.data.size > 0) {
+          recordedChunksRef.current.push(event.data);
+
+          // Crash recovery: persist chunk so a reload/crash doesn't lose the story
+          const chunkIndex = chunkIndexRef.current;
+          chunkIndexRef.current += 1;
+          saveRecoveryChunk(sessionId, chunkIndex, event.data, {
+            duration: recoveryBaseSecondsRef.current + getRecordedSeconds()
+          });
+
+          const size = recordedSizeRef.current;
+          recordedSizeRef.current = {
+            bytes: size.bytes + event.data.size,
+            largestChunk: Math.max(size.largestChunk, event.data.size)
+          };
+          setRecordedSize(recordedSizeRef.current);
+
+          // Stop before the file outgrows the upload limit (storage/firestore rules)
+          const { bytes, largestChunk } = recordedSizeRef.current;
+          if (!sizeLimitReached && !expectedStopRef.current &&
+              getFileSizeStatus(bytes, maxFileSize, largestChunk) === 'limit') {
+            sizeLimitReached = true;
+            debugService.log('RECORDER', `File size limit reached: ${bytes} of ${maxFileSize} bytes`);
+            onMaxFileSizeRef.current?.();
+          }
+        }
+      };
 
-      debugService.log('RECORDER', 'onstop handler executing');
+      // Recorder failed: the WAV fallback couldn't start its audio worklet, or MediaRecorder
+      // hit a fatal error. Not a lost device - the recording ends and the error is reported.
+      // A MediaRecorder still fires onstop afterwards, which keeps what it recorded like Done.
+      recorder.onerror = (event) => {
+        const error = event?.error || new Error('The recorder stopped unexpectedly');
+        console.error('[useRecordingFlow] Recorder error:', error);
+        debugService.log('RECORDER', 'Recorder error - recording ended', error);
 
-      try {
-        // 1. REDUNDANT HARDWARE CLEANUP (Safety Net)
-        // Tracks are likely already stopped by 200ms timeout in handleDone,
-        // but we ensure cleanup here as a safety measure. track.stop() is idempotent.
-        if (mediaStream) {
-          mediaStream.getTracks().forEach(track => {
+        expectedStopRef.current = true;
+        closeRecordedSegment();
+        if (!isMountedRef.current) return;
+
+        setIsRecording(false);
+        setIsPaused(false);
+        setMediaRecorder(null);
+        setLostDevice(null);
+        setInterruption(null);
+        debugService.setRecorderState('inactive');
+        onRecorderErrorRef.current?.(error);
+      };
+
+      let onstopExecuted = false; // Idempotency flag
+
+      recorder.onstop = () => {
+        // Prevent multiple executions (defensive programming)
+        if (onstopExecuted) {
+          console.warn('[useRecordingFlow] ⚠️ onstop fired multiple times, ignoring duplicate');
+          return;
+        }
+        onstopExecuted = true;
+
+        debugService.log('RECORDER', 'onstop handler executing');
+
+        // SEGMENT END: closed for a device replacement, or stopped by the browser because
+        // its device was lost. Keep what was recorded; the next segment continues it.
+        if (rolloverRef.current || !expectedStopRef.current) {
+          closeRecordedSegment();
+          completedSegmentsRef.current.push({
+            blob: new Blob(recordedChunksRef.current, { type: mimeType }),
+            endSeconds: getRecordedSeconds()
+          });
+          recordedChunksRef.current = [];
+          recoverySegmentStartsRef.current = [...recoverySegmentStartsRef.current, chunkIndexRef.current];
+          updateRecoverySession(sessionId, { segmentStarts: recoverySegmentStartsRef.current });
+
+          if (rolloverRef.current) {
+            const resolveRollover = rolloverRef.current;
+            rolloverRef.current = null;
+            resolveRollover();
+          } else if (isMountedRef.current) {
+            debugService.log('HARDWARE', 'Recorder stopped by the browser - device lost');
+            setIsPaused(true);
+            setLostDevice(prev => prev || describeLostDevice(stream, captureMode));
+          }
+          return;
+        }
+
+        // Device tracks: this segment's stream plus the current one (devices may have
+        // been swapped since the segment started)
+        const deviceTracks = [...stream.getTracks(), ...(mediaStreamRef.current?.getTracks() || [])];
+        if (pipelineRef.current) {
+          pipelineRef.current.destroy();
+          pipelineRef.current = null;
+        }
+
+        try {
+          // 1. REDUNDANT HARDWARE CLEANUP (Safety Net)
+          // Tracks are likely already stopped by 200ms timeout in handleDone,
+          // but we ensure cleanup here as a safety measure. track.stop() is idempotent.
+          deviceTracks.forEach(track => {
             try {
               track.stop();
               console.log('[useRecordingFlow] 🛡️ Redundant cleanup: stopped track (onstop)');
@@ -330,57 +1087,59 @@ export default function useRecordingFlow({ sessionId, sessionData, sessionCompon
               // Ignore - track likely already stopped by early cleanup
             }
           });
-        }
 
-        // 2. CHECK MOUNT STATUS
-        if (!isMountedRef.current) return;
+          // 2. CHECK MOUNT STATUS
+          if (!isMountedRef.current) return;
 
-        // 3. STATE CLEANUP
-        setMediaStream(null);
-        debugService.setRecorderState('inactive');
-
-        // 4. BLOB CREATION & NAVIGATION (skip if reset flow)
-        if (!skipNavigationRef.current) {
-          // Create blob for playback
-          const blob = new Blob(recordedChunksRef.current, { type: mimeType });
-          const url = URL.createObjectURL(blob);
-          setRecordedBlobUrl(url);
-          debugService.log('RECORDER', `Recording complete: ${blob.size} bytes`);
-
-          // Navigate to review screen
-          // Privacy indicators are likely already off thanks to early cleanup
-          if (onDoneAndSubmitStage) {
-            navigationTimeoutRef.current = setTimeout(() => {
-              navigationTimeoutRef.current = null;
-              if (isMountedRef.current) {
-                onDoneAndSubmitStage();
-              }
-            }, 100); // Keep delay for safety
+          // 3. STATE CLEANUP
+          setMediaStream(null);
+          debugService.setRecorderState('inactive');
+
+          // 4. BLOB CREATION & NAVIGATION (skip if reset flow)
+          if (!skipNavigationRef.current) {
+            // Create blob for playback and keep it as a take
+            finishRecording(new Blob(recordedChunksRef.current, { type: mimeType }));
+
+            // Navigate to review screen
+            // Privacy indicators are likely already off thanks to early cleanup
+            if (onDoneAndSubmitStage) {
+              navigationTimeoutRef.current = setTimeout(() => {
+                navigationTimeoutRef.current = null;
+                if (isMountedRef.current) {
+                  onDoneAndSubmitStage();
+                }
+              }, 100); // Keep delay for safety
+            }
           }
-        }
 
-        // Reset skip flag for next recording
-        skipNavigationRef.current = false;
+          // Reset skip flag for next recording
+          skipNavigationRef.current = false;
 
-      } catch (error) {
-        console.error('[useRecordingFlow] ❌ Error in onstop handler:', error);
-        // Still attempt cleanup on error
-        if (mediaStream) {
-          mediaStream.getTracks().forEach(track => {
+        } catch (error) {
+          console.error('[useRecordingFlow] ❌ Error in onstop handler:', error);
+          // Still attempt cleanup on error
+          deviceTracks.forEach(track => {
             try { track.stop(); } catch (err) { /* ignore */ }
           });
+          if (isMountedRef.current) {
+            setMediaStream(null);
+            setIsRecording(false);
+          }
         }
-        if (isMountedRef.current) {
-          setMediaStream(null);
-          setIsRecording(false);
-        }
-      }
+      };
+
+      return recorder;
     };
+    createSegmentRecorderRef.current = createSegmentRecorder;
 
+    const recorder = createSegmentRecorder(mediaStream);
     setMediaRecorder(recorder);
+    expectedStopRef.current = false;
     
     startCountdown(() => {
-      recorder.start();
+      // Timeslice makes MediaRecorder emit chunks periodically so they can be persisted
+      recorder.start(RECORDING_LIMITS.CHUNK_TIMESLICE_MS);
+      recordingClockRef.current.start();
       setIsRecording(true);
       setIsPaused(false);
       debugService.setRecorderState('recording');
@@ -440,29 +1199,61 @@ export default function useRecordingFlow({ sessionId, sessionData, sessionCompon
 
       // Simple recording - no progressive upload timer needed
     });
-  }, [mediaStream, captureMode, startCountdown, onDoneAndSubmitStage, isFirebaseEnabled, sessionId, authState]);
+  }, [mediaStream, captureMode, startCountdown, onDoneAndSubmitStage, isFirebaseEnabled, sessionId, sessionData, authState, getRecordedSeconds, closeRecordedSegment, addTake, continuingTakeId, joinIntoTake, qualityProfile, audioProcessing, promptIndex]);
 
   const handlePause = useCallback(() => {
     if (mediaRecorder && isRecording) {
       mediaRecorder.pause();
+      closeRecordedSegment();
       setIsPaused(true);
       debugService.setRecorderState('paused');
       debugService.log('RECORDER', 'Recording paused');
     }
-  }, [mediaRecorder, isRecording]);
+  }, [mediaRecorder, isRecording, closeRecordedSegment]);
 
   const handleResume = useCallback(() => {
-    if (mediaRecorder && isPaused) {
+    // Nothing to resume into until a lost device is replaced (replaceLostDevice resumes)
+    // or the OS hands back a device it took during an interruption
+    if (mediaRecorder && isPaused && !lostDevice && !interruption?.waiting) {
       startCountdown(() => {
-        mediaRecorder.resume();
+        // Audio the OS suspended during an interruption would otherwise record silence
+        pipelineRef.current?.resumeAudio();
+        // A device switch while paused may have left a new, not yet started segment recorder
+        resumeRecorder(mediaRecorder);
+        recordingClockRef.current.start();
         setIsPaused(false);
+        setInterruption(null);
         debugService.setRecorderState('recording');
-        debugService.log('RECORDER', 'Recording resumed');
+        debugService.log('RECORDER', interruption ? `Recording resumed after interruption (${interruption.reason})` : 'Recording resumed');
       });
     }
-  }, [mediaRecorder, isPaused, startCountdown]);
+  }, [mediaRecorder, isPaused, lostDevice, interruption, startCountdown]);
+
+  // Drop a chapter marker at the current recorded time (Mark button / shortcut).
+  // Returns the marker, or null when not recording or right after the previous one.
+  const addMarker = useCallback(() => {
+    if (!isRecording || isPaused) return null;
+
+    const time = getRecordedSeconds();
+    if (!canAddMarker(recordingMarkersRef.current, time)) return null;
+
+    const marker = createMarker(time);
+    recordingMarkersRef.current = [...recordingMarkersRef.current, marker];
+    setRecordingMarkers(recordingMarkersRef.current);
+
+    // Markers survive a crash with the rest of the take (full-take times)
+    updateRecoverySession(sessionId, {
+      markers: [
+        ...recoveryBaseMarkersRef.current,
+        ...offsetMarkers(recordingMarkersRef.current, recoveryBaseSecondsRef.current)
+      ]
+    });
+    debugService.log('RECORDER', `Marker added at ${marker.time}s`);
+    return marker;
+  }, [isRecording, isPaused, getRecordedSeconds, sessionId]);
 
-  const handleDone = useCallback(() => {
+  // duration: optional timer value captured by the caller (DurationCapture); stored on the new take
+  const handleDone = useCallback(({ duration } = {}) => {
     // OPTIMIZATION: Stop tracks 200ms after recorder.stop() for fast UX
     // Recorder gets time to register stop signal, but tracks stop before file encoding completes
     // onstop handler provides redundant cleanup for safety
@@ -474,7 +1265,14 @@ export default function useRecordingFlow({ sessionId, sessionData, sessionCompon
       const streamToStop = mediaStream;
 
       // 1. Signal the recorder to stop (starts async file encoding)
+      expectedStopRef.current = true;
       mediaRecorder.stop();
+      closeRecordedSegment();
+      pendingTakeDurationRef.current = Number.isFinite(duration) ? duration : getRecordedSeconds();
+      updateRecoverySession(sessionId, {
+        duration: recoveryBaseSecondsRef.current + pendingTakeDurationRef.current,
+        stoppedAt: Date.now()
+      });
       debugService.setRecorderState('stopping');
       debugService.log('RECORDER', 'Recording stop requested');
 
@@ -505,11 +1303,100 @@ export default function useRecordingFlow({ sessionId, sessionData, sessionCompon
       setIsRecording(false);
       setIsPaused(false);
       setMediaRecorder(null);
+      setLostDevice(null);
+      setInterruption(null);
 
       // Note: We do NOT call setMediaStream(null) here
       // onstop will handle state cleanup and navigation after file is ready
+    } else if (mediaRecorder && completedSegmentsRef.current.length > 0) {
+      // The browser already stopped the recorder when its device was lost -
+      // finish with the segments recorded so far
+      pendingTakeDurationRef.current = Number.isFinite(duration) ? duration : getRecordedSeconds();
+      updateRecoverySession(sessionId, {
+        duration: recoveryBaseSecondsRef.current + pendingTakeDurationRef.current,
+        stoppedAt: Date.now()
+      });
+      stopMediaStream();
+      setIsRecording(false);
+      setIsPaused(false);
+      setMediaRecorder(null);
+      setLostDevice(null);
+      setInterruption(null);
+      debugService.setRecorderState('inactive');
+      finishRecordingRef.current?.(null);
+
+      if (onDoneAndSubmitStage) {
+        navigationTimeoutRef.current = setTimeout(() => {
+          navigationTimeoutRef.current = null;
+          if (isMountedRef.current) {
+            onDoneAndSubmitStage();
+          }
+        }, 100);
+      }
     }
-  }, [mediaRecorder, isRecording, isPaused, mediaStream]);
+  }, [mediaRecorder, isRecording, isPaused, mediaStream, sessionId, closeRecordedSegment, getRecordedSeconds, stopMediaStream, onDoneAndSubmitStage]);
+
+  // Replace a device lost mid-recording and resume into the same recording.
+  // The current segment is closed (if the browser hasn't already stopped it) and a new
+  // segment starts on the repaired stream; the segments are joined when recording stops.
+  // deviceId: replacement microphone/camera ('default' or empty = browser default);
+  // ignored for screen sharing, which opens the browser's picker again.
+  const replaceLostDevice = useCallback(async (deviceId) => {
+    if (!lostDevice || !mediaRecorder) return null;
+
+    const oldStream = mediaStream;
+
+    // iOS HOT MIC FIX: Set loading state during device switch
+    setIsStreamLoading(true);
+    debugService.log('FLOW', 'replaceLostDevice: isStreamLoading → true');
+
+    try {
+      let replacement;
+      if (lostDevice.isScreen) {
+        replacement = await navigator.mediaDevices.getDisplayMedia({
+          video: getQualityProfile(qualityProfile).video,
+          audio: false
+        });
+      } else if (lostDevice.kind === 'audio') {
+        replacement = await navigator.mediaDevices.getUserMedia({
+          audio: buildAudioConstraints(audioProcessing, deviceId)
+        });
+      } else {
+        replacement = await navigator.mediaDevices.getUserMedia({
+          video: buildVideoConstraints(qualityProfile, deviceId)
+        });
+      }
+      const newStream = withReplacedTracks(oldStream, replacement, lostDevice.kind);
+      const recorder = await moveRecordingToStream(newStream, lostDevice.kind);
+      oldStream?.getTracks()
+        .filter(track => track.kind === lostDevice.kind)
+        .forEach(track => track.stop());
+
+      setMediaStream(newStream);
+      setLostDevice(null);
+      setInterruption(null);
+      debugService.log('HARDWARE', `Lost ${lostDevice.kind} device replaced - resuming recording`);
+
+      // Resume into the same recording (same countdown as Resume)
+      startCountdown(() => {
+        resumeRecorder(recorder);
+        recordingClockRef.current.start();
+        setIsPaused(false);
+        debugService.setRecorderState('recording');
+        debugService.log('RECORDER', 'Recording resumed on replacement device');
+      });
+      return newStream;
+    } catch (error) {
+      // Still paused and waiting - the user can pick another device or finish
+      console.error('❌ [HOOK] Failed to replace lost device:', error);
+      debugService.log('FLOW', 'replaceLostDevice failed', error);
+      throw error; // Propagate to AppContent for user feedback
+    } finally {
+      // iOS HOT MIC FIX: Always clear loading state
+      setIsStreamLoading(false);
+      debugService.log('FLOW', 'isStreamLoading: true → false');
+    }
+  }, [lostDevice, mediaRecorder, mediaStream, qualityProfile, audioProcessing, startCountdown, moveRecordingToStream]);
 
   // Complete reset function for "Start Over" functionality
   const resetRecordingState = useCallback(() => {
@@ -517,12 +1404,14 @@ export default function useRecordingFlow({ sessionId, sessionData, sessionCompon
     // NOTE: If recorder is active, both early cleanup and onstop will handle tracks
     // If recorder is already stopped OR doesn't exist, manual cleanup required
 
-    const recorderIsActive = mediaRecorder && (isRecording || isPaused);
+    // (a recorder the browser stopped after losing its device counts as inactive)
+    const recorderIsActive = mediaRecorder && (isRecording || isPaused) && mediaRecorder.state !== 'inactive';
 
     // Reset MediaRecorder state (triggers onstop if active)
     if (recorderIsActive) {
       // Set flag to skip navigation in onstop handler
       skipNavigationRef.current = true;
+      expectedStopRef.current = true;
 
       mediaRecorder.stop(); // Triggers both 200ms early cleanup AND onstop
     }
@@ -539,14 +1428,110 @@ export default function useRecordingFlow({ sessionId, sessionData, sessionCompon
     setIsPaused(false);
     // Timer reset handled by TimerProvider
 
-    // Clear recorded data
+    // Clear recorded data (completed takes are kept for the take picker)
     setRecordedBlobUrl(null);
+    setSelectedTakeId(null);
+    setContinuingTakeId(null);
+    pendingTakeDurationRef.current = null;
+    recoveryBaseSecondsRef.current = 0;
     setActualMimeType(null);
     recordedChunksRef.current = [];
+    chunkIndexRef.current = 0;
+    recordingClockRef.current.reset();
+    recordedSizeRef.current = { bytes: 0, largestChunk: 0 };
+    setRecordedSize(recordedSizeRef.current);
+    completedSegmentsRef.current = [];
+    recordingMarkersRef.current = [];
+    setRecordingMarkers([]);
+    setLostDevice(null);
+    setInterruption(null);
+
+    // Discard the persisted take - user explicitly chose to start over
+    clearRecoverySession(sessionId);
 
     // Reset capture mode
     setCaptureMode(null);
-  }, [mediaRecorder, isRecording, isPaused, stopMediaStream]);
+  }, [mediaRecorder, isRecording, isPaused, stopMediaStream, sessionId]);
+
+  // Restore a recording recovered from IndexedDB (see recordingRecoveryService)
+  // Rebuilds the blob from persisted chunks so the review screen can play and upload it.
+  // Rejects when nothing can be restored; the take exists once this resolves.
+  const restoreRecording = useCallback(async (recovered) => {
+    if (!recovered?.chunks?.length) {
+      throw new Error('No recorded data was saved');
+    }
+
+    // A continued take is stored as several segments; re-join them (or keep the first on failure)
+    let blob = new Blob(recovered.chunks, { type: recovered.mimeType });
+    if (recovered.segmentStarts?.length) {
+      const bounds = [0, ...recovered.segmentStarts, recovered.chunks.length];
+      const segments = bounds.slice(0, -1)
+        .map((start, i) => new Blob(recovered.chunks.slice(start, bounds[i + 1]), { type: recovered.mimeType }))
+        .filter(segment => segment.size > 0);
+      try {
+        blob = await joinRecordings(segments, recovered.mimeType);
+      } catch (error) {
+        console.error('[useRecordingFlow] Could not re-join recovered segments:', error);
+        blob = segments[0];
+      }
+    }
+    blob = await finalizeRecording(blob, recovered.mimeType);
+
+    recordedChunksRef.current = [...recovered.chunks];
+    chunkIndexRef.current = recovered.chunks.length;
+    recordingClockRef.current.reset((recovered.duration || 0) * 1000);
+
+    setCaptureMode(recovered.captureMode);
+    setActualMimeType(recovered.mimeType);
+    addTake(blob, {
+      duration: recovered.duration || 0,
+      mimeType: recovered.mimeType,
+      captureMode: recovered.captureMode,
+      recordedAt: recovered.stoppedAt || recovered.updatedAt || Date.now(),
+      settings: recovered.settings || null,
+      markers: recovered.markers || []
+    });
+    debugService.log('RECORDER', `Recording restored from recovery: ${blob.size} bytes`);
+  }, [addTake]);
+
+  // Continue recording from review: reopen the stream for the selected take's mode.
+  // The next recording is joined onto this take when it stops (see onstop).
+  const continueRecording = useCallback(async () => {
+    const take = takesRef.current.find(t => t.id === selectedTakeId);
+    if (!take) return;
+
+    debugService.log('FLOW', `Continue recording: ${take.id}`);
+    setContinuingTakeId(take.id);
+    setRecordedBlobUrl(null);
+
+    try {
+      if (take.captureMode === 'screen') {
+        await handleScreenClick();
+      } else if (take.captureMode === 'video') {
+        await handleVideoClick();
+      } else {
+        await handleAudioClick();
+      }
+    } catch (error) {
+      setContinuingTakeId(null);
+      setRecordedBlobUrl(take.blobUrl);
+      throw error; // AppContent shows the permission screen
+    }
+  }, [selectedTakeId, handleVideoClick, handleAudioClick, handleScreenClick]);
+
+  // Abandon a pending continuation and return to the take as it was
+  const cancelContinueRecording = useCallback(() => {
+    const take = takesRef.current.find(t => t.id === continuingTakeId);
+
+    setContinuingTakeId(null);
+    stopMediaStream();
+    if (take) {
+      setCaptureMode(take.captureMode);
+      setActualMimeType(take.mimeType);
+      setRecordedBlobUrl(take.blobUrl);
+    }
+    debugService.log('FLOW', 'Continue recording cancelled');
+  }, [continuingTakeId, stopMediaStream]);
 
   // ===========================
   // Return State & Handlers
@@ -562,6 +1547,16 @@ export default function useRecordingFlow({ sessionId, sessionData, sessionCompon
     // elapsedSeconds moved to TimerContext
     recordedBlobUrl,
     actualMimeType,
+    takes,              // All completed takes in this session
+    selectedTakeId,     // Take shown on review and used for upload
+    isContinuingRecording: continuingTakeId !== null,
+    continuedSeconds: takes.find(t => t.id === continuingTakeId)?.duration || 0, // Length of the take being continued
+    lostDevice,         // { kind, label, isScreen } when a device was lost mid-recording
+    interruption,       // { reason, kind, waiting } when paused because the page was left or a device muted
+    recordingMarkers,   // Chapter markers of the recording in progress
+    recordedSize,       // { bytes, largestChunk } of the recording in progress
+    qualityProfile,     // QUALITY_PROFILES key used for capture and recording
+    audioProcessing,    // Microphone processing options for the next stream
     countdownActive,
     countdownValue,
     authState,
@@ -577,13 +1572,25 @@ export default function useRecordingFlow({ sessionId, sessionData, sessionCompon
     // Handlers
     handleVideoClick,
     handleAudioClick,
+    handleScreenClick,  // Screen mode: getDisplayMedia + microphone
     handleStartRecording,
     handlePause,
     handleResume,
     handleDone,
     stopMediaStream,
     resetRecordingState,
+    restoreRecording,   // Crash recovery: restore persisted recording into review
+    selectTake,         // Choose which take to review and submit
+    setTakeTrim,        // Set/clear the trim range applied to a take at submit
+    clearTakes,         // Drop all takes once an answer is uploaded (next prompt)
+    addMarker,          // Drop a chapter marker at the current recorded time
+    setMarkerLabel,     // Label a take's chapter marker
+    setTakeThumbnail,   // Set a video take's cover image
+    continueRecording,  // Record another segment onto the selected take
+    replaceLostDevice,  // Resume a recording paused by a lost device on a replacement
+    cancelContinueRecording,
     switchAudioDevice,  // Audio device switching handler
-    switchVideoDevice   // Video device switching handler
+    switchVideoDevice,  // Video device switching handler
+    changeAudioProcessing // Toggle noise suppression / echo cancellation / auto gain
   };
 }
\ No newline at end of file
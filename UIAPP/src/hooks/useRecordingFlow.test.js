@@ -0,0 +1,508 @@
+/**
+ * useRecordingFlow Tests
+ *
+ * - Takes: selecting the take to review/submit, clearing them for the next prompt,
+ *   and keeping them across Start Over (takes are created through restoreRecording)
+ * - Lost devices: pausing when a track ends, resuming on a replacement, and joining
+ *   the segments recorded before and after
+ * - Interruptions: pausing when the page is hidden or the OS mutes a track, and
+ *   resuming once the device is handed back
+ *
+ * Storage, Firebase and media processing are mocked; streams, tracks and
+ * MediaRecorder are small fakes driven by the tests.
+ */
+
+import { renderHook, act, waitFor } from '@testing-library/react';
+import useRecordingFlow from './useRecordingFlow';
+
+jest.mock('firebase/firestore', () => ({
+  serverTimestamp: jest.fn()
+}));
+
+jest.mock('../services/firebase', () => ({
+  initializeAuth: jest.fn()
+}));
+
+jest.mock('../services/firebase/firestore', () => ({
+  updateRecordingSession: jest.fn()
+}));
+
+jest.mock('../utils/firebaseErrorHandler', () => ({
+  firebaseErrorHandler: { log: jest.fn() }
+}));
+
+jest.mock('../services/recordingRecoveryService', () => ({
+  beginRecoverySession: jest.fn(),
+  saveRecoveryChunk: jest.fn(),
+  updateRecoverySession: jest.fn(),
+  clearRecoverySession: jest.fn()
+}));
+
+jest.mock('../utils/mediaFinalize', () => ({
+  finalizeRecording: jest.fn()
+}));
+
+jest.mock('../utils/mediaJoin', () => ({
+  joinRecordings: jest.fn()
+}));
+
+jest.mock('../utils/waveform', () => ({
+  createWaveform: jest.fn()
+}));
+
+jest.mock('../utils/recordingPipeline', () => ({
+  createRecordingPipeline: jest.fn()
+}));
+
+// Finished files can't be parsed here - take durations come from the clock
+jest.mock('../utils/recordingClock', () => ({
+  ...jest.requireActual('../utils/recordingClock'),
+  measureRecordingDuration: () => Promise.resolve(null)
+}));
+
+// Countdown finishes immediately
+jest.mock('./useCountdown', () => () => ({
+  countdownActive: false,
+  countdownValue: null,
+  startCountdown: (onComplete) => onComplete()
+}));
+
+jest.mock('./useWakeLock', () => jest.fn());
+
+const { clearRecoverySession } = require('../services/recordingRecoveryService');
+const { finalizeRecording } = require('../utils/mediaFinalize');
+const { joinRecordings } = require('../utils/mediaJoin');
+const { createWaveform } = require('../utils/waveform');
+const { createRecordingPipeline } = require('../utils/recordingPipeline');
+
+function recovered(overrides = {}) {
+  return {
+    sessionId: 'session-1',
+    chunks: [new Blob(['data'])],
+    mimeType: 'audio/webm',
+    captureMode: 'audio',
+    duration: 5,
+    stoppedAt: 1000,
+    ...overrides
+  };
+}
+
+function renderRecordingFlow(props = {}) {
+  return renderHook(() => useRecordingFlow({ sessionId: 'session-1', sessionData: {}, ...props }));
+}
+
+describe('useRecordingFlow takes', () => {
+  let urlCount;
+
+  beforeEach(() => {
+    urlCount = 0;
+    URL.createObjectURL = jest.fn(() => `blob:take-${++urlCount}`);
+    URL.revokeObjectURL = jest.fn();
+    finalizeRecording.mockImplementation((blob) => Promise.resolve(blob));
+    createWaveform.mockResolvedValue({ version: 1, duration: 0, peaks: [] });
+    console.log = jest.fn();
+  });
+
+  afterEach(() => {
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+  });
+
+  async function addTwoTakes(result) {
+    await act(() => result.current.restoreRecording(recovered({ stoppedAt: 1000, duration: 5 })));
+    await act(() => result.current.restoreRecording(recovered({
+      stoppedAt: 2000,
+      duration: 8,
+      mimeType: 'video/webm',
+      captureMode: 'video'
+    })));
+  }
+
+  it('selects each new take and plays it on review', async () => {
+    const { result } = renderRecordingFlow();
+
+    await addTwoTakes(result);
+
+    const [first, second] = result.current.takes;
+    expect(result.current.takes).toHaveLength(2);
+    expect(first).toMatchObject({ duration: 5, captureMode: 'audio', blobUrl: 'blob:take-1' });
+    expect(second).toMatchObject({ duration: 8, captureMode: 'video', blobUrl: 'blob:take-2' });
+    expect(result.current.selectedTakeId).toBe(second.id);
+    expect(result.current.recordedBlobUrl).toBe('blob:take-2');
+  });
+
+  it('switches the review player, capture mode and MIME type to the selected take', async () => {
+    const { result } = renderRecordingFlow();
+    await addTwoTakes(result);
+    const [first] = result.current.takes;
+
+    act(() => result.current.selectTake(first.id));
+
+    expect(result.current.selectedTakeId).toBe(first.id);
+    expect(result.current.recordedBlobUrl).toBe(first.blobUrl);
+    expect(result.current.captureMode).toBe('audio');
+    expect(result.current.actualMimeType).toBe('audio/webm');
+  });
+
+  it('ignores an unknown take', async () => {
+    const { result } = renderRecordingFlow();
+    await addTwoTakes(result);
+    const selected = result.current.selectedTakeId;
+
+    act(() => result.current.selectTake('take-missing'));
+
+    expect(result.current.selectedTakeId).toBe(selected);
+    expect(result.current.recordedBlobUrl).toBe('blob:take-2');
+  });
+
+  it('keeps the takes on Start Over but clears the selection', async () => {
+    const { result } = renderRecordingFlow();
+    await addTwoTakes(result);
+
+    act(() => result.current.resetRecordingState());
+
+    expect(result.current.takes).toHaveLength(2);
+    expect(result.current.selectedTakeId).toBeNull();
+    expect(result.current.recordedBlobUrl).toBeNull();
+    expect(result.current.captureMode).toBeNull();
+    expect(clearRecoverySession).toHaveBeenCalledWith('session-1');
+  });
+
+  it('drops every take and releases their URLs when cleared', async () => {
+    const { result } = renderRecordingFlow();
+    await addTwoTakes(result);
+
+    act(() => result.current.clearTakes());
+
+    expect(result.current.takes).toEqual([]);
+    expect(result.current.selectedTakeId).toBeNull();
+    expect(result.current.recordedBlobUrl).toBeNull();
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:take-1');
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:take-2');
+  });
+});
+
+// ===========================
+// Media fakes
+// ===========================
+class FakeTrack extends EventTarget {
+  constructor(kind, label) {
+    super();
+    this.kind = kind;
+    this.label = label;
+    this.readyState = 'live';
+    this.muted = false;
+  }
+
+  // Like browsers, stopping a track doesn't fire 'ended'
+  stop() {
+    this.readyState = 'ended';
+  }
+
+  getSettings() {
+    return {};
+  }
+}
+
+class FakeMediaStream {
+  constructor(tracks = []) {
+    this.id = `stream-${Math.random().toString(36).substr(2, 5)}`;
+    this.tracks = tracks;
+  }
+
+  getTracks() {
+    return [...this.tracks];
+  }
+
+  getAudioTracks() {
+    return this.tracks.filter(track => track.kind === 'audio');
+  }
+
+  getVideoTracks() {
+    return this.tracks.filter(track => track.kind === 'video');
+  }
+}
+
+class FakeMediaRecorder {
+  static instances = [];
+
+  static isTypeSupported() {
+    return true;
+  }
+
+  constructor(stream) {
+    this.stream = stream;
+    this.state = 'inactive';
+    this.requestData = jest.fn();
+    FakeMediaRecorder.instances.push(this);
+  }
+
+  start() {
+    this.state = 'recording';
+  }
+
+  pause() {
+    this.state = 'paused';
+  }
+
+  resume() {
+    this.state = 'recording';
+  }
+
+  // onstop fires after stop() returns, as in browsers
+  stop() {
+    this.state = 'inactive';
+    queueMicrotask(() => this.onstop?.());
+  }
+
+  // The browser ends the recording itself (its device was lost)
+  stopByBrowser() {
+    this.state = 'inactive';
+    this.onstop?.();
+  }
+
+  emit(text) {
+    this.ondataavailable({ data: new Blob([text]) });
+  }
+}
+
+function endTrack(track) {
+  track.readyState = 'ended';
+  track.dispatchEvent(new Event('ended'));
+}
+
+function setTrackMuted(track, muted) {
+  track.muted = muted;
+  track.dispatchEvent(new Event(muted ? 'mute' : 'unmute'));
+}
+
+function setVisibility(state) {
+  Object.defineProperty(document, 'visibilityState', { configurable: true, get: () => state });
+  document.dispatchEvent(new Event('visibilitychange'));
+}
+
+describe('useRecordingFlow interrupted recordings', () => {
+  let microphone;
+  let pipeline;
+
+  beforeEach(() => {
+    microphone = new FakeTrack('audio', 'USB headset');
+    pipeline = {
+      stream: new FakeMediaStream([new FakeTrack('audio', 'pipeline')]),
+      canReplace: jest.fn(() => true),
+      setSource: jest.fn(),
+      resumeAudio: jest.fn(),
+      destroy: jest.fn()
+    };
+    createRecordingPipeline.mockReturnValue(pipeline);
+    finalizeRecording.mockImplementation((blob) => Promise.resolve(blob));
+    joinRecordings.mockImplementation((blobs) => Promise.resolve(new Blob(blobs)));
+    createWaveform.mockResolvedValue(null);
+
+    FakeMediaRecorder.instances = [];
+    global.MediaRecorder = FakeMediaRecorder;
+    global.MediaStream = FakeMediaStream;
+    global.MediaStreamTrack = FakeTrack;
+    Object.defineProperty(navigator, 'mediaDevices', {
+      configurable: true,
+      value: {
+        getUserMedia: jest.fn(() => Promise.resolve(new FakeMediaStream([microphone]))),
+        addEventListener: jest.fn(),
+        removeEventListener: jest.fn()
+      }
+    });
+    URL.createObjectURL = jest.fn(() => 'blob:take');
+    URL.revokeObjectURL = jest.fn();
+    console.log = jest.fn();
+    console.warn = jest.fn();
+  });
+
+  afterEach(() => {
+    delete global.MediaRecorder;
+    delete global.MediaStream;
+    delete global.MediaStreamTrack;
+    delete navigator.mediaDevices;
+    delete document.visibilityState;
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+  });
+
+  // Audio recording in progress (the countdown finishes immediately)
+  async function startRecording(props) {
+    const { result } = renderRecordingFlow(props);
+    await act(() => result.current.handleAudioClick());
+    act(() => result.current.handleStartRecording());
+    expect(result.current.isRecording).toBe(true);
+    return { result, recorder: FakeMediaRecorder.instances[0] };
+  }
+
+  describe('recording pipeline', () => {
+    it('records the device stream directly', async () => {
+      const { result, recorder } = await startRecording();
+
+      expect(createRecordingPipeline).not.toHaveBeenCalled();
+      expect(recorder.stream).toBe(result.current.mediaStream);
+    });
+
+    it('moves to the pipeline on the first device change and swaps later ones in place', async () => {
+      const { result, recorder } = await startRecording();
+
+      navigator.mediaDevices.getUserMedia.mockResolvedValue(new FakeMediaStream([new FakeTrack('audio', 'Built-in microphone')]));
+      await act(() => result.current.switchAudioDevice('built-in'));
+
+      expect(createRecordingPipeline).toHaveBeenCalledWith(result.current.mediaStream, expect.any(Object));
+      const pipelineRecorder = FakeMediaRecorder.instances[1];
+      expect(pipelineRecorder.stream).toBe(pipeline.stream);
+      expect(pipelineRecorder.state).toBe('recording');
+      expect(recorder.state).toBe('inactive');
+
+      navigator.mediaDevices.getUserMedia.mockResolvedValue(new FakeMediaStream([new FakeTrack('audio', 'USB headset')]));
+      await act(() => result.current.switchAudioDevice('usb'));
+
+      expect(pipeline.setSource).toHaveBeenCalledWith(result.current.mediaStream);
+      expect(FakeMediaRecorder.instances).toHaveLength(2);
+      expect(createRecordingPipeline).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('lost device', () => {
+    it('pauses and waits for a replacement when a track ends', async () => {
+      const { result, recorder } = await startRecording();
+
+      act(() => endTrack(microphone));
+
+      expect(recorder.state).toBe('paused');
+      expect(result.current.isPaused).toBe(true);
+      expect(result.current.lostDevice).toEqual({ kind: 'audio', label: 'USB headset', isScreen: false });
+
+      // Resume has nothing to record from until the device is replaced
+      act(() => result.current.handleResume());
+      expect(result.current.isPaused).toBe(true);
+      expect(recorder.state).toBe('paused');
+    });
+
+    it('resumes the recording on the replacement device', async () => {
+      const { result, recorder } = await startRecording();
+      act(() => endTrack(microphone));
+
+      const replacement = new FakeTrack('audio', 'Built-in microphone');
+      navigator.mediaDevices.getUserMedia.mockResolvedValue(new FakeMediaStream([replacement]));
+      await act(() => result.current.replaceLostDevice('built-in'));
+
+      // The segment on the lost device is closed; recording continues through the pipeline
+      expect(createRecordingPipeline).toHaveBeenCalledWith(result.current.mediaStream, expect.any(Object));
+      expect(result.current.mediaStream.getAudioTracks()).toEqual([replacement]);
+      expect(recorder.state).toBe('inactive');
+      expect(FakeMediaRecorder.instances).toHaveLength(2);
+      expect(FakeMediaRecorder.instances[1].state).toBe('recording');
+      expect(result.current.isPaused).toBe(false);
+      expect(result.current.lostDevice).toBeNull();
+    });
+
+    it('continues in a new segment when the browser stopped the recorder, and joins them on Done', async () => {
+      pipeline.canReplace.mockReturnValue(false);
+      const { result, recorder } = await startRecording();
+      act(() => recorder.emit('before'));
+
+      act(() => {
+        endTrack(microphone);
+        recorder.stopByBrowser();
+      });
+      expect(result.current.isPaused).toBe(true);
+      expect(result.current.lostDevice).not.toBeNull();
+
+      navigator.mediaDevices.getUserMedia.mockResolvedValue(new FakeMediaStream([new FakeTrack('audio', 'Built-in microphone')]));
+      await act(() => result.current.replaceLostDevice('default'));
+
+      const nextRecorder = FakeMediaRecorder.instances[1];
+      expect(nextRecorder).toBeDefined();
+      expect(nextRecorder.state).toBe('recording');
+      expect(result.current.isPaused).toBe(false);
+
+      act(() => nextRecorder.emit('after'));
+      await act(async () => result.current.handleDone({ duration: 12 }));
+
+      await waitFor(() => expect(result.current.takes).toHaveLength(1));
+      const [segments] = joinRecordings.mock.calls[0];
+      expect(segments).toHaveLength(2);
+      expect(result.current.takes[0].duration).toBe(12);
+    });
+  });
+
+  describe('recorder error', () => {
+    it('ends the recording and reports the error instead of waiting for a device', async () => {
+      const onRecorderError = jest.fn();
+      console.error = jest.fn();
+      const { result, recorder } = await startRecording({ onRecorderError });
+      const error = new Error('Worklet blocked');
+
+      act(() => recorder.onerror({ error }));
+
+      expect(result.current.isRecording).toBe(false);
+      expect(result.current.isPaused).toBe(false);
+      expect(result.current.lostDevice).toBeNull();
+      expect(onRecorderError).toHaveBeenCalledWith(error);
+    });
+
+    it('keeps what was recorded when the recorder stops after the error', async () => {
+      console.error = jest.fn();
+      const { result, recorder } = await startRecording({ onRecorderError: jest.fn() });
+      act(() => recorder.emit('before the error'));
+
+      act(() => recorder.onerror({ error: new Error('Encoder failed') }));
+      await act(async () => recorder.stopByBrowser());
+
+      expect(result.current.lostDevice).toBeNull();
+      expect(result.current.takes).toHaveLength(1);
+    });
+  });
+
+  describe('interruptions', () => {
+    it('pauses when the page is hidden and resumes on Resume', async () => {
+      const { result, recorder } = await startRecording();
+
+      act(() => setVisibility('hidden'));
+
+      expect(recorder.state).toBe('paused');
+      expect(recorder.requestData).toHaveBeenCalled();
+      expect(result.current.isPaused).toBe(true);
+      expect(result.current.interruption).toEqual({ reason: 'hidden', kind: null, waiting: false });
+
+      act(() => setVisibility('visible'));
+      act(() => result.current.handleResume());
+
+      expect(recorder.state).toBe('recording');
+      expect(result.current.isPaused).toBe(false);
+      expect(result.current.interruption).toBeNull();
+    });
+
+    it('waits for the OS to hand a muted microphone back before resuming', async () => {
+      const { result, recorder } = await startRecording();
+
+      act(() => setTrackMuted(microphone, true));
+
+      expect(recorder.state).toBe('paused');
+      expect(result.current.interruption).toEqual({ reason: 'muted', kind: 'audio', waiting: true });
+
+      act(() => result.current.handleResume());
+      expect(recorder.state).toBe('paused');
+
+      act(() => setTrackMuted(microphone, false));
+      expect(result.current.interruption.waiting).toBe(false);
+
+      act(() => result.current.handleResume());
+      expect(recorder.state).toBe('recording');
+      expect(result.current.interruption).toBeNull();
+    });
+
+    it('does not interrupt a paused recording', async () => {
+      const { result, recorder } = await startRecording();
+      act(() => result.current.handlePause());
+
+      act(() => setVisibility('hidden'));
+
+      expect(recorder.requestData).not.toHaveBeenCalled();
+      expect(result.current.interruption).toBeNull();
+    });
+  });
+});
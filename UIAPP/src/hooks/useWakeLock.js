@@ -0,0 +1,101 @@
+/**
+ * useWakeLock.js
+ * --------------
+ * Keeps the screen on while `active` is true (Screen Wake Lock API).
+ *
+ * PURPOSE:
+ * When a phone auto-locks mid-recording the browser stops the camera/microphone
+ * and the recording ends early; an upload stalls once the page is suspended.
+ * Recording (useRecordingFlow) and uploading (AppContent) each hold a lock while
+ * they run.
+ *
+ * BEHAVIOUR:
+ * - The lock is released when `active` turns false and on unmount.
+ * - Browsers drop the lock whenever the page is hidden; it is requested again
+ *   when the page becomes visible while still active.
+ * - Without the API (older Safari/Firefox) this does nothing - the screen may lock
+ *   as before.
+ *
+ * The state of each lock is shown in the DebugOverlay (debugService.setWakeLockState).
+ */
+
+import { useEffect } from 'react';
+import { debugService } from '../utils/DebugService';
+
+/**
+ * Whether this browser supports the Screen Wake Lock API
+ * @returns {boolean}
+ */
+export function isWakeLockSupported() {
+  return typeof navigator !== 'undefined' && !!navigator.wakeLock &&
+    typeof navigator.wakeLock.request === 'function';
+}
+
+/**
+ * Hold a screen wake lock while active
+ * @param {boolean} active - Whether the screen should stay on
+ * @param {string} owner - Who holds the lock ('recording', 'upload'); shown in the DebugOverlay
+ */
+export default function useWakeLock(active, owner) {
+  useEffect(() => {
+    if (!active) return undefined;
+
+    if (!isWakeLockSupported()) {
+      debugService.setWakeLockState(owner, 'unsupported');
+      return () => debugService.setWakeLockState(owner, null);
+    }
+
+    let sentinel = null;
+    let requesting = false;
+    let released = false;
+
+    const acquire = async () => {
+      if (sentinel || requesting || document.visibilityState !== 'visible') return;
+
+      requesting = true;
+      try {
+        const lock = await navigator.wakeLock.request('screen');
+        if (released) {
+          lock.release().catch(() => {});
+          return;
+        }
+        sentinel = lock;
+        // The browser releases the lock itself when the page is hidden
+        lock.addEventListener('release', () => {
+          if (sentinel !== lock) return;
+          sentinel = null;
+          if (!released) {
+            debugService.setWakeLockState(owner, 'released');
+            debugService.log('SYS', `Wake lock released by the browser (${owner})`);
+          }
+        });
+        debugService.setWakeLockState(owner, 'active');
+        debugService.log('SYS', `Wake lock acquired (${owner})`);
+      } catch (error) {
+        // Refused (battery saver, page not visible) - the screen may lock, nothing else changes
+        debugService.setWakeLockState(owner, 'denied');
+        debugService.log('SYS', `Wake lock request failed (${owner}): ${error?.name || error}`);
+      } finally {
+        requesting = false;
+      }
+    };
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') acquire();
+    };
+
+    acquire();
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      released = true;
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      if (sentinel) {
+        sentinel.release().catch(() => {});
+        sentinel = null;
+        debugService.log('SYS', `Wake lock released (${owner})`);
+      }
+      debugService.setWakeLockState(owner, null);
+    };
+  }, [active, owner]);
+}
@@ -0,0 +1,148 @@
+/**
+ * useWakeLock Tests
+ *
+ * Acquiring the screen wake lock while active, releasing it, requesting it again
+ * when the page comes back, and doing nothing without the Screen Wake Lock API.
+ */
+
+import { renderHook, act, waitFor } from '@testing-library/react';
+import useWakeLock from './useWakeLock';
+import { debugService } from '../utils/DebugService';
+
+jest.mock('../utils/DebugService', () => ({
+  debugService: {
+    setWakeLockState: jest.fn(),
+    log: jest.fn()
+  }
+}));
+
+// WakeLockSentinel: release() resolves and fires 'release', as the browser does
+class FakeSentinel extends EventTarget {
+  constructor() {
+    super();
+    this.released = false;
+    this.release = jest.fn(() => {
+      this.released = true;
+      this.dispatchEvent(new Event('release'));
+      return Promise.resolve();
+    });
+  }
+}
+
+function setVisibility(state) {
+  Object.defineProperty(document, 'visibilityState', { configurable: true, get: () => state });
+  document.dispatchEvent(new Event('visibilitychange'));
+}
+
+describe('useWakeLock', () => {
+  let sentinels;
+
+  beforeEach(() => {
+    sentinels = [];
+    Object.defineProperty(navigator, 'wakeLock', {
+      configurable: true,
+      value: {
+        request: jest.fn(() => {
+          const sentinel = new FakeSentinel();
+          sentinels.push(sentinel);
+          return Promise.resolve(sentinel);
+        })
+      }
+    });
+    Object.defineProperty(document, 'visibilityState', { configurable: true, get: () => 'visible' });
+  });
+
+  afterEach(() => {
+    delete navigator.wakeLock;
+    delete document.visibilityState;
+  });
+
+  it('acquires the lock while active', async () => {
+    renderHook(() => useWakeLock(true, 'recording'));
+
+    await waitFor(() => expect(debugService.setWakeLockState).toHaveBeenCalledWith('recording', 'active'));
+    expect(navigator.wakeLock.request).toHaveBeenCalledWith('screen');
+    expect(sentinels).toHaveLength(1);
+  });
+
+  it('does not request the lock while inactive', () => {
+    renderHook(() => useWakeLock(false, 'recording'));
+
+    expect(navigator.wakeLock.request).not.toHaveBeenCalled();
+  });
+
+  it('releases the lock when it becomes inactive', async () => {
+    const { rerender } = renderHook(({ active }) => useWakeLock(active, 'upload'), {
+      initialProps: { active: true }
+    });
+    await waitFor(() => expect(sentinels).toHaveLength(1));
+    await waitFor(() => expect(debugService.setWakeLockState).toHaveBeenCalledWith('upload', 'active'));
+
+    rerender({ active: false });
+
+    expect(sentinels[0].release).toHaveBeenCalled();
+    expect(debugService.setWakeLockState).toHaveBeenLastCalledWith('upload', null);
+  });
+
+  it('releases the lock on unmount', async () => {
+    const { unmount } = renderHook(() => useWakeLock(true, 'recording'));
+    await waitFor(() => expect(debugService.setWakeLockState).toHaveBeenCalledWith('recording', 'active'));
+
+    unmount();
+
+    expect(sentinels[0].release).toHaveBeenCalled();
+    expect(debugService.setWakeLockState).toHaveBeenLastCalledWith('recording', null);
+  });
+
+  it('releases a lock granted after it became inactive', async () => {
+    let grant;
+    navigator.wakeLock.request.mockImplementation(() => new Promise(resolve => { grant = resolve; }));
+    const { unmount } = renderHook(() => useWakeLock(true, 'recording'));
+
+    unmount();
+    const sentinel = new FakeSentinel();
+    await act(async () => grant(sentinel));
+
+    expect(sentinel.release).toHaveBeenCalled();
+    expect(debugService.setWakeLockState).not.toHaveBeenCalledWith('recording', 'active');
+  });
+
+  it('requests the lock again when the page becomes visible', async () => {
+    renderHook(() => useWakeLock(true, 'recording'));
+    await waitFor(() => expect(debugService.setWakeLockState).toHaveBeenCalledWith('recording', 'active'));
+
+    // The browser drops the lock while the page is hidden
+    act(() => {
+      setVisibility('hidden');
+      sentinels[0].release();
+    });
+    expect(debugService.setWakeLockState).toHaveBeenLastCalledWith('recording', 'released');
+    expect(navigator.wakeLock.request).toHaveBeenCalledTimes(1);
+
+    act(() => setVisibility('visible'));
+
+    await waitFor(() => expect(sentinels).toHaveLength(2));
+    await waitFor(() => expect(debugService.setWakeLockState).toHaveBeenLastCalledWith('recording', 'active'));
+    expect(navigator.wakeLock.request).toHaveBeenCalledTimes(2);
+  });
+
+  it('reports a refused request', async () => {
+    navigator.wakeLock.request.mockRejectedValue(Object.assign(new Error('Battery saver'), { name: 'NotAllowedError' }));
+
+    renderHook(() => useWakeLock(true, 'recording'));
+
+    await waitFor(() => expect(debugService.setWakeLockState).toHaveBeenCalledWith('recording', 'denied'));
+  });
+
+  it('does nothing without the Screen Wake Lock API', () => {
+    delete navigator.wakeLock;
+
+    const { unmount } = renderHook(() => useWakeLock(true, 'recording'));
+
+    expect(debugService.setWakeLockState).toHaveBeenCalledWith('recording', 'unsupported');
+
+    unmount();
+
+    expect(debugService.setWakeLockState).toHaveBeenLastCalledWith('recording', null);
+  });
+});
@@ -14,10 +14,16 @@ export const APP_ACTIONS = {
   SET_VIDEO_PERMISSION_GRANTED: 'SET_VIDEO_PERMISSION_GRANTED',
   SET_AUDIO_TEST_COMPLETED: 'SET_AUDIO_TEST_COMPLETED',
   SET_VIDEO_TEST_COMPLETED: 'SET_VIDEO_TEST_COMPLETED',
+  SET_SCREEN_PERMISSION_GRANTED: 'SET_SCREEN_PERMISSION_GRANTED',
+  SET_SCREEN_TEST_COMPLETED: 'SET_SCREEN_TEST_COMPLETED',
   SET_SUBMIT_STAGE: 'SET_SUBMIT_STAGE',
   SET_SHOW_START_OVER_CONFIRM: 'SET_SHOW_START_OVER_CONFIRM',
   SET_SHOW_CONFETTI: 'SET_SHOW_CONFETTI',
   SET_DOC_ID: 'SET_DOC_ID',
+
+  // Multi-question session actions
+  SET_PROMPT_INDEX: 'SET_PROMPT_INDEX',
+  SET_PROMPT_RESULT: 'SET_PROMPT_RESULT',
   
   // Upload actions  
   SET_UPLOAD_IN_PROGRESS: 'SET_UPLOAD_IN_PROGRESS',
@@ -46,10 +52,16 @@ export const initialAppState = {
   videoPermissionGranted: false, // Track if camera permission granted
   audioTestCompleted: false, // Track if user completed audio test screen
   videoTestCompleted: false, // Track if user completed video test screen
+  screenPermissionGranted: false, // Track if a screen is being shared (re-asked each time - browsers don't persist it)
+  screenTestCompleted: false, // Track if user completed screen test screen
   submitStage: false,
   showStartOverConfirm: false,
   showConfetti: false,
   docId: null,
+
+  // Multi-question sessions (utils/sessionPrompts.js)
+  promptIndex: 0, // Prompt being read / recorded / reviewed
+  promptResults: {}, // Prompts done this visit: { [index]: 'answered' | 'skipped' }
   
   // Upload states (from App.js lines 67-68)
   uploadInProgress: false,
@@ -86,6 +98,12 @@ export const appReducer = (state, action) => {
     case APP_ACTIONS.SET_VIDEO_TEST_COMPLETED:
       return { ...state, videoTestCompleted: action.payload };
 
+    case APP_ACTIONS.SET_SCREEN_PERMISSION_GRANTED:
+      return { ...state, screenPermissionGranted: action.payload };
+
+    case APP_ACTIONS.SET_SCREEN_TEST_COMPLETED:
+      return { ...state, screenTestCompleted: action.payload };
+
     case APP_ACTIONS.SET_SUBMIT_STAGE:
       return { ...state, submitStage: action.payload };
 
@@ -98,6 +116,15 @@ export const appReducer = (state, action) => {
     case APP_ACTIONS.SET_DOC_ID:
       return { ...state, docId: action.payload };
       
+    case APP_ACTIONS.SET_PROMPT_INDEX:
+      return { ...state, promptIndex: action.payload };
+
+    case APP_ACTIONS.SET_PROMPT_RESULT:
+      return {
+        ...state,
+        promptResults: { ...state.promptResults, [action.payload.index]: action.payload.result }
+      };
+      
     case APP_ACTIONS.SET_UPLOAD_IN_PROGRESS:
       return { ...state, uploadInProgress: action.payload };
       
@@ -127,7 +154,9 @@ export const appReducer = (state, action) => {
       return {
         ...initialAppState,
         // Preserve any states that shouldn't reset
-        docId: state.docId
+        docId: state.docId,
+        promptIndex: state.promptIndex,
+        promptResults: state.promptResults
       };
       
     default:
@@ -468,7 +468,14 @@ class FirebaseFirestoreService {
           askerName: data.askerName,
           createdAt: data.createdAt?.toDate()?.toISOString(),
           expiresAt: data.expiresAt?.toDate()?.toISOString(),
-          status: data.status
+          status: data.status,
+          // Optional per-session recording limits (utils/sessionLimits.js)
+          maxDurationSeconds: data.maxDurationSeconds,
+          warningOffsetSeconds: data.warningOffsetSeconds,
+          maxFileSizeBytes: data.maxFileSizeBytes,
+          // Optional multi-question sessions: ordered prompts and the answers saved so far (utils/sessionPrompts.js)
+          prompts: data.prompts,
+          answers: data.answers
         },
         fullUserId: data.userId,
         sessionDocument: data
@@ -11,10 +11,13 @@
  * - Error handling: upload success even if Firestore update fails
  */
 
-import { ref, uploadBytesResumable } from 'firebase/storage';
+import { ref, uploadBytes, uploadBytesResumable } from 'firebase/storage';
 import { doc, updateDoc, serverTimestamp } from 'firebase/firestore';
 import { storage, db } from './index.js';
 import { uploadErrorTracker } from '../../utils/uploadErrorTracker.js';
+import { SERVICE_CONFIG } from '../../config';
+import { formatAudioProcessing } from '../../utils/audioProcessing.js';
+import { serializeWaveform } from '../../utils/waveform.js';
 import { 
   completeRecordingWithConflictHandling
 } from './transactions.js';
@@ -68,6 +71,51 @@ const getBestSupportedMimeType = (mediaType = 'audio') => {
 
 // Progressive upload functionality removed - using simple single upload
 
+/**
+ * Upload a small companion file next to the recording (video cover image, audio waveform).
+ * Never fails the recording upload - returns null when the file is missing or rejected.
+ * @param {Blob} file - File contents
+ * @param {string} path - Storage path
+ * @param {Object} context - { sessionId, fullUserId, recordingType ('thumbnail' | 'waveform'), maxSize }
+ * @returns {Promise<string|null>} Storage path of the uploaded file
+ */
+const uploadSidecar = async (file, path, { sessionId, fullUserId, recordingType, maxSize }) => {
+  if (!file) return null;
+
+  if (maxSize && file.size > maxSize) {
+    uploadErrorTracker.logWarning(`Sidecar ${recordingType} too large - skipped`, {
+      sessionId,
+      fullUserId,
+      step: `${recordingType}Upload`,
+      fileSize: file.size
+    });
+    return null;
+  }
+
+  try {
+    await uploadBytes(ref(storage, path), file, {
+      contentType: file.type,
+      customMetadata: {
+        sessionId,
+        userId: fullUserId,
+        recordingType,
+        timestamp: Date.now().toString()
+      }
+    });
+    console.log(`✅ Sidecar ${recordingType} uploaded:`, path);
+    return path;
+  } catch (error) {
+    console.warn(`⚠️ Sidecar ${recordingType} upload failed, continuing without it:`, error);
+    uploadErrorTracker.logWarning(`Sidecar ${recordingType} upload failed - continuing without it`, {
+      sessionId,
+      fullUserId,
+      step: `${recordingType}Upload`,
+      errorMessage: error.message
+    });
+    return null;
+  }
+};
+
 /**
  * Love Retold recording upload with proper storage paths and session updates
  * @param {Blob} recordingBlob - Recording blob to upload
@@ -75,6 +123,9 @@ const getBestSupportedMimeType = (mediaType = 'audio') => {
  * @param {Object} sessionComponents - Parsed session components from parseSessionId
  * @param {Object} sessionData - Full session data from validated session // UID-FIX-SLICE-A
  * @param {Object} options - Upload options
+ *   (options.prompt: { index, count, text, isFinal } for an answer in a multi-question session;
+ *   options.thumbnail: JPEG cover image for video recordings, saved as storagePaths.thumbnail;
+ *   options.waveform: { version, duration, peaks } for audio recordings, saved as storagePaths.waveform)
  * @returns {Promise<Object>} Upload result
  */
 export const uploadLoveRetoldRecording = async (recordingBlob, sessionId, sessionComponents, sessionData, options = {}) => {
@@ -118,8 +169,13 @@ export const uploadLoveRetoldRecording = async (recordingBlob, sessionId, sessio
 
     // UID-FIX-SLICE-A: Use full userId from Firestore session document
     const fullUserId = sessionData?.fullUserId || sessionComponents.userId;
-    const fileExtension = actualMimeType.includes('webm') ? 'webm' : 'mp4';
-    const finalPath = `users/${fullUserId}/recordings/${sessionId}/final/recording.${fileExtension}`;
+    const fileExtension = actualMimeType.includes('webm') ? 'webm' : actualMimeType.includes('wav') ? 'wav' : 'mp4';
+    // Multi-question sessions: one file per answer, named by prompt index
+    const { prompt } = options;
+    const fileName = prompt ? `recording-${prompt.index}` : 'recording';
+    const finalPath = `users/${fullUserId}/recordings/${sessionId}/final/${fileName}.${fileExtension}`;
+    const thumbnailPath = `users/${fullUserId}/recordings/${sessionId}/${prompt ? `thumbnail-${prompt.index}` : 'thumbnail'}.jpg`;
+    const waveformPath = `users/${fullUserId}/recordings/${sessionId}/final/${fileName}.peaks.json`;
     
     // UID-FIX-SLICE-A: Debug logging for validation
     console.log('🔍 Storage Path Debug (UID-FIX-SLICE-A):', {
@@ -168,11 +224,18 @@ export const uploadLoveRetoldRecording = async (recordingBlob, sessionId, sessio
         promptId: sessionComponents.promptId,
         storytellerId: sessionComponents.storytellerId,
         recordingType: mediaType,
+        captureMode: options.captureMode || mediaType, // 'screen' = shared screen + microphone (recordingType 'video')
+        qualityProfile: options.recordingSettings?.qualityProfile || 'unknown', // QUALITY_PROFILES key used to record
+        audioProcessing: formatAudioProcessing(options.recordingSettings?.audioProcessing), // e.g. 'noiseSuppression=on,...'
         timestamp: Date.now().toString(),
         recordingVersion: '2.1-love-retold-status-fixed', // SLICE-B FIX: Updated for Love Retold status system
         // SLICE-B FIX: Removed askerName - Love Retold handles this field
         // DURATION-FIELD: Add duration to metadata for Love Retold Cloud Function to read
-        duration: (options.duration !== undefined ? options.duration : 0).toString()
+        duration: (options.duration !== undefined ? options.duration : 0).toString(),
+        ...(prompt && {
+          promptIndex: prompt.index.toString(),
+          promptCount: prompt.count.toString()
+        })
       }
     };
     
@@ -268,6 +331,21 @@ export const uploadLoveRetoldRecording = async (recordingBlob, sessionId, sessio
           );
         });
 
+        // Cover image / waveform peaks next to the recording (optional)
+        const uploadedThumbnailPath = await uploadSidecar(options.thumbnail, thumbnailPath, {
+          sessionId,
+          fullUserId,
+          recordingType: 'thumbnail',
+          maxSize: SERVICE_CONFIG.FIREBASE.MAX_THUMBNAIL_SIZE
+        });
+        const uploadedWaveformPath = options.waveform
+          ? await uploadSidecar(serializeWaveform(options.waveform), waveformPath, {
+            sessionId,
+            fullUserId,
+            recordingType: 'waveform'
+          })
+          : null;
+
         // STEP 2: Atomic upload completion with storage coordination
         try {
           console.log('📊 Starting Step 2 atomic completion (atomic upload + status update)...');
@@ -276,7 +354,15 @@ export const uploadLoveRetoldRecording = async (recordingBlob, sessionId, sessio
           const completionData = {
             fileSize: recordingBlob.size,
             mimeType: actualMimeType,
-            duration: options.duration !== undefined ? options.duration : undefined // DURATION-FIELD: Optional duration from options
+            duration: options.duration !== undefined ? options.duration : undefined, // DURATION-FIELD: Optional duration from options
+            markers: options.markers && options.markers.length > 0 ? options.markers : undefined, // Chapter markers [{ time, label }]
+            thumbnailPath: uploadedThumbnailPath || undefined, // Video cover image, saved as storagePaths.thumbnail
+            waveformPath: uploadedWaveformPath || undefined, // Audio peaks sidecar, saved as storagePaths.waveform
+            ...(prompt && {
+              promptIndex: prompt.index,
+              promptText: prompt.text,
+              isFinalAnswer: prompt.isFinal
+            })
           };
           
           // Customer support: Track atomic completion attempt
@@ -15,6 +15,10 @@
  * 2. Execute Firestore transaction for status update
  * 3. If transaction fails → clean up uploaded file
  * 4. If storage cleanup fails → log but preserve original error
+ *
+ * MULTI-QUESTION SESSIONS (utils/sessionPrompts.js):
+ * - Each answer is completed on its own under answers.<promptIndex>
+ * - The session stays in 'Recording' until the last prompt is answered or skipped
  */
 
 import { doc, runTransaction, serverTimestamp } from 'firebase/firestore';
@@ -29,6 +33,8 @@ import { createError, UPLOAD_ERRORS } from '../../utils/errors';
  * 
  * @param {string} sessionId - Recording session document ID
  * @param {Object} completionData - File metadata and completion info
+ *   (multi-question sessions: promptIndex, promptText, isFinalAnswer;
+ *   thumbnailPath / waveformPath when a cover image / waveform sidecar was uploaded)
  * @param {string} uploadedFilePath - Storage path of uploaded file
  * @returns {Promise<{success: boolean}>}
  */
@@ -66,16 +72,56 @@ export async function completeRecordingAtomically(sessionId, completionData, upl
         );
       }
       
+      // Multi-question session: one answer, session completes with the last prompt
+      if (completionData.promptIndex !== undefined) {
+        const existingAnswer = currentData.answers?.[completionData.promptIndex];
+        if (existingAnswer?.storagePath === uploadedFilePath) {
+          console.log(`✅ Answer ${completionData.promptIndex} of ${sessionId} already completed, returning success`);
+          return { success: true };
+        }
+
+        transaction.update(sessionRef, {
+          status: completionData.isFinalAnswer ? 'ReadyForTranscription' : 'Recording',
+          [`answers.${completionData.promptIndex}`]: {
+            promptIndex: completionData.promptIndex,
+            promptText: completionData.promptText || '',
+            storagePath: uploadedFilePath,
+            fileSize: completionData.fileSize,
+            mimeType: completionData.mimeType,
+            ...(completionData.duration !== undefined && { duration: completionData.duration }),
+            ...(completionData.markers && { markers: completionData.markers }),
+            ...(completionData.thumbnailPath && { thumbnailPath: completionData.thumbnailPath }),
+            ...(completionData.waveformPath && { waveformPath: completionData.waveformPath }),
+            completedAt: new Date()
+          },
+          ...(completionData.isFinalAnswer && { recordingCompletedAt: new Date() }),
+          error: null,
+          updatedAt: serverTimestamp() // ✅ REQUIRED FIELD
+        });
+
+        console.log(`✅ Transaction prepared for answer ${completionData.promptIndex} of session ${sessionId}`);
+        return;
+      }
+
       // Atomic update of ALL completion fields (anonymous user permissions compliant)
       transaction.update(sessionRef, {
         status: 'ReadyForTranscription',
         'storagePaths.finalVideo': uploadedFilePath,
+        ...(completionData.thumbnailPath && {
+          'storagePaths.thumbnail': completionData.thumbnailPath // Video cover image (JPEG)
+        }),
+        ...(completionData.waveformPath && {
+          'storagePaths.waveform': completionData.waveformPath // Audio peaks sidecar (JSON)
+        }),
         'recordingData.uploadProgress': 100,
         'recordingData.fileSize': completionData.fileSize,
         'recordingData.mimeType': completionData.mimeType,
         ...(completionData.duration !== undefined && {
           'recordingData.duration': completionData.duration // DURATION-FIELD: Optional duration field
         }),
+        ...(completionData.markers && {
+          'recordingData.markers': completionData.markers // Chapter markers [{ time, label }]
+        }),
         recordingCompletedAt: new Date(),
         // Clear any previous errors (Love Retold will automatically delete prompt)
         error: null,
@@ -106,6 +152,17 @@ export async function completeRecordingAtomically(sessionId, completionData, upl
         // Don't throw - we want to preserve the original transaction error
       }
     }
+    // Sidecar files (cover image, waveform) uploaded with the recording
+    const sidecarPaths = shouldCleanupStorage
+      ? [completionData.thumbnailPath, completionData.waveformPath].filter(Boolean)
+      : [];
+    for (const sidecarPath of sidecarPaths) {
+      try {
+        await cleanupUploadedFile(sidecarPath);
+      } catch (cleanupError) {
+        console.error(`⚠️ Sidecar cleanup failed for ${sidecarPath}:`, cleanupError);
+      }
+    }
   }
 }
 
@@ -195,6 +252,50 @@ export async function completeRecordingWithConflictHandling(sessionId, completio
   });
 }
 
+/**
+ * Record a skipped prompt of a multi-question session
+ * Skipping the last remaining prompt completes the session (it has at least one answer)
+ *
+ * @param {string} sessionId - Recording session document ID
+ * @param {number} promptIndex - Index of the skipped prompt
+ * @param {Object} [options]
+ * @param {boolean} [options.completeSession] - Last remaining prompt: mark the session ReadyForTranscription
+ * @returns {Promise<{success: boolean}>}
+ */
+export async function recordSkippedPrompt(sessionId, promptIndex, { completeSession = false } = {}) {
+  return await handleTransactionConflicts(async () => {
+    const sessionRef = doc(db, 'recordingSessions', sessionId);
+
+    return await runTransaction(db, async (transaction) => {
+      const sessionDoc = await transaction.get(sessionRef);
+
+      if (!sessionDoc.exists()) {
+        throw createError(
+          UPLOAD_ERRORS.RECORDING_NOT_FOUND,
+          `Recording session ${sessionId} not found`,
+          { sessionId }
+        );
+      }
+
+      const currentData = sessionDoc.data();
+      const finishing = completeSession && currentData.status !== 'ReadyForTranscription';
+      // Skipping before anything was recorded starts the session (rules reject updates
+      // that leave it in ReadyForRecording)
+      const starting = !finishing && currentData.status === 'ReadyForRecording';
+
+      transaction.update(sessionRef, {
+        [`answers.${promptIndex}`]: { promptIndex, skipped: true, skippedAt: new Date() },
+        ...(finishing && { status: 'ReadyForTranscription', recordingCompletedAt: new Date() }),
+        ...(starting && { status: 'Recording' }),
+        updatedAt: serverTimestamp() // ✅ REQUIRED FIELD
+      });
+
+      console.log(`✅ Prompt ${promptIndex} skipped for session ${sessionId}${finishing ? ' (session complete)' : ''}`);
+      return { success: true };
+    });
+  });
+}
+
 /**
  * Storage cleanup utility - removes orphaned files after transaction failures
  * Safely handles non-existent files and Firebase Storage errors
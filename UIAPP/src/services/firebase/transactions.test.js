@@ -0,0 +1,144 @@
+/**
+ * Firebase Transaction Service Tests
+ *
+ * Multi-question sessions: completing one answer and skipping a prompt write
+ * answers.<promptIndex> and only fields the firestore.rules update rule allows.
+ */
+
+import { completeRecordingAtomically, recordSkippedPrompt } from './transactions.js';
+import { doc, runTransaction, serverTimestamp } from 'firebase/firestore';
+
+jest.mock('firebase/firestore', () => ({
+  doc: jest.fn(),
+  runTransaction: jest.fn(),
+  serverTimestamp: jest.fn()
+}));
+
+jest.mock('firebase/storage', () => ({
+  ref: jest.fn(),
+  deleteObject: jest.fn()
+}));
+
+jest.mock('../../config/firebase', () => ({
+  db: {},
+  storage: {}
+}));
+
+// Top-level fields an anonymous recording update may touch (firestore.rules, onlyUpdatingFields)
+const RULES_UPDATABLE_FIELDS = [
+  'status', 'recordingData', 'storagePaths',
+  'recordingStartedAt', 'recordingCompletedAt', 'error', 'updatedAt',
+  'answers'
+];
+
+// Statuses the rules accept after an update
+const RULES_RESULT_STATUSES = ['Recording', 'Uploading', 'ReadyForTranscription', 'failed'];
+
+describe('Firebase transactions (multi-question sessions)', () => {
+  let sessionData;
+  let transaction;
+
+  beforeEach(() => {
+    console.log = jest.fn();
+    console.error = jest.fn();
+
+    sessionData = { status: 'Recording', answers: {} };
+    transaction = {
+      get: jest.fn(() => Promise.resolve({ exists: () => true, data: () => sessionData })),
+      update: jest.fn()
+    };
+    doc.mockReturnValue('session-ref');
+    serverTimestamp.mockReturnValue('server-timestamp');
+    runTransaction.mockImplementation((db, updateFn) => updateFn(transaction));
+  });
+
+  const writtenUpdate = () => transaction.update.mock.calls[0][1];
+
+  function expectAllowedByRules(update) {
+    const fields = Object.keys(update).map(key => key.split('.')[0]);
+    fields.forEach(field => expect(RULES_UPDATABLE_FIELDS).toContain(field));
+    expect(RULES_RESULT_STATUSES).toContain(update.status || sessionData.status);
+  }
+
+  const completion = (overrides = {}) => ({
+    promptIndex: 1,
+    promptText: 'Tell us about your first job',
+    isFinalAnswer: false,
+    fileSize: 2048,
+    mimeType: 'audio/webm',
+    duration: 42,
+    waveformPath: 'users/u/recordings/s/final/recording-1.peaks.json',
+    ...overrides
+  });
+  const answerPath = 'users/u/recordings/s/final/recording-1.webm';
+
+  describe('completeRecordingAtomically', () => {
+    it('writes the answer and keeps the session recording while prompts remain', async () => {
+      await completeRecordingAtomically('session-1', completion(), answerPath);
+
+      const update = writtenUpdate();
+      expect(transaction.update).toHaveBeenCalledWith('session-ref', expect.any(Object));
+      expect(update.status).toBe('Recording');
+      expect(update['answers.1']).toMatchObject({
+        promptIndex: 1,
+        promptText: 'Tell us about your first job',
+        storagePath: answerPath,
+        fileSize: 2048,
+        mimeType: 'audio/webm',
+        duration: 42,
+        waveformPath: 'users/u/recordings/s/final/recording-1.peaks.json'
+      });
+      expect(update).not.toHaveProperty('recordingCompletedAt');
+      expect(Object.keys(update)).not.toContain('storagePaths.finalVideo');
+      expect(update.updatedAt).toBe('server-timestamp');
+      expectAllowedByRules(update);
+    });
+
+    it('completes the session with the final answer', async () => {
+      await completeRecordingAtomically('session-1', completion({ isFinalAnswer: true }), answerPath);
+
+      const update = writtenUpdate();
+      expect(update.status).toBe('ReadyForTranscription');
+      expect(update.recordingCompletedAt).toBeInstanceOf(Date);
+      expectAllowedByRules(update);
+    });
+
+    it('does not write an answer that is already saved', async () => {
+      sessionData.answers = { 1: { storagePath: answerPath } };
+
+      await expect(completeRecordingAtomically('session-1', completion(), answerPath)).resolves.toEqual({ success: true });
+
+      expect(transaction.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordSkippedPrompt', () => {
+    it('marks the prompt skipped', async () => {
+      await expect(recordSkippedPrompt('session-1', 2)).resolves.toEqual({ success: true });
+
+      const update = writtenUpdate();
+      expect(update['answers.2']).toMatchObject({ promptIndex: 2, skipped: true });
+      expect(update).not.toHaveProperty('status');
+      expectAllowedByRules(update);
+    });
+
+    it('starts a session skipped before anything was recorded', async () => {
+      sessionData.status = 'ReadyForRecording';
+
+      await recordSkippedPrompt('session-1', 0);
+
+      const update = writtenUpdate();
+      expect(update.status).toBe('Recording');
+      expectAllowedByRules(update);
+    });
+
+    it('completes the session when the last remaining prompt is skipped', async () => {
+      await recordSkippedPrompt('session-1', 2, { completeSession: true });
+
+      const update = writtenUpdate();
+      expect(update.status).toBe('ReadyForTranscription');
+      expect(update.recordingCompletedAt).toBeInstanceOf(Date);
+      expectAllowedByRules(update);
+    });
+  });
+});
@@ -0,0 +1,299 @@
+/**
+ * recordingRecoveryService.js
+ * ---------------------------
+ * Crash-safe persistence for in-progress recordings using IndexedDB.
+ *
+ * PURPOSE:
+ * MediaRecorder chunks normally live only in memory (recordedChunksRef in useRecordingFlow).
+ * If the tab crashes, iOS kills the page, or the storyteller reloads, the recording is lost.
+ * This service writes every chunk to IndexedDB as it arrives, keyed by sessionId, so the
+ * recording can be restored into the review screen when the session link is reopened.
+ *
+ * STORES:
+ * - sessions: one record per sessionId { sessionId, captureMode, mimeType, duration, chunkCount, segmentStarts, markers, promptIndex, startedAt, updatedAt }
+ * - chunks:   one record per chunk      { sessionId, index, blob }
+ *
+ * LIFECYCLE:
+ * 1. beginRecoverySession() when recording starts (clears any previous take)
+ * 2. saveRecoveryChunk() on every ondataavailable
+ * 3. getUnfinishedRecording() when the session link is opened
+ * 4. clearRecoverySession() after successful upload or Start Over
+ *
+ * All operations are best-effort: failures are logged and never interrupt recording.
+ */
+
+import { createError, classifyStorageError, UPLOAD_ERRORS, STORAGE_ERRORS } from '../utils/errors';
+import { SERVICE_CONFIG } from '../config';
+
+// Read config lazily (SERVICE_CONFIG.RECOVERY) so tests that mock the config module
+// without it can still import modules that depend on this service
+function getRecoveryConfig() {
+  return SERVICE_CONFIG.RECOVERY;
+}
+
+// Cached connection promise (one connection per page)
+let dbPromise = null;
+
+/**
+ * Check whether IndexedDB is available in this browser
+ * @returns {boolean} True if IndexedDB can be used
+ */
+export function isRecoverySupported() {
+  return typeof window !== 'undefined' && !!window.indexedDB;
+}
+
+// Helper to open (and upgrade) the recovery database
+function openDatabase() {
+  if (!isRecoverySupported()) {
+    return Promise.reject(createError(
+      UPLOAD_ERRORS.UNKNOWN,
+      'IndexedDB not supported in this browser'
+    ));
+  }
+
+  if (dbPromise) {
+    return dbPromise;
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    const { DB_NAME, DB_VERSION, SESSIONS_STORE, CHUNKS_STORE } = getRecoveryConfig();
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(SESSIONS_STORE)) {
+        db.createObjectStore(SESSIONS_STORE, { keyPath: 'sessionId' });
+      }
+      if (!db.objectStoreNames.contains(CHUNKS_STORE)) {
+        const chunkStore = db.createObjectStore(CHUNKS_STORE, { keyPath: ['sessionId', 'index'] });
+        chunkStore.createIndex('sessionId', 'sessionId', { unique: false });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null; // Allow a later retry
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+// Helper to wrap an IDBRequest in a promise
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Helper to wait for a transaction to commit
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// Helper to convert IndexedDB failures into structured errors
+function toStructuredError(error, message) {
+  const errorType = classifyStorageError(error);
+  return createError(
+    errorType === STORAGE_ERRORS.QUOTA_EXCEEDED ? UPLOAD_ERRORS.QUOTA_EXCEEDED : UPLOAD_ERRORS.UNKNOWN,
+    message,
+    error
+  );
+}
+
+// Helper to delete every chunk for a session inside an open transaction
+function deleteChunksInTransaction(transaction, sessionId) {
+  const { CHUNKS_STORE } = getRecoveryConfig();
+  const index = transaction.objectStore(CHUNKS_STORE).index('sessionId');
+  const cursorRequest = index.openKeyCursor(IDBKeyRange.only(sessionId));
+
+  cursorRequest.onsuccess = () => {
+    const cursor = cursorRequest.result;
+    if (cursor) {
+      transaction.objectStore(CHUNKS_STORE).delete(cursor.primaryKey);
+      cursor.continue();
+    }
+  };
+}
+
+/**
+ * Start persisting a new recording for a session.
+ * Any previously stored chunks for the session are discarded.
+ *
+ * @param {string} sessionId - Recording session ID
+ * @param {Object} details - Recording details
+ * @param {string} details.captureMode - 'audio', 'video' or 'screen'
+ * @param {string} details.mimeType - MIME type chosen for MediaRecorder
+ * @param {Object} [details.settings] - Recording settings kept for upload metadata (e.g. qualityProfile)
+ * @param {number[]} [details.segmentStarts] - Chunk indexes where a new recorder segment begins
+ *   (continued takes: the segments must be joined on restore, not concatenated)
+ * @param {Array} [details.markers] - Chapter markers so far (continued takes keep theirs)
+ * @param {number} [details.promptIndex] - Prompt being answered (multi-question sessions)
+ * @returns {Promise<void>}
+ */
+export async function beginRecoverySession(sessionId, { captureMode, mimeType, settings = null, segmentStarts = [], markers = [], promptIndex = 0 }) {
+  if (!sessionId) return;
+
+  const { SESSIONS_STORE, CHUNKS_STORE } = getRecoveryConfig();
+
+  try {
+    const db = await openDatabase();
+    const transaction = db.transaction([SESSIONS_STORE, CHUNKS_STORE], 'readwrite');
+    deleteChunksInTransaction(transaction, sessionId);
+
+    const now = Date.now();
+    transaction.objectStore(SESSIONS_STORE).put({
+      sessionId,
+      captureMode,
+      mimeType,
+      settings,
+      duration: 0,
+      chunkCount: 0,
+      segmentStarts,
+      markers,
+      promptIndex,
+      startedAt: now,
+      updatedAt: now
+    });
+
+    await transactionDone(transaction);
+  } catch (error) {
+    console.error('Recovery error in beginRecoverySession:', toStructuredError(error, 'Failed to start recovery session'));
+  }
+}
+
+/**
+ * Persist a single MediaRecorder chunk.
+ *
+ * @param {string} sessionId - Recording session ID
+ * @param {number} index - Zero-based chunk index (preserves order on restore)
+ * @param {Blob} blob - Chunk data from ondataavailable
+ * @param {Object} [progress] - Optional progress info
+ * @param {number} [progress.duration] - Recorded seconds so far
+ * @returns {Promise<void>}
+ */
+export async function saveRecoveryChunk(sessionId, index, blob, { duration } = {}) {
+  if (!sessionId || !blob) return;
+
+  const { SESSIONS_STORE, CHUNKS_STORE } = getRecoveryConfig();
+
+  try {
+    const db = await openDatabase();
+    const transaction = db.transaction([SESSIONS_STORE, CHUNKS_STORE], 'readwrite');
+    transaction.objectStore(CHUNKS_STORE).put({ sessionId, index, blob });
+
+    const sessionStore = transaction.objectStore(SESSIONS_STORE);
+    const record = await promisifyRequest(sessionStore.get(sessionId));
+    if (record) {
+      sessionStore.put({
+        ...record,
+        chunkCount: Math.max(record.chunkCount, index + 1),
+        duration: duration !== undefined ? duration : record.duration,
+        updatedAt: Date.now()
+      });
+    }
+
+    await transactionDone(transaction);
+  } catch (error) {
+    console.error('Recovery error in saveRecoveryChunk:', toStructuredError(error, 'Failed to persist recording chunk'));
+  }
+}
+
+/**
+ * Update stored metadata for a session without writing a chunk.
+ *
+ * @param {string} sessionId - Recording session ID
+ * @param {Object} updates - Fields to merge into the session record
+ * @returns {Promise<void>}
+ */
+export async function updateRecoverySession(sessionId, updates) {
+  if (!sessionId) return;
+
+  const { SESSIONS_STORE } = getRecoveryConfig();
+
+  try {
+    const db = await openDatabase();
+    const transaction = db.transaction(SESSIONS_STORE, 'readwrite');
+    const sessionStore = transaction.objectStore(SESSIONS_STORE);
+    const record = await promisifyRequest(sessionStore.get(sessionId));
+    if (record) {
+      sessionStore.put({ ...record, ...updates, updatedAt: Date.now() });
+    }
+    await transactionDone(transaction);
+  } catch (error) {
+    console.error('Recovery error in updateRecoverySession:', toStructuredError(error, 'Failed to update recovery session'));
+  }
+}
+
+/**
+ * Look up an unfinished recording for a session.
+ * Stale recordings (older than RECOVERY.MAX_AGE_MS) are discarded.
+ *
+ * @param {string} sessionId - Recording session ID
+ * @returns {Promise<Object|null>} { sessionId, captureMode, mimeType, duration, segmentStarts, markers, promptIndex, startedAt, updatedAt, chunks } or null
+ */
+export async function getUnfinishedRecording(sessionId) {
+  if (!sessionId || !isRecoverySupported()) return null;
+
+  const { SESSIONS_STORE, CHUNKS_STORE, MAX_AGE_MS } = getRecoveryConfig();
+
+  try {
+    const db = await openDatabase();
+    const transaction = db.transaction([SESSIONS_STORE, CHUNKS_STORE], 'readonly');
+    const record = await promisifyRequest(transaction.objectStore(SESSIONS_STORE).get(sessionId));
+
+    if (!record) {
+      return null;
+    }
+
+    if (Date.now() - record.updatedAt > MAX_AGE_MS) {
+      await clearRecoverySession(sessionId);
+      return null;
+    }
+
+    const chunkRecords = await promisifyRequest(
+      transaction.objectStore(CHUNKS_STORE).index('sessionId').getAll(IDBKeyRange.only(sessionId))
+    );
+
+    if (!chunkRecords || chunkRecords.length === 0) {
+      return null;
+    }
+
+    const chunks = chunkRecords
+      .sort((a, b) => a.index - b.index)
+      .map(chunk => chunk.blob);
+
+    return { ...record, chunks };
+  } catch (error) {
+    console.error('Recovery error in getUnfinishedRecording:', toStructuredError(error, 'Failed to read unfinished recording'));
+    return null;
+  }
+}
+
+/**
+ * Remove all persisted data for a session.
+ *
+ * @param {string} sessionId - Recording session ID
+ * @returns {Promise<void>}
+ */
+export async function clearRecoverySession(sessionId) {
+  if (!sessionId || !isRecoverySupported()) return;
+
+  const { SESSIONS_STORE, CHUNKS_STORE } = getRecoveryConfig();
+
+  try {
+    const db = await openDatabase();
+    const transaction = db.transaction([SESSIONS_STORE, CHUNKS_STORE], 'readwrite');
+    deleteChunksInTransaction(transaction, sessionId);
+    transaction.objectStore(SESSIONS_STORE).delete(sessionId);
+    await transactionDone(transaction);
+  } catch (error) {
+    console.error('Recovery error in clearRecoverySession:', toStructuredError(error, 'Failed to clear recovery session'));
+  }
+}
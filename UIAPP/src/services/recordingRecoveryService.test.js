@@ -0,0 +1,198 @@
+/**
+ * Recording Recovery Service Tests
+ *
+ * Begin / save / get / clear of a recovery session against an in-memory
+ * IndexedDB (only the parts of the API the service uses).
+ */
+
+import { SERVICE_CONFIG } from '../config';
+
+// Minimal in-memory IndexedDB: requests and transactions complete asynchronously,
+// and a transaction stays open while the caller keeps issuing requests.
+function createFakeIndexedDB() {
+  const databases = new Map();
+
+  const keyOf = (keyPath, value) => JSON.stringify(
+    Array.isArray(keyPath) ? keyPath.map(path => value[path]) : value[keyPath]
+  );
+
+  const matches = (range, value) => range === undefined || JSON.stringify(value) === JSON.stringify(range.only);
+
+  function createTransaction(db) {
+    const transaction = { oncomplete: null, onerror: null, onabort: null, error: null };
+    let pending = 0;
+
+    const checkDone = () => setTimeout(() => {
+      if (pending === 0 && transaction.oncomplete) transaction.oncomplete();
+    }, 0);
+
+    const request = (compute) => {
+      const req = { onsuccess: null, onerror: null, result: undefined };
+      pending += 1;
+      setTimeout(() => {
+        req.result = compute();
+        pending -= 1;
+        if (req.onsuccess) req.onsuccess();
+        checkDone();
+      }, 0);
+      return req;
+    };
+
+    transaction.objectStore = (name) => {
+      const store = db.stores.get(name);
+      return {
+        put: (value) => {
+          store.records.set(keyOf(store.keyPath, value), value);
+          return request(() => undefined);
+        },
+        get: (key) => request(() => store.records.get(JSON.stringify(key))),
+        delete: (key) => {
+          store.records.delete(JSON.stringify(key));
+          return request(() => undefined);
+        },
+        index: (indexName) => {
+          const indexKeyPath = store.indexes.get(indexName);
+          const select = (range) => [...store.records.values()].filter(value => matches(range, value[indexKeyPath]));
+          return {
+            getAll: (range) => request(() => select(range)),
+            openKeyCursor: (range) => {
+              const keys = select(range).map(value => JSON.parse(keyOf(store.keyPath, value)));
+              let position = 0;
+              const req = { onsuccess: null, result: null };
+              const step = () => {
+                pending += 1;
+                setTimeout(() => {
+                  pending -= 1;
+                  req.result = position < keys.length
+                    ? { primaryKey: keys[position], continue: () => { position += 1; step(); } }
+                    : null;
+                  if (req.onsuccess) req.onsuccess();
+                  checkDone();
+                }, 0);
+              };
+              step();
+              return req;
+            }
+          };
+        }
+      };
+    };
+
+    checkDone();
+    return transaction;
+  }
+
+  return {
+    open(name) {
+      const req = { onsuccess: null, onerror: null, onupgradeneeded: null, result: null };
+      setTimeout(() => {
+        let db = databases.get(name);
+        const isNew = !db;
+        if (isNew) {
+          db = { stores: new Map() };
+          databases.set(name, db);
+        }
+        req.result = {
+          objectStoreNames: { contains: (storeName) => db.stores.has(storeName) },
+          createObjectStore: (storeName, { keyPath }) => {
+            const store = { keyPath, records: new Map(), indexes: new Map() };
+            db.stores.set(storeName, store);
+            return { createIndex: (indexName, indexKeyPath) => store.indexes.set(indexName, indexKeyPath) };
+          },
+          transaction: () => createTransaction(db)
+        };
+        if (isNew && req.onupgradeneeded) req.onupgradeneeded();
+        if (req.onsuccess) req.onsuccess();
+      }, 0);
+      return req;
+    }
+  };
+}
+
+describe('recordingRecoveryService', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.resetModules();
+    window.indexedDB = createFakeIndexedDB();
+    global.IDBKeyRange = { only: (value) => ({ only: value }) };
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    service = require('./recordingRecoveryService');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete window.indexedDB;
+    delete global.IDBKeyRange;
+  });
+
+  it('returns the saved chunks in order with the session details', async () => {
+    await service.beginRecoverySession('session-1', { captureMode: 'video', mimeType: 'video/webm', promptIndex: 2 });
+    const first = new Blob(['a']);
+    const second = new Blob(['b']);
+    await service.saveRecoveryChunk('session-1', 1, second, { duration: 10 });
+    await service.saveRecoveryChunk('session-1', 0, first, { duration: 5 });
+
+    const recovered = await service.getUnfinishedRecording('session-1');
+
+    expect(recovered).toMatchObject({
+      sessionId: 'session-1',
+      captureMode: 'video',
+      mimeType: 'video/webm',
+      promptIndex: 2,
+      chunkCount: 2,
+      duration: 5
+    });
+    expect(recovered.chunks).toHaveLength(2);
+    expect(recovered.chunks[0]).toBe(first);
+    expect(recovered.chunks[1]).toBe(second);
+  });
+
+  it('drops the previous take when a new recording begins', async () => {
+    await service.beginRecoverySession('session-1', { captureMode: 'audio', mimeType: 'audio/webm' });
+    await service.saveRecoveryChunk('session-1', 0, new Blob(['old']));
+
+    await service.beginRecoverySession('session-1', { captureMode: 'audio', mimeType: 'audio/webm' });
+    expect(await service.getUnfinishedRecording('session-1')).toBeNull();
+
+    const chunk = new Blob(['new']);
+    await service.saveRecoveryChunk('session-1', 0, chunk);
+    const recovered = await service.getUnfinishedRecording('session-1');
+    expect(recovered.chunks).toHaveLength(1);
+    expect(recovered.chunks[0]).toBe(chunk);
+  });
+
+  it('keeps sessions apart and clears only the one asked for', async () => {
+    await service.beginRecoverySession('session-1', { captureMode: 'audio', mimeType: 'audio/webm' });
+    await service.saveRecoveryChunk('session-1', 0, new Blob(['one']));
+    await service.beginRecoverySession('session-2', { captureMode: 'audio', mimeType: 'audio/webm' });
+    await service.saveRecoveryChunk('session-2', 0, new Blob(['two']));
+
+    await service.clearRecoverySession('session-1');
+
+    expect(await service.getUnfinishedRecording('session-1')).toBeNull();
+    expect((await service.getUnfinishedRecording('session-2')).chunks).toHaveLength(1);
+  });
+
+  it('discards recordings older than the recovery window', async () => {
+    const start = Date.now();
+    const now = jest.spyOn(Date, 'now').mockReturnValue(start);
+    await service.beginRecoverySession('session-1', { captureMode: 'audio', mimeType: 'audio/webm' });
+    await service.saveRecoveryChunk('session-1', 0, new Blob(['a']));
+
+    now.mockReturnValue(start + SERVICE_CONFIG.RECOVERY.MAX_AGE_MS + 1);
+    expect(await service.getUnfinishedRecording('session-1')).toBeNull();
+
+    now.mockReturnValue(start);
+    expect(await service.getUnfinishedRecording('session-1')).toBeNull();
+  });
+
+  it('does nothing without IndexedDB', async () => {
+    delete window.indexedDB;
+
+    expect(service.isRecoverySupported()).toBe(false);
+    await expect(service.beginRecoverySession('session-1', { captureMode: 'audio', mimeType: 'audio/webm' })).resolves.toBeUndefined();
+    await expect(service.saveRecoveryChunk('session-1', 0, new Blob(['a']))).resolves.toBeUndefined();
+    expect(await service.getUnfinishedRecording('session-1')).toBeNull();
+  });
+});
@@ -10,6 +10,7 @@
  * FEATURES:
  * - Real-time stream tracking with 500ms polling
  * - Visual status indicators (MIC/CAM counters with red/green states)
+ * - Screen wake lock state per holder (see hooks/useWakeLock.js)
  * - Event logging with timestamps
  * - Mobile-optimized overlay UI with iOS safe area support
  */
@@ -25,6 +26,7 @@ class DebugService {
     // Trackers
     this.trackedStreams = new Set(); // Stores actual MediaStream objects
     this.recorderState = 'idle';
+    this.wakeLocks = {}; // owner -> 'active' | 'released' | 'denied' | 'unsupported'
   }
 
   // --- LOGGING ---
@@ -66,6 +68,17 @@ class DebugService {
     this.notify();
   }
 
+  // state null: the owner no longer wants a lock
+  setWakeLockState(owner, state) {
+    if (state) {
+      this.wakeLocks = { ...this.wakeLocks, [owner]: state };
+    } else {
+      const { [owner]: removed, ...rest } = this.wakeLocks;
+      this.wakeLocks = rest;
+    }
+    this.notify();
+  }
+
   // Calculate live stats by iterating all known streams
   // ENHANCED: Return detailed stream info with tags for leak detection
   getStats() {
@@ -97,7 +110,8 @@ class DebugService {
 
     return {
       streams: activeStreams,
-      recorderState: this.recorderState
+      recorderState: this.recorderState,
+      wakeLocks: this.wakeLocks
     };
   }
 
@@ -117,7 +131,7 @@ export const debugService = new DebugService();
 
 // --- REACT COMPONENT ---
 export function DebugOverlay() {
-  const [data, setData] = useState({ logs: [], stats: { streams: [], recorderState: 'idle' } });
+  const [data, setData] = useState({ logs: [], stats: { streams: [], recorderState: 'idle', wakeLocks: {} } });
   const [isOpen, setIsOpen] = useState(true);
 
   useEffect(() => {
@@ -162,6 +176,7 @@ export function DebugOverlay() {
   const totalMic = stats.streams.reduce((acc, s) => acc + s.audio, 0);
   const totalCam = stats.streams.reduce((acc, s) => acc + s.video, 0);
   const isClean = totalMic === 0 && totalCam === 0;
+  const wakeLocks = Object.entries(stats.wakeLocks || {});
 
   return (
     <div style={{
@@ -195,6 +210,12 @@ export function DebugOverlay() {
           <StatusBadge label="MIC" count={totalMic} />
           <StatusBadge label="CAM" count={totalCam} />
           <div style={{ color: '#aaa' }}>REC: <b style={{ color: '#fff' }}>{stats.recorderState}</b></div>
+          <div style={{ color: '#aaa' }}>
+            LOCK:{' '}
+            <b style={{ color: '#fff' }}>
+              {wakeLocks.length ? wakeLocks.map(([owner, state]) => `${owner}:${state}`).join(' ') : 'off'}
+            </b>
+          </div>
         </div>
         <button
           onClick={() => setIsOpen(false)}
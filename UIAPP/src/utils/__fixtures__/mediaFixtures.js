@@ -0,0 +1,103 @@
+/**
+ * mediaFixtures.js
+ * ----------------
+ * Builders for tiny synthetic WebM, fragmented MP4 and WAV files used by the
+ * mediaJoin / mediaTrim / mediaFinalize tests. Only the boxes and elements those utilities
+ * read are written; the files are not decodable media.
+ */
+
+import { encodeEbmlElement, encodeWavHeader } from '../mediaContainer.js';
+
+// ---------------------------------------------------------------------------
+// Synthetic WebM builder
+// ---------------------------------------------------------------------------
+
+export const concat = (...parts) => {
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    out.set(part, offset);
+    offset += part.length;
+  });
+  return out;
+};
+
+const el = (id, ...children) => encodeEbmlElement(id, concat(...children));
+const uint = (value, size = 1) => {
+  const out = new Uint8Array(size);
+  for (let i = size - 1; i >= 0; i--) {
+    out[i] = value & 0xFF;
+    value = Math.floor(value / 256);
+  }
+  return out;
+};
+const str = (text) => Uint8Array.from(text.split('').map(c => c.charCodeAt(0)));
+const float64 = (value) => {
+  const out = new Uint8Array(8);
+  new DataView(out.buffer).setFloat64(0, value);
+  return out;
+};
+
+export const simpleBlock = (relativeTime) => el(0xA3, Uint8Array.from([0x81]), uint(relativeTime, 2), Uint8Array.from([0x80, 0xAA]));
+
+export function buildWebm({ clusters, codecId = 'A_OPUS', trackType = 2, duration = 1000 }) {
+  const header = el(0x1A45DFA3, el(0x4282, str('webm')));
+  const info = el(0x1549A966, el(0x2AD7B1, uint(1000000, 3)), el(0x4489, float64(duration)));
+  const tracks = el(0x1654AE6B, el(0xAE, el(0xD7, uint(1)), el(0x83, uint(trackType)), el(0x86, str(codecId))));
+  const clusterBytes = clusters.map(({ timecode, blocks }) =>
+    el(0x1F43B675, el(0xE7, uint(timecode, 2)), ...blocks.map(simpleBlock))
+  );
+  const segmentHeader = Uint8Array.from([0x18, 0x53, 0x80, 0x67, 0x01, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]);
+  return concat(header, segmentHeader, info, tracks, ...clusterBytes);
+}
+
+// ---------------------------------------------------------------------------
+// Synthetic fragmented MP4 builder
+// ---------------------------------------------------------------------------
+
+const box = (type, ...children) => {
+  const payload = concat(...children);
+  return concat(uint(payload.length + 8, 4), str(type), payload);
+};
+const fullBox = (type, version, flags, ...children) => box(type, uint(version), uint(flags, 3), ...children);
+
+export function buildFmp4({ fragments, codec = 'mp4a', handler = 'soun' }) {
+  const ftyp = box('ftyp', str('iso6'), uint(0, 4));
+  const mvhd = fullBox('mvhd', 0, 0, uint(0, 4), uint(0, 4), uint(1000, 4), uint(0, 4), new Uint8Array(80));
+  const tkhd = fullBox('tkhd', 0, 3, uint(0, 4), uint(0, 4), uint(1, 4), new Uint8Array(68));
+  const mdhd = fullBox('mdhd', 0, 0, uint(0, 4), uint(0, 4), uint(48000, 4), uint(0, 4), uint(0, 4));
+  const stsd = fullBox('stsd', 0, 0, uint(1, 4), box(codec, new Uint8Array(8)));
+  const hdlr = fullBox('hdlr', 0, 0, uint(0, 4), str(handler), new Uint8Array(13));
+  const trak = box('trak', tkhd, box('mdia', mdhd, hdlr, box('minf', box('stbl', stsd))));
+  const trex = fullBox('trex', 0, 0, uint(1, 4), uint(1, 4), uint(1024, 4), uint(0, 4), uint(0, 4));
+  const moov = box('moov', mvhd, trak, box('mvex', trex));
+
+  const fragmentBytes = fragments.map(({ sequence, decodeTime, samples }) => {
+    const mfhd = fullBox('mfhd', 0, 0, uint(sequence, 4));
+    const tfhd = fullBox('tfhd', 0, 0x020000, uint(1, 4));
+    const tfdt = fullBox('tfdt', 1, 0, uint(decodeTime, 8));
+    const buildMoof = (dataOffset) => box('moof', mfhd, box('traf', tfhd, tfdt,
+      fullBox('trun', 0, 0x000201, uint(samples, 4), uint(dataOffset, 4), ...Array.from({ length: samples }, () => uint(2, 4)))
+    ));
+    // data_offset points just past the mdat header (default-base-is-moof)
+    const moof = buildMoof(buildMoof(0).length + 8);
+    // Sample i of a fragment holds the bytes [sequence, i]
+    const data = concat(...Array.from({ length: samples }, (_, i) => Uint8Array.from([sequence, i])));
+    return concat(moof, box('mdat', data));
+  });
+
+  return concat(ftyp, moov, ...fragmentBytes);
+}
+
+// ---------------------------------------------------------------------------
+// Synthetic WAV builder
+// ---------------------------------------------------------------------------
+
+// 16-bit mono PCM; frame i holds the value values[i]. dataLength defaults to the
+// placeholder written while recording.
+export function buildWav({ values, sampleRate = 1000, dataLength }) {
+  const data = new Uint8Array(values.length * 2);
+  const view = new DataView(data.buffer);
+  values.forEach((value, i) => view.setInt16(i * 2, value, true));
+  return concat(encodeWavHeader({ sampleRate, channels: 1, bitsPerSample: 16 }, dataLength), data);
+}
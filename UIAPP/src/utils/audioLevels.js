@@ -0,0 +1,77 @@
+/**
+ * audioLevels.js
+ * --------------
+ * Level maths for the input meter (see hooks/useAudioLevels.js).
+ *
+ * - measureLevels: RMS and peak of one block of samples
+ * - summarizeLevels: judges a history of measurements against AUDIO_LEVELS
+ *   thresholds - 'silent', 'quiet', 'loud' or 'ok'
+ * - LEVEL_GUIDANCE: what to tell the storyteller for each status
+ */
+
+import { AUDIO_LEVELS } from '../config';
+
+// Lowest level reported, instead of -Infinity for digital silence
+export const MIN_DB = -100;
+
+export const LEVEL_GUIDANCE = {
+  silent: "We can't hear anything. Check that your microphone isn't muted.",
+  quiet: 'We can barely hear you. Move closer to the microphone.',
+  loud: 'Too loud. Move back a little or speak more softly.'
+};
+
+/**
+ * Convert a linear amplitude (0-1) to dBFS
+ * @param {number} value - Linear amplitude
+ * @returns {number} dBFS, never below MIN_DB
+ */
+export function toDecibels(value) {
+  if (!value || value <= 0) return MIN_DB;
+  return Math.max(MIN_DB, 20 * Math.log10(value));
+}
+
+/**
+ * RMS and peak of a block of samples
+ * @param {Float32Array|number[]} samples - Time-domain samples in -1..1
+ * @returns {{ rmsDb: number, peakDb: number }}
+ */
+export function measureLevels(samples) {
+  let sumSquares = 0;
+  let peak = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const sample = samples[i];
+    sumSquares += sample * sample;
+    const magnitude = Math.abs(sample);
+    if (magnitude > peak) peak = magnitude;
+  }
+  const rms = samples.length ? Math.sqrt(sumSquares / samples.length) : 0;
+  return { rmsDb: toDecibels(rms), peakDb: toDecibels(peak) };
+}
+
+/**
+ * Judge a history of measurements
+ * Clipping is checked first - it ruins a recording even when the rest is fine.
+ * @param {Array<{rmsDb: number, peakDb: number}>} history - Measurements, oldest first
+ * @param {Object} [thresholds] - AUDIO_LEVELS overrides
+ * @returns {'silent'|'quiet'|'loud'|'ok'|'unknown'}
+ */
+export function summarizeLevels(history, thresholds = AUDIO_LEVELS) {
+  if (!history || history.length === 0) return 'unknown';
+
+  const clipping = history.filter(m => m.peakDb >= thresholds.CLIP_DB).length;
+  if (clipping / history.length >= thresholds.CLIP_FRACTION) {
+    return 'loud';
+  }
+
+  const loudestPeak = Math.max(...history.map(m => m.peakDb));
+  if (loudestPeak < thresholds.SILENT_DB) {
+    return 'silent';
+  }
+
+  const loudestRms = Math.max(...history.map(m => m.rmsDb));
+  if (loudestRms < thresholds.QUIET_DB) {
+    return 'quiet';
+  }
+
+  return 'ok';
+}
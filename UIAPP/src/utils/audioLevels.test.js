@@ -0,0 +1,58 @@
+/**
+ * Audio Level Tests
+ *
+ * RMS/peak measurement and the guidance status judged from a level history.
+ */
+
+import { measureLevels, summarizeLevels, toDecibels, MIN_DB } from './audioLevels.js';
+
+const repeat = (measurement, count) => Array.from({ length: count }, () => measurement);
+
+describe('measureLevels', () => {
+  it('measures a full-scale square wave at 0 dBFS', () => {
+    const { rmsDb, peakDb } = measureLevels([1, -1, 1, -1]);
+    expect(rmsDb).toBeCloseTo(0);
+    expect(peakDb).toBeCloseTo(0);
+  });
+
+  it('separates RMS from peak', () => {
+    const { rmsDb, peakDb } = measureLevels([0.5, 0, 0, 0]);
+    expect(peakDb).toBeCloseTo(toDecibels(0.5));
+    expect(rmsDb).toBeCloseTo(toDecibels(0.25));
+  });
+
+  it('reports digital silence as the floor instead of -Infinity', () => {
+    expect(measureLevels(new Float32Array(16))).toEqual({ rmsDb: MIN_DB, peakDb: MIN_DB });
+  });
+});
+
+describe('summarizeLevels', () => {
+  const speech = { rmsDb: -24, peakDb: -10 };
+
+  it('is unknown without measurements', () => {
+    expect(summarizeLevels([])).toBe('unknown');
+  });
+
+  it('is ok for normal speech with pauses', () => {
+    const history = [...repeat(speech, 5), ...repeat({ rmsDb: -70, peakDb: -60 }, 20)];
+    expect(summarizeLevels(history)).toBe('ok');
+  });
+
+  it('flags a muted microphone as silent', () => {
+    expect(summarizeLevels(repeat({ rmsDb: MIN_DB, peakDb: MIN_DB }, 30))).toBe('silent');
+  });
+
+  it('flags a distant voice as quiet', () => {
+    expect(summarizeLevels(repeat({ rmsDb: -50, peakDb: -38 }, 30))).toBe('quiet');
+  });
+
+  it('flags repeated clipping as loud, even when the rest is quiet', () => {
+    const history = [...repeat({ rmsDb: -6, peakDb: 0 }, 3), ...repeat({ rmsDb: -55, peakDb: -45 }, 27)];
+    expect(summarizeLevels(history)).toBe('loud');
+  });
+
+  it('ignores a single clipped peak', () => {
+    const history = [{ rmsDb: -8, peakDb: 0 }, ...repeat(speech, 29)];
+    expect(summarizeLevels(history)).toBe('ok');
+  });
+});
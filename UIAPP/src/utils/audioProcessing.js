@@ -0,0 +1,97 @@
+/**
+ * audioProcessing.js
+ * ------------------
+ * Microphone processing options: noise suppression, echo cancellation and
+ * automatic gain control (DEFAULT_AUDIO_PROCESSING in config).
+ *
+ * - Choice persists to localStorage (utils/preferences.js)
+ * - Builds getUserMedia audio constraints for a device + processing choice
+ * - Reads back what the browser actually applied (constraints are only requests;
+ *   some browsers ignore one or more of them) for upload metadata
+ */
+
+import { DEFAULT_AUDIO_PROCESSING } from '../config';
+import { loadPreference, savePreference } from './preferences';
+
+export const AUDIO_PROCESSING_STORAGE_KEY = 'preferred-audio-processing';
+
+const OPTION_KEYS = ['noiseSuppression', 'echoCancellation', 'autoGainControl'];
+
+/**
+ * Keep only known options with boolean values, filling gaps from the defaults
+ * @param {Object} [value] - Partial processing options
+ * @returns {Object} { noiseSuppression, echoCancellation, autoGainControl }
+ */
+function normalizeAudioProcessing(value) {
+  const processing = { ...DEFAULT_AUDIO_PROCESSING };
+  OPTION_KEYS.forEach(key => {
+    if (typeof value?.[key] === 'boolean') {
+      processing[key] = value[key];
+    }
+  });
+  return processing;
+}
+
+/**
+ * Read the saved processing choice
+ * @returns {Object} Processing options (defaults when nothing valid is saved)
+ */
+export function loadAudioProcessing() {
+  return loadPreference(AUDIO_PROCESSING_STORAGE_KEY, normalizeAudioProcessing);
+}
+
+/**
+ * Save the processing choice
+ * @param {Object} processing - Processing options
+ * @returns {Object} The normalized options that were saved
+ */
+export function saveAudioProcessing(processing) {
+  return savePreference(AUDIO_PROCESSING_STORAGE_KEY, normalizeAudioProcessing(processing));
+}
+
+/**
+ * getUserMedia audio constraints
+ * @param {Object} processing - Processing options
+ * @param {string} [deviceId] - Microphone to use ('default' or empty = browser default)
+ * @param {'exact'|'ideal'} [match='exact'] - 'ideal' falls back to another microphone
+ *   when the device is gone (used for remembered preferences)
+ * @returns {MediaTrackConstraints}
+ */
+export function buildAudioConstraints(processing, deviceId, match = 'exact') {
+  const constraints = normalizeAudioProcessing(processing);
+  if (deviceId && deviceId !== 'default') {
+    constraints.deviceId = { [match]: deviceId };
+  }
+  return constraints;
+}
+
+/**
+ * Processing actually in effect on a track
+ * Falls back to the requested value for options the browser doesn't report.
+ * @param {MediaStreamTrack} [track] - Audio track
+ * @param {Object} requested - Processing options that were requested
+ * @returns {Object} Processing options
+ */
+export function getAppliedAudioProcessing(track, requested) {
+  const applied = normalizeAudioProcessing(requested);
+  const settings = typeof track?.getSettings === 'function' ? track.getSettings() : {};
+  OPTION_KEYS.forEach(key => {
+    if (typeof settings[key] === 'boolean') {
+      applied[key] = settings[key];
+    }
+  });
+  return applied;
+}
+
+/**
+ * Compact string form for storage customMetadata (values must be strings)
+ * @param {Object} [processing] - Processing options
+ * @returns {string} e.g. 'noiseSuppression=on,echoCancellation=off,autoGainControl=on'
+ */
+export function formatAudioProcessing(processing) {
+  if (!processing) return 'unknown';
+  return OPTION_KEYS
+    .filter(key => typeof processing[key] === 'boolean')
+    .map(key => `${key}=${processing[key] ? 'on' : 'off'}`)
+    .join(',') || 'unknown';
+}
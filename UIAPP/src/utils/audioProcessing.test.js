@@ -0,0 +1,84 @@
+/**
+ * Audio Processing Tests
+ *
+ * Saved choice round-trip, getUserMedia constraints, and what ends up in
+ * upload metadata.
+ */
+
+import {
+  AUDIO_PROCESSING_STORAGE_KEY,
+  loadAudioProcessing,
+  saveAudioProcessing,
+  buildAudioConstraints,
+  getAppliedAudioProcessing,
+  formatAudioProcessing
+} from './audioProcessing.js';
+import { DEFAULT_AUDIO_PROCESSING } from '../config';
+
+describe('saved audio processing', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('uses the defaults when nothing is saved', () => {
+    expect(loadAudioProcessing()).toEqual(DEFAULT_AUDIO_PROCESSING);
+  });
+
+  it('remembers a saved choice', () => {
+    saveAudioProcessing({ ...DEFAULT_AUDIO_PROCESSING, noiseSuppression: false });
+    expect(loadAudioProcessing()).toEqual({ ...DEFAULT_AUDIO_PROCESSING, noiseSuppression: false });
+  });
+
+  it('ignores unknown keys and corrupt values', () => {
+    localStorage.setItem(AUDIO_PROCESSING_STORAGE_KEY, JSON.stringify({ autoGainControl: 'no', extra: true }));
+    expect(loadAudioProcessing()).toEqual(DEFAULT_AUDIO_PROCESSING);
+
+    localStorage.setItem(AUDIO_PROCESSING_STORAGE_KEY, '{not json');
+    expect(loadAudioProcessing()).toEqual(DEFAULT_AUDIO_PROCESSING);
+  });
+});
+
+describe('buildAudioConstraints', () => {
+  const processing = { noiseSuppression: false, echoCancellation: true, autoGainControl: false };
+
+  it('requests the processing options on the default microphone', () => {
+    expect(buildAudioConstraints(processing)).toEqual(processing);
+    expect(buildAudioConstraints(processing, 'default')).toEqual(processing);
+  });
+
+  it('pins a specific microphone', () => {
+    expect(buildAudioConstraints(processing, 'mic-2')).toEqual({
+      ...processing,
+      deviceId: { exact: 'mic-2' }
+    });
+  });
+
+  it('only prefers a remembered microphone', () => {
+    expect(buildAudioConstraints(processing, 'mic-2', 'ideal').deviceId).toEqual({ ideal: 'mic-2' });
+  });
+});
+
+describe('getAppliedAudioProcessing', () => {
+  const requested = { noiseSuppression: false, echoCancellation: false, autoGainControl: false };
+
+  it('prefers what the track reports', () => {
+    const track = { getSettings: () => ({ noiseSuppression: false, echoCancellation: true }) };
+    expect(getAppliedAudioProcessing(track, requested)).toEqual({
+      noiseSuppression: false,
+      echoCancellation: true,
+      autoGainControl: false
+    });
+  });
+
+  it('falls back to the request without a track', () => {
+    expect(getAppliedAudioProcessing(undefined, requested)).toEqual(requested);
+  });
+});
+
+describe('formatAudioProcessing', () => {
+  it('produces a metadata string', () => {
+    expect(formatAudioProcessing({ noiseSuppression: true, echoCancellation: false, autoGainControl: true }))
+      .toBe('noiseSuppression=on,echoCancellation=off,autoGainControl=on');
+    expect(formatAudioProcessing(null)).toBe('unknown');
+  });
+});
@@ -0,0 +1,27 @@
+/**
+ * captureMode.js
+ * --------------
+ * Helpers for the recording capture modes: 'audio', 'video' and 'screen'.
+ *
+ * Screen mode records a shared screen/window/tab plus the microphone, so for
+ * recording formats, playback and upload metadata it is a video recording.
+ */
+
+/**
+ * Media kind of a capture mode
+ * @param {string|null} captureMode - 'audio' | 'video' | 'screen'
+ * @returns {'audio'|'video'} Kind used for formats, players and upload metadata
+ */
+export function getMediaKind(captureMode) {
+  return captureMode === 'video' || captureMode === 'screen' ? 'video' : 'audio';
+}
+
+/**
+ * Whether this browser can share a screen (getDisplayMedia is desktop-only)
+ * @returns {boolean}
+ */
+export function isScreenCaptureSupported() {
+  return typeof navigator !== 'undefined' &&
+    !!navigator.mediaDevices &&
+    typeof navigator.mediaDevices.getDisplayMedia === 'function';
+}
@@ -0,0 +1,69 @@
+/**
+ * utils/markers.js
+ * ----------------
+ * Chapter markers: timestamps the storyteller drops while recording ("then we moved
+ * to Ohio…"), optionally labelled on the review screen. Each marker is
+ * { id, time, label } with time in seconds from the start of the take.
+ *
+ * Markers follow the take: shifted when a segment is joined onto it, cut to the
+ * trim range at submit, and saved as recordingData.markers ([{ time, label }]).
+ */
+
+import { MARKERS } from '../config';
+import { toDurationSeconds } from './recordingClock';
+
+/**
+ * New unlabelled marker
+ * @param {number} time - Seconds into the take
+ * @returns {{ id: string, time: number, label: string }}
+ */
+export function createMarker(time) {
+  return {
+    id: `marker-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`,
+    time: toDurationSeconds(time * 1000),
+    label: ''
+  };
+}
+
+/**
+ * Whether a new marker at this time should be added (double taps are ignored)
+ * @param {Array} markers - Markers so far, in time order
+ * @param {number} time - Seconds into the take
+ * @returns {boolean}
+ */
+export function canAddMarker(markers, time) {
+  const last = markers[markers.length - 1];
+  return !last || time - last.time >= MARKERS.MIN_GAP_SECONDS;
+}
+
+/**
+ * Move markers later by an offset (segment joined after an existing take)
+ * @param {Array} markers
+ * @param {number} offset - Seconds
+ * @returns {Array}
+ */
+export function offsetMarkers(markers, offset) {
+  return markers.map(marker => ({ ...marker, time: toDurationSeconds((marker.time + offset) * 1000) }));
+}
+
+/**
+ * Markers inside [start, end), rebased to start (trim range, one segment of a take)
+ * @param {Array} markers
+ * @param {number} start - Seconds
+ * @param {number} [end] - Seconds (open-ended when omitted)
+ * @returns {Array}
+ */
+export function sliceMarkers(markers, start, end = Infinity) {
+  return offsetMarkers(markers.filter(marker => marker.time >= start && marker.time < end), -start);
+}
+
+/**
+ * Markers as stored in the session document
+ * @param {Array} [markers]
+ * @returns {Array<{ time: number, label: string }>}
+ */
+export function serializeMarkers(markers = []) {
+  return [...markers]
+    .sort((a, b) => a.time - b.time)
+    .map(({ time, label }) => ({ time, label: (label || '').trim() }));
+}
@@ -0,0 +1,46 @@
+/**
+ * Marker Tests
+ *
+ * Chapter markers across joins and trims, and what is saved with the recording.
+ */
+
+import { createMarker, canAddMarker, offsetMarkers, sliceMarkers, serializeMarkers } from './markers.js';
+import { MARKERS } from '../config';
+
+const at = (time, label = '') => ({ id: `m${time}`, time, label });
+
+describe('createMarker', () => {
+  it('rounds the time to the stored precision', () => {
+    expect(createMarker(12.345)).toMatchObject({ time: 12.3, label: '' });
+  });
+});
+
+describe('canAddMarker', () => {
+  it('ignores a double tap', () => {
+    const markers = [at(10)];
+    expect(canAddMarker(markers, 10 + MARKERS.MIN_GAP_SECONDS / 2)).toBe(false);
+    expect(canAddMarker(markers, 10 + MARKERS.MIN_GAP_SECONDS)).toBe(true);
+    expect(canAddMarker([], 0)).toBe(true);
+  });
+});
+
+describe('offsetMarkers / sliceMarkers', () => {
+  it('shifts a joined segment after the existing take', () => {
+    expect(offsetMarkers([at(1.5)], 60).map(m => m.time)).toEqual([61.5]);
+  });
+
+  it('keeps markers inside a trim range, rebased to its start', () => {
+    const markers = [at(2), at(10), at(30), at(45)];
+    expect(sliceMarkers(markers, 5, 40).map(m => m.time)).toEqual([5, 25]);
+  });
+});
+
+describe('serializeMarkers', () => {
+  it('stores time and trimmed label in time order', () => {
+    expect(serializeMarkers([at(20, ' Ohio '), at(5)])).toEqual([
+      { time: 5, label: '' },
+      { time: 20, label: 'Ohio' }
+    ]);
+    expect(serializeMarkers(undefined)).toEqual([]);
+  });
+});
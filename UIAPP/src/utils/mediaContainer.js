@@ -0,0 +1,874 @@
+/**
+ * utils/mediaContainer.js
+ * -----------------------
+ * Low-level readers and writers for the containers MediaRecorder produces.
+ * Shared by mediaJoin.js (continue recording), mediaTrim.js (trim before upload) and
+ * mediaFinalize.js (Duration and seek index for WebM).
+ *
+ * CONTAINERS:
+ * - WebM (EBML): Chrome, Firefox, Edge. Parsed into header, Info, Tracks and clusters.
+ * - Fragmented MP4 (ISO BMFF): Safari, Chrome mp4. Parsed into ftyp/moov and moof/mdat
+ *   fragments with per-sample timing and data positions.
+ * - WAV (RIFF, 16-bit PCM): the fallback recorder (wavRecorder.js). Parsed into its
+ *   format and the position of the sample data.
+ *
+ * Parsing failures throw an INVALID_FILE error (see utils/errors.js).
+ */
+
+import { createError, UPLOAD_ERRORS } from './errors';
+
+// ===========================
+// Shared helpers
+// ===========================
+
+// Read a Blob into a Uint8Array (Blob.arrayBuffer is missing in some older browsers)
+export function readBlobBytes(blob) {
+  if (typeof blob.arrayBuffer === 'function') {
+    return blob.arrayBuffer().then(buffer => new Uint8Array(buffer));
+  }
+
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(new Uint8Array(reader.result));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+}
+
+// Concatenate byte arrays into one Uint8Array
+export function concatBytes(parts) {
+  const total = parts.reduce((sum, part) => sum + part.length, 0);
+  const out = new Uint8Array(total);
+  let offset = 0;
+  parts.forEach(part => {
+    out.set(part, offset);
+    offset += part.length;
+  });
+  return out;
+}
+
+export function bytesEqual(a, b) {
+  if (!a || !b || a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+/**
+ * Create a structured error for container problems
+ * @param {string} message - What went wrong
+ * @returns {Error} INVALID_FILE error
+ */
+export function containerError(message) {
+  return createError(UPLOAD_ERRORS.INVALID_FILE, message);
+}
+
+/**
+ * Detect the container of a recording from its first bytes
+ * @param {Uint8Array} bytes - File contents
+ * @returns {'webm'|'mp4'|'wav'|null} Container type
+ */
+export function detectContainer(bytes) {
+  if (bytes.length >= 4 && bytes[0] === 0x1A && bytes[1] === 0x45 && bytes[2] === 0xDF && bytes[3] === 0xA3) {
+    return 'webm';
+  }
+  if (bytes.length >= 8 && String.fromCharCode(bytes[4], bytes[5], bytes[6], bytes[7]) === 'ftyp') {
+    return 'mp4';
+  }
+  if (bytes.length >= 12 &&
+    String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]) === 'RIFF' &&
+    String.fromCharCode(bytes[8], bytes[9], bytes[10], bytes[11]) === 'WAVE') {
+    return 'wav';
+  }
+  return null;
+}
+
+// ===========================
+// WebM (EBML)
+// ===========================
+
+export const EBML_IDS = {
+  EBML: 0x1A45DFA3,
+  SEGMENT: 0x18538067,
+  SEEK_HEAD: 0x114D9B74,
+  SEEK: 0x4DBB,
+  SEEK_ID: 0x53AB,
+  SEEK_POSITION: 0x53AC,
+  INFO: 0x1549A966,
+  TIMECODE_SCALE: 0x2AD7B1,
+  DURATION: 0x4489,
+  TRACKS: 0x1654AE6B,
+  TRACK_ENTRY: 0xAE,
+  TRACK_NUMBER: 0xD7,
+  TRACK_TYPE: 0x83,
+  CODEC_ID: 0x86,
+  CODEC_PRIVATE: 0x63A2,
+  CLUSTER: 0x1F43B675,
+  TIMECODE: 0xE7,
+  SIMPLE_BLOCK: 0xA3,
+  BLOCK_GROUP: 0xA0,
+  BLOCK: 0xA1,
+  CUES: 0x1C53BB6B,
+  CUE_POINT: 0xBB,
+  CUE_TIME: 0xB3,
+  CUE_TRACK_POSITIONS: 0xB7,
+  CUE_TRACK: 0xF7,
+  CUE_CLUSTER_POSITION: 0xF1
+};
+
+// Matroska TrackType values
+export const WEBM_TRACK_TYPES = {
+  VIDEO: 1,
+  AUDIO: 2
+};
+
+// Segment-level IDs that terminate an unknown-size cluster
+const SEGMENT_LEVEL_IDS = new Set([
+  EBML_IDS.SEEK_HEAD, EBML_IDS.INFO, EBML_IDS.TRACKS, EBML_IDS.CLUSTER, EBML_IDS.CUES,
+  0x1941A469, // Attachments
+  0x1043A770, // Chapters
+  0x1254C367  // Tags
+]);
+
+const DEFAULT_TIMECODE_SCALE = 1000000; // 1ms in nanoseconds
+
+// Segment size marker for "unknown" (live-style, as written by MediaRecorder)
+export const EBML_UNKNOWN_SIZE = Uint8Array.from([0x01, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]);
+
+// Read an element ID (marker bits kept, 1-4 bytes)
+function readEbmlId(bytes, pos) {
+  const first = bytes[pos];
+  let length = 1;
+  while (length <= 4 && !(first & (0x80 >> (length - 1)))) length++;
+  if (length > 4 || pos + length > bytes.length) return null;
+
+  let id = 0;
+  for (let i = 0; i < length; i++) {
+    id = id * 256 + bytes[pos + i];
+  }
+  return { id, length };
+}
+
+// Read a variable-size integer (marker bit removed, 1-8 bytes)
+function readEbmlVint(bytes, pos) {
+  const first = bytes[pos];
+  let length = 1;
+  while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+  if (length > 8 || pos + length > bytes.length) return null;
+
+  let value = first & (0xFF >> length);
+  let allOnes = value === (0xFF >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + bytes[pos + i];
+    if (bytes[pos + i] !== 0xFF) allOnes = false;
+  }
+  return { value, length, unknown: allOnes };
+}
+
+/**
+ * Read an element header
+ * @param {Uint8Array} bytes - File contents
+ * @param {number} pos - Element start
+ * @param {number} [limit] - End of the parent element
+ * @returns {Object|null} { id, headerLength, size, unknownSize, dataStart, end }
+ */
+export function readEbmlElement(bytes, pos, limit = bytes.length) {
+  const id = readEbmlId(bytes, pos);
+  if (!id) return null;
+  const size = readEbmlVint(bytes, pos + id.length);
+  if (!size) return null;
+
+  const dataStart = pos + id.length + size.length;
+  return {
+    id: id.id,
+    headerLength: id.length + size.length,
+    size: size.unknown ? null : size.value,
+    unknownSize: size.unknown,
+    dataStart,
+    end: size.unknown ? limit : Math.min(limit, dataStart + size.value)
+  };
+}
+
+export function readUint(bytes, start, end) {
+  let value = 0;
+  for (let i = start; i < end; i++) {
+    value = value * 256 + bytes[i];
+  }
+  return value;
+}
+
+function readFloat(bytes, start, end) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset + start, end - start);
+  return end - start === 4 ? view.getFloat32(0) : view.getFloat64(0);
+}
+
+export function encodeEbmlId(id) {
+  const out = [];
+  let value = id;
+  while (value > 0) {
+    out.unshift(value & 0xFF);
+    value = Math.floor(value / 256);
+  }
+  return Uint8Array.from(out);
+}
+
+export function encodeEbmlSize(size) {
+  let length = 1;
+  while (length < 8 && size >= Math.pow(2, 7 * length) - 1) length++;
+
+  const out = new Uint8Array(length);
+  let value = size;
+  for (let i = length - 1; i >= 0; i--) {
+    out[i] = value & 0xFF;
+    value = Math.floor(value / 256);
+  }
+  out[0] |= 0x80 >> (length - 1);
+  return out;
+}
+
+export function encodeUint(value) {
+  const out = [];
+  let remaining = value;
+  do {
+    out.unshift(remaining & 0xFF);
+    remaining = Math.floor(remaining / 256);
+  } while (remaining > 0);
+  return Uint8Array.from(out);
+}
+
+/**
+ * Serialize an EBML element with a known size
+ * @param {number} id - Element ID (with marker bits)
+ * @param {Uint8Array} payload - Element data
+ * @returns {Uint8Array} Encoded element
+ */
+export function encodeEbmlElement(id, payload) {
+  return concatBytes([encodeEbmlId(id), encodeEbmlSize(payload.length), payload]);
+}
+
+// Block header inside a (Simple)Block payload: track number and relative timecode
+function readBlockHeader(bytes, dataStart) {
+  const trackNumber = readEbmlVint(bytes, dataStart);
+  if (!trackNumber) return null;
+  const pos = dataStart + trackNumber.length;
+  const raw = (bytes[pos] << 8) | bytes[pos + 1];
+  return {
+    track: trackNumber.value,
+    timecode: raw & 0x8000 ? raw - 0x10000 : raw,
+    timecodePos: pos
+  };
+}
+
+// Parse TrackEntry elements into comparable descriptors
+function parseWebmTracks(bytes, element) {
+  const tracks = [];
+  let pos = element.dataStart;
+  while (pos < element.end) {
+    const entry = readEbmlElement(bytes, pos, element.end);
+    if (!entry) break;
+
+    if (entry.id === EBML_IDS.TRACK_ENTRY) {
+      const track = { number: null, type: null, codecId: null, codecPrivate: null };
+      let childPos = entry.dataStart;
+      while (childPos < entry.end) {
+        const child = readEbmlElement(bytes, childPos, entry.end);
+        if (!child) break;
+        if (child.id === EBML_IDS.TRACK_NUMBER) track.number = readUint(bytes, child.dataStart, child.end);
+        if (child.id === EBML_IDS.TRACK_TYPE) track.type = readUint(bytes, child.dataStart, child.end);
+        if (child.id === EBML_IDS.CODEC_ID) track.codecId = String.fromCharCode(...bytes.subarray(child.dataStart, child.end));
+        if (child.id === EBML_IDS.CODEC_PRIVATE) track.codecPrivate = bytes.subarray(child.dataStart, child.end);
+        childPos = child.end;
+      }
+      tracks.push(track);
+    }
+    pos = entry.end;
+  }
+  return tracks;
+}
+
+// Parse a cluster's children, stopping at a segment-level element for unknown sizes.
+// Each child: { bytes, track, timecode, timecodePos } (track/timecode null for non-blocks,
+// timecodePos is the offset of the block's int16 timecode inside bytes)
+function parseWebmCluster(bytes, element, segmentEnd) {
+  const cluster = { start: 0, timecode: 0, children: [], end: element.end };
+  let pos = element.dataStart;
+  const limit = element.unknownSize ? segmentEnd : element.end;
+
+  while (pos < limit) {
+    const child = readEbmlElement(bytes, pos, limit);
+    if (!child || child.unknownSize) break;
+    if (element.unknownSize && SEGMENT_LEVEL_IDS.has(child.id)) break;
+
+    if (child.id === EBML_IDS.TIMECODE) {
+      cluster.timecode = readUint(bytes, child.dataStart, child.end);
+    } else {
+      let block = null;
+      if (child.id === EBML_IDS.SIMPLE_BLOCK) {
+        block = readBlockHeader(bytes, child.dataStart);
+      } else if (child.id === EBML_IDS.BLOCK_GROUP) {
+        let groupPos = child.dataStart;
+        while (groupPos < child.end && !block) {
+          const groupChild = readEbmlElement(bytes, groupPos, child.end);
+          if (!groupChild) break;
+          if (groupChild.id === EBML_IDS.BLOCK) {
+            block = readBlockHeader(bytes, groupChild.dataStart);
+          }
+          groupPos = groupChild.end;
+        }
+      }
+
+      cluster.children.push({
+        bytes: bytes.subarray(pos, child.end),
+        track: block ? block.track : null,
+        timecode: block ? block.timecode : null,
+        timecodePos: block ? block.timecodePos - pos : null
+      });
+    }
+    pos = child.end;
+  }
+
+  if (element.unknownSize) {
+    cluster.end = pos;
+  }
+  return cluster;
+}
+
+// End of the last frame: last block time plus that track's last frame spacing
+function getWebmEndTimecode(clusters) {
+  const lastByTrack = new Map();
+
+  clusters.forEach(cluster => {
+    cluster.children.forEach(child => {
+      if (child.timecode === null) return;
+      const time = cluster.timecode + child.timecode;
+      const previous = lastByTrack.get(child.track);
+      if (!previous) {
+        lastByTrack.set(child.track, { last: time, gap: 0 });
+      } else if (time > previous.last) {
+        lastByTrack.set(child.track, { last: time, gap: time - previous.last });
+      }
+    });
+  });
+
+  let end = 0;
+  lastByTrack.forEach(({ last, gap }) => {
+    end = Math.max(end, last + gap);
+  });
+  return end;
+}
+
+/**
+ * Parse the parts of a WebM file needed to remux it
+ * @param {Uint8Array} bytes - WebM file contents
+ * @returns {Object} { ebmlHeader, info, infoElement, tracks, trackList, timecodeScale,
+ *   duration, clusters, startTimecode, endTimecode }
+ */
+export function parseWebm(bytes) {
+  const header = readEbmlElement(bytes, 0);
+  if (!header || header.id !== EBML_IDS.EBML) {
+    throw containerError('Not a WebM file');
+  }
+
+  const segment = readEbmlElement(bytes, header.end);
+  if (!segment || segment.id !== EBML_IDS.SEGMENT) {
+    throw containerError('WebM segment not found');
+  }
+
+  const parsed = {
+    ebmlHeader: bytes.subarray(0, header.end),
+    segmentDataStart: segment.dataStart,
+    info: null,
+    infoElement: null,
+    tracks: null,
+    trackList: [],
+    timecodeScale: DEFAULT_TIMECODE_SCALE,
+    duration: null,
+    clusters: [],
+    startTimecode: 0,
+    endTimecode: 0
+  };
+
+  let pos = segment.dataStart;
+  while (pos < segment.end) {
+    const element = readEbmlElement(bytes, pos, segment.end);
+    if (!element) break;
+
+    if (element.id === EBML_IDS.CLUSTER) {
+      const cluster = parseWebmCluster(bytes, element, segment.end);
+      cluster.start = pos;
+      parsed.clusters.push(cluster);
+      pos = cluster.end;
+      continue;
+    }
+
+    if (element.unknownSize) {
+      throw containerError('Unsupported unknown-size WebM element');
+    }
+
+    if (element.id === EBML_IDS.INFO) {
+      parsed.info = bytes.subarray(pos, element.end);
+      parsed.infoElement = element;
+      let childPos = element.dataStart;
+      while (childPos < element.end) {
+        const child = readEbmlElement(bytes, childPos, element.end);
+        if (!child) break;
+        if (child.id === EBML_IDS.TIMECODE_SCALE) parsed.timecodeScale = readUint(bytes, child.dataStart, child.end);
+        if (child.id === EBML_IDS.DURATION) parsed.duration = readFloat(bytes, child.dataStart, child.end);
+        childPos = child.end;
+      }
+    } else if (element.id === EBML_IDS.TRACKS) {
+      parsed.tracks = bytes.subarray(pos, element.end);
+      parsed.trackList = parseWebmTracks(bytes, element);
+    }
+    pos = element.end;
+  }
+
+  if (!parsed.info || !parsed.tracks) {
+    throw containerError('WebM Info or Tracks missing');
+  }
+
+  parsed.startTimecode = parsed.clusters.length
+    ? Math.min(...parsed.clusters.map(cluster => cluster.timecode))
+    : 0;
+  parsed.endTimecode = getWebmEndTimecode(parsed.clusters);
+  return parsed;
+}
+
+/**
+ * Rebuild the Info element with a new Duration, or none
+ * @param {Uint8Array} bytes - Original file contents
+ * @param {Object} infoElement - Info element header from parseWebm
+ * @param {number|null} [duration] - Duration in TimecodeScale units; null leaves it out
+ * @returns {Uint8Array} Encoded Info element
+ */
+export function encodeWebmInfo(bytes, infoElement, duration = null) {
+  const children = [];
+  let pos = infoElement.dataStart;
+  while (pos < infoElement.end) {
+    const child = readEbmlElement(bytes, pos, infoElement.end);
+    if (!child) break;
+    if (child.id !== EBML_IDS.DURATION) {
+      children.push(bytes.subarray(pos, child.end));
+    }
+    pos = child.end;
+  }
+
+  if (duration !== null) {
+    const value = new Uint8Array(8);
+    new DataView(value.buffer).setFloat64(0, duration);
+    children.push(encodeEbmlElement(EBML_IDS.DURATION, value));
+  }
+  return encodeEbmlElement(EBML_IDS.INFO, concatBytes(children));
+}
+
+/**
+ * Rebuild the Info element without Duration (for remuxed files whose length changed)
+ * @param {Uint8Array} bytes - Original file contents
+ * @param {Object} infoElement - Info element header from parseWebm
+ * @returns {Uint8Array} Encoded Info element
+ */
+export function encodeWebmInfoWithoutDuration(bytes, infoElement) {
+  return encodeWebmInfo(bytes, infoElement, null);
+}
+
+/**
+ * Encode a cluster with a new timecode
+ * @param {number} timecode - Cluster timecode (TimecodeScale units)
+ * @param {Uint8Array[]} children - Encoded child elements (blocks etc.)
+ * @returns {Uint8Array} Encoded cluster with known size
+ */
+export function encodeWebmCluster(timecode, children) {
+  const timecodeElement = encodeEbmlElement(EBML_IDS.TIMECODE, encodeUint(timecode));
+  return encodeEbmlElement(EBML_IDS.CLUSTER, concatBytes([timecodeElement, ...children]));
+}
+
+// ===========================
+// Fragmented MP4 (ISO BMFF)
+// ===========================
+
+export function readUint32(bytes, pos) {
+  return ((bytes[pos] << 24) >>> 0) + (bytes[pos + 1] << 16) + (bytes[pos + 2] << 8) + bytes[pos + 3];
+}
+
+export function readUint64(bytes, pos) {
+  return readUint32(bytes, pos) * 0x100000000 + readUint32(bytes, pos + 4);
+}
+
+export function writeUint32(bytes, pos, value) {
+  bytes[pos] = (value >>> 24) & 0xFF;
+  bytes[pos + 1] = (value >>> 16) & 0xFF;
+  bytes[pos + 2] = (value >>> 8) & 0xFF;
+  bytes[pos + 3] = value & 0xFF;
+}
+
+export function writeUint64(bytes, pos, value) {
+  writeUint32(bytes, pos, Math.floor(value / 0x100000000));
+  writeUint32(bytes, pos + 4, value % 0x100000000);
+}
+
+/**
+ * List the boxes between start and end
+ * @param {Uint8Array} bytes - File contents
+ * @param {number} start - First byte
+ * @param {number} end - Byte after the last box
+ * @returns {Array<{type, start, dataStart, end}>} Boxes in file order
+ */
+export function readMp4Boxes(bytes, start = 0, end = bytes.length) {
+  const boxes = [];
+  let pos = start;
+
+  while (pos + 8 <= end) {
+    let size = readUint32(bytes, pos);
+    const type = String.fromCharCode(bytes[pos + 4], bytes[pos + 5], bytes[pos + 6], bytes[pos + 7]);
+    let headerSize = 8;
+
+    if (size === 1) {
+      if (pos + 16 > end) break;
+      size = readUint64(bytes, pos + 8);
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - pos;
+    }
+    if (size < headerSize) break;
+
+    boxes.push({ type, start: pos, dataStart: pos + headerSize, end: Math.min(end, pos + size) });
+    pos += size;
+  }
+  return boxes;
+}
+
+export function findBox(bytes, parent, type) {
+  return readMp4Boxes(bytes, parent.dataStart, parent.end).find(box => box.type === type) || null;
+}
+
+export function findBoxPath(bytes, parent, path) {
+  return path.reduce((box, type) => (box ? findBox(bytes, box, type) : null), parent);
+}
+
+/**
+ * Encode a box
+ * @param {string} type - Four-character box type
+ * @param {Uint8Array[]} payload - Box contents
+ * @returns {Uint8Array} Encoded box
+ */
+export function encodeMp4Box(type, payload) {
+  const body = concatBytes(payload);
+  const out = new Uint8Array(body.length + 8);
+  writeUint32(out, 0, body.length + 8);
+  for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+  out.set(body, 8);
+  return out;
+}
+
+// Movie/media header: { timescale, durationPos, durationSize } (mvhd and mdhd share the layout)
+function readTimeHeader(bytes, box) {
+  const version = bytes[box.dataStart];
+  const timescalePos = box.dataStart + (version === 1 ? 20 : 12);
+  return {
+    timescale: readUint32(bytes, timescalePos),
+    durationPos: timescalePos + 4,
+    durationSize: version === 1 ? 8 : 4
+  };
+}
+
+// Parse a moof box: sequence number and per-track samples
+// tfhd/trun flag meanings follow ISO/IEC 14496-12 (8.8.7, 8.8.8)
+function parseMoof(bytes, moof, trexDefaults) {
+  const mfhd = findBox(bytes, moof, 'mfhd');
+  const fragment = {
+    sequencePos: mfhd ? mfhd.dataStart + 4 : null,
+    sequence: mfhd ? readUint32(bytes, mfhd.dataStart + 4) : 0,
+    trafs: []
+  };
+
+  readMp4Boxes(bytes, moof.dataStart, moof.end)
+    .filter(box => box.type === 'traf')
+    .forEach(traf => {
+      const tfhd = findBox(bytes, traf, 'tfhd');
+      if (!tfhd) return;
+
+      const tfhdFlags = readUint32(bytes, tfhd.dataStart) & 0xFFFFFF;
+      const trackId = readUint32(bytes, tfhd.dataStart + 4);
+      const defaults = trexDefaults.get(trackId) || { sampleDescriptionIndex: 1, duration: 0, size: 0, flags: 0 };
+      let fieldPos = tfhd.dataStart + 8;
+
+      let baseDataOffsetPos = null;
+      let baseDataOffset = moof.start;
+      if (tfhdFlags & 0x01) {
+        baseDataOffsetPos = fieldPos;
+        baseDataOffset = readUint64(bytes, fieldPos);
+        fieldPos += 8;
+      }
+      let sampleDescriptionIndex = defaults.sampleDescriptionIndex;
+      if (tfhdFlags & 0x02) { sampleDescriptionIndex = readUint32(bytes, fieldPos); fieldPos += 4; }
+      let defaultDuration = defaults.duration;
+      if (tfhdFlags & 0x08) { defaultDuration = readUint32(bytes, fieldPos); fieldPos += 4; }
+      let defaultSize = defaults.size;
+      if (tfhdFlags & 0x10) { defaultSize = readUint32(bytes, fieldPos); fieldPos += 4; }
+      let defaultFlags = defaults.flags;
+      if (tfhdFlags & 0x20) { defaultFlags = readUint32(bytes, fieldPos); fieldPos += 4; }
+
+      const tfdt = findBox(bytes, traf, 'tfdt');
+      const tfdtVersion = tfdt ? bytes[tfdt.dataStart] : 0;
+      const decodeTime = tfdt
+        ? (tfdtVersion === 1 ? readUint64(bytes, tfdt.dataStart + 4) : readUint32(bytes, tfdt.dataStart + 4))
+        : 0;
+
+      const samples = [];
+      let trunVersion = 0;
+      let dataPos = baseDataOffset;
+      let time = decodeTime;
+
+      readMp4Boxes(bytes, traf.dataStart, traf.end)
+        .filter(box => box.type === 'trun')
+        .forEach(trun => {
+          trunVersion = Math.max(trunVersion, bytes[trun.dataStart]);
+          const trunFlags = readUint32(bytes, trun.dataStart) & 0xFFFFFF;
+          const sampleCount = readUint32(bytes, trun.dataStart + 4);
+          let pos = trun.dataStart + 8;
+
+          if (trunFlags & 0x01) {
+            dataPos = baseDataOffset + (readUint32(bytes, pos) | 0);
+            pos += 4;
+          }
+          let firstSampleFlags = null;
+          if (trunFlags & 0x04) { firstSampleFlags = readUint32(bytes, pos); pos += 4; }
+
+          for (let i = 0; i < sampleCount; i++) {
+            const sample = { time, duration: defaultDuration, size: defaultSize, flags: defaultFlags, compositionOffset: 0 };
+            if (trunFlags & 0x100) { sample.duration = readUint32(bytes, pos); pos += 4; }
+            if (trunFlags & 0x200) { sample.size = readUint32(bytes, pos); pos += 4; }
+            if (trunFlags & 0x400) { sample.flags = readUint32(bytes, pos); pos += 4; }
+            else if (i === 0 && firstSampleFlags !== null) { sample.flags = firstSampleFlags; }
+            if (trunFlags & 0x800) { sample.compositionOffset = readUint32(bytes, pos) | 0; pos += 4; }
+
+            sample.dataPos = dataPos;
+            dataPos += sample.size;
+            time += sample.duration;
+            samples.push(sample);
+          }
+        });
+
+      fragment.trafs.push({
+        trackId,
+        sampleDescriptionIndex,
+        baseDataOffsetPos,
+        tfdtPos: tfdt ? tfdt.dataStart + 4 : null,
+        tfdtVersion,
+        trunVersion,
+        decodeTime,
+        duration: time - decodeTime,
+        samples
+      });
+    });
+
+  return fragment;
+}
+
+/**
+ * Parse the parts of a fragmented MP4 needed to remux it
+ * @param {Uint8Array} bytes - MP4 file contents
+ * @returns {Object} { boxes, moov, tracks, fragments, trackStart, trackEnd, maxSequence }
+ */
+export function parseFragmentedMp4(bytes) {
+  const boxes = readMp4Boxes(bytes);
+  const moov = boxes.find(box => box.type === 'moov');
+  if (!boxes.length || boxes[0].type !== 'ftyp' || !moov) {
+    throw containerError('Not an MP4 file');
+  }
+
+  const mvex = findBox(bytes, moov, 'mvex');
+  if (!mvex) {
+    throw containerError('MP4 is not fragmented');
+  }
+
+  const trexDefaults = new Map();
+  readMp4Boxes(bytes, mvex.dataStart, mvex.end)
+    .filter(box => box.type === 'trex')
+    .forEach(trex => {
+      trexDefaults.set(readUint32(bytes, trex.dataStart + 4), {
+        sampleDescriptionIndex: readUint32(bytes, trex.dataStart + 8),
+        duration: readUint32(bytes, trex.dataStart + 12),
+        size: readUint32(bytes, trex.dataStart + 16),
+        flags: readUint32(bytes, trex.dataStart + 20)
+      });
+    });
+
+  const tracks = readMp4Boxes(bytes, moov.dataStart, moov.end)
+    .filter(box => box.type === 'trak')
+    .map(trak => {
+      const tkhd = findBox(bytes, trak, 'tkhd');
+      const mdhd = findBoxPath(bytes, trak, ['mdia', 'mdhd']);
+      const hdlr = findBoxPath(bytes, trak, ['mdia', 'hdlr']);
+      const stsd = findBoxPath(bytes, trak, ['mdia', 'minf', 'stbl', 'stsd']);
+      const tkhdVersion = tkhd ? bytes[tkhd.dataStart] : 0;
+      return {
+        trackId: tkhd ? readUint32(bytes, tkhd.dataStart + (tkhdVersion === 1 ? 20 : 12)) : null,
+        timescale: mdhd ? readTimeHeader(bytes, mdhd).timescale : null,
+        handler: hdlr ? String.fromCharCode(...bytes.subarray(hdlr.dataStart + 8, hdlr.dataStart + 12)) : null,
+        stsd: stsd ? bytes.subarray(stsd.start, stsd.end) : null
+      };
+    });
+
+  const fragments = [];
+  boxes.forEach((box, i) => {
+    if (box.type !== 'moof') return;
+    const mdat = boxes[i + 1] && boxes[i + 1].type === 'mdat' ? boxes[i + 1] : null;
+    fragments.push({ moof: box, mdat, ...parseMoof(bytes, box, trexDefaults) });
+  });
+
+  const trackStart = new Map();
+  const trackEnd = new Map();
+  let maxSequence = 0;
+  fragments.forEach(fragment => {
+    maxSequence = Math.max(maxSequence, fragment.sequence);
+    fragment.trafs.forEach(traf => {
+      const start = trackStart.has(traf.trackId) ? trackStart.get(traf.trackId) : Infinity;
+      trackStart.set(traf.trackId, Math.min(start, traf.decodeTime));
+      trackEnd.set(traf.trackId, Math.max(trackEnd.get(traf.trackId) || 0, traf.decodeTime + traf.duration));
+    });
+  });
+
+  return { boxes, moov, tracks, fragments, trackStart, trackEnd, maxSequence };
+}
+
+/**
+ * Update mvhd/mehd so players that read the header see the new length.
+ * mvhd is only touched when the recorder filled it in (0 means "see fragments").
+ *
+ * @param {Uint8Array} bytes - Output file (modified in place)
+ * @param {Map<number, number>} trackDurations - Track ID → duration in track timescale
+ */
+export function patchMp4MovieDuration(bytes, trackDurations) {
+  const parsed = parseFragmentedMp4(bytes);
+  const mvhd = findBox(bytes, parsed.moov, 'mvhd');
+  if (!mvhd) return;
+  const movie = readTimeHeader(bytes, mvhd);
+  const readDuration = (pos, size) => (size === 8 ? readUint64(bytes, pos) : readUint32(bytes, pos));
+
+  let seconds = 0;
+  parsed.tracks.forEach(track => {
+    if (track.timescale && trackDurations.has(track.trackId)) {
+      seconds = Math.max(seconds, trackDurations.get(track.trackId) / track.timescale);
+    }
+  });
+  const duration = Math.round(seconds * movie.timescale);
+
+  const writeDuration = (pos, size) => {
+    if (size === 8) writeUint64(bytes, pos, duration);
+    else if (duration <= 0xFFFFFFFF) writeUint32(bytes, pos, duration);
+  };
+
+  if (readDuration(movie.durationPos, movie.durationSize) !== 0) {
+    writeDuration(movie.durationPos, movie.durationSize);
+  }
+
+  const mehd = findBoxPath(bytes, parsed.moov, ['mvex', 'mehd']);
+  if (mehd) {
+    writeDuration(mehd.dataStart + 4, bytes[mehd.dataStart] === 1 ? 8 : 4);
+  }
+}
+
+// ===========================
+// WAV (RIFF)
+// ===========================
+
+export const WAV_HEADER_LENGTH = 44;
+
+// Data size written while recording, before the final length is known
+export const WAV_UNKNOWN_SIZE = 0xFFFFFFFF;
+
+function readUint32LE(bytes, pos) {
+  return (bytes[pos] | (bytes[pos + 1] << 8) | (bytes[pos + 2] << 16) | (bytes[pos + 3] << 24)) >>> 0;
+}
+
+function writeUint32LE(bytes, pos, value) {
+  bytes[pos] = value & 0xFF;
+  bytes[pos + 1] = (value >>> 8) & 0xFF;
+  bytes[pos + 2] = (value >>> 16) & 0xFF;
+  bytes[pos + 3] = (value >>> 24) & 0xFF;
+}
+
+/**
+ * Canonical 44-byte header for PCM sample data
+ * @param {Object} format - { sampleRate, channels, bitsPerSample }
+ * @param {number} [dataLength] - Bytes of sample data; WAV_UNKNOWN_SIZE while recording
+ * @returns {Uint8Array} Header
+ */
+export function encodeWavHeader({ sampleRate, channels, bitsPerSample }, dataLength = WAV_UNKNOWN_SIZE) {
+  const header = new Uint8Array(WAV_HEADER_LENGTH);
+  const view = new DataView(header.buffer);
+  const blockAlign = channels * (bitsPerSample / 8);
+  const ascii = (pos, text) => text.split('').forEach((c, i) => { header[pos + i] = c.charCodeAt(0); });
+
+  ascii(0, 'RIFF');
+  view.setUint32(4, dataLength === WAV_UNKNOWN_SIZE ? WAV_UNKNOWN_SIZE : dataLength + WAV_HEADER_LENGTH - 8, true);
+  ascii(8, 'WAVE');
+  ascii(12, 'fmt ');
+  view.setUint32(16, 16, true);                   // fmt chunk size
+  view.setUint16(20, 1, true);                    // PCM
+  view.setUint16(22, channels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitsPerSample, true);
+  ascii(36, 'data');
+  view.setUint32(40, dataLength, true);
+  return header;
+}
+
+/**
+ * Parse a PCM WAV file
+ * @param {Uint8Array} bytes - WAV file contents
+ * @returns {Object} { sampleRate, channels, bitsPerSample, blockAlign, dataStart, dataEnd, dataSizePos, duration }
+ *   (sample data may run to the end of the file when the recorder never wrote its size)
+ */
+export function parseWav(bytes) {
+  if (detectContainer(bytes) !== 'wav') {
+    throw containerError('Not a WAV file');
+  }
+
+  const parsed = { sampleRate: 0, channels: 0, bitsPerSample: 0, blockAlign: 0, dataStart: null, dataEnd: null, dataSizePos: null };
+  let pos = 12;
+  while (pos + 8 <= bytes.length) {
+    const type = String.fromCharCode(bytes[pos], bytes[pos + 1], bytes[pos + 2], bytes[pos + 3]);
+    const size = readUint32LE(bytes, pos + 4);
+
+    if (type === 'fmt ') {
+      const view = new DataView(bytes.buffer, bytes.byteOffset + pos + 8, 16);
+      if (view.getUint16(0, true) !== 1) {
+        throw containerError('Only PCM WAV is supported');
+      }
+      parsed.channels = view.getUint16(2, true);
+      parsed.sampleRate = view.getUint32(4, true);
+      parsed.blockAlign = view.getUint16(12, true);
+      parsed.bitsPerSample = view.getUint16(14, true);
+    } else if (type === 'data') {
+      parsed.dataSizePos = pos + 4;
+      parsed.dataStart = pos + 8;
+      parsed.dataEnd = size === WAV_UNKNOWN_SIZE ? bytes.length : Math.min(bytes.length, pos + 8 + size);
+      break;
+    }
+    pos += 8 + size + (size % 2); // Chunks are padded to an even length
+  }
+
+  if (!parsed.blockAlign || parsed.dataStart === null) {
+    throw containerError('WAV fmt or data chunk missing');
+  }
+
+  // Whole sample frames only (a recording cut off mid-write)
+  parsed.dataEnd -= (parsed.dataEnd - parsed.dataStart) % parsed.blockAlign;
+  parsed.duration = (parsed.dataEnd - parsed.dataStart) / parsed.blockAlign / parsed.sampleRate;
+  return parsed;
+}
+
+/**
+ * Write the real RIFF and data sizes (modified in place)
+ * @param {Uint8Array} bytes - WAV file contents
+ * @param {Object} parsed - parseWav result
+ */
+export function patchWavSizes(bytes, parsed) {
+  writeUint32LE(bytes, 4, parsed.dataEnd - 8);
+  writeUint32LE(bytes, parsed.dataSizePos, parsed.dataEnd - parsed.dataStart);
+}
@@ -0,0 +1,220 @@
+/**
+ * utils/mediaFinalize.js
+ * ----------------------
+ * Adds the Duration and seek index MediaRecorder leaves out of WebM files.
+ *
+ * PURPOSE:
+ * Chrome's MediaRecorder writes WebM as a live stream: the Segment has an unknown
+ * size, Info has no Duration and there are no Cues. Players then show the length
+ * as "Infinity" and can't seek (ViewRecording, Love Retold). finalizeRecording()
+ * runs on every finished recording before it becomes a take, and again on the
+ * files mediaJoin / mediaTrim produce.
+ *
+ * HOW:
+ * The file is rewritten without re-encoding:
+ *
+ *   EBML header | Segment (known size) { SeekHead, Info + Duration, Tracks, Cues, Clusters }
+ *
+ * - Duration is measured from the last frame (see parseWebm endTimecode).
+ * - Cues: one CuePoint per cluster that starts with a keyframe of the video track
+ *   (audio track for audio-only files). Cues sit before the clusters so a player
+ *   can seek without fetching the end of the file first.
+ * - Positions and cue times are written as 8-byte integers so element sizes
+ *   don't depend on the values they hold.
+ *
+ * WAV from the fallback recorder (wavRecorder.js) is written with placeholder
+ * sizes while recording; the real RIFF and data sizes are filled in here.
+ *
+ * MP4 output is passed through untouched (Safari writes a complete header).
+ */
+
+import {
+  readBlobBytes,
+  concatBytes,
+  containerError,
+  detectContainer,
+  encodeEbmlId,
+  encodeEbmlSize,
+  encodeEbmlElement,
+  encodeWebmInfo,
+  encodeWebmCluster,
+  encodeUint,
+  EBML_IDS,
+  WEBM_TRACK_TYPES,
+  parseWebm,
+  parseWav,
+  patchWavSizes
+} from './mediaContainer';
+
+const POSITION_BYTES = 8;
+
+function finalizeError(message) {
+  return containerError(`Cannot finalize recording: ${message}`);
+}
+
+// Unsigned integer in a fixed number of bytes
+function fixedUint(value, size = POSITION_BYTES) {
+  const out = new Uint8Array(size);
+  let remaining = value;
+  for (let i = size - 1; i >= 0; i--) {
+    out[i] = remaining & 0xFF;
+    remaining = Math.floor(remaining / 256);
+  }
+  return out;
+}
+
+// Track the seek index points at: video if there is one, else the first track
+function getCueTrack(trackList) {
+  const video = trackList.find(track => track.type === WEBM_TRACK_TYPES.VIDEO);
+  return video || trackList[0] || null;
+}
+
+// Whether a cluster child is a frame that playback can start from
+function isKeyframe(child, track) {
+  if (child.bytes[0] === EBML_IDS.SIMPLE_BLOCK) {
+    return (child.bytes[child.timecodePos + 2] & 0x80) !== 0;
+  }
+  // BlockGroup: no keyframe flag - audio frames decode on their own
+  return track.type === WEBM_TRACK_TYPES.AUDIO;
+}
+
+function encodeSeekHead(entries) {
+  return encodeEbmlElement(EBML_IDS.SEEK_HEAD, concatBytes(entries.map(({ id, position }) =>
+    encodeEbmlElement(EBML_IDS.SEEK, concatBytes([
+      encodeEbmlElement(EBML_IDS.SEEK_ID, encodeEbmlId(id)),
+      encodeEbmlElement(EBML_IDS.SEEK_POSITION, fixedUint(position))
+    ]))
+  )));
+}
+
+function encodeCues(cuePoints, trackNumber) {
+  return encodeEbmlElement(EBML_IDS.CUES, concatBytes(cuePoints.map(({ time, position }) =>
+    encodeEbmlElement(EBML_IDS.CUE_POINT, concatBytes([
+      encodeEbmlElement(EBML_IDS.CUE_TIME, fixedUint(time)),
+      encodeEbmlElement(EBML_IDS.CUE_TRACK_POSITIONS, concatBytes([
+        encodeEbmlElement(EBML_IDS.CUE_TRACK, encodeUint(trackNumber)),
+        encodeEbmlElement(EBML_IDS.CUE_CLUSTER_POSITION, fixedUint(position))
+      ]))
+    ]))
+  )));
+}
+
+/**
+ * Rewrite a WebM file with a Duration, known element sizes and a Cues index
+ * @param {Uint8Array} bytes - WebM file contents
+ * @returns {{bytes: Uint8Array, duration: number}} Finalized file and its length in seconds
+ */
+export function finalizeWebm(bytes) {
+  const parsed = parseWebm(bytes);
+  if (parsed.clusters.length === 0) {
+    throw finalizeError('no media in recording');
+  }
+
+  const cueTrack = getCueTrack(parsed.trackList);
+
+  // Clusters with known sizes; stale Position/PrevSize/Void children are dropped
+  const clusters = [];
+  const cueTimes = [];
+  parsed.clusters.forEach(cluster => {
+    const blocks = cluster.children.filter(child => child.timecode !== null);
+    if (blocks.length === 0) return;
+
+    const first = cueTrack ? blocks.find(child => child.track === cueTrack.number) : null;
+    cueTimes.push(first && isKeyframe(first, cueTrack) ? cluster.timecode + Math.max(0, first.timecode) : null);
+    clusters.push(encodeWebmCluster(cluster.timecode, blocks.map(child => child.bytes)));
+  });
+
+  const info = encodeWebmInfo(bytes, parsed.infoElement, parsed.endTimecode);
+
+  // Sizes first (positions are fixed-width), then the real positions
+  const cueIndexes = cueTimes.map((time, i) => (time === null ? null : i)).filter(i => i !== null);
+  const cueCount = cueTrack ? Math.max(1, cueIndexes.length) : 0;
+  const placeholderCues = cueCount
+    ? encodeCues(Array.from({ length: cueCount }, () => ({ time: 0, position: 0 })), cueTrack.number)
+    : new Uint8Array(0);
+  const seekTargets = [EBML_IDS.INFO, EBML_IDS.TRACKS, ...(cueCount ? [EBML_IDS.CUES] : [])];
+  const seekHeadLength = encodeSeekHead(seekTargets.map(id => ({ id, position: 0 }))).length;
+
+  const infoPosition = seekHeadLength;
+  const tracksPosition = infoPosition + info.length;
+  const cuesPosition = tracksPosition + parsed.tracks.length;
+  const clusterPositions = [];
+  let position = cuesPosition + placeholderCues.length;
+  clusters.forEach(cluster => {
+    clusterPositions.push(position);
+    position += cluster.length;
+  });
+
+  const positions = { [EBML_IDS.INFO]: infoPosition, [EBML_IDS.TRACKS]: tracksPosition, [EBML_IDS.CUES]: cuesPosition };
+  const seekHead = encodeSeekHead(seekTargets.map(id => ({ id, position: positions[id] })));
+
+  let cues = placeholderCues;
+  if (cueCount) {
+    // No keyframe found at a cluster start: index the first cluster so seeking to 0 works
+    const points = cueIndexes.length
+      ? cueIndexes.map(i => ({ time: cueTimes[i], position: clusterPositions[i] }))
+      : [{ time: parsed.clusters[0].timecode, position: clusterPositions[0] }];
+    cues = encodeCues(points, cueTrack.number);
+  }
+
+  const segmentLength = position;
+  const finalized = concatBytes([
+    parsed.ebmlHeader,
+    encodeEbmlId(EBML_IDS.SEGMENT),
+    encodeEbmlSize(segmentLength),
+    seekHead,
+    info,
+    parsed.tracks,
+    cues,
+    ...clusters
+  ]);
+
+  return { bytes: finalized, duration: (parsed.endTimecode * parsed.timecodeScale) / 1e9 };
+}
+
+/**
+ * Fill in the sizes of a WAV file recorded without them
+ * @param {Uint8Array} bytes - WAV file contents
+ * @returns {{bytes: Uint8Array, duration: number}} Finalized file and its length in seconds
+ */
+export function finalizeWav(bytes) {
+  const parsed = parseWav(bytes);
+  const finalized = bytes.slice(0, parsed.dataEnd);
+  patchWavSizes(finalized, parsed);
+  return { bytes: finalized, duration: parsed.duration };
+}
+
+// ===========================
+// Public entry point
+// ===========================
+
+/**
+ * Add Duration and a seek index to a WebM recording, sizes to a WAV recording;
+ * other containers are returned as-is.
+ * Never fails: if the file can't be rewritten the original is returned.
+ *
+ * @param {Blob} blob - Recording as produced by MediaRecorder (or mediaJoin / mediaTrim)
+ * @param {string} [mimeType] - MIME type of the recording
+ * @returns {Promise<Blob>} Recording to play and upload
+ */
+export async function finalizeRecording(blob, mimeType) {
+  if (!blob || blob.size === 0) return blob;
+
+  try {
+    const bytes = await readBlobBytes(blob);
+    const container = detectContainer(bytes);
+
+    let result;
+    if (container === 'webm') {
+      result = finalizeWebm(bytes);
+    } else if (container === 'wav') {
+      result = finalizeWav(bytes);
+    } else {
+      return blob;
+    }
+    return new Blob([result.bytes], { type: mimeType || blob.type });
+  } catch (error) {
+    console.warn('[mediaFinalize] Could not add duration/seek index, keeping the recording as recorded:', error);
+    return blob;
+  }
+}
@@ -0,0 +1,95 @@
+/**
+ * Media Finalize Tests
+ *
+ * Duration, known sizes and the Cues index added to MediaRecorder WebM output.
+ */
+
+import { finalizeWebm, finalizeRecording } from './mediaFinalize.js';
+import { parseWebm, readEbmlElement, readUint, EBML_IDS } from './mediaContainer.js';
+import { buildWebm, buildFmp4 } from './__fixtures__/mediaFixtures.js';
+
+// Top-level elements of the Segment: [{ id, start, element }] with start relative to the segment data
+function segmentChildren(bytes) {
+  const header = readEbmlElement(bytes, 0);
+  const segment = readEbmlElement(bytes, header.end);
+  const children = [];
+  let pos = segment.dataStart;
+  while (pos < segment.end) {
+    const element = readEbmlElement(bytes, pos, segment.end);
+    children.push({ id: element.id, start: pos - segment.dataStart, element });
+    pos = element.end;
+  }
+  return { segment, children };
+}
+
+// CueClusterPosition of each CuePoint
+function cuePositions(bytes, cues) {
+  const positions = [];
+  let pos = cues.dataStart;
+  while (pos < cues.end) {
+    const point = readEbmlElement(bytes, pos, cues.end);
+    const trackPositions = readEbmlElement(bytes, readEbmlElement(bytes, point.dataStart).end);
+    const track = readEbmlElement(bytes, trackPositions.dataStart);
+    const cluster = readEbmlElement(bytes, track.end);
+    positions.push(readUint(bytes, cluster.dataStart, cluster.end));
+    pos = point.end;
+  }
+  return positions;
+}
+
+describe('finalizeWebm', () => {
+  const recorded = buildWebm({
+    clusters: [
+      { timecode: 0, blocks: [0, 20, 40] },
+      { timecode: 60, blocks: [0, 20] }
+    ]
+  });
+
+  it('writes the duration measured from the last frame', () => {
+    const { bytes, duration } = finalizeWebm(recorded);
+    expect(parseWebm(bytes).duration).toBe(100);
+    expect(duration).toBeCloseTo(0.1);
+  });
+
+  it('gives the segment a known size', () => {
+    const { bytes } = finalizeWebm(recorded);
+    const { segment } = segmentChildren(bytes);
+    expect(segment.unknownSize).toBe(false);
+    expect(segment.end).toBe(bytes.length);
+  });
+
+  it('indexes every cluster in Cues ahead of the clusters', () => {
+    const { bytes } = finalizeWebm(recorded);
+    const { children } = segmentChildren(bytes);
+    const ids = children.map(child => child.id);
+    expect(ids.slice(0, 4)).toEqual([EBML_IDS.SEEK_HEAD, EBML_IDS.INFO, EBML_IDS.TRACKS, EBML_IDS.CUES]);
+
+    const clusterStarts = children.filter(child => child.id === EBML_IDS.CLUSTER).map(child => child.start);
+    const cues = children.find(child => child.id === EBML_IDS.CUES).element;
+    expect(cuePositions(bytes, cues)).toEqual(clusterStarts);
+  });
+
+  it('keeps the frames and their timing', () => {
+    const { bytes } = finalizeWebm(recorded);
+    const parsed = parseWebm(bytes);
+    expect(parsed.clusters.map(cluster => cluster.timecode)).toEqual([0, 60]);
+    expect(parsed.endTimecode).toBe(parseWebm(recorded).endTimecode);
+  });
+
+  it('produces the same file when run twice', () => {
+    const once = finalizeWebm(recorded).bytes;
+    expect(finalizeWebm(once).bytes).toEqual(once);
+  });
+});
+
+describe('finalizeRecording', () => {
+  it('passes MP4 through untouched', async () => {
+    const blob = new Blob([buildFmp4({ fragments: [] })], { type: 'audio/mp4' });
+    expect(await finalizeRecording(blob, 'audio/mp4')).toBe(blob);
+  });
+
+  it('keeps the recording as recorded when it cannot be parsed', async () => {
+    const blob = new Blob([Uint8Array.from([0x1A, 0x45, 0xDF, 0xA3, 0x00])], { type: 'audio/webm' });
+    expect(await finalizeRecording(blob, 'audio/webm')).toBe(blob);
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * utils/mediaJoin.js
+ * ------------------
+ * Joins recording segments into a single playable file without re-encoding.
+ *
+ * PURPOSE:
+ * "Continue recording" on the review screen records the new segment with a fresh
+ * MediaRecorder. Each recorder writes its own container header and starts its
+ * timestamps at zero, so the blobs cannot simply be concatenated. This module
+ * remuxes the later segments onto the first one at the container level.
+ *
+ * SUPPORTED CONTAINERS:
+ * - WebM (Chrome, Firefox, Edge): clusters from later segments are appended with
+ *   their cluster timecodes shifted past the end of the earlier segments.
+ * - Fragmented MP4 (Safari, Chrome mp4): moof/mdat pairs from later segments are
+ *   appended with tfdt decode times and fragment sequence numbers shifted.
+ * - WAV (fallback recorder): sample data is appended under one header.
+ *
+ * Segments must share the same codec setup (tracks, codec private data). If they
+ * don't, or the container isn't supported, an INVALID_FILE error is thrown and the
+ * caller keeps the segments separate.
+ */
+
+import {
+  readBlobBytes,
+  concatBytes,
+  bytesEqual,
+  containerError,
+  detectContainer,
+  encodeEbmlId,
+  encodeWebmInfoWithoutDuration,
+  encodeWebmCluster,
+  EBML_IDS,
+  EBML_UNKNOWN_SIZE,
+  parseWebm,
+  parseFragmentedMp4,
+  patchMp4MovieDuration,
+  readUint64,
+  writeUint32,
+  writeUint64,
+  encodeWavHeader,
+  parseWav
+} from './mediaContainer';
+
+function joinError(message) {
+  return containerError(`Cannot join recordings: ${message}`);
+}
+
+// ===========================
+// WebM
+// ===========================
+
+function webmTracksCompatible(a, b) {
+  if (a.timecodeScale !== b.timecodeScale) return false;
+  if (a.trackList.length !== b.trackList.length) return false;
+
+  return a.trackList.every((track, i) => {
+    const other = b.trackList[i];
+    return track.number === other.number &&
+      track.type === other.type &&
+      track.codecId === other.codecId &&
+      (track.codecPrivate === null ? other.codecPrivate === null : bytesEqual(track.codecPrivate, other.codecPrivate));
+  });
+}
+
+/**
+ * Join WebM files recorded with the same codec setup
+ * @param {Uint8Array[]} files - WebM file contents in playback order
+ * @returns {Uint8Array} Single WebM file
+ */
+export function joinWebm(files) {
+  const parsed = files.map(parseWebm);
+  const first = parsed[0];
+
+  parsed.slice(1).forEach(other => {
+    if (!webmTracksCompatible(first, other)) {
+      throw joinError('WebM segments use different tracks or codecs');
+    }
+  });
+
+  // Duration is dropped - it would describe only the first segment
+  const parts = [
+    first.ebmlHeader,
+    encodeEbmlId(EBML_IDS.SEGMENT),
+    EBML_UNKNOWN_SIZE,
+    encodeWebmInfoWithoutDuration(files[0], first.infoElement),
+    first.tracks
+  ];
+
+  // Each file is rebased to start where the previous one ended
+  let offset = 0;
+  parsed.forEach(file => {
+    file.clusters.forEach(cluster => {
+      parts.push(encodeWebmCluster(
+        cluster.timecode - file.startTimecode + offset,
+        cluster.children.map(child => child.bytes)
+      ));
+    });
+    offset += Math.max(0, file.endTimecode - file.startTimecode);
+  });
+
+  return concatBytes(parts);
+}
+
+// ===========================
+// Fragmented MP4
+// ===========================
+
+function mp4TracksCompatible(a, b) {
+  if (a.tracks.length !== b.tracks.length) return false;
+  return a.tracks.every((track, i) => {
+    const other = b.tracks[i];
+    return track.trackId === other.trackId &&
+      track.timescale === other.timescale &&
+      bytesEqual(track.stsd, other.stsd);
+  });
+}
+
+/**
+ * Join fragmented MP4 files recorded with the same codec setup
+ * @param {Uint8Array[]} files - MP4 file contents in playback order
+ * @returns {Uint8Array} Single fragmented MP4 file
+ */
+export function joinFragmentedMp4(files) {
+  const parsed = files.map(parseFragmentedMp4);
+  const first = parsed[0];
+
+  parsed.slice(1).forEach(other => {
+    if (!mp4TracksCompatible(first, other)) {
+      throw joinError('MP4 segments use different tracks or codecs');
+    }
+  });
+
+  // Header boxes of the first file (stale indexes like sidx/mfra are dropped)
+  const header = concatBytes(first.boxes
+    .filter(box => box.type === 'ftyp' || box.type === 'moov')
+    .map(box => files[0].subarray(box.start, box.end)));
+
+  const parts = [header];
+  let outputLength = header.length;
+  const trackOffset = new Map();
+  let sequenceOffset = 0;
+
+  parsed.forEach((file, fileIndex) => {
+    const bytes = files[fileIndex];
+
+    file.fragments.forEach(fragment => {
+      const fragmentEnd = fragment.mdat ? fragment.mdat.end : fragment.moof.end;
+      const copy = bytes.slice(fragment.moof.start, fragmentEnd);
+      const shift = outputLength - fragment.moof.start;
+      const rebase = (pos) => pos - fragment.moof.start;
+
+      if (fragment.sequencePos !== null) {
+        writeUint32(copy, rebase(fragment.sequencePos), fragment.sequence + sequenceOffset);
+      }
+
+      fragment.trafs.forEach(traf => {
+        const offset = trackOffset.get(traf.trackId) || 0;
+        const start = file.trackStart.get(traf.trackId) || 0;
+        const decodeTime = traf.decodeTime - start + offset;
+
+        if (traf.tfdtPos !== null) {
+          if (traf.tfdtVersion === 1) {
+            writeUint64(copy, rebase(traf.tfdtPos), decodeTime);
+          } else if (decodeTime <= 0xFFFFFFFF) {
+            writeUint32(copy, rebase(traf.tfdtPos), decodeTime);
+          } else {
+            throw joinError('MP4 decode time overflow');
+          }
+        }
+
+        if (traf.baseDataOffsetPos !== null) {
+          const pos = rebase(traf.baseDataOffsetPos);
+          writeUint64(copy, pos, readUint64(copy, pos) + shift);
+        }
+      });
+
+      parts.push(copy);
+      outputLength += copy.length;
+    });
+
+    // Next file starts where this one ended, per track
+    file.trackEnd.forEach((end, trackId) => {
+      const start = file.trackStart.get(trackId) || 0;
+      trackOffset.set(trackId, (trackOffset.get(trackId) || 0) + end - start);
+    });
+    sequenceOffset += file.maxSequence;
+  });
+
+  const joined = concatBytes(parts);
+  patchMp4MovieDuration(joined, trackOffset);
+  return joined;
+}
+
+// ===========================
+// WAV
+// ===========================
+
+/**
+ * Join PCM WAV files with the same sample format
+ * @param {Uint8Array[]} files - WAV file contents in playback order
+ * @returns {Uint8Array} Single WAV file
+ */
+export function joinWav(files) {
+  const parsed = files.map(parseWav);
+  const first = parsed[0];
+
+  parsed.slice(1).forEach(other => {
+    if (other.sampleRate !== first.sampleRate || other.channels !== first.channels || other.bitsPerSample !== first.bitsPerSample) {
+      throw joinError('WAV segments use different sample formats');
+    }
+  });
+
+  const data = parsed.map((file, i) => files[i].subarray(file.dataStart, file.dataEnd));
+  const dataLength = data.reduce((sum, part) => sum + part.length, 0);
+  return concatBytes([encodeWavHeader(first, dataLength), ...data]);
+}
+
+// ===========================
+// Public entry point
+// ===========================
+
+/**
+ * Join recording segments into one playable Blob.
+ *
+ * @param {Blob[]} blobs - Segments in playback order
+ * @param {string} mimeType - MIME type of the recording
+ * @returns {Promise<Blob>} Joined recording
+ * @throws {Error} INVALID_FILE error if the segments can't be joined
+ */
+export async function joinRecordings(blobs, mimeType) {
+  if (!blobs || blobs.length === 0) {
+    throw joinError('no segments');
+  }
+  if (blobs.length === 1) {
+    return blobs[0];
+  }
+
+  const files = await Promise.all(blobs.map(readBlobBytes));
+  const container = detectContainer(files[0]);
+
+  if (files.some(file => detectContainer(file) !== container)) {
+    throw joinError('segments use different containers');
+  }
+
+  let joined;
+  if (container === 'webm') {
+    joined = joinWebm(files);
+  } else if (container === 'mp4') {
+    joined = joinFragmentedMp4(files);
+  } else if (container === 'wav') {
+    joined = joinWav(files);
+  } else {
+    throw joinError('unsupported container');
+  }
+
+  return new Blob([joined], { type: mimeType || blobs[0].type });
+}
@@ -0,0 +1,109 @@
+/**
+ * Media Join Utility Tests
+ *
+ * Unit tests for container-level joining of recording segments
+ * ("Continue recording" on the review screen).
+ */
+
+import { joinWebm, joinFragmentedMp4, joinWav } from './mediaJoin.js';
+import {
+  detectContainer,
+  parseWebm,
+  readMp4Boxes,
+  parseFragmentedMp4,
+  parseWav
+} from './mediaContainer.js';
+import { buildWebm, buildFmp4, buildWav } from './__fixtures__/mediaFixtures.js';
+
+describe('detectContainer', () => {
+  it('recognises WebM and MP4 headers', () => {
+    expect(detectContainer(buildWebm({ clusters: [] }))).toBe('webm');
+    expect(detectContainer(buildFmp4({ fragments: [] }))).toBe('mp4');
+    expect(detectContainer(Uint8Array.from([1, 2, 3, 4, 5, 6, 7, 8]))).toBeNull();
+  });
+});
+
+describe('joinWebm', () => {
+  const first = buildWebm({
+    clusters: [
+      { timecode: 0, blocks: [0, 20, 40] },
+      { timecode: 60, blocks: [0, 20] }
+    ]
+  });
+  const second = buildWebm({
+    clusters: [{ timecode: 0, blocks: [0, 20] }]
+  });
+
+  it('measures the end of a segment from its last frame', () => {
+    expect(parseWebm(first).endTimecode).toBe(100);
+  });
+
+  it('appends later clusters after the end of the first segment', () => {
+    const joined = parseWebm(joinWebm([first, second]));
+
+    expect(joined.clusters.map(cluster => cluster.timecode)).toEqual([0, 60, 100]);
+    expect(joined.clusters[2].children.map(child => child.timecode)).toEqual([0, 20]);
+    expect(joined.endTimecode).toBe(140);
+  });
+
+  it('drops the stale Duration from the first segment', () => {
+    const joined = parseWebm(joinWebm([first, second]));
+    expect(joined.duration).toBeNull();
+  });
+
+  it('refuses segments recorded with a different codec', () => {
+    const other = buildWebm({ clusters: [{ timecode: 0, blocks: [0] }], codecId: 'A_VORBIS' });
+    expect(() => joinWebm([first, other])).toThrow(/different tracks or codecs/);
+  });
+});
+
+describe('joinFragmentedMp4', () => {
+  const first = buildFmp4({
+    fragments: [
+      { sequence: 1, decodeTime: 0, samples: 2 },
+      { sequence: 2, decodeTime: 2048, samples: 2 }
+    ]
+  });
+  const second = buildFmp4({
+    fragments: [{ sequence: 1, decodeTime: 0, samples: 3 }]
+  });
+
+  it('measures track length from tfdt and sample durations', () => {
+    expect(parseFragmentedMp4(first).trackEnd.get(1)).toBe(4096);
+  });
+
+  it('shifts decode times and sequence numbers of appended fragments', () => {
+    const joined = parseFragmentedMp4(joinFragmentedMp4([first, second]));
+
+    expect(joined.fragments).toHaveLength(3);
+    expect(joined.fragments.map(fragment => fragment.sequence)).toEqual([1, 2, 3]);
+    expect(joined.fragments.map(fragment => fragment.trafs[0].decodeTime)).toEqual([0, 2048, 4096]);
+    expect(joined.trackEnd.get(1)).toBe(4096 + 3072);
+  });
+
+  it('keeps a single header', () => {
+    const boxes = readMp4Boxes(joinFragmentedMp4([first, second]));
+    expect(boxes.filter(b => b.type === 'moov')).toHaveLength(1);
+    expect(boxes.filter(b => b.type === 'mdat')).toHaveLength(3);
+  });
+
+  it('refuses segments with a different sample description', () => {
+    const other = buildFmp4({ fragments: [{ sequence: 1, decodeTime: 0, samples: 1 }], codec: 'Opus' });
+    expect(() => joinFragmentedMp4([first, other])).toThrow(/different tracks or codecs/);
+  });
+});
+
+describe('joinWav', () => {
+  it('appends the sample data under one header', () => {
+    const joined = joinWav([buildWav({ values: [1, 2, 3] }), buildWav({ values: [4, 5] })]);
+    const parsed = parseWav(joined);
+
+    expect(parsed.duration).toBeCloseTo(5 / 1000);
+    expect(Array.from(new Int16Array(joined.slice(parsed.dataStart, parsed.dataEnd).buffer))).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('refuses segments with a different sample rate', () => {
+    expect(() => joinWav([buildWav({ values: [1] }), buildWav({ values: [1], sampleRate: 2000 })]))
+      .toThrow(/different sample formats/);
+  });
+});
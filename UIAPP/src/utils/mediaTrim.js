@@ -0,0 +1,294 @@
+/**
+ * utils/mediaTrim.js
+ * ------------------
+ * Trims the start and end of an audio recording without re-encoding.
+ *
+ * PURPOSE:
+ * The review screen lets storytellers cut the fumbling at the start and the reach
+ * for the Done button at the end. The original recording is kept until submit;
+ * submissionHandlers calls trimRecording() to produce the file that is uploaded.
+ *
+ * HOW:
+ * The audio codecs MediaRecorder uses (Opus, AAC) make every frame independently
+ * decodable, so frames outside the range are dropped and the rest rebased to zero:
+ * - WebM: blocks outside the range are removed; cluster/block timecodes rebased.
+ * - Fragmented MP4: samples outside the range are removed; each fragment's moof
+ *   (tfdt, trun) and mdat are rebuilt from the kept samples.
+ * - WAV: sample data outside the range is dropped.
+ * trimRecording() also gives trimmed WebM a Duration and seek index (mediaFinalize.js).
+ *
+ * Video is not supported: keyframes are too sparse for an accurate start cut.
+ */
+
+import {
+  readBlobBytes,
+  concatBytes,
+  containerError,
+  detectContainer,
+  encodeEbmlId,
+  encodeWebmInfoWithoutDuration,
+  encodeWebmCluster,
+  encodeMp4Box,
+  EBML_IDS,
+  EBML_UNKNOWN_SIZE,
+  WEBM_TRACK_TYPES,
+  parseWebm,
+  parseFragmentedMp4,
+  patchMp4MovieDuration,
+  writeUint32,
+  writeUint64,
+  encodeWavHeader,
+  parseWav
+} from './mediaContainer';
+import { finalizeWebm } from './mediaFinalize';
+
+function trimError(message) {
+  return containerError(`Cannot trim recording: ${message}`);
+}
+
+// ===========================
+// WebM
+// ===========================
+
+/**
+ * Trim an audio-only WebM file
+ * @param {Uint8Array} bytes - WebM file contents
+ * @param {number} startSeconds - Keep from here (seconds from the start)
+ * @param {number} endSeconds - Keep until here (seconds from the start)
+ * @returns {{bytes: Uint8Array, duration: number}} Trimmed file and its length in seconds
+ */
+export function trimWebm(bytes, startSeconds, endSeconds) {
+  const parsed = parseWebm(bytes);
+  if (parsed.trackList.some(track => track.type !== WEBM_TRACK_TYPES.AUDIO)) {
+    throw trimError('only audio recordings can be trimmed');
+  }
+
+  const unitsPerSecond = 1e9 / parsed.timecodeScale;
+  const start = parsed.startTimecode + Math.round(startSeconds * unitsPerSecond);
+  const end = parsed.startTimecode + Math.round(endSeconds * unitsPerSecond);
+
+  const clusters = [];
+  parsed.clusters.forEach(cluster => {
+    // Non-block children (Position, PrevSize, Void) are stale after remuxing
+    const kept = cluster.children.filter(child => {
+      if (child.timecode === null) return false;
+      const time = cluster.timecode + child.timecode;
+      return time >= start && time < end;
+    });
+    if (kept.length === 0) return;
+
+    // A cluster that straddles the start is moved to 0 and its blocks rebased
+    const timecode = Math.max(0, cluster.timecode - start);
+    const shift = cluster.timecode - start - timecode;
+
+    clusters.push(encodeWebmCluster(timecode, kept.map(child => {
+      if (shift === 0) return child.bytes;
+      const copy = child.bytes.slice();
+      const relative = child.timecode + shift;
+      copy[child.timecodePos] = (relative >> 8) & 0xFF;
+      copy[child.timecodePos + 1] = relative & 0xFF;
+      return copy;
+    })));
+  });
+
+  if (clusters.length === 0) {
+    throw trimError('nothing left to keep');
+  }
+
+  const trimmed = concatBytes([
+    parsed.ebmlHeader,
+    encodeEbmlId(EBML_IDS.SEGMENT),
+    EBML_UNKNOWN_SIZE,
+    encodeWebmInfoWithoutDuration(bytes, parsed.infoElement),
+    parsed.tracks,
+    ...clusters
+  ]);
+
+  return { bytes: trimmed, duration: parseWebm(trimmed).endTimecode / unitsPerSecond };
+}
+
+// ===========================
+// Fragmented MP4
+// ===========================
+
+function uint32(value) {
+  const out = new Uint8Array(4);
+  writeUint32(out, 0, value >>> 0);
+  return out;
+}
+
+function uint64(value) {
+  const out = new Uint8Array(8);
+  writeUint64(out, 0, value);
+  return out;
+}
+
+function encodeFullBox(type, version, flags, payload) {
+  return encodeMp4Box(type, [
+    Uint8Array.from([version, (flags >> 16) & 0xFF, (flags >> 8) & 0xFF, flags & 0xFF]),
+    ...payload
+  ]);
+}
+
+// traf with explicit per-sample duration/size/flags, data relative to the moof start
+function encodeTraf({ traf, samples, decodeTime }, dataOffset) {
+  const hasCompositionOffsets = samples.some(sample => sample.compositionOffset !== 0);
+  const trunFlags = 0x001 | 0x100 | 0x200 | 0x400 | (hasCompositionOffsets ? 0x800 : 0);
+
+  const sampleFields = [];
+  samples.forEach(sample => {
+    sampleFields.push(uint32(sample.duration), uint32(sample.size), uint32(sample.flags));
+    if (hasCompositionOffsets) sampleFields.push(uint32(sample.compositionOffset));
+  });
+
+  return encodeMp4Box('traf', [
+    encodeFullBox('tfhd', 0, 0x020000 | 0x02, [uint32(traf.trackId), uint32(traf.sampleDescriptionIndex)]),
+    encodeFullBox('tfdt', 1, 0, [uint64(decodeTime)]),
+    encodeFullBox('trun', traf.trunVersion, trunFlags, [uint32(samples.length), uint32(dataOffset), ...sampleFields])
+  ]);
+}
+
+/**
+ * Trim an audio-only fragmented MP4 file
+ * @param {Uint8Array} bytes - MP4 file contents
+ * @param {number} startSeconds - Keep from here (seconds from the start)
+ * @param {number} endSeconds - Keep until here (seconds from the start)
+ * @returns {{bytes: Uint8Array, duration: number}} Trimmed file and its length in seconds
+ */
+export function trimFragmentedMp4(bytes, startSeconds, endSeconds) {
+  const parsed = parseFragmentedMp4(bytes);
+  if (parsed.tracks.some(track => track.handler !== 'soun')) {
+    throw trimError('only audio recordings can be trimmed');
+  }
+
+  const timescales = new Map(parsed.tracks.map(track => [track.trackId, track.timescale]));
+  const trackDurations = new Map();
+
+  const header = concatBytes(parsed.boxes
+    .filter(box => box.type === 'ftyp' || box.type === 'moov')
+    .map(box => bytes.subarray(box.start, box.end)));
+  const parts = [header];
+  let sequence = 1;
+
+  parsed.fragments.forEach(fragment => {
+    let mdatLength = 0;
+    const sampleData = [];
+
+    const trafs = fragment.trafs.map(traf => {
+      const timescale = timescales.get(traf.trackId) || 1;
+      const origin = parsed.trackStart.get(traf.trackId) || 0;
+      const start = origin + Math.round(startSeconds * timescale);
+      const end = origin + Math.round(endSeconds * timescale);
+      const samples = traf.samples.filter(sample => sample.time >= start && sample.time < end);
+      if (samples.length === 0) return null;
+
+      const offsetInMdat = mdatLength;
+      samples.forEach(sample => {
+        sampleData.push(bytes.subarray(sample.dataPos, sample.dataPos + sample.size));
+        mdatLength += sample.size;
+      });
+
+      const last = samples[samples.length - 1];
+      trackDurations.set(traf.trackId, Math.max(trackDurations.get(traf.trackId) || 0, last.time + last.duration - start));
+      return { traf, samples, decodeTime: samples[0].time - start, offsetInMdat };
+    }).filter(Boolean);
+
+    if (trafs.length === 0) return;
+
+    // data_offset depends on the moof size, which doesn't depend on the offset values
+    const buildMoof = (moofSize) => encodeMp4Box('moof', [
+      encodeFullBox('mfhd', 0, 0, [uint32(sequence)]),
+      ...trafs.map(info => encodeTraf(info, moofSize + 8 + info.offsetInMdat))
+    ]);
+    parts.push(buildMoof(buildMoof(0).length), encodeMp4Box('mdat', sampleData));
+    sequence += 1;
+  });
+
+  if (parts.length === 1) {
+    throw trimError('nothing left to keep');
+  }
+
+  const trimmed = concatBytes(parts);
+  patchMp4MovieDuration(trimmed, trackDurations);
+
+  let duration = 0;
+  trackDurations.forEach((value, trackId) => {
+    duration = Math.max(duration, value / (timescales.get(trackId) || 1));
+  });
+  return { bytes: trimmed, duration };
+}
+
+// ===========================
+// WAV
+// ===========================
+
+/**
+ * Trim a PCM WAV file
+ * @param {Uint8Array} bytes - WAV file contents
+ * @param {number} startSeconds - Keep from here
+ * @param {number} endSeconds - Keep until here
+ * @returns {{bytes: Uint8Array, duration: number}} Trimmed file and its length in seconds
+ */
+export function trimWav(bytes, startSeconds, endSeconds) {
+  const parsed = parseWav(bytes);
+  const frameAt = (seconds) => Math.min(
+    (parsed.dataEnd - parsed.dataStart) / parsed.blockAlign,
+    Math.max(0, Math.round(seconds * parsed.sampleRate))
+  );
+  const startFrame = frameAt(startSeconds);
+  const endFrame = frameAt(endSeconds);
+
+  if (endFrame <= startFrame) {
+    throw trimError('nothing left to keep');
+  }
+
+  const data = bytes.subarray(
+    parsed.dataStart + startFrame * parsed.blockAlign,
+    parsed.dataStart + endFrame * parsed.blockAlign
+  );
+  return {
+    bytes: concatBytes([encodeWavHeader(parsed, data.length), data]),
+    duration: (endFrame - startFrame) / parsed.sampleRate
+  };
+}
+
+// ===========================
+// Public entry point
+// ===========================
+
+/**
+ * Trim a recording to [startSeconds, endSeconds).
+ *
+ * @param {Blob} blob - Original recording
+ * @param {string} mimeType - MIME type of the recording
+ * @param {number} startSeconds - Keep from here
+ * @param {number} endSeconds - Keep until here
+ * @returns {Promise<{blob: Blob, duration: number}>} Trimmed recording and its length in seconds
+ * @throws {Error} INVALID_FILE error if the recording can't be trimmed
+ */
+export async function trimRecording(blob, mimeType, startSeconds, endSeconds) {
+  if (!(endSeconds > startSeconds) || startSeconds < 0) {
+    throw trimError('invalid range');
+  }
+
+  const bytes = await readBlobBytes(blob);
+  const container = detectContainer(bytes);
+
+  let result;
+  if (container === 'webm') {
+    // The trimmed file is uploaded as-is: give it a Duration and seek index
+    const trimmed = trimWebm(bytes, startSeconds, endSeconds);
+    result = { bytes: finalizeWebm(trimmed.bytes).bytes, duration: trimmed.duration };
+  } else if (container === 'mp4') {
+    result = trimFragmentedMp4(bytes, startSeconds, endSeconds);
+  } else if (container === 'wav') {
+    result = trimWav(bytes, startSeconds, endSeconds);
+  } else {
+    throw trimError('unsupported container');
+  }
+
+  return {
+    blob: new Blob([result.bytes], { type: mimeType || blob.type }),
+    duration: result.duration
+  };
+}
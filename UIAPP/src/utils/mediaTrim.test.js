@@ -0,0 +1,99 @@
+/**
+ * Media Trim Utility Tests
+ *
+ * Unit tests for container-level trimming of audio recordings
+ * (trim handles on the review screen).
+ */
+
+import { trimWebm, trimFragmentedMp4, trimWav, trimRecording } from './mediaTrim.js';
+import { parseWebm, parseFragmentedMp4, parseWav } from './mediaContainer.js';
+import { buildWebm, buildFmp4, buildWav } from './__fixtures__/mediaFixtures.js';
+
+// Fixture WebM uses a 1ms timecode scale
+const webm = buildWebm({
+  clusters: [
+    { timecode: 0, blocks: [0, 20, 40] },
+    { timecode: 60, blocks: [0, 20, 40] },
+    { timecode: 120, blocks: [0, 20] }
+  ]
+});
+
+describe('trimWebm', () => {
+  it('drops blocks outside the range and rebases to zero', () => {
+    const { bytes, duration } = trimWebm(webm, 0.07, 0.13);
+    const trimmed = parseWebm(bytes);
+
+    // Blocks at 80, 100 and 120ms are kept
+    expect(trimmed.clusters.map(cluster => cluster.timecode)).toEqual([0, 50]);
+    expect(trimmed.clusters[0].children.map(child => child.timecode)).toEqual([10, 30]);
+    expect(trimmed.clusters[1].children.map(child => child.timecode)).toEqual([0]);
+    expect(duration).toBeCloseTo(0.07);
+  });
+
+  it('keeps clusters that start after the cut unchanged', () => {
+    const trimmed = parseWebm(trimWebm(webm, 0.06, 1).bytes);
+
+    expect(trimmed.clusters.map(cluster => cluster.timecode)).toEqual([0, 60]);
+    expect(trimmed.clusters[0].children.map(child => child.timecode)).toEqual([0, 20, 40]);
+    expect(trimmed.duration).toBeNull();
+  });
+
+  it('refuses video recordings', () => {
+    const video = buildWebm({ clusters: [{ timecode: 0, blocks: [0, 20] }], codecId: 'V_VP8', trackType: 1 });
+    expect(() => trimWebm(video, 0, 0.01)).toThrow(/only audio/);
+  });
+});
+
+describe('trimFragmentedMp4', () => {
+  // 48kHz, 1024 ticks per sample, two fragments of three samples
+  const mp4 = buildFmp4({
+    fragments: [
+      { sequence: 1, decodeTime: 0, samples: 3 },
+      { sequence: 2, decodeTime: 3072, samples: 3 }
+    ]
+  });
+
+  it('keeps the samples in range with their data', () => {
+    const { bytes, duration } = trimFragmentedMp4(mp4, 2048 / 48000, 5120 / 48000);
+    const trimmed = parseFragmentedMp4(bytes);
+
+    expect(trimmed.fragments.map(fragment => fragment.sequence)).toEqual([1, 2]);
+    expect(trimmed.fragments.map(fragment => fragment.trafs[0].decodeTime)).toEqual([0, 1024]);
+
+    // Fixture sample payloads are [sequence, index]
+    const payloads = trimmed.fragments.flatMap(fragment =>
+      fragment.trafs[0].samples.map(sample => Array.from(bytes.subarray(sample.dataPos, sample.dataPos + sample.size)))
+    );
+    expect(payloads).toEqual([[1, 2], [2, 0], [2, 1]]);
+    expect(duration).toBeCloseTo(3072 / 48000);
+  });
+
+  it('drops fragments with nothing left in range', () => {
+    const trimmed = parseFragmentedMp4(trimFragmentedMp4(mp4, 3072 / 48000, 1).bytes);
+    expect(trimmed.fragments).toHaveLength(1);
+    expect(trimmed.trackEnd.get(1)).toBe(3072);
+  });
+
+  it('refuses video recordings', () => {
+    const video = buildFmp4({ fragments: [{ sequence: 1, decodeTime: 0, samples: 2 }], codec: 'avc1', handler: 'vide' });
+    expect(() => trimFragmentedMp4(video, 0, 0.01)).toThrow(/only audio/);
+  });
+});
+
+describe('trimWav', () => {
+  it('keeps the frames inside the range', () => {
+    const { bytes, duration } = trimWav(buildWav({ values: [0, 1, 2, 3, 4, 5] }), 0.002, 0.005);
+    const parsed = parseWav(bytes);
+
+    expect(duration).toBeCloseTo(0.003);
+    expect(Array.from(new Int16Array(bytes.slice(parsed.dataStart, parsed.dataEnd).buffer))).toEqual([2, 3, 4]);
+  });
+});
+
+describe('trimRecording', () => {
+  it('rejects an empty range', async () => {
+    await expect(trimRecording(new Blob([webm]), 'audio/webm', 1, 1)).rejects.toMatchObject({
+      message: expect.stringMatching(/invalid range/)
+    });
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * mirrorPreview.js
+ * ----------------
+ * Whether the live camera preview is shown mirrored (DEFAULT_MIRROR_PREVIEW in config).
+ *
+ * - The choice is kept per camera facing ('user' = front, 'environment' = rear), so
+ *   turning mirroring on for the front camera doesn't flip the rear one
+ * - Choice persists to localStorage (utils/preferences.js)
+ * - Mirroring is a CSS transform on the preview <video> only; recorded files,
+ *   review playback and uploads are always as the camera sees it
+ */
+
+import { DEFAULT_MIRROR_PREVIEW } from '../config';
+import { loadPreference, savePreference } from './preferences';
+
+export const MIRROR_PREVIEW_STORAGE_KEY = 'preferred-mirror-preview';
+
+const FACINGS = Object.keys(DEFAULT_MIRROR_PREVIEW);
+
+/**
+ * Keep only known facings with boolean values, filling gaps from the defaults
+ * @param {Object} [value] - Partial choice
+ * @returns {Object} { user, environment }
+ */
+function normalizeMirrorPreview(value) {
+  const mirror = { ...DEFAULT_MIRROR_PREVIEW };
+  FACINGS.forEach(facing => {
+    if (typeof value?.[facing] === 'boolean') {
+      mirror[facing] = value[facing];
+    }
+  });
+  return mirror;
+}
+
+/**
+ * Read the saved mirroring choice
+ * @returns {Object} { user, environment } (defaults when nothing valid is saved)
+ */
+export function loadMirrorPreview() {
+  return loadPreference(MIRROR_PREVIEW_STORAGE_KEY, normalizeMirrorPreview);
+}
+
+/**
+ * Save the mirroring choice for one camera facing
+ * @param {Object} current - Current choice ({ user, environment })
+ * @param {'user'|'environment'} facing - Camera facing the choice is for
+ * @param {boolean} mirrored - Whether to mirror the preview
+ * @returns {Object} The normalized choice that was saved
+ */
+export function saveMirrorPreview(current, facing, mirrored) {
+  return savePreference(MIRROR_PREVIEW_STORAGE_KEY, normalizeMirrorPreview({ ...current, [facing]: mirrored }));
+}
+
+/**
+ * Which way the stream's camera faces
+ * Laptop and desktop webcams usually report no facingMode - they face the user.
+ * @param {MediaStream} [stream] - Camera stream
+ * @returns {'user'|'environment'}
+ */
+export function getCameraFacing(stream) {
+  const track = stream?.getVideoTracks?.()[0];
+  const settings = typeof track?.getSettings === 'function' ? track.getSettings() : {};
+  return settings.facingMode === 'environment' ? 'environment' : 'user';
+}
@@ -0,0 +1,56 @@
+/**
+ * Mirror Preview Tests
+ *
+ * Saved choice per camera facing, and detecting which way a camera faces.
+ */
+
+import {
+  MIRROR_PREVIEW_STORAGE_KEY,
+  loadMirrorPreview,
+  saveMirrorPreview,
+  getCameraFacing
+} from './mirrorPreview.js';
+import { DEFAULT_MIRROR_PREVIEW } from '../config';
+
+const cameraStream = (settings) => ({
+  getVideoTracks: () => [{ getSettings: () => settings }]
+});
+
+describe('saved mirror preview', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('mirrors front cameras only by default', () => {
+    expect(loadMirrorPreview()).toEqual({ user: true, environment: false });
+    expect(loadMirrorPreview()).toEqual(DEFAULT_MIRROR_PREVIEW);
+  });
+
+  it('remembers the choice for one facing without changing the other', () => {
+    saveMirrorPreview(loadMirrorPreview(), 'user', false);
+    expect(loadMirrorPreview()).toEqual({ user: false, environment: false });
+
+    saveMirrorPreview(loadMirrorPreview(), 'environment', true);
+    expect(loadMirrorPreview()).toEqual({ user: false, environment: true });
+  });
+
+  it('ignores unknown keys and corrupt values', () => {
+    localStorage.setItem(MIRROR_PREVIEW_STORAGE_KEY, JSON.stringify({ user: 'no', left: true }));
+    expect(loadMirrorPreview()).toEqual(DEFAULT_MIRROR_PREVIEW);
+
+    localStorage.setItem(MIRROR_PREVIEW_STORAGE_KEY, '{not json');
+    expect(loadMirrorPreview()).toEqual(DEFAULT_MIRROR_PREVIEW);
+  });
+});
+
+describe('getCameraFacing', () => {
+  it('reads the facingMode of the video track', () => {
+    expect(getCameraFacing(cameraStream({ facingMode: 'environment' }))).toBe('environment');
+    expect(getCameraFacing(cameraStream({ facingMode: 'user' }))).toBe('user');
+  });
+
+  it('treats cameras without a facingMode as front-facing', () => {
+    expect(getCameraFacing(cameraStream({}))).toBe('user');
+    expect(getCameraFacing(null)).toBe('user');
+  });
+});
@@ -27,6 +27,9 @@ export function createNavigationHandlers({
   isPaused,
   captureMode,
   mediaStream,
+  // Continue recording: pending continuation of a reviewed take
+  isContinuingRecording,
+  cancelContinueRecording,
   // DURATION-FIX: Callback to capture duration before stopping recording
   onCaptureDuration
 }) {
@@ -119,9 +122,16 @@ export function createNavigationHandlers({
       return;
     }
 
-    // PRIORITY 4: ReadyToRecordScreen → AudioTest OR VideoTest
+    // PRIORITY 4: ReadyToRecordScreen → AudioTest OR VideoTest OR ScreenTest
     // Condition: !isRecording && !isPaused && mediaStream && testCompleted
     if (!isRecording && !isPaused && mediaStream) {
+      // Came from "Continue recording" on review - go back to the take instead
+      if (isContinuingRecording && cancelContinueRecording) {
+        cancelContinueRecording();
+        dispatch({ type: APP_ACTIONS.SET_SUBMIT_STAGE, payload: true });
+        return;
+      }
+
       // If came from AudioTest (audio mode and test was completed)
       if (captureMode === 'audio' && appState.audioTestCompleted) {
         dispatch({ type: APP_ACTIONS.SET_AUDIO_TEST_COMPLETED, payload: false });
@@ -132,6 +142,11 @@ export function createNavigationHandlers({
         dispatch({ type: APP_ACTIONS.SET_VIDEO_TEST_COMPLETED, payload: false });
         return;
       }
+      // If came from ScreenTest (screen mode and test was completed)
+      if (captureMode === 'screen' && appState.screenTestCompleted) {
+        dispatch({ type: APP_ACTIONS.SET_SCREEN_TEST_COMPLETED, payload: false });
+        return;
+      }
     }
 
     // PRIORITY 5: AudioAccess → ChooseModeScreen
@@ -150,7 +165,14 @@ export function createNavigationHandlers({
       return;
     }
 
-    // PRIORITY 7: AudioTest OR VideoTest → ChooseModeScreen
+    // PRIORITY 6b: ScreenAccess → ChooseModeScreen
+    // Condition: captureMode === 'screen' && !screenPermissionGranted
+    if (captureMode === 'screen' && !appState.screenPermissionGranted) {
+      setCaptureMode(null); // Clears captureMode, shows ChooseModeScreen
+      return;
+    }
+
+    // PRIORITY 7: AudioTest OR VideoTest OR ScreenTest → ChooseModeScreen
     // Handles back navigation from test screens to mode selection
     // Condition: (captureMode === 'audio' && !audioTestCompleted) OR (captureMode === 'video' && !videoTestCompleted)
     if (captureMode === 'audio' && !appState.audioTestCompleted) {
@@ -161,6 +183,12 @@ export function createNavigationHandlers({
       setCaptureMode(null); // Clears captureMode, shows ChooseModeScreen
       return;
     }
+    if (captureMode === 'screen' && !appState.screenTestCompleted) {
+      // Stops sharing too (useRecordingFlow stops the stream when captureMode clears)
+      dispatch({ type: APP_ACTIONS.SET_SCREEN_PERMISSION_GRANTED, payload: false });
+      setCaptureMode(null);
+      return;
+    }
 
     // PRIORITY 8: ChooseModeScreen → PromptReadScreen
     // Condition: hasReadPrompt && !mediaStream && captureMode == null
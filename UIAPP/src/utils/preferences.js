@@ -0,0 +1,43 @@
+/**
+ * preferences.js
+ * --------------
+ * Choices remembered across recordings in localStorage (audio processing,
+ * mirror preview, teleprompter).
+ *
+ * - Values are stored as JSON under one key per preference
+ * - Each caller passes a normalize function that turns whatever was saved (null
+ *   when nothing is) into a valid value, filling gaps from its defaults
+ * - Storage that can't be read or written (private browsing, quota, bad JSON)
+ *   only logs a warning; the default is used
+ */
+
+/**
+ * Read a saved preference
+ * @param {string} key - localStorage key
+ * @param {Function} normalize - (savedValue|null) => preference
+ * @returns {*} The normalized preference
+ */
+export function loadPreference(key, normalize) {
+  try {
+    const saved = localStorage.getItem(key);
+    return normalize(saved !== null ? JSON.parse(saved) : null);
+  } catch (error) {
+    console.warn(`Failed to read saved preference "${key}":`, error);
+    return normalize(null);
+  }
+}
+
+/**
+ * Save a preference
+ * @param {string} key - localStorage key
+ * @param {*} value - Normalized preference (JSON-serializable)
+ * @returns {*} value
+ */
+export function savePreference(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`Failed to save preference "${key}":`, error);
+  }
+  return value;
+}
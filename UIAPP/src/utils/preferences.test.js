@@ -0,0 +1,50 @@
+/**
+ * Preferences Tests
+ *
+ * Saved choices round-trip through localStorage; anything unreadable or
+ * unwritable falls back to the normalized default.
+ */
+
+import { loadPreference, savePreference } from './preferences.js';
+
+const KEY = 'test-preference';
+const normalize = (value) => ({ enabled: typeof value?.enabled === 'boolean' ? value.enabled : true });
+
+describe('preferences', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('uses the default when nothing is saved', () => {
+    expect(loadPreference(KEY, normalize)).toEqual({ enabled: true });
+  });
+
+  it('reads back a saved preference', () => {
+    expect(savePreference(KEY, { enabled: false })).toEqual({ enabled: false });
+    expect(loadPreference(KEY, normalize)).toEqual({ enabled: false });
+  });
+
+  it('uses the default for unreadable JSON', () => {
+    localStorage.setItem(KEY, '{not json');
+
+    expect(loadPreference(KEY, normalize)).toEqual({ enabled: true });
+    expect(console.warn).toHaveBeenCalled();
+  });
+
+  it('keeps going when storage is unavailable', () => {
+    jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new Error('QuotaExceededError');
+    });
+    jest.spyOn(Storage.prototype, 'getItem').mockImplementation(() => {
+      throw new Error('SecurityError');
+    });
+
+    expect(savePreference(KEY, { enabled: false })).toEqual({ enabled: false });
+    expect(loadPreference(KEY, normalize)).toEqual({ enabled: true });
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * qualityProfile.js
+ * -----------------
+ * Picks a recording quality profile (QUALITY_PROFILES in config) for this device.
+ *
+ * Uses the hints browsers expose - none are available everywhere, so each check
+ * only applies when its value is known:
+ * - navigator.connection.saveData / effectiveType: slow or metered networks get 'low'
+ *   (the whole recording has to upload afterwards)
+ * - navigator.deviceMemory / hardwareConcurrency: weak devices get 'low', since
+ *   encoding 720p+ in real time can drop frames
+ * - Phones never get 'high': uploads usually go over mobile data
+ *
+ * Sessions with their own limits (utils/sessionLimits.js) may step the profile down
+ * so a full-length recording still fits the size limit (fitQualityProfile).
+ */
+
+import { QUALITY_PROFILES, DEFAULT_QUALITY_PROFILE } from '../config';
+
+const SLOW_CONNECTIONS = ['slow-2g', '2g', '3g'];
+
+/**
+ * Choose a profile name from device capabilities
+ * @param {Navigator} [nav] - Navigator to inspect (injectable for tests)
+ * @returns {string} Profile name - a key of QUALITY_PROFILES
+ */
+export function selectQualityProfile(nav = typeof navigator !== 'undefined' ? navigator : {}) {
+  const connection = nav.connection || {};
+  const memory = nav.deviceMemory;            // GB, rounded (Chrome only)
+  const cores = nav.hardwareConcurrency;
+  const isMobile = /Android|iPhone|iPad|iPod/i.test(nav.userAgent || '');
+
+  if (connection.saveData || SLOW_CONNECTIONS.includes(connection.effectiveType)) {
+    return 'low';
+  }
+  if ((memory !== undefined && memory < 4) || (cores !== undefined && cores < 4)) {
+    return 'low';
+  }
+  if (!isMobile && memory >= 8 && cores >= 8) {
+    return 'high';
+  }
+  return DEFAULT_QUALITY_PROFILE;
+}
+
+// Estimated size of a full-length recording at a profile's bitrates
+const estimateBytes = (profile, seconds) =>
+  (profile.videoBitsPerSecond + profile.audioBitsPerSecond) / 8 * seconds;
+
+/**
+ * Step a profile down until a full-length recording fits the size limit
+ * @param {string} name - Profile picked for the device
+ * @param {{ maxDurationSeconds: number, maxFileSize: number }} limits - Session limits
+ * @returns {string} The profile, or the best lower one that fits (lowest if none does)
+ */
+export function fitQualityProfile(name, { maxDurationSeconds, maxFileSize }) {
+  const byBitrate = Object.keys(QUALITY_PROFILES)
+    .sort((a, b) => estimateBytes(QUALITY_PROFILES[b], 1) - estimateBytes(QUALITY_PROFILES[a], 1));
+  const start = Math.max(0, byBitrate.indexOf(name));
+  const candidates = byBitrate.slice(start);
+  return candidates.find(candidate => estimateBytes(QUALITY_PROFILES[candidate], maxDurationSeconds) < maxFileSize)
+    || candidates[candidates.length - 1];
+}
+
+/**
+ * Look up a profile by name, falling back to the default profile
+ * @param {string} name - Profile name
+ * @returns {Object} Profile: { video, videoBitsPerSecond, audioBitsPerSecond }
+ */
+export function getQualityProfile(name) {
+  return QUALITY_PROFILES[name] || QUALITY_PROFILES[DEFAULT_QUALITY_PROFILE];
+}
+
+/**
+ * MediaRecorder options for a profile
+ * @param {string} name - Profile name
+ * @param {string} mimeType - Chosen MIME type
+ * @param {'audio'|'video'} mediaKind - Audio-only recordings get no video bitrate
+ * @returns {Object} MediaRecorder options
+ */
+export function getRecorderOptions(name, mimeType, mediaKind) {
+  const profile = getQualityProfile(name);
+  const options = { mimeType, audioBitsPerSecond: profile.audioBitsPerSecond };
+  if (mediaKind === 'video') {
+    options.videoBitsPerSecond = profile.videoBitsPerSecond;
+  }
+  return options;
+}
@@ -0,0 +1,76 @@
+/**
+ * Quality Profile Tests
+ *
+ * Profile selection from device hints, and the file-size budget each
+ * profile has to respect.
+ */
+
+import { selectQualityProfile, fitQualityProfile, getQualityProfile, getRecorderOptions } from './qualityProfile.js';
+import { QUALITY_PROFILES, RECORDING_LIMITS } from '../config';
+
+const desktop = { userAgent: 'Mozilla/5.0 (Macintosh)', deviceMemory: 8, hardwareConcurrency: 8 };
+
+describe('selectQualityProfile', () => {
+  it('picks high on a capable desktop', () => {
+    expect(selectQualityProfile(desktop)).toBe('high');
+  });
+
+  it('picks low on slow or metered connections', () => {
+    expect(selectQualityProfile({ ...desktop, connection: { effectiveType: '3g' } })).toBe('low');
+    expect(selectQualityProfile({ ...desktop, connection: { saveData: true } })).toBe('low');
+  });
+
+  it('picks low on low-memory devices', () => {
+    expect(selectQualityProfile({ ...desktop, deviceMemory: 2 })).toBe('low');
+  });
+
+  it('never picks high on phones', () => {
+    expect(selectQualityProfile({ ...desktop, userAgent: 'Mozilla/5.0 (iPhone)' })).toBe('standard');
+  });
+
+  it('falls back to standard when the browser exposes no hints', () => {
+    expect(selectQualityProfile({})).toBe('standard');
+  });
+});
+
+describe('QUALITY_PROFILES', () => {
+  // The lowest profile is what fitQualityProfile falls back to for a full-length session
+  it('low fits a full-length recording under MAX_FILE_SIZE', () => {
+    const { videoBitsPerSecond, audioBitsPerSecond } = QUALITY_PROFILES.low;
+    const bytes = (videoBitsPerSecond + audioBitsPerSecond) / 8 * RECORDING_LIMITS.MAX_DURATION_SECONDS;
+    expect(bytes).toBeLessThan(RECORDING_LIMITS.MAX_FILE_SIZE);
+  });
+});
+
+describe('fitQualityProfile', () => {
+  const defaults = { maxDurationSeconds: RECORDING_LIMITS.MAX_DURATION_SECONDS, maxFileSize: RECORDING_LIMITS.MAX_FILE_SIZE };
+  const shortSession = { ...defaults, maxDurationSeconds: 3 * 60 };
+
+  it('keeps the device profile when it fits', () => {
+    expect(fitQualityProfile('high', shortSession)).toBe('high');
+  });
+
+  it('steps down for a long session', () => {
+    expect(fitQualityProfile('high', { ...shortSession, maxDurationSeconds: 5 * 60 })).toBe('standard');
+    expect(fitQualityProfile('high', defaults)).toBe('low');
+  });
+
+  it('never steps up', () => {
+    expect(fitQualityProfile('low', { ...defaults, maxDurationSeconds: 60 })).toBe('low');
+  });
+});
+
+describe('getRecorderOptions', () => {
+  it('omits the video bitrate for audio recordings', () => {
+    expect(getRecorderOptions('standard', 'audio/webm', 'audio')).toEqual({
+      mimeType: 'audio/webm',
+      audioBitsPerSecond: QUALITY_PROFILES.standard.audioBitsPerSecond
+    });
+    expect(getRecorderOptions('standard', 'video/webm', 'video').videoBitsPerSecond)
+      .toBe(QUALITY_PROFILES.standard.videoBitsPerSecond);
+  });
+
+  it('falls back to the default profile for unknown names', () => {
+    expect(getQualityProfile('ultra')).toBe(QUALITY_PROFILES.standard);
+  });
+});
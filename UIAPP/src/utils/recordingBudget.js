@@ -0,0 +1,134 @@
+/**
+ * recordingBudget.js
+ * ------------------
+ * How long a recording this device can hold, checked before ReadyToRecordScreen.
+ *
+ * PURPOSE:
+ * A recording lives in memory while it is recorded (chunks, then the joined and
+ * finalized file) and is persisted to browser storage for crash recovery. A long
+ * video on a phone with little free space or memory fails late - the tab is killed
+ * or the recovery copy stops being written. Knowing the budget up front lets the
+ * app cap the recording (TimerProvider stops it) and suggest audio instead.
+ *
+ * HOW:
+ * - Storage: navigator.storage.estimate() (quota - usage), RECORDING_BUDGET.STORAGE_SHARE of it
+ * - Memory: navigator.deviceMemory (GB, Chrome only), RECORDING_BUDGET.MEMORY_SHARE of it,
+ *   split over RECORDING_BUDGET.MEMORY_COPIES copies
+ * - Size per second: the quality profile's bitrates (utils/qualityProfile.js), or PCM
+ *   for the WAV fallback recorder
+ *
+ * Each check only applies when the browser exposes its value; with neither known
+ * the session limits are used unchanged.
+ */
+
+import { RECORDING_BUDGET, SUPPORTED_FORMATS, WAV_RECORDER } from '../config';
+import { getQualityProfile } from './qualityProfile';
+import { getMediaKind } from './captureMode';
+
+const GIGABYTE = 1024 * 1024 * 1024;
+
+// Positive finite number, or null
+const positive = (value) => (
+  typeof value === 'number' && Number.isFinite(value) && value > 0 ? value : null
+);
+
+// Audio is recorded as WAV when MediaRecorder supports none of the audio formats (useRecordingFlow)
+function usesWavRecorder() {
+  return typeof MediaRecorder === 'undefined' ||
+    typeof MediaRecorder.isTypeSupported !== 'function' ||
+    !SUPPORTED_FORMATS.audio.some(type => MediaRecorder.isTypeSupported(type));
+}
+
+/**
+ * Free storage and memory this device can give a recording
+ * @param {Navigator} [nav] - Navigator to inspect (injectable for tests)
+ * @returns {Promise<{ storageBytes: number|null, memoryBytes: number|null }>} null = unknown
+ */
+export async function estimateDeviceBudget(nav = typeof navigator !== 'undefined' ? navigator : {}) {
+  let storageBytes = null;
+  if (nav.storage && typeof nav.storage.estimate === 'function') {
+    try {
+      const { quota, usage = 0 } = await nav.storage.estimate();
+      if (positive(quota)) {
+        storageBytes = Math.max(0, quota - usage) * RECORDING_BUDGET.STORAGE_SHARE;
+      }
+    } catch (error) {
+      console.warn('[recordingBudget] Storage estimate failed:', error);
+    }
+  }
+
+  const memory = positive(nav.deviceMemory);
+  const memoryBytes = memory
+    ? (memory * GIGABYTE * RECORDING_BUDGET.MEMORY_SHARE) / RECORDING_BUDGET.MEMORY_COPIES
+    : null;
+
+  return { storageBytes, memoryBytes };
+}
+
+/**
+ * Expected size of one second of recording
+ * @param {string} captureMode - 'audio' | 'video' | 'screen'
+ * @param {string} qualityProfile - QUALITY_PROFILES key
+ * @param {boolean} [wav] - Audio goes through the WAV fallback recorder (default: detected)
+ * @returns {number} Bytes per second
+ */
+export function estimateBytesPerSecond(captureMode, qualityProfile, wav = usesWavRecorder()) {
+  const profile = getQualityProfile(qualityProfile);
+  if (getMediaKind(captureMode) === 'video') {
+    return (profile.videoBitsPerSecond + profile.audioBitsPerSecond) / 8;
+  }
+  if (wav) {
+    return RECORDING_BUDGET.WAV_SAMPLE_RATE * WAV_RECORDER.CHANNELS * (WAV_RECORDER.BITS_PER_SAMPLE / 8);
+  }
+  return profile.audioBitsPerSecond / 8;
+}
+
+/**
+ * Longest recording that fits the budget
+ * @param {{ storageBytes: number|null, memoryBytes: number|null }} budget - From estimateDeviceBudget
+ * @param {number} bytesPerSecond - From estimateBytesPerSecond
+ * @returns {{ seconds: number, limitedBy: 'storage'|'memory' }|null} null when nothing is known
+ */
+export function getSafeDuration(budget, bytesPerSecond) {
+  const candidates = [
+    { limitedBy: 'storage', bytes: budget?.storageBytes },
+    { limitedBy: 'memory', bytes: budget?.memoryBytes }
+  ].filter(candidate => typeof candidate.bytes === 'number');
+  if (candidates.length === 0 || !bytesPerSecond) return null;
+
+  const tightest = candidates.reduce((a, b) => (b.bytes < a.bytes ? b : a));
+  const seconds = tightest.bytes / bytesPerSecond;
+  // Whole minutes keep the limit readable ("8 minutes")
+  return {
+    seconds: seconds >= 60 ? Math.floor(seconds / 60) * 60 : Math.floor(seconds),
+    limitedBy: tightest.limitedBy
+  };
+}
+
+/**
+ * Session limits capped to what the device can hold
+ * @param {Object} limits - From getSessionLimits
+ * @param {{ storageBytes: number|null, memoryBytes: number|null }|null} budget - From estimateDeviceBudget
+ * @param {{ captureMode: string|null, qualityProfile: string }} recording
+ * @returns {Object} limits, with maxDurationSeconds/warningTime lowered when capped and
+ *   `budget`: { limitedBy, suggestAudio } when capped (null while unknown or not capped)
+ */
+export function applyRecordingBudget(limits, budget, { captureMode, qualityProfile }) {
+  if (!budget || !captureMode) return { ...limits, budget: null };
+
+  const safe = getSafeDuration(budget, estimateBytesPerSecond(captureMode, qualityProfile));
+  if (!safe || safe.seconds >= limits.maxDurationSeconds) return { ...limits, budget: null };
+
+  // Audio is far smaller - worth suggesting when it would record for longer
+  const audio = getSafeDuration(budget, estimateBytesPerSecond('audio', qualityProfile));
+  const suggestAudio = getMediaKind(captureMode) === 'video' && (!audio || audio.seconds > safe.seconds);
+
+  const maxDurationSeconds = Math.max(1, safe.seconds);
+  const warningTime = maxDurationSeconds - limits.warningOffsetSeconds;
+  return {
+    ...limits,
+    maxDurationSeconds,
+    warningTime: warningTime > 0 ? warningTime : null,
+    budget: { limitedBy: safe.limitedBy, suggestAudio }
+  };
+}
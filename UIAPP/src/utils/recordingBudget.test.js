@@ -0,0 +1,59 @@
+/**
+ * Recording Budget Tests
+ *
+ * Device budget from browser hints, and session limits capped to it.
+ */
+
+import { estimateDeviceBudget, estimateBytesPerSecond, getSafeDuration, applyRecordingBudget } from './recordingBudget.js';
+import { RECORDING_BUDGET, QUALITY_PROFILES } from '../config';
+
+const MB = 1024 * 1024;
+const limits = { maxDurationSeconds: 900, warningTime: 840, warningOffsetSeconds: 60, maxFileSize: 500 * MB };
+
+describe('estimateDeviceBudget', () => {
+  it('uses free storage and device memory when known', async () => {
+    const budget = await estimateDeviceBudget({
+      storage: { estimate: () => Promise.resolve({ quota: 1000 * MB, usage: 200 * MB }) },
+      deviceMemory: 2
+    });
+    expect(budget.storageBytes).toBe(800 * MB * RECORDING_BUDGET.STORAGE_SHARE);
+    expect(budget.memoryBytes).toBe((2048 * MB * RECORDING_BUDGET.MEMORY_SHARE) / RECORDING_BUDGET.MEMORY_COPIES);
+  });
+
+  it('leaves unknown values out', async () => {
+    expect(await estimateDeviceBudget({})).toEqual({ storageBytes: null, memoryBytes: null });
+  });
+});
+
+describe('getSafeDuration', () => {
+  it('follows the tighter budget, in whole minutes', () => {
+    expect(getSafeDuration({ storageBytes: 100 * MB, memoryBytes: 10 * MB }, 100000))
+      .toEqual({ seconds: 60, limitedBy: 'memory' });
+    expect(getSafeDuration({ storageBytes: null, memoryBytes: null }, 100000)).toBeNull();
+  });
+});
+
+describe('applyRecordingBudget', () => {
+  const videoBytesPerSecond = estimateBytesPerSecond('video', 'standard');
+
+  it('caps video that would not fit and suggests audio', () => {
+    const budget = { storageBytes: videoBytesPerSecond * 5 * 60, memoryBytes: null };
+    const capped = applyRecordingBudget(limits, budget, { captureMode: 'video', qualityProfile: 'standard' });
+
+    expect(capped.maxDurationSeconds).toBe(5 * 60);
+    expect(capped.warningTime).toBe(4 * 60);
+    expect(capped.budget).toEqual({ limitedBy: 'storage', suggestAudio: true });
+  });
+
+  it('leaves the limits alone when the recording fits', () => {
+    const budget = { storageBytes: 10000 * MB, memoryBytes: null };
+    expect(applyRecordingBudget(limits, budget, { captureMode: 'video', qualityProfile: 'standard' }))
+      .toEqual({ ...limits, budget: null });
+  });
+
+  it('sizes video from the quality profile bitrates', () => {
+    const profile = QUALITY_PROFILES.standard;
+    expect(videoBytesPerSecond).toBe((profile.videoBitsPerSecond + profile.audioBitsPerSecond) / 8);
+    expect(estimateBytesPerSecond('audio', 'standard', false)).toBe(profile.audioBitsPerSecond / 8);
+  });
+});
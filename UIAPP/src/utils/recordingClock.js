@@ -0,0 +1,114 @@
+/**
+ * utils/recordingClock.js
+ * -----------------------
+ * Recording duration that stays right on throttled background tabs and busy phones,
+ * where counting setInterval ticks falls behind.
+ *
+ * - createRecordingClock(): monotonic clock on performance.now() that only runs while
+ *   recording, so paused spans are excluded. TimerProvider uses it for the on-screen
+ *   timer (and the duration captured on Done); useRecordingFlow for take durations.
+ * - measureRecordingDuration(): media time actually in the finished file, read from
+ *   its container (WebM cluster/block timecodes, fragmented MP4 sample durations,
+ *   WAV sample count).
+ * - reconcileDuration(): cross-check of the two - what a take stores and uploads.
+ */
+
+import { RECORDING_LIMITS } from '../config';
+import { readBlobBytes, detectContainer, parseWebm, parseFragmentedMp4, parseWav } from './mediaContainer';
+
+const defaultNow = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+/**
+ * Pause-aware monotonic clock
+ * @param {Function} [now] - Millisecond time source (injectable for tests)
+ * @returns {{ start: Function, stop: Function, reset: Function, isRunning: Function, getElapsedMs: Function }}
+ */
+export function createRecordingClock(now = defaultNow) {
+  let accumulatedMs = 0;
+  let startedAt = null;
+
+  return {
+    // Start or resume counting (no-op while running)
+    start: () => {
+      if (startedAt === null) startedAt = now();
+    },
+    // Pause counting (no-op while stopped)
+    stop: () => {
+      if (startedAt !== null) {
+        accumulatedMs += now() - startedAt;
+        startedAt = null;
+      }
+    },
+    // Stop and set the elapsed time (0, or a restored recording's length)
+    reset: (elapsedMs = 0) => {
+      accumulatedMs = elapsedMs;
+      startedAt = null;
+    },
+    isRunning: () => startedAt !== null,
+    getElapsedMs: () => accumulatedMs + (startedAt !== null ? now() - startedAt : 0)
+  };
+}
+
+/**
+ * Milliseconds → seconds with one decimal (the precision durations are stored with)
+ * @param {number} ms
+ * @returns {number}
+ */
+export function toDurationSeconds(ms) {
+  return Math.round(ms / 100) / 10;
+}
+
+/**
+ * Media duration of a recording, from its container
+ * @param {Blob} blob - Finished recording
+ * @returns {Promise<number|null>} Seconds, or null when the container can't be read
+ */
+export async function measureRecordingDuration(blob) {
+  try {
+    const bytes = await readBlobBytes(blob);
+    const container = detectContainer(bytes);
+
+    if (container === 'webm') {
+      const file = parseWebm(bytes);
+      return (file.endTimecode - file.startTimecode) * file.timecodeScale / 1e9;
+    }
+
+    if (container === 'mp4') {
+      const file = parseFragmentedMp4(bytes);
+      let seconds = 0;
+      file.tracks.forEach(track => {
+        if (!track.timescale || !file.trackEnd.has(track.trackId)) return;
+        const length = file.trackEnd.get(track.trackId) - file.trackStart.get(track.trackId);
+        seconds = Math.max(seconds, length / track.timescale);
+      });
+      return seconds;
+    }
+
+    if (container === 'wav') {
+      return parseWav(bytes).duration;
+    }
+  } catch (error) {
+    console.warn('[recordingClock] Could not read recording duration:', error);
+  }
+  return null;
+}
+
+/**
+ * Cross-check the clock against the file. The file wins when they disagree by more
+ * than the tolerance (the clock was off, or the recorder dropped data) - it is what
+ * plays back. Otherwise the clock is kept.
+ * @param {number|null} clockSeconds - Recording clock duration
+ * @param {number|null} fileSeconds - measureRecordingDuration() result
+ * @param {number} [toleranceSeconds]
+ * @returns {number|null} Duration in seconds (one decimal)
+ */
+export function reconcileDuration(clockSeconds, fileSeconds, toleranceSeconds = RECORDING_LIMITS.DURATION_TOLERANCE_SECONDS) {
+  const fileValid = Number.isFinite(fileSeconds) && fileSeconds > 0;
+  if (!Number.isFinite(clockSeconds)) {
+    return fileValid ? toDurationSeconds(fileSeconds * 1000) : null;
+  }
+  if (fileValid && Math.abs(fileSeconds - clockSeconds) > toleranceSeconds) {
+    return toDurationSeconds(fileSeconds * 1000);
+  }
+  return toDurationSeconds(clockSeconds * 1000);
+}
@@ -0,0 +1,98 @@
+/**
+ * Recording Clock Tests
+ *
+ * Pause-aware clock, container durations and the clock/file cross-check.
+ */
+
+import {
+  createRecordingClock,
+  toDurationSeconds,
+  measureRecordingDuration,
+  reconcileDuration
+} from './recordingClock.js';
+import { buildWebm, buildFmp4 } from './__fixtures__/mediaFixtures.js';
+
+describe('createRecordingClock', () => {
+  it('excludes paused spans', () => {
+    let now = 1000;
+    const clock = createRecordingClock(() => now);
+
+    clock.start();
+    now += 4200;
+    clock.stop();
+    now += 60000; // Paused for a minute
+    clock.start();
+    now += 1300;
+
+    expect(clock.getElapsedMs()).toBe(5500);
+    expect(clock.isRunning()).toBe(true);
+  });
+
+  it('ignores repeated start and stop calls', () => {
+    let now = 0;
+    const clock = createRecordingClock(() => now);
+    clock.start();
+    now += 1000;
+    clock.start();
+    now += 1000;
+    clock.stop();
+    clock.stop();
+    expect(clock.getElapsedMs()).toBe(2000);
+  });
+
+  it('resets to a restored length', () => {
+    const clock = createRecordingClock(() => 0);
+    clock.reset(12000);
+    expect(clock.getElapsedMs()).toBe(12000);
+    expect(clock.isRunning()).toBe(false);
+  });
+});
+
+describe('toDurationSeconds', () => {
+  it('keeps one decimal', () => {
+    expect(toDurationSeconds(12345)).toBe(12.3);
+    expect(toDurationSeconds(999)).toBe(1);
+  });
+});
+
+describe('measureRecordingDuration', () => {
+  it('reads a WebM duration from its last frame', async () => {
+    const webm = buildWebm({
+      clusters: [
+        { timecode: 0, blocks: [0, 20, 40] },
+        { timecode: 60, blocks: [0, 20] }
+      ]
+    });
+    expect(await measureRecordingDuration(new Blob([webm]))).toBeCloseTo(0.1);
+  });
+
+  it('reads a fragmented MP4 duration from its samples', async () => {
+    const mp4 = buildFmp4({
+      fragments: [
+        { sequence: 1, decodeTime: 0, samples: 2 },
+        { sequence: 2, decodeTime: 2048, samples: 2 }
+      ]
+    });
+    expect(await measureRecordingDuration(new Blob([mp4]))).toBeCloseTo(4096 / 48000);
+  });
+
+  it('returns null for unreadable files', async () => {
+    expect(await measureRecordingDuration(new Blob([Uint8Array.from([1, 2, 3, 4, 5, 6, 7, 8])]))).toBeNull();
+  });
+});
+
+describe('reconcileDuration', () => {
+  it('keeps the clock when the file agrees', () => {
+    expect(reconcileDuration(62.4, 62.1, 1)).toBe(62.4);
+  });
+
+  it('uses the file when the clock drifted', () => {
+    expect(reconcileDuration(55, 62.14, 1)).toBe(62.1);
+  });
+
+  it('falls back to whichever value is available', () => {
+    expect(reconcileDuration(62.4, null, 1)).toBe(62.4);
+    expect(reconcileDuration(null, 62.4, 1)).toBe(62.4);
+    expect(reconcileDuration(null, null, 1)).toBeNull();
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * recordingPipeline.js
+ * --------------------
+ * Stable intermediate stream for MediaRecorder, so the microphone or camera can be
+ * swapped mid-recording without starting a new file.
+ *
+ * A MediaRecorder is bound to the tracks it started with; when they change or end
+ * it records silence/black frames or stops. The pipeline records from tracks that
+ * never change instead:
+ * - Audio: device stream → MediaStreamAudioSourceNode → MediaStreamAudioDestinationNode
+ * - Camera video: device stream → hidden <video> → canvas (letterboxed) → captureStream()
+ *
+ * setSource() reconnects both to a new device stream; the recorder never notices.
+ * The canvas redraw and the AudioContext cost CPU, so useRecordingFlow records the
+ * device stream directly and only builds a pipeline once a device is changed.
+ *
+ * Screen video passes straight through (passThroughVideo): a shared screen is
+ * usually another tab/window, where this tab's timers are throttled and the canvas
+ * would capture ~1 fps. It can't be swapped in place (canReplace('video') is false).
+ */
+
+// Letterbox background for a replacement camera with a different aspect ratio
+const LETTERBOX_COLOR = '#000000';
+
+/**
+ * Whether this browser can build the pipeline
+ * @param {boolean} [needsCanvas] - Camera video goes through a canvas
+ * @returns {boolean}
+ */
+export function isRecordingPipelineSupported(needsCanvas = false) {
+  if (typeof window === 'undefined') return false;
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass || !AudioContextClass.prototype.createMediaStreamDestination) return false;
+  if (needsCanvas) {
+    return typeof document !== 'undefined' &&
+      typeof HTMLCanvasElement !== 'undefined' &&
+      typeof HTMLCanvasElement.prototype.captureStream === 'function';
+  }
+  return true;
+}
+
+/**
+ * Build a pipeline around a device stream
+ * @param {MediaStream} sourceStream - Device stream (microphone, camera and/or screen)
+ * @param {Object} [options]
+ * @param {number} [options.frameRate=30] - Canvas capture/draw rate for camera video
+ * @param {boolean} [options.passThroughVideo=false] - Record video tracks directly (screen sharing)
+ * @returns {{ stream: MediaStream, setSource: Function, canReplace: Function, resumeAudio: Function, destroy: Function }|null}
+ *   null when the browser can't build it (record sourceStream directly instead)
+ */
+export function createRecordingPipeline(sourceStream, { frameRate = 30, passThroughVideo = false } = {}) {
+  const hasVideo = sourceStream.getVideoTracks().length > 0;
+  const useCanvas = hasVideo && !passThroughVideo;
+  if (!isRecordingPipelineSupported(useCanvas)) return null;
+
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  const context = new AudioContextClass();
+  const destination = context.createMediaStreamDestination();
+  let audioSource = null;
+
+  const connectAudio = (stream) => {
+    if (audioSource) {
+      audioSource.disconnect();
+      audioSource = null;
+    }
+    if (stream.getAudioTracks().length > 0) {
+      audioSource = context.createMediaStreamSource(stream);
+      audioSource.connect(destination);
+    }
+  };
+
+  // Camera: draw the current device's frames onto a fixed-size canvas
+  let canvas = null;
+  let video = null;
+  let drawTimer = null;
+  let videoTracks = passThroughVideo ? sourceStream.getVideoTracks() : [];
+
+  if (useCanvas) {
+    const settings = sourceStream.getVideoTracks()[0].getSettings?.() || {};
+    canvas = document.createElement('canvas');
+    canvas.width = settings.width || 1280;
+    canvas.height = settings.height || 720;
+    const ctx = canvas.getContext('2d');
+
+    video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+
+    // setInterval rather than requestAnimationFrame: rAF stops entirely in a hidden tab
+    drawTimer = setInterval(() => {
+      if (video.readyState < 2 || !video.videoWidth) return;
+      const scale = Math.min(canvas.width / video.videoWidth, canvas.height / video.videoHeight);
+      const width = video.videoWidth * scale;
+      const height = video.videoHeight * scale;
+      ctx.fillStyle = LETTERBOX_COLOR;
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(video, (canvas.width - width) / 2, (canvas.height - height) / 2, width, height);
+    }, 1000 / frameRate);
+
+    videoTracks = canvas.captureStream(frameRate).getVideoTracks();
+  }
+
+  const connectVideo = (stream) => {
+    if (!video) return;
+    video.srcObject = new MediaStream(stream.getVideoTracks());
+    video.play().catch(() => {
+      // Muted inline playback is allowed everywhere; ignore interrupted play() calls
+    });
+  };
+
+  connectAudio(sourceStream);
+  connectVideo(sourceStream);
+  if (context.state === 'suspended') {
+    context.resume().catch(() => {});
+  }
+
+  return {
+    stream: new MediaStream([...videoTracks, ...destination.stream.getAudioTracks()]),
+
+    // Can a new device of this kind be swapped in without a new recorder?
+    canReplace: (kind) => kind === 'audio' || !passThroughVideo,
+
+    // Feed the recording from a new device stream
+    setSource: (stream) => {
+      connectAudio(stream);
+      connectVideo(stream);
+    },
+
+    // Restart audio the OS suspended (phone call, iOS backgrounding); records silence otherwise
+    resumeAudio: () => {
+      if (context.state !== 'running' && context.state !== 'closed') {
+        context.resume().catch(() => {});
+      }
+    },
+
+    destroy: () => {
+      if (drawTimer) clearInterval(drawTimer);
+      if (audioSource) audioSource.disconnect();
+      if (video) video.srcObject = null;
+      videoTracks.forEach(track => {
+        // Passed-through screen tracks belong to the device stream
+        if (!passThroughVideo) track.stop();
+      });
+      destination.stream.getTracks().forEach(track => track.stop());
+      if (context.state !== 'closed') {
+        context.close().catch(() => {});
+      }
+    }
+  };
+}
@@ -0,0 +1,100 @@
+/**
+ * Recording Pipeline Tests
+ *
+ * Audio-only and screen pipelines with a fake Web Audio API: the recorder's
+ * stream stays the same while the device stream behind it changes.
+ */
+
+import { createRecordingPipeline, isRecordingPipelineSupported } from './recordingPipeline.js';
+
+const track = (kind) => ({ kind, stop: jest.fn() });
+
+const stream = (tracks) => ({
+  getTracks: () => tracks,
+  getAudioTracks: () => tracks.filter(t => t.kind === 'audio'),
+  getVideoTracks: () => tracks.filter(t => t.kind === 'video')
+});
+
+class FakeAudioContext {
+  constructor() {
+    this.state = 'running';
+    this.sources = [];
+    this.destinationTrack = track('audio');
+  }
+  createMediaStreamDestination() {
+    return { stream: stream([this.destinationTrack]) };
+  }
+  createMediaStreamSource(mediaStream) {
+    const source = { mediaStream, connect: jest.fn(), disconnect: jest.fn() };
+    this.sources.push(source);
+    return source;
+  }
+  resume() {
+    this.state = 'running';
+    return Promise.resolve();
+  }
+  close() {
+    this.state = 'closed';
+    return Promise.resolve();
+  }
+}
+
+describe('createRecordingPipeline', () => {
+  let context;
+
+  beforeEach(() => {
+    window.AudioContext = jest.fn(() => {
+      context = new FakeAudioContext();
+      return context;
+    });
+    window.AudioContext.prototype.createMediaStreamDestination = FakeAudioContext.prototype.createMediaStreamDestination;
+    global.MediaStream = jest.fn(tracks => stream(tracks));
+  });
+
+  afterEach(() => {
+    delete window.AudioContext;
+    delete global.MediaStream;
+  });
+
+  it('is unavailable without Web Audio', () => {
+    delete window.AudioContext;
+    expect(isRecordingPipelineSupported()).toBe(false);
+    expect(createRecordingPipeline(stream([track('audio')]))).toBeNull();
+  });
+
+  it('records the same audio track across a microphone swap', () => {
+    const firstMic = stream([track('audio')]);
+    const pipeline = createRecordingPipeline(firstMic);
+    const recorded = pipeline.stream.getAudioTracks();
+    expect(recorded).toEqual([context.destinationTrack]);
+
+    pipeline.setSource(stream([track('audio')]));
+
+    expect(context.sources[0].disconnect).toHaveBeenCalled();
+    expect(context.sources[1].connect).toHaveBeenCalled();
+    expect(pipeline.stream.getAudioTracks()).toEqual(recorded);
+    expect(pipeline.canReplace('audio')).toBe(true);
+  });
+
+  it('passes screen video through and leaves its tracks to the device stream', () => {
+    const screenTrack = track('video');
+    const pipeline = createRecordingPipeline(stream([screenTrack, track('audio')]), { passThroughVideo: true });
+
+    expect(pipeline.stream.getVideoTracks()).toEqual([screenTrack]);
+    expect(pipeline.canReplace('video')).toBe(false);
+
+    pipeline.destroy();
+    expect(screenTrack.stop).not.toHaveBeenCalled();
+    expect(context.destinationTrack.stop).toHaveBeenCalled();
+    expect(context.state).toBe('closed');
+  });
+
+  it('restarts audio the OS suspended', () => {
+    const pipeline = createRecordingPipeline(stream([track('audio')]));
+    context.state = 'interrupted'; // iOS during a phone call
+
+    pipeline.resumeAudio();
+
+    expect(context.state).toBe('running');
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * sessionLimits.js
+ * ----------------
+ * Recording limits for a session. A recordingSessions document may set its own
+ * (short prompts for some question packs, long open interviews for others);
+ * anything missing or invalid falls back to RECORDING_LIMITS in config.
+ *
+ * Optional session document fields (read from validation result `.session`):
+ * - maxDurationSeconds: Longest recording
+ * - warningOffsetSeconds: How long before the limit the "about to stop" warning shows
+ * - maxFileSizeBytes: Largest recording - can only lower RECORDING_LIMITS.MAX_FILE_SIZE,
+ *   which the storage/firestore rules enforce
+ *
+ * The file size is checked while recording (getFileSizeStatus): RecordingBar shows
+ * how close the recording is to the limit and it stops like at the duration limit.
+ */
+
+import { RECORDING_LIMITS } from '../config';
+
+const DEFAULT_WARNING_OFFSET_SECONDS = RECORDING_LIMITS.MAX_DURATION_SECONDS - RECORDING_LIMITS.WARNING_TIME;
+
+// Positive finite number, or null
+const positive = (value) => (
+  typeof value === 'number' && Number.isFinite(value) && value > 0 ? value : null
+);
+
+/**
+ * Limits for a session
+ * @param {Object} [sessionData] - Session validation result (SessionValidator)
+ * @returns {{ maxDurationSeconds: number, warningTime: number|null, warningOffsetSeconds: number, maxFileSize: number }}
+ *   warningTime is the elapsed second the warning fires at - null when the limit is too short to warn
+ */
+export function getSessionLimits(sessionData) {
+  const session = sessionData?.session || {};
+  const maxDurationSeconds = Math.round(positive(session.maxDurationSeconds) || RECORDING_LIMITS.MAX_DURATION_SECONDS);
+  const warningOffsetSeconds = Math.round(positive(session.warningOffsetSeconds) || DEFAULT_WARNING_OFFSET_SECONDS);
+  const warningTime = maxDurationSeconds - warningOffsetSeconds;
+
+  return {
+    maxDurationSeconds,
+    warningTime: warningTime > 0 ? warningTime : null,
+    warningOffsetSeconds,
+    maxFileSize: Math.min(positive(session.maxFileSizeBytes) || Infinity, RECORDING_LIMITS.MAX_FILE_SIZE)
+  };
+}
+
+/**
+ * Where a recording stands against the size limit
+ * @param {number} bytes - Recorded so far
+ * @param {number} maxFileSize - Limit from getSessionLimits
+ * @param {number} [chunkBytes=0] - Largest recorder chunk so far; the next one must still fit
+ * @returns {'ok'|'warning'|'limit'} 'limit': stop now
+ */
+export function getFileSizeStatus(bytes, maxFileSize, chunkBytes = 0) {
+  const headroom = Math.max(RECORDING_LIMITS.FILE_SIZE_HEADROOM_BYTES, 2 * chunkBytes);
+  if (bytes >= maxFileSize - headroom) return 'limit';
+  if (bytes >= maxFileSize * RECORDING_LIMITS.FILE_SIZE_WARNING_RATIO) return 'warning';
+  return 'ok';
+}
+
+/**
+ * Human-readable size for the recording bar: "42 MB", "0.8 MB"
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatFileSize(bytes) {
+  const megabytes = bytes / (1024 * 1024);
+  return `${megabytes < 10 ? Math.round(megabytes * 10) / 10 : Math.round(megabytes)} MB`;
+}
+
+/**
+ * Human-readable limit for messages: "15 minutes", "1 minute 30 seconds", "45 seconds"
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatLimitDuration(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const rest = Math.round(seconds % 60);
+  const parts = [];
+  if (minutes > 0) parts.push(`${minutes} minute${minutes !== 1 ? 's' : ''}`);
+  if (rest > 0 || minutes === 0) parts.push(`${rest} second${rest !== 1 ? 's' : ''}`);
+  return parts.join(' ');
+}
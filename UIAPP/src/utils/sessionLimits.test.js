@@ -0,0 +1,80 @@
+/**
+ * Session Limits Tests
+ *
+ * Limits read from the session document, and the config fallbacks.
+ */
+
+import { getSessionLimits, formatLimitDuration, getFileSizeStatus, formatFileSize } from './sessionLimits.js';
+import { RECORDING_LIMITS } from '../config';
+
+describe('getSessionLimits', () => {
+  it('uses the config defaults without session fields', () => {
+    expect(getSessionLimits(null)).toEqual({
+      maxDurationSeconds: RECORDING_LIMITS.MAX_DURATION_SECONDS,
+      warningTime: RECORDING_LIMITS.WARNING_TIME,
+      warningOffsetSeconds: RECORDING_LIMITS.MAX_DURATION_SECONDS - RECORDING_LIMITS.WARNING_TIME,
+      maxFileSize: RECORDING_LIMITS.MAX_FILE_SIZE
+    });
+  });
+
+  it('reads the limits from the session document', () => {
+    const limits = getSessionLimits({
+      session: { maxDurationSeconds: 120, warningOffsetSeconds: 20, maxFileSizeBytes: 50000000 }
+    });
+    expect(limits).toEqual({
+      maxDurationSeconds: 120,
+      warningTime: 100,
+      warningOffsetSeconds: 20,
+      maxFileSize: 50000000
+    });
+  });
+
+  it('keeps the default warning offset for a longer session', () => {
+    expect(getSessionLimits({ session: { maxDurationSeconds: 1800 } }).warningTime).toBe(1740);
+  });
+
+  it('ignores invalid values', () => {
+    const limits = getSessionLimits({ session: { maxDurationSeconds: '120', maxFileSizeBytes: -1 } });
+    expect(limits.maxDurationSeconds).toBe(RECORDING_LIMITS.MAX_DURATION_SECONDS);
+    expect(limits.maxFileSize).toBe(RECORDING_LIMITS.MAX_FILE_SIZE);
+  });
+
+  it('does not warn when the limit is shorter than the warning offset', () => {
+    expect(getSessionLimits({ session: { maxDurationSeconds: 45 } }).warningTime).toBeNull();
+  });
+
+  it('never allows more than the storage rules accept', () => {
+    const limits = getSessionLimits({ session: { maxFileSizeBytes: RECORDING_LIMITS.MAX_FILE_SIZE * 2 } });
+    expect(limits.maxFileSize).toBe(RECORDING_LIMITS.MAX_FILE_SIZE);
+  });
+});
+
+describe('getFileSizeStatus', () => {
+  const MB = 1024 * 1024;
+
+  it('warns near the limit and stops before it', () => {
+    expect(getFileSizeStatus(50 * MB, 100 * MB)).toBe('ok');
+    expect(getFileSizeStatus(95 * MB, 100 * MB)).toBe('warning');
+    expect(getFileSizeStatus(99.5 * MB, 100 * MB)).toBe('limit');
+  });
+
+  it('leaves room for the next chunk', () => {
+    expect(getFileSizeStatus(95 * MB, 100 * MB, 3 * MB)).toBe('limit');
+  });
+});
+
+describe('formatFileSize', () => {
+  it('rounds to megabytes', () => {
+    expect(formatFileSize(42.4 * 1024 * 1024)).toBe('42 MB');
+    expect(formatFileSize(0.84 * 1024 * 1024)).toBe('0.8 MB');
+  });
+});
+
+describe('formatLimitDuration', () => {
+  it('formats minutes and seconds', () => {
+    expect(formatLimitDuration(900)).toBe('15 minutes');
+    expect(formatLimitDuration(60)).toBe('1 minute');
+    expect(formatLimitDuration(90)).toBe('1 minute 30 seconds');
+    expect(formatLimitDuration(45)).toBe('45 seconds');
+  });
+});
@@ -180,6 +180,7 @@ export function generateStoragePaths(sessionComponents, sessionId) {
     chunksFolder: `users/${userId}/recordings/${sessionId}/chunks/`,
     chunkPath: (chunkIndex) => `users/${userId}/recordings/${sessionId}/chunks/chunk-${chunkIndex}`,
     finalPath: (extension) => `users/${userId}/recordings/${sessionId}/final/recording.${extension}`,
-    thumbnailPath: `users/${userId}/recordings/${sessionId}/thumbnail.jpg`
+    thumbnailPath: `users/${userId}/recordings/${sessionId}/thumbnail.jpg`,
+    waveformPath: `users/${userId}/recordings/${sessionId}/final/recording.peaks.json`
   };
 }
\ No newline at end of file
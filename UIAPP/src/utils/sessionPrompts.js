@@ -0,0 +1,64 @@
+/**
+ * utils/sessionPrompts.js
+ * -----------------------
+ * The prompts a storyteller answers in one session.
+ *
+ * A session normally carries one question (promptText / questionText). Askers
+ * can also send an ordered list (session.prompts: strings or { text }); the
+ * flow then steps through them - read, record, review - and each answer is
+ * uploaded on its own under session.answers[index] (see transactions.js).
+ * Answers already saved (or skipped) on an earlier visit are picked up from
+ * session.answers so a reopened link continues where it left off.
+ */
+
+/**
+ * Ordered prompts of a session
+ * @param {Object} sessionData - Validated session (SessionValidator)
+ * @returns {Array<{ index: number, text: string, status: 'answered'|'skipped'|null }>}
+ */
+export function getSessionPrompts(sessionData) {
+  const session = sessionData?.session || {};
+  const answers = session.answers || sessionData?.sessionDocument?.answers || {};
+
+  const list = Array.isArray(session.prompts) && session.prompts.length > 0
+    ? session.prompts.map(prompt => (typeof prompt === 'string' ? prompt : prompt?.text || prompt?.promptText || ''))
+    : [sessionData?.sessionData?.questionText || session.promptText || sessionData?.promptText || ''];
+
+  return list.map((text, index) => {
+    const answer = answers[index];
+    let status = null;
+    if (answer?.storagePath) status = 'answered';
+    else if (answer?.skipped) status = 'skipped';
+    return { index, text, status };
+  });
+}
+
+/**
+ * Whether the session steps through several prompts
+ * @param {Array} prompts - From getSessionPrompts
+ * @returns {boolean}
+ */
+export function isMultiPromptSession(prompts) {
+  return prompts.length > 1;
+}
+
+/**
+ * First prompt still to be answered or skipped
+ * @param {Array} prompts - From getSessionPrompts
+ * @param {Object} [results] - Answered/skipped this visit: { [index]: 'answered'|'skipped' }
+ * @returns {number|null} Prompt index, or null when every prompt is done
+ */
+export function getNextPromptIndex(prompts, results = {}) {
+  const next = prompts.find(prompt => !prompt.status && !results[prompt.index]);
+  return next ? next.index : null;
+}
+
+/**
+ * Whether any prompt has an answer (a session cannot finish with every prompt skipped)
+ * @param {Array} prompts - From getSessionPrompts
+ * @param {Object} [results] - Answered/skipped this visit
+ * @returns {boolean}
+ */
+export function hasAnsweredPrompt(prompts, results = {}) {
+  return prompts.some(prompt => prompt.status === 'answered' || results[prompt.index] === 'answered');
+}
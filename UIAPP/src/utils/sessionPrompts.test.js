@@ -0,0 +1,46 @@
+/**
+ * Session Prompts Tests
+ *
+ * Single and multi-question sessions, and where a reopened session continues.
+ */
+
+import { getSessionPrompts, isMultiPromptSession, getNextPromptIndex, hasAnsweredPrompt } from './sessionPrompts.js';
+
+describe('getSessionPrompts', () => {
+  it('treats a classic session as one prompt', () => {
+    const prompts = getSessionPrompts({
+      sessionData: { questionText: 'Where did you grow up?' },
+      session: { promptText: 'Where did you grow up?' }
+    });
+    expect(prompts).toEqual([{ index: 0, text: 'Where did you grow up?', status: null }]);
+    expect(isMultiPromptSession(prompts)).toBe(false);
+  });
+
+  it('reads an ordered list and the answers saved so far', () => {
+    const prompts = getSessionPrompts({
+      session: {
+        promptText: 'First question',
+        prompts: ['First question', { text: 'Second question' }, 'Third question'],
+        answers: { 0: { storagePath: 'users/u/recordings/s/final/recording-0.webm' }, 1: { skipped: true } }
+      }
+    });
+    expect(prompts.map(p => p.text)).toEqual(['First question', 'Second question', 'Third question']);
+    expect(prompts.map(p => p.status)).toEqual(['answered', 'skipped', null]);
+    expect(isMultiPromptSession(prompts)).toBe(true);
+  });
+});
+
+describe('getNextPromptIndex / hasAnsweredPrompt', () => {
+  const prompts = getSessionPrompts({ session: { prompts: ['a', 'b', 'c'] } });
+
+  it('steps to the first prompt not yet answered or skipped', () => {
+    expect(getNextPromptIndex(prompts)).toBe(0);
+    expect(getNextPromptIndex(prompts, { 0: 'answered', 1: 'skipped' })).toBe(2);
+    expect(getNextPromptIndex(prompts, { 0: 'answered', 1: 'skipped', 2: 'answered' })).toBeNull();
+  });
+
+  it('only counts answers, not skips', () => {
+    expect(hasAnsweredPrompt(prompts, { 0: 'skipped', 1: 'skipped' })).toBe(false);
+    expect(hasAnsweredPrompt(prompts, { 1: 'answered' })).toBe(true);
+  });
+});
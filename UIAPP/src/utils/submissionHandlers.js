@@ -11,8 +11,12 @@ import { uploadRecording as uploadRecordingLocal } from '../services/localRecord
 import { uploadMemoryRecording } from '../services/firebase';
 
 // Import configuration to check Firebase enablement
+import { ENV_CONFIG } from '../config';
 import { firebaseErrorHandler } from './firebaseErrorHandler';
 
+// Multi-question sessions: a skipped prompt is recorded on the session
+import { recordSkippedPrompt } from '../services/firebase/transactions';
+
 // Import Love Retold integration functions
 // UID-FIX-SLICE-A: Removed generateStoragePaths import - using direct path construction in loveRetoldUpload.js
 import { uploadLoveRetoldRecording } from '../services/firebase/loveRetoldUpload.js';
@@ -20,6 +24,24 @@ import { uploadLoveRetoldRecording } from '../services/firebase/loveRetoldUpload
 // Import debug utilities
 import { uploadErrorTracker } from './uploadErrorTracker.js';
 
+// Crash recovery: persisted chunks are no longer needed once the upload succeeds
+import { clearRecoverySession } from '../services/recordingRecoveryService';
+
+// Trim handles on the review screen are applied here, just before upload
+import { trimRecording } from './mediaTrim';
+
+// Screen mode uploads as video
+import { getMediaKind } from './captureMode';
+
+// Chapter markers follow the trim and are saved with the recording
+import { sliceMarkers, serializeMarkers } from './markers';
+
+// Cover image uploaded next to video recordings
+import { createVideoThumbnail } from './videoThumbnail';
+
+// Waveform peaks uploaded next to audio recordings
+import { createWaveform, sliceWaveform } from './waveform';
+
 /**
  * Creates a submission handler function
  * @param {Object} params - Submission parameters
@@ -33,6 +55,13 @@ export function createSubmissionHandler({
   sessionComponents,  // NEW: Add sessionComponents
   sessionData,        // UID-FIX-SLICE-A: Add sessionData for full userId
   duration,           // DURATION-FIELD: Recording duration in seconds
+  trim,               // TRIM: { start, end } in seconds, or null to upload as recorded
+  recordingSettings,  // Settings the take was recorded with (qualityProfile, ...) for upload metadata
+  markers = [],       // Chapter markers of the take ({ id, time, label }), saved as recordingData.markers
+  thumbnail = null,   // Video cover image (JPEG blob) chosen on the review screen; a default frame is used when missing
+  waveform = null,    // Audio peaks of the take ({ version, duration, peaks }); computed here when missing
+  prompt = null,      // Multi-question sessions: { index, count, text, isFinal } of the prompt being answered
+  onPromptAnswered,   // Multi-question sessions: called instead of the confetti screen while prompts remain
   // progressiveUpload removed - using simple upload flow
   appState,
   dispatch,
@@ -68,7 +97,8 @@ export function createSubmissionHandler({
       sessionId,
       sessionComponents,
       sessionData, // UID-FIX-SLICE-A
-      duration // DURATION-DEBUG: Include in debug info
+      duration, // DURATION-DEBUG: Include in debug info
+      recordingSettings
     };
 
     console.log('📊 Submit Handler Debug Info:', debugInfo);
@@ -85,11 +115,45 @@ export function createSubmissionHandler({
       // Convert the object URL => Blob
       console.log('📥 Converting blob URL to blob...');
       const response = await fetch(recordedBlobUrl);
-      const recordedBlob = await response.blob();
+      let recordedBlob = await response.blob();
       console.log('✅ Blob conversion successful:', {
         blobSize: recordedBlob.size,
         blobType: recordedBlob.type
       });
+
+      // TRIM: Cut the recording to the range chosen on the review screen.
+      // If trimming fails the untrimmed recording is uploaded rather than nothing.
+      let uploadDuration = duration;
+      let uploadMarkers = markers;
+      let uploadWaveform = waveform;
+      if (trim) {
+        try {
+          const trimmed = await trimRecording(recordedBlob, actualMimeType, trim.start, trim.end);
+          uploadErrorTracker.logInfo('Recording trimmed', {
+            sessionId,
+            step: 'blobTrim',
+            additionalData: {
+              originalSize: recordedBlob.size,
+              trimmedSize: trimmed.blob.size,
+              trimStart: trim.start,
+              trimEnd: trim.end,
+              duration: trimmed.duration
+            }
+          });
+          recordedBlob = trimmed.blob;
+          uploadDuration = trimmed.duration;
+          uploadMarkers = sliceMarkers(markers, trim.start, trim.end);
+          uploadWaveform = waveform && sliceWaveform(waveform, trim.start, trim.end);
+        } catch (trimError) {
+          console.warn('⚠️ Trim failed, uploading untrimmed recording:', trimError);
+          uploadErrorTracker.logWarning('Trim failed - uploading untrimmed recording', {
+            sessionId,
+            step: 'blobTrim',
+            mimeType: actualMimeType,
+            error: trimError?.message
+          });
+        }
+      }
       
       // Customer support: Track blob creation for size and format diagnosis
       uploadErrorTracker.logInfo('Recording blob created', {
@@ -111,8 +175,10 @@ export function createSubmissionHandler({
       const secs = String(now.getSeconds()).padStart(2, '0');
 
       // Determine the correct extension based on mimeType
+      // Screen recordings are video files (shared screen + microphone)
+      const mediaKind = getMediaKind(captureMode);
       let fileExtension;
-      if (captureMode === 'video') {
+      if (mediaKind === 'video') {
         // If actualMimeType includes 'mp4', we use .mp4, else .webm
         if (actualMimeType?.includes('mp4')) {
           fileExtension = 'mp4';
@@ -124,6 +190,9 @@ export function createSubmissionHandler({
         if (actualMimeType?.includes('mp4')) {
           // We'll use .m4a for AAC-based recordings
           fileExtension = 'm4a';
+        } else if (actualMimeType?.includes('wav')) {
+          // WAV fallback recorder (utils/wavRecorder.js)
+          fileExtension = 'wav';
         } else {
           fileExtension = 'webm';
         }
@@ -185,15 +254,54 @@ export function createSubmissionHandler({
           mimeType: actualMimeType
         });
         
+        // THUMBNAIL: Cover image for video recordings. A missing thumbnail never blocks the upload.
+        let uploadThumbnail = mediaKind === 'video' ? thumbnail : null;
+        if (mediaKind === 'video' && !uploadThumbnail) {
+          try {
+            uploadThumbnail = (await createVideoThumbnail(recordedBlob, { duration: uploadDuration })).blob;
+          } catch (thumbnailError) {
+            console.warn('⚠️ Thumbnail creation failed, uploading without one:', thumbnailError);
+            uploadErrorTracker.logWarning('Thumbnail creation failed - uploading without thumbnail', {
+              sessionId,
+              step: 'thumbnailCreate',
+              mimeType: actualMimeType,
+              error: thumbnailError?.message
+            });
+          }
+        }
+
+        // WAVEFORM: Peaks sidecar for audio recordings. A missing waveform never blocks the upload.
+        if (mediaKind !== 'audio') {
+          uploadWaveform = null;
+        } else if (!uploadWaveform) {
+          try {
+            uploadWaveform = await createWaveform(recordedBlob);
+          } catch (waveformError) {
+            console.warn('⚠️ Waveform computation failed, uploading without one:', waveformError);
+            uploadErrorTracker.logWarning('Waveform computation failed - uploading without waveform', {
+              sessionId,
+              step: 'waveformCreate',
+              mimeType: actualMimeType,
+              error: waveformError?.message
+            });
+          }
+        }
+
         const uploadResult = await uploadLoveRetoldRecording(
           recordedBlob,
           sessionId,
           sessionComponents,
           sessionData,
           {
-            mediaType: captureMode,
+            mediaType: mediaKind,
+            captureMode, // 'audio' | 'video' | 'screen' - recorded in metadata
+            recordingSettings,
             actualMimeType: actualMimeType,
-            duration: duration, // DURATION-FIELD: Pass recording duration
+            duration: uploadDuration, // DURATION-FIELD: Pass recording duration (trimmed if trim handles were set)
+            markers: serializeMarkers(uploadMarkers),
+            thumbnail: uploadThumbnail,
+            waveform: uploadWaveform,
+            prompt,
             onProgress: (progress) => {
               dispatch({ type: APP_ACTIONS.SET_UPLOAD_FRACTION, payload: progress / 100.0 });
             },
@@ -245,7 +353,7 @@ export function createSubmissionHandler({
               userId,
               memoryId,
               {
-                mediaType: captureMode,
+                mediaType: mediaKind,
                 fileName: fileName.replace(/\.[^/.]+$/, ''),
                 onProgress: (progress) => dispatch({ type: APP_ACTIONS.SET_UPLOAD_FRACTION, payload: progress }),
                 linkToFirestore: true
@@ -272,7 +380,7 @@ export function createSubmissionHandler({
             return await uploadRecordingLocal(
               recordedBlob,
               fileName,
-              captureMode,
+              mediaKind,
               (fraction) => dispatch({ type: APP_ACTIONS.SET_UPLOAD_FRACTION, payload: fraction }),
               actualMimeType
             );
@@ -283,9 +391,15 @@ export function createSubmissionHandler({
       }
 
       // If successful, we have docId and downloadURL
+      clearRecoverySession(sessionId);
       dispatch({ type: APP_ACTIONS.SET_DOC_ID, payload: result.docId });
       dispatch({ type: APP_ACTIONS.SET_UPLOAD_IN_PROGRESS, payload: false });
-      dispatch({ type: APP_ACTIONS.SET_SHOW_CONFETTI, payload: true });
+      if (prompt && !prompt.isFinal && onPromptAnswered) {
+        // More prompts to answer - move on instead of celebrating
+        onPromptAnswered(prompt.index);
+      } else {
+        dispatch({ type: APP_ACTIONS.SET_SHOW_CONFETTI, payload: true });
+      }
     } catch (error) {
       console.error('💥 UPLOAD HANDLER ERROR:', error);
       console.error('Error details:', {
@@ -330,4 +444,50 @@ export function createSubmissionHandler({
   };
 
   return handleSubmit;
-}
\ No newline at end of file
+}
+
+/**
+ * Creates the handler for skipping a prompt of a multi-question session
+ * @param {Object} params - Skip parameters
+ * @returns {Function} async handleSkipPrompt function, resolving to whether the skip was saved
+ */
+export function createSkipPromptHandler({
+  sessionId,
+  prompt,             // { index, isFinal } of the prompt being skipped
+  onPromptSkipped,    // Called with the prompt index while prompts remain
+  dispatch,
+  APP_ACTIONS
+}) {
+
+  const handleSkipPrompt = async () => {
+    if (ENV_CONFIG.USE_FIREBASE) {
+      try {
+        await recordSkippedPrompt(sessionId, prompt.index, { completeSession: prompt.isFinal });
+      } catch (error) {
+        const mappedError = firebaseErrorHandler.mapError(error, 'prompt-skip');
+        firebaseErrorHandler.log('error', 'Failed to record skipped prompt', mappedError, {
+          service: 'prompt-skip',
+          operation: 'record-skip',
+          sessionId,
+          promptIndex: prompt.index
+        });
+
+        // Nothing changes until the skip is saved - the session would otherwise never complete
+        dispatch({ type: APP_ACTIONS.SET_ERROR_MESSAGE, payload: mappedError?.message || 'Something went wrong while skipping this question. Please try again.' });
+        dispatch({ type: APP_ACTIONS.SET_SHOW_ERROR, payload: true });
+        return false;
+      }
+    }
+
+    if (prompt.isFinal) {
+      dispatch({ type: APP_ACTIONS.SET_PROMPT_RESULT, payload: { index: prompt.index, result: 'skipped' } });
+      dispatch({ type: APP_ACTIONS.SET_DOC_ID, payload: sessionId });
+      dispatch({ type: APP_ACTIONS.SET_SHOW_CONFETTI, payload: true });
+    } else if (onPromptSkipped) {
+      onPromptSkipped(prompt.index);
+    }
+    return true;
+  };
+
+  return handleSkipPrompt;
+}
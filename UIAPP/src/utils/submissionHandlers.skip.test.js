@@ -0,0 +1,119 @@
+/**
+ * Submission Handlers Tests - Skipping a prompt
+ *
+ * A skipped prompt moves on (or completes the session) only once the skip is
+ * saved; a failed save is shown on the error screen.
+ */
+
+import { createSkipPromptHandler } from './submissionHandlers.js';
+import { recordSkippedPrompt } from '../services/firebase/transactions';
+import { firebaseErrorHandler } from './firebaseErrorHandler';
+import { ENV_CONFIG } from '../config';
+
+jest.mock('../services/localRecordingService', () => ({
+  uploadRecording: jest.fn()
+}));
+
+jest.mock('../services/firebase', () => ({
+  uploadMemoryRecording: jest.fn()
+}));
+
+jest.mock('../services/firebase/loveRetoldUpload.js', () => ({
+  uploadLoveRetoldRecording: jest.fn()
+}));
+
+jest.mock('../services/firebase/transactions', () => ({
+  recordSkippedPrompt: jest.fn()
+}));
+
+jest.mock('../config', () => ({
+  ENV_CONFIG: { USE_FIREBASE: true }
+}));
+
+jest.mock('./firebaseErrorHandler', () => ({
+  firebaseErrorHandler: { mapError: jest.fn(), log: jest.fn() }
+}));
+
+jest.mock('../services/recordingRecoveryService', () => ({
+  clearRecoverySession: jest.fn()
+}));
+
+describe('createSkipPromptHandler', () => {
+  const APP_ACTIONS = {
+    SET_PROMPT_RESULT: 'SET_PROMPT_RESULT',
+    SET_DOC_ID: 'SET_DOC_ID',
+    SET_SHOW_CONFETTI: 'SET_SHOW_CONFETTI',
+    SET_ERROR_MESSAGE: 'SET_ERROR_MESSAGE',
+    SET_SHOW_ERROR: 'SET_SHOW_ERROR'
+  };
+  let dispatch;
+  let onPromptSkipped;
+
+  beforeEach(() => {
+    ENV_CONFIG.USE_FIREBASE = true;
+    dispatch = jest.fn();
+    onPromptSkipped = jest.fn();
+    recordSkippedPrompt.mockResolvedValue({ success: true });
+    firebaseErrorHandler.mapError.mockImplementation((error) => ({ message: `Mapped: ${error.message}` }));
+  });
+
+  function skip(prompt) {
+    const handleSkipPrompt = createSkipPromptHandler({
+      sessionId: 'session-1',
+      prompt,
+      onPromptSkipped,
+      dispatch,
+      APP_ACTIONS
+    });
+    return handleSkipPrompt();
+  }
+
+  const dispatchedTypes = () => dispatch.mock.calls.map(([action]) => action.type);
+
+  it('moves to the next prompt once the skip is saved', async () => {
+    await expect(skip({ index: 0, isFinal: false })).resolves.toBe(true);
+
+    expect(recordSkippedPrompt).toHaveBeenCalledWith('session-1', 0, { completeSession: false });
+    expect(onPromptSkipped).toHaveBeenCalledWith(0);
+    expect(dispatch).not.toHaveBeenCalled();
+  });
+
+  it('completes the session once the last prompt is skipped', async () => {
+    await skip({ index: 2, isFinal: true });
+
+    expect(recordSkippedPrompt).toHaveBeenCalledWith('session-1', 2, { completeSession: true });
+    expect(dispatch).toHaveBeenCalledWith({ type: 'SET_PROMPT_RESULT', payload: { index: 2, result: 'skipped' } });
+    expect(dispatch).toHaveBeenCalledWith({ type: 'SET_DOC_ID', payload: 'session-1' });
+    expect(dispatch).toHaveBeenCalledWith({ type: 'SET_SHOW_CONFETTI', payload: true });
+  });
+
+  it('shows the error and does not complete the session when the skip is not saved', async () => {
+    recordSkippedPrompt.mockRejectedValue(new Error('permission-denied'));
+
+    await expect(skip({ index: 2, isFinal: true })).resolves.toBe(false);
+
+    expect(dispatch).toHaveBeenCalledWith({ type: 'SET_ERROR_MESSAGE', payload: 'Mapped: permission-denied' });
+    expect(dispatch).toHaveBeenCalledWith({ type: 'SET_SHOW_ERROR', payload: true });
+    expect(dispatchedTypes()).not.toContain('SET_SHOW_CONFETTI');
+    expect(dispatchedTypes()).not.toContain('SET_DOC_ID');
+    expect(firebaseErrorHandler.log).toHaveBeenCalled();
+  });
+
+  it('stays on the prompt when a skip before the last one is not saved', async () => {
+    recordSkippedPrompt.mockRejectedValue(new Error('unavailable'));
+
+    await skip({ index: 0, isFinal: false });
+
+    expect(onPromptSkipped).not.toHaveBeenCalled();
+    expect(dispatchedTypes()).toEqual(['SET_ERROR_MESSAGE', 'SET_SHOW_ERROR']);
+  });
+
+  it('does not write to Firestore when Firebase is off', async () => {
+    ENV_CONFIG.USE_FIREBASE = false;
+
+    await skip({ index: 0, isFinal: false });
+
+    expect(recordSkippedPrompt).not.toHaveBeenCalled();
+    expect(onPromptSkipped).toHaveBeenCalledWith(0);
+  });
+});
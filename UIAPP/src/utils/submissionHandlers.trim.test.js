@@ -0,0 +1,130 @@
+/**
+ * Submission Handlers Tests - Trim on submit
+ *
+ * The trim range chosen on the review screen is applied to the uploaded file,
+ * its duration and its chapter markers; a failed trim uploads the recording as it is.
+ */
+
+import { createSubmissionHandler } from './submissionHandlers.js';
+import { trimRecording } from './mediaTrim';
+import { uploadLoveRetoldRecording } from '../services/firebase/loveRetoldUpload.js';
+
+jest.mock('../services/localRecordingService', () => ({
+  uploadRecording: jest.fn()
+}));
+
+jest.mock('../services/firebase', () => ({
+  uploadMemoryRecording: jest.fn()
+}));
+
+jest.mock('../services/firebase/loveRetoldUpload.js', () => ({
+  uploadLoveRetoldRecording: jest.fn()
+}));
+
+jest.mock('./firebaseErrorHandler', () => ({
+  firebaseErrorHandler: { log: jest.fn() }
+}));
+
+jest.mock('./uploadErrorTracker.js', () => ({
+  uploadErrorTracker: {
+    logInfo: jest.fn(),
+    logWarning: jest.fn(),
+    logError: jest.fn()
+  }
+}));
+
+jest.mock('../services/recordingRecoveryService', () => ({
+  clearRecoverySession: jest.fn()
+}));
+
+jest.mock('./mediaTrim', () => ({
+  trimRecording: jest.fn()
+}));
+
+jest.mock('./videoThumbnail', () => ({
+  createVideoThumbnail: jest.fn()
+}));
+
+jest.mock('./waveform', () => ({
+  createWaveform: jest.fn(),
+  sliceWaveform: jest.fn()
+}));
+
+global.fetch = jest.fn();
+
+describe('createSubmissionHandler trim', () => {
+  const APP_ACTIONS = {
+    SET_UPLOAD_IN_PROGRESS: 'SET_UPLOAD_IN_PROGRESS',
+    SET_UPLOAD_FRACTION: 'SET_UPLOAD_FRACTION',
+    SET_DOC_ID: 'SET_DOC_ID',
+    SET_SHOW_CONFETTI: 'SET_SHOW_CONFETTI'
+  };
+  const recordedBlob = new Blob(['full recording'], { type: 'audio/webm' });
+  const trimmedBlob = new Blob(['trimmed'], { type: 'audio/webm' });
+
+  beforeEach(() => {
+    console.log = jest.fn();
+    console.warn = jest.fn();
+    console.error = jest.fn();
+    fetch.mockResolvedValue({ blob: () => Promise.resolve(recordedBlob) });
+    uploadLoveRetoldRecording.mockResolvedValue({ success: true, storagePath: 'users/u/recordings/s/recording.webm' });
+  });
+
+  function submit(overrides = {}) {
+    const handleSubmit = createSubmissionHandler({
+      recordedBlobUrl: 'blob:take-1',
+      captureMode: 'audio',
+      actualMimeType: 'audio/webm',
+      sessionId: 'session-1',
+      sessionComponents: { userId: 'user-1', promptId: 'prompt-1' },
+      sessionData: { fullUserId: 'user-1-full' },
+      duration: 30,
+      trim: { start: 5, end: 20 },
+      markers: [
+        { id: 'm1', time: 2, label: 'Before' },
+        { id: 'm2', time: 12, label: 'Kept' }
+      ],
+      waveform: { version: 1, duration: 30, peaks: [] },
+      appState: {},
+      dispatch: jest.fn(),
+      APP_ACTIONS,
+      ...overrides
+    });
+    return handleSubmit();
+  }
+
+  const uploadedBlob = () => uploadLoveRetoldRecording.mock.calls[0][0];
+  const uploadOptions = () => uploadLoveRetoldRecording.mock.calls[0][4];
+
+  it('uploads the trimmed recording with its duration and markers', async () => {
+    trimRecording.mockResolvedValue({ blob: trimmedBlob, duration: 15 });
+
+    await submit();
+
+    expect(trimRecording).toHaveBeenCalledWith(recordedBlob, 'audio/webm', 5, 20);
+    expect(uploadedBlob()).toBe(trimmedBlob);
+    expect(uploadOptions().duration).toBe(15);
+    expect(uploadOptions().markers).toEqual([{ time: 7, label: 'Kept' }]);
+  });
+
+  it('uploads the untrimmed recording when trimming fails', async () => {
+    trimRecording.mockRejectedValue(new Error('Unsupported container'));
+
+    await submit();
+
+    expect(uploadedBlob()).toBe(recordedBlob);
+    expect(uploadOptions().duration).toBe(30);
+    expect(uploadOptions().markers).toEqual([
+      { time: 2, label: 'Before' },
+      { time: 12, label: 'Kept' }
+    ]);
+  });
+
+  it('does not trim without a trim range', async () => {
+    await submit({ trim: null });
+
+    expect(trimRecording).not.toHaveBeenCalled();
+    expect(uploadedBlob()).toBe(recordedBlob);
+    expect(uploadOptions().duration).toBe(30);
+  });
+});
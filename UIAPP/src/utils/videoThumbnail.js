@@ -0,0 +1,179 @@
+/**
+ * utils/videoThumbnail.js
+ * -----------------------
+ * Cover image (JPEG) for video and screen recordings.
+ *
+ * PURPOSE:
+ * Love Retold shows a thumbnail next to each video story. Producing it here means
+ * the main app no longer has to decode the recording server-side, and lets the
+ * storyteller pick the frame on the review screen.
+ *
+ * HOW:
+ * - Default: a few frames across the recording (THUMBNAIL.CANDIDATE_POSITIONS)
+ *   are scored and the one with the most detail wins, so a black first frame or
+ *   a blank screen isn't used as the cover.
+ * - Chosen frame: the review player's current frame is captured directly.
+ * - Frames are scaled to THUMBNAIL.MAX_WIDTH and encoded as JPEG, lowering the
+ *   quality until the image fits SERVICE_CONFIG.FIREBASE.MAX_THUMBNAIL_SIZE.
+ */
+
+import { THUMBNAIL, SERVICE_CONFIG } from '../config';
+import { createError, UPLOAD_ERRORS } from './errors';
+
+const MIN_JPEG_QUALITY = 0.4;
+
+function thumbnailError(message) {
+  return createError(UPLOAD_ERRORS.INVALID_FILE, `Cannot create thumbnail: ${message}`);
+}
+
+/**
+ * How much detail a frame has: standard deviation of its luma.
+ * Black, white or single-colour frames score close to zero.
+ * @param {Uint8ClampedArray} data - RGBA pixels (ImageData.data)
+ * @returns {number}
+ */
+export function scoreFrame(data) {
+  const pixels = data.length / 4;
+  if (!pixels) return 0;
+
+  let sum = 0;
+  let sumSquares = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    const luma = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    sum += luma;
+    sumSquares += luma * luma;
+  }
+  const mean = sum / pixels;
+  return Math.sqrt(Math.max(0, sumSquares / pixels - mean * mean));
+}
+
+/**
+ * Times tried for the default thumbnail
+ * @param {number} duration - Seconds
+ * @returns {number[]}
+ */
+export function getCandidateTimes(duration) {
+  if (!duration || !isFinite(duration) || duration <= 0) return [0];
+  return THUMBNAIL.CANDIDATE_POSITIONS.map(position => Math.round(duration * position * 10) / 10);
+}
+
+// Current frame of a video element, scaled to THUMBNAIL.MAX_WIDTH
+function drawFrame(video) {
+  if (!video.videoWidth || !video.videoHeight) {
+    throw thumbnailError('no video frame');
+  }
+  const scale = Math.min(1, THUMBNAIL.MAX_WIDTH / video.videoWidth);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(video.videoWidth * scale);
+  canvas.height = Math.round(video.videoHeight * scale);
+  canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+  return canvas;
+}
+
+function toJpeg(canvas, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      blob => (blob ? resolve(blob) : reject(thumbnailError('JPEG encoding failed'))),
+      'image/jpeg',
+      quality
+    );
+  });
+}
+
+// JPEG within the storage size limit
+async function encodeJpeg(canvas) {
+  const maxBytes = SERVICE_CONFIG.FIREBASE.MAX_THUMBNAIL_SIZE;
+  let quality = THUMBNAIL.JPEG_QUALITY;
+  let blob = await toJpeg(canvas, quality);
+  while (blob.size > maxBytes && quality > MIN_JPEG_QUALITY) {
+    quality = Math.max(MIN_JPEG_QUALITY, quality - 0.15);
+    blob = await toJpeg(canvas, quality);
+  }
+  if (blob.size > maxBytes) {
+    throw thumbnailError(`image is ${blob.size} bytes (limit ${maxBytes})`);
+  }
+  return blob;
+}
+
+// Resolve on a media event, reject after THUMBNAIL.TIMEOUT_MS
+function waitFor(video, eventName) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      cleanup();
+      reject(thumbnailError(`timed out waiting for ${eventName}`));
+    }, THUMBNAIL.TIMEOUT_MS);
+    const onEvent = () => {
+      cleanup();
+      resolve();
+    };
+    const onError = () => {
+      cleanup();
+      reject(thumbnailError('recording could not be decoded'));
+    };
+    const cleanup = () => {
+      clearTimeout(timer);
+      video.removeEventListener(eventName, onEvent);
+      video.removeEventListener('error', onError);
+    };
+    video.addEventListener(eventName, onEvent);
+    video.addEventListener('error', onError);
+  });
+}
+
+async function seek(video, time) {
+  if (Math.abs(video.currentTime - time) < 0.01) return;
+  const seeked = waitFor(video, 'seeked');
+  video.currentTime = time;
+  await seeked;
+}
+
+/**
+ * Thumbnail from the frame a video element is showing (review player)
+ * @param {HTMLVideoElement} video
+ * @returns {Promise<{ blob: Blob, time: number }>}
+ */
+export async function captureFrame(video) {
+  const blob = await encodeJpeg(drawFrame(video));
+  return { blob, time: Math.round(video.currentTime * 10) / 10 };
+}
+
+/**
+ * Thumbnail for a recording: the given time, or the most detailed candidate frame
+ * @param {Blob} recording - Video recording
+ * @param {Object} [options]
+ * @param {number} [options.duration] - Seconds (MediaRecorder WebM files often report none)
+ * @param {number} [options.time] - Use the frame at this time
+ * @returns {Promise<{ blob: Blob, time: number }>}
+ */
+export async function createVideoThumbnail(recording, { duration, time } = {}) {
+  const url = URL.createObjectURL(recording);
+  const video = document.createElement('video');
+  video.muted = true;
+  video.playsInline = true;
+  video.preload = 'auto';
+
+  try {
+    const loaded = waitFor(video, 'loadeddata');
+    video.src = url;
+    await loaded;
+
+    const times = time !== undefined ? [time] : getCandidateTimes(duration);
+    let best = null;
+    for (const candidate of times) {
+      await seek(video, candidate);
+      const canvas = drawFrame(video);
+      const score = times.length > 1
+        ? scoreFrame(canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data)
+        : 0;
+      if (!best || score > best.score) {
+        best = { canvas, score, time: candidate };
+      }
+    }
+
+    return { blob: await encodeJpeg(best.canvas), time: best.time };
+  } finally {
+    video.removeAttribute('src');
+    video.load();
+    URL.revokeObjectURL(url);
+  }
+}
@@ -0,0 +1,35 @@
+/**
+ * Video Thumbnail Tests
+ *
+ * Frame scoring and the frames tried for the default cover image.
+ */
+
+import { scoreFrame, getCandidateTimes } from './videoThumbnail.js';
+import { THUMBNAIL } from '../config';
+
+// RGBA pixels from a list of grey values
+const greyPixels = values => Uint8ClampedArray.from(values.flatMap(v => [v, v, v, 255]));
+
+describe('scoreFrame', () => {
+  it('scores a flat frame as empty', () => {
+    expect(scoreFrame(greyPixels([0, 0, 0, 0]))).toBe(0);
+    expect(scoreFrame(greyPixels([200, 200, 200, 200]))).toBeCloseTo(0);
+  });
+
+  it('prefers frames with more detail', () => {
+    const dim = scoreFrame(greyPixels([10, 20, 10, 20]));
+    const detailed = scoreFrame(greyPixels([0, 255, 40, 180]));
+    expect(detailed).toBeGreaterThan(dim);
+  });
+});
+
+describe('getCandidateTimes', () => {
+  it('spreads candidates across the recording', () => {
+    expect(getCandidateTimes(100)).toEqual(THUMBNAIL.CANDIDATE_POSITIONS.map(p => p * 100));
+  });
+
+  it('falls back to the first frame without a duration', () => {
+    expect(getCandidateTimes(undefined)).toEqual([0]);
+    expect(getCandidateTimes(Infinity)).toEqual([0]);
+  });
+});
@@ -0,0 +1,293 @@
+/**
+ * utils/wavRecorder.js
+ * --------------------
+ * Audio recorder for browsers where MediaRecorder supports none of
+ * SUPPORTED_FORMATS.audio (or doesn't exist). Captures PCM with an AudioWorklet
+ * and writes 16-bit mono WAV.
+ *
+ * SURFACE:
+ * createWavRecorder() returns an object used exactly like a MediaRecorder by
+ * useRecordingFlow: start(timeslice), pause(), resume(), stop(), state,
+ * mimeType, and the ondataavailable / onstop / onerror handlers. Like
+ * MediaRecorder it stops by itself when the stream's audio tracks end.
+ * If the audio worklet can't be set up, onerror is called once started and
+ * onstop is not (nothing was recorded).
+ *
+ * The audio worklet starts loading when the recorder is created - before the
+ * countdown - so start() captures from its first frame. A recorder that is
+ * dropped without being started holds an AudioContext until release() is called.
+ *
+ * FILE:
+ * The first chunk starts with a WAV header whose sizes are still unknown
+ * (WAV_UNKNOWN_SIZE), so chunks can be persisted for crash recovery as they
+ * arrive; mediaFinalize.js fills in the sizes once the recording is complete.
+ *
+ * Audio is captured at the AudioContext's rate (usually the device rate).
+ */
+
+import { WAV_RECORDER } from '../config';
+import { encodeWavHeader } from './mediaContainer';
+
+const PROCESSOR_NAME = 'wav-recorder-capture';
+
+// Runs on the audio thread. Collects frames and posts them in blocks tagged with the
+// capture generation, so audio from before a pause can be told apart after resume.
+const PROCESSOR_SOURCE = `
+class WavRecorderCapture extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    this.size = options.processorOptions.bufferFrames;
+    this.buffer = new Float32Array(this.size);
+    this.length = 0;
+    this.generation = null;
+    this.port.onmessage = (event) => {
+      if (event.data.command === 'capture') {
+        this.length = 0;
+        this.generation = event.data.generation;
+      } else if (event.data.command === 'flush') {
+        this.flush();
+        this.port.postMessage({ flushed: true });
+      }
+    };
+  }
+
+  flush() {
+    if (this.length === 0) return;
+    const samples = this.buffer.slice(0, this.length);
+    this.port.postMessage({ samples, generation: this.generation }, [samples.buffer]);
+    this.length = 0;
+  }
+
+  process(inputs) {
+    const channel = inputs[0] && inputs[0][0];
+    if (channel && this.generation !== null) {
+      let offset = 0;
+      while (offset < channel.length) {
+        const count = Math.min(channel.length - offset, this.size - this.length);
+        this.buffer.set(channel.subarray(offset, offset + count), this.length);
+        this.length += count;
+        offset += count;
+        if (this.length === this.size) this.flush();
+      }
+    }
+    return true;
+  }
+}
+registerProcessor('${PROCESSOR_NAME}', WavRecorderCapture);
+`;
+
+/**
+ * Whether this browser can run the fallback recorder
+ * @returns {boolean}
+ */
+export function isWavRecorderSupported() {
+  if (typeof window === 'undefined') return false;
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  return !!AudioContextClass &&
+    typeof window.AudioWorkletNode === 'function' &&
+    'audioWorklet' in AudioContextClass.prototype;
+}
+
+/**
+ * Float samples (-1..1) as 16-bit little-endian PCM
+ * @param {Float32Array} samples
+ * @returns {Uint8Array}
+ */
+export function encodePcm16(samples) {
+  const out = new Uint8Array(samples.length * 2);
+  const view = new DataView(out.buffer);
+  for (let i = 0; i < samples.length; i++) {
+    const sample = Math.max(-1, Math.min(1, samples[i]));
+    view.setInt16(i * 2, Math.round(sample < 0 ? sample * 0x8000 : sample * 0x7FFF), true);
+  }
+  return out;
+}
+
+/**
+ * Create a WAV recorder for an audio stream
+ * @param {MediaStream} stream - Stream with an audio track (device or recording pipeline)
+ * @returns {Object} MediaRecorder-like recorder (see SURFACE above)
+ */
+export function createWavRecorder(stream) {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+
+  let state = 'inactive';
+  let context = null;
+  let source = null;
+  let node = null;
+  let format = null;
+  let loaded = false;
+  let started = false;
+  let released = false;
+  let generation = 0;
+  let activeGeneration = null;
+  let pending = [];
+  let headerSent = false;
+  let emitTimer = null;
+  const flushCallbacks = [];
+
+  const recorder = {
+    mimeType: WAV_RECORDER.MIME_TYPE,
+    stream,
+    ondataavailable: null,
+    onstop: null,
+    onerror: null,
+    get state() {
+      return state;
+    }
+  };
+
+  // Hand the PCM collected so far to ondataavailable (header first)
+  const emit = () => {
+    if (!format || pending.length === 0) return;
+    const parts = headerSent ? pending : [encodeWavHeader(format), ...pending];
+    pending = [];
+    headerSent = true;
+    if (recorder.ondataavailable) {
+      recorder.ondataavailable({ data: new Blob(parts, { type: WAV_RECORDER.MIME_TYPE }) });
+    }
+  };
+
+  const handleMessage = ({ data }) => {
+    if (data.flushed) {
+      if (state !== 'recording') activeGeneration = null;
+      const callback = flushCallbacks.shift();
+      if (callback) callback();
+    } else if (data.samples && data.generation === activeGeneration) {
+      pending.push(encodePcm16(data.samples));
+    }
+  };
+
+  // Resolves once every frame captured so far has reached the main thread
+  const flush = () => new Promise(resolve => {
+    flushCallbacks.push(resolve);
+    node.port.postMessage({ command: 'flush' });
+  });
+
+  const capture = () => {
+    generation += 1;
+    activeGeneration = generation;
+    node.port.postMessage({ command: 'capture', generation });
+  };
+
+  const setup = async () => {
+    context = new AudioContextClass();
+    const moduleUrl = URL.createObjectURL(new Blob([PROCESSOR_SOURCE], { type: 'application/javascript' }));
+    try {
+      await context.audioWorklet.addModule(moduleUrl);
+    } finally {
+      URL.revokeObjectURL(moduleUrl);
+    }
+    if (released) return;
+
+    format = {
+      sampleRate: context.sampleRate,
+      channels: WAV_RECORDER.CHANNELS,
+      bitsPerSample: WAV_RECORDER.BITS_PER_SAMPLE
+    };
+    source = context.createMediaStreamSource(stream);
+    node = new AudioWorkletNode(context, PROCESSOR_NAME, {
+      numberOfInputs: 1,
+      numberOfOutputs: 1,
+      outputChannelCount: [1],
+      channelCount: WAV_RECORDER.CHANNELS, // Down-mixed by the audio graph
+      channelCountMode: 'explicit',
+      channelInterpretation: 'speakers',
+      processorOptions: { bufferFrames: WAV_RECORDER.WORKLET_BUFFER_FRAMES }
+    });
+    node.port.onmessage = handleMessage;
+    source.connect(node);
+    node.connect(context.destination); // Keeps the node running; it only outputs silence
+
+    loaded = true;
+    if (state === 'recording') capture(); // Started while the worklet was loading
+  };
+
+  const handleTrackEnded = () => {
+    if (stream.getAudioTracks().every(track => track.readyState === 'ended')) {
+      recorder.stop();
+    }
+  };
+
+  const teardown = () => {
+    clearInterval(emitTimer);
+    emitTimer = null;
+    stream.getAudioTracks().forEach(track => track.removeEventListener('ended', handleTrackEnded));
+    try {
+      if (source) source.disconnect();
+      if (node) node.disconnect();
+    } catch (error) {
+      // Already disconnected
+    }
+    if (context && context.state !== 'closed') {
+      context.close().catch(() => {});
+    }
+  };
+
+  const finish = async () => {
+    try {
+      await ready;
+      await flush();
+    } catch (error) {
+      // Setup failed - reported through onerror
+    }
+    emit();
+    teardown();
+    if (recorder.onstop) recorder.onstop();
+  };
+
+  const ready = setup();
+  ready.catch(error => {
+    if (!released) console.error('[wavRecorder] Could not start the audio worklet:', error);
+  });
+
+  recorder.start = (timeslice) => {
+    if (state !== 'inactive' || started || released) return;
+    state = 'recording';
+    started = true;
+    if (timeslice) emitTimer = setInterval(emit, timeslice);
+    stream.getAudioTracks().forEach(track => track.addEventListener('ended', handleTrackEnded));
+
+    // A context created outside a user gesture starts suspended
+    if (context && context.state === 'suspended') context.resume().catch(() => {});
+    if (loaded) capture(); // Otherwise setup() starts capturing once the worklet is loaded
+    ready.catch(error => {
+      if (state === 'inactive') return; // stop() is already finishing
+      state = 'inactive';
+      teardown();
+      if (recorder.onerror) recorder.onerror({ error });
+    });
+  };
+
+  recorder.pause = () => {
+    if (state !== 'recording') return;
+    state = 'paused';
+    ready.then(flush).catch(() => {});
+  };
+
+  recorder.resume = () => {
+    if (state !== 'paused') return;
+    state = 'recording';
+    ready.then(() => {
+      // The OS may have suspended the context while paused (phone call, iOS backgrounding)
+      if (context.state !== 'running') context.resume().catch(() => {});
+      if (state === 'recording') capture();
+    }).catch(() => {});
+  };
+
+  recorder.stop = () => {
+    if (state === 'inactive') return;
+    state = 'inactive';
+    finish();
+  };
+
+  // Free the audio worklet of a recorder that was never started (a started one
+  // is freed by stop())
+  recorder.release = () => {
+    if (started || released) return;
+    released = true;
+    teardown();
+  };
+
+  return recorder;
+}
@@ -0,0 +1,197 @@
+/**
+ * WAV Recorder Tests
+ *
+ * PCM encoding, the file the recorded chunks add up to, capturing from the
+ * first frame after start(), and a recorder whose audio worklet can't be set up.
+ */
+
+import { encodePcm16, createWavRecorder } from './wavRecorder.js';
+import { finalizeWav } from './mediaFinalize.js';
+import { parseWav, WAV_UNKNOWN_SIZE, WAV_HEADER_LENGTH } from './mediaContainer.js';
+import { buildWav, concat } from './__fixtures__/mediaFixtures.js';
+
+describe('encodePcm16', () => {
+  it('scales and clips float samples to 16-bit', () => {
+    const pcm = encodePcm16(Float32Array.from([0, 1, -1, 2, -0.5]));
+    expect(Array.from(new Int16Array(pcm.buffer))).toEqual([0, 32767, -32768, 32767, -16384]);
+  });
+});
+
+describe('recorded WAV', () => {
+  // First chunk carries the header with unknown sizes, later chunks only samples
+  const chunks = concat(buildWav({ values: [1, 2] }), encodePcm16(Float32Array.from([0, 0, 0])));
+
+  it('reads to the end of the file while the sizes are unknown', () => {
+    const parsed = parseWav(chunks);
+    expect(new DataView(chunks.buffer).getUint32(40, true)).toBe(WAV_UNKNOWN_SIZE);
+    expect(parsed.duration).toBeCloseTo(5 / 1000);
+  });
+
+  it('gets its real sizes when finalized', () => {
+    const { bytes, duration } = finalizeWav(chunks);
+    const view = new DataView(bytes.buffer);
+    expect(view.getUint32(4, true)).toBe(bytes.length - 8);
+    expect(view.getUint32(40, true)).toBe(10);
+    expect(duration).toBeCloseTo(5 / 1000);
+  });
+});
+
+describe('createWavRecorder capture', () => {
+  const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+  let context;
+  let node;
+  let stream;
+
+  beforeEach(() => {
+    node = undefined;
+    context = {
+      state: 'running',
+      sampleRate: 48000,
+      destination: {},
+      audioWorklet: { addModule: jest.fn(() => Promise.resolve()) },
+      createMediaStreamSource: jest.fn(() => ({ connect: jest.fn(), disconnect: jest.fn() })),
+      resume: jest.fn(() => Promise.resolve()),
+      close: jest.fn(() => Promise.resolve())
+    };
+    window.AudioContext = jest.fn(() => context);
+    // The processor answers a flush once everything captured so far has been posted
+    window.AudioWorkletNode = jest.fn(() => {
+      node = {
+        connect: jest.fn(),
+        disconnect: jest.fn(),
+        port: {
+          postMessage: jest.fn(message => {
+            if (message.command === 'flush') {
+              queueMicrotask(() => node.port.onmessage({ data: { flushed: true } }));
+            }
+          })
+        }
+      };
+      return node;
+    });
+    URL.createObjectURL = jest.fn(() => 'blob:worklet');
+    URL.revokeObjectURL = jest.fn();
+    const track = { readyState: 'live', addEventListener: jest.fn(), removeEventListener: jest.fn() };
+    stream = { getAudioTracks: () => [track] };
+  });
+
+  afterEach(() => {
+    delete window.AudioContext;
+    delete window.AudioWorkletNode;
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+  });
+
+  const captureMessages = () => node.port.postMessage.mock.calls
+    .map(([message]) => message)
+    .filter(message => message.command === 'capture');
+
+  it('loads the worklet when created, before it is started', async () => {
+    createWavRecorder(stream);
+    await flushPromises();
+
+    expect(context.audioWorklet.addModule).toHaveBeenCalledWith('blob:worklet');
+    expect(captureMessages()).toHaveLength(0);
+  });
+
+  it('captures from the first frame after start()', async () => {
+    const recorder = createWavRecorder(stream);
+    recorder.ondataavailable = jest.fn();
+    recorder.onstop = jest.fn();
+    await flushPromises(); // The countdown runs while the worklet loads
+
+    recorder.start(1000);
+
+    // Capturing is switched on synchronously - no frames are lost to loading
+    expect(captureMessages()).toEqual([{ command: 'capture', generation: 1 }]);
+
+    node.port.onmessage({ data: { samples: Float32Array.from([0.1, 0.2, 0.3, 0.4]), generation: 1 } });
+    recorder.stop();
+    await flushPromises();
+
+    expect(recorder.ondataavailable).toHaveBeenCalledTimes(1);
+    expect(recorder.ondataavailable.mock.calls[0][0].data.size).toBe(WAV_HEADER_LENGTH + 4 * 2);
+    expect(recorder.onstop).toHaveBeenCalledTimes(1);
+  });
+
+  it('starts capturing once loaded when started during loading', async () => {
+    const recorder = createWavRecorder(stream);
+
+    recorder.start(1000);
+    expect(node).toBeUndefined();
+    await flushPromises();
+
+    expect(captureMessages()).toEqual([{ command: 'capture', generation: 1 }]);
+    recorder.stop();
+    await flushPromises();
+  });
+
+  it('frees the audio context of a recorder that is never started', async () => {
+    const recorder = createWavRecorder(stream);
+    await flushPromises();
+
+    recorder.release();
+    recorder.start(1000);
+
+    expect(context.close).toHaveBeenCalled();
+    expect(recorder.state).toBe('inactive');
+    expect(captureMessages()).toHaveLength(0);
+  });
+});
+
+describe('createWavRecorder setup failure', () => {
+  const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+  let context;
+  let track;
+  let stream;
+
+  beforeEach(() => {
+    console.error = jest.fn();
+    context = {
+      state: 'running',
+      audioWorklet: { addModule: jest.fn(() => Promise.reject(new Error('Worklet blocked'))) },
+      close: jest.fn(() => Promise.resolve())
+    };
+    window.AudioContext = jest.fn(() => context);
+    URL.createObjectURL = jest.fn(() => 'blob:worklet');
+    URL.revokeObjectURL = jest.fn();
+    track = { readyState: 'live', addEventListener: jest.fn(), removeEventListener: jest.fn() };
+    stream = { getAudioTracks: () => [track] };
+  });
+
+  afterEach(() => {
+    delete window.AudioContext;
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+  });
+
+  it('reports the error and never stops like a finished recording', async () => {
+    const recorder = createWavRecorder(stream);
+    recorder.onerror = jest.fn();
+    recorder.onstop = jest.fn();
+    recorder.ondataavailable = jest.fn();
+
+    recorder.start(1000);
+    await flushPromises();
+
+    expect(recorder.onerror).toHaveBeenCalledWith({ error: expect.objectContaining({ message: 'Worklet blocked' }) });
+    expect(recorder.onstop).not.toHaveBeenCalled();
+    expect(recorder.ondataavailable).not.toHaveBeenCalled();
+    expect(recorder.state).toBe('inactive');
+    expect(context.close).toHaveBeenCalled();
+    expect(track.removeEventListener).toHaveBeenCalledWith('ended', expect.any(Function));
+  });
+
+  it('still stops when stop() was called while setting up', async () => {
+    const recorder = createWavRecorder(stream);
+    recorder.onerror = jest.fn();
+    recorder.onstop = jest.fn();
+
+    recorder.start(1000);
+    recorder.stop();
+    await flushPromises();
+
+    expect(recorder.onstop).toHaveBeenCalledTimes(1);
+    expect(recorder.onerror).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * utils/waveform.js
+ * -----------------
+ * Waveform peaks for audio recordings.
+ *
+ * PURPOSE:
+ * Audio stories have no picture, and every surface that wants to draw a waveform
+ * would otherwise have to download and decode the whole file. The peaks are
+ * computed once here, drawn on the review screen (WaveformScrubber) and uploaded
+ * as a small JSON sidecar next to final/recording.* :
+ *
+ *   { version, duration, peaks: [0..1, ...] }
+ *
+ * Each peak is the loudest sample (absolute value, all channels) of an equal
+ * slice of the recording; `duration` is in seconds, so peak i starts at
+ * i * duration / peaks.length.
+ *
+ * HOW:
+ * The recording is decoded with an OfflineAudioContext at a low sample rate
+ * (WAVEFORM.DECODE_SAMPLE_RATE) - nothing is played or rendered.
+ */
+
+import { WAVEFORM } from '../config';
+import { createError, UPLOAD_ERRORS } from './errors';
+
+const PEAK_PRECISION = 1000; // Three decimals keep the JSON small
+
+function waveformError(message) {
+  return createError(UPLOAD_ERRORS.INVALID_FILE, `Cannot create waveform: ${message}`);
+}
+
+/**
+ * Number of peaks for a recording of this length
+ * @param {number} duration - Seconds
+ * @returns {number}
+ */
+export function getPeakCount(duration) {
+  if (!duration || !isFinite(duration) || duration <= 0) return 0;
+  return Math.max(1, Math.min(WAVEFORM.MAX_PEAKS, Math.ceil(duration * WAVEFORM.PEAKS_PER_SECOND)));
+}
+
+/**
+ * Loudest sample of each of `count` equal slices, across all channels
+ * @param {Float32Array[]} channels - Decoded samples per channel
+ * @param {number} count - Number of peaks
+ * @returns {number[]} Peaks between 0 and 1
+ */
+export function computePeaks(channels, count) {
+  const length = channels.length ? channels[0].length : 0;
+  if (!length || !count) return [];
+
+  const peaks = new Array(count).fill(0);
+  for (let i = 0; i < count; i++) {
+    const from = Math.floor((i * length) / count);
+    const to = Math.max(from + 1, Math.floor(((i + 1) * length) / count));
+    let peak = 0;
+    for (const samples of channels) {
+      for (let j = from; j < to && j < length; j++) {
+        const value = Math.abs(samples[j]);
+        if (value > peak) peak = value;
+      }
+    }
+    peaks[i] = Math.round(Math.min(1, peak) * PEAK_PRECISION) / PEAK_PRECISION;
+  }
+  return peaks;
+}
+
+/**
+ * Cut a waveform to a trim range (submit uploads the trimmed recording)
+ * @param {{ version: number, duration: number, peaks: number[] }} waveform
+ * @param {number} start - Seconds
+ * @param {number} end - Seconds
+ * @returns {{ version: number, duration: number, peaks: number[] }}
+ */
+export function sliceWaveform(waveform, start, end) {
+  const { duration, peaks } = waveform;
+  const from = Math.max(0, Math.floor((start / duration) * peaks.length));
+  const to = Math.min(peaks.length, Math.ceil((end / duration) * peaks.length));
+  return {
+    ...waveform,
+    duration: Math.round((end - start) * 10) / 10,
+    peaks: peaks.slice(from, Math.max(from + 1, to))
+  };
+}
+
+/**
+ * Sidecar file uploaded next to the recording
+ * @param {{ version: number, duration: number, peaks: number[] }} waveform
+ * @returns {Blob} application/json
+ */
+export function serializeWaveform(waveform) {
+  const { version, duration, peaks } = waveform;
+  return new Blob([JSON.stringify({ version, duration, peaks })], { type: 'application/json' });
+}
+
+// decodeAudioData: promise form, with the callback form older Safari needs
+function decodeAudio(context, buffer) {
+  return new Promise((resolve, reject) => {
+    const decoding = context.decodeAudioData(buffer, resolve, reject);
+    if (decoding && typeof decoding.then === 'function') {
+      decoding.then(resolve, reject);
+    }
+  });
+}
+
+/**
+ * Waveform peaks of an audio recording
+ * @param {Blob} recording - Audio recording
+ * @returns {Promise<{ version: number, duration: number, peaks: number[] }>}
+ */
+export async function createWaveform(recording) {
+  const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!OfflineContext) {
+    throw waveformError('OfflineAudioContext is not supported');
+  }
+
+  const context = new OfflineContext(1, 1, WAVEFORM.DECODE_SAMPLE_RATE);
+  let audioBuffer;
+  try {
+    audioBuffer = await decodeAudio(context, await recording.arrayBuffer());
+  } catch (error) {
+    throw waveformError(`recording could not be decoded (${error?.message || error})`);
+  }
+
+  const channels = [];
+  for (let i = 0; i < audioBuffer.numberOfChannels; i++) {
+    channels.push(audioBuffer.getChannelData(i));
+  }
+
+  return {
+    version: WAVEFORM.VERSION,
+    duration: Math.round(audioBuffer.duration * 10) / 10,
+    peaks: computePeaks(channels, getPeakCount(audioBuffer.duration))
+  };
+}
@@ -0,0 +1,35 @@
+/**
+ * Waveform Tests
+ *
+ * Peak computation and cutting peaks to a trim range.
+ */
+
+import { getPeakCount, computePeaks, sliceWaveform } from './waveform.js';
+import { WAVEFORM } from '../config';
+
+describe('getPeakCount', () => {
+  it('follows the duration up to the cap', () => {
+    expect(getPeakCount(10)).toBe(10 * WAVEFORM.PEAKS_PER_SECOND);
+    expect(getPeakCount(60 * 60)).toBe(WAVEFORM.MAX_PEAKS);
+    expect(getPeakCount(undefined)).toBe(0);
+  });
+});
+
+describe('computePeaks', () => {
+  it('takes the loudest sample of each slice across channels', () => {
+    const left = Float32Array.from([0.1, -0.5, 0, 0.2]);
+    const right = Float32Array.from([0.3, 0, -0.9, 0]);
+    expect(computePeaks([left, right], 2)).toEqual([0.5, 0.9]);
+  });
+
+  it('returns no peaks for an empty recording', () => {
+    expect(computePeaks([new Float32Array(0)], 10)).toEqual([]);
+  });
+});
+
+describe('sliceWaveform', () => {
+  it('keeps the peaks inside the trim range', () => {
+    const waveform = { version: WAVEFORM.VERSION, duration: 10, peaks: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9] };
+    expect(sliceWaveform(waveform, 2, 5)).toEqual({ version: WAVEFORM.VERSION, duration: 3, peaks: [2, 3, 4] });
+  });
+});